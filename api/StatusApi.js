@@ -0,0 +1,336 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const { getAbi } = require("../lib/artifacts");
+const { RequestStatus } = require("../indexer/BridgeDatabase");
+
+const BLOCK_RANGE = 5000;
+// Events of a target bridge marking a request as processed.
+const PROCESSED_EVENTS = ["BridgeCompleted", "BridgeQueued", "BridgeRejected"];
+
+// Lifecycle of a transfer as reported by the API. `queued`, `rejected` and
+// `refunded` replace `relayed`/`completed` for transfers that took those paths.
+const TransferStatus = Object.freeze({
+    INITIATED: "initiated",
+    CONFIRMED: "confirmed",
+    RELAYED: "relayed",
+    QUEUED: "queued",
+    COMPLETED: "completed",
+    REJECTED: "rejected",
+    REFUNDED: "refunded"
+});
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Read-only HTTP service reporting where a transfer is, from the database of
+ * the indexer plus live reads of both bridges.
+ *
+ *   GET /requests/:requestId             one transfer with its events
+ *   GET /addresses/:address/requests     transfers sent or received by an
+ *                                        address (`from`, `to` in seconds,
+ *                                        `status`, `limit`, `offset`) and
+ *                                        their `total`
+ *   GET /limits                          transfer limits, remaining daily
+ *                                        limit and `paused()` of each bridge
+ *   GET /health                          RPC reachability and indexer lag
+ *
+ * A transfer goes `initiated` → `confirmed` (its block has the source chain's
+ * confirmations) → `relayed` (`processedTransactions` on the target bridge) →
+ * `completed` (`BridgeCompleted` indexed). Transfers the indexer has not
+ * stored yet are looked up in `outboundRequests` of the bridges.
+ */
+class StatusApi {
+    /**
+     * @param {Object} options
+     * @param {BridgeDatabase} options.database database written by the indexer
+     * @param {Array<Object>} options.chains Chain entries:
+     *   - `name`        label used in responses
+     *   - `contract`    artifact name (`PioneChainBridge` or `PioneChainBridgeBSC`)
+     *   - `address`     bridge address
+     *   - `provider`    provider of the chain
+     *   - `confirmations` blocks for a transfer to count as confirmed,
+     *                   counting its own block (defaults to 1)
+     * @param {number} [options.maxLag] blocks the indexer may trail the head
+     *   before `/health` fails (defaults to 100)
+     * @param {Object} [options.logger] console-compatible logger
+     */
+    constructor({ database, chains, maxLag = 100, logger = console }) {
+        if (!chains || chains.length < 2) throw new Error("StatusApi needs at least two chains");
+        this._database = database;
+        this._config = chains;
+        this._maxLag = maxLag;
+        this._logger = logger;
+        this._chains = new Map();
+        this._server = null;
+    }
+
+    /**
+     * Resolves each bridge's `CHAIN_ID`.
+     */
+    async init() {
+        for (const config of this._config) {
+            const bridge = new ethers.Contract(config.address, getAbi(config.contract), config.provider);
+            const chainId = Number(await bridge.CHAIN_ID());
+            if (this._chains.has(chainId)) throw new Error(`Duplicate chain ${chainId}`);
+
+            this._chains.set(chainId, {
+                name: config.name,
+                chainId,
+                bridge,
+                provider: config.provider,
+                confirmations: Math.max(config.confirmations ?? 1, 1)
+            });
+        }
+        return this;
+    }
+
+    /**
+     * Returns a transfer with its lifecycle, or null if neither the database
+     * nor the bridges know it.
+     */
+    async getRequest(requestId) {
+        if (!ethers.isHexString(requestId, 32)) throw new HttpError(400, `Invalid requestId ${requestId}`);
+
+        const request = this._database.getRequest(requestId);
+        if (request) return this._withLifecycle(request, await this._readTransfer(request));
+
+        for (const source of this._chains.values()) {
+            const { from, amount, targetChain } = await source.bridge.outboundRequests(requestId);
+            if (from === ethers.ZeroAddress) continue;
+            const transfer = {
+                requestId,
+                status: RequestStatus.INITIATED,
+                sourceChain: source.chainId,
+                targetChain: Number(targetChain),
+                from,
+                to: null,
+                amount: amount.toString(),
+                initiated: null,
+                queued: null,
+                completed: null,
+                rejected: null,
+                refunded: null,
+                events: []
+            };
+            return this._withLifecycle(transfer, await this._readTransfer(transfer));
+        }
+        return null;
+    }
+
+    /**
+     * Lists the transfers sent or received by `address`, newest first, with
+     * the number of transfers matching the filter.
+     * @return {Promise<Object>} `{ total, requests }`
+     */
+    async getAddressRequests(address, { from, to, status, limit = 100, offset = 0 } = {}) {
+        if (!ethers.isAddress(address)) throw new HttpError(400, `Invalid address ${address}`);
+        if (limit > 1000) throw new HttpError(400, "limit is above 1000");
+
+        const statuses = Object.values(TransferStatus);
+        if (status !== undefined && !statuses.includes(status)) {
+            throw new HttpError(400, `Invalid status ${status}, expected one of ${statuses.join(", ")}`);
+        }
+        const live = await this._readChains();
+        const filter = { address, fromTime: from, toTime: to, ...this._statusFilter(status, live) };
+
+        const requests = this._database.getRequests({ ...filter, limit, offset }).map(request =>
+            this._withLifecycle({ ...request, events: this._database.getEvents({ requestId: request.requestId }) }, live));
+        return { total: this._database.countRequests(filter), requests };
+    }
+
+    /**
+     * Returns the limits and pause state of each bridge. `remainingDailyLimit`
+     * is null on bridges without a daily limit.
+     */
+    async getLimits() {
+        const chains = [];
+        for (const { name, chainId, bridge } of this._chains.values()) {
+            const dailyLimit = await bridge.dailyLimit();
+            chains.push({
+                name,
+                chainId,
+                paused: await bridge.paused(),
+                minTransferAmount: (await bridge.minTransferAmount()).toString(),
+                maxTransferAmount: (await bridge.maxTransferAmount()).toString(),
+                dailyLimit: dailyLimit.toString(),
+                remainingDailyLimit: dailyLimit > 0n ? (await bridge.getRemainingDailyLimit()).toString() : null
+            });
+        }
+        return { chains };
+    }
+
+    /**
+     * Returns the head and the last indexed block of each chain. `ok` is
+     * false if an RPC cannot be reached or the indexer trails the head by
+     * more than `maxLag` blocks.
+     */
+    async getHealth() {
+        const chains = [];
+        for (const { name, chainId, provider } of this._chains.values()) {
+            const indexedBlock = this._database.getCursor(chainId) ?? null;
+            try {
+                const head = await provider.getBlockNumber();
+                const lag = indexedBlock === null ? null : head - indexedBlock;
+                chains.push({ name, chainId, ok: lag !== null && lag <= this._maxLag, head, indexedBlock, lag });
+            } catch (error) {
+                chains.push({ name, chainId, ok: false, error: error.message, indexedBlock });
+            }
+        }
+        return { ok: chains.every(chain => chain.ok), chains };
+    }
+
+    /**
+     * Starts the HTTP server on `port` (0 for a free port).
+     * @return {Promise<number>} the port listened on
+     */
+    listen(port = 3000, host) {
+        this._server = http.createServer((req, res) => this._handle(req, res));
+        return new Promise((resolve, reject) => {
+            this._server.once("error", reject);
+            this._server.listen(port, host, () => resolve(this._server.address().port));
+        });
+    }
+
+    close() {
+        if (!this._server) return Promise.resolve();
+        const server = this._server;
+        this._server = null;
+        return new Promise(resolve => server.close(() => resolve()));
+    }
+
+    async _handle(req, res) {
+        let status = 200;
+        let body;
+        try {
+            if (req.method !== "GET") throw new HttpError(405, `${req.method} is not allowed`);
+            const url = new URL(req.url, "http://localhost");
+            body = await this._route(url.pathname.split("/").filter(Boolean), url.searchParams);
+            if (body === null) throw new HttpError(404, "Not found");
+            if (url.pathname === "/health" && !body.ok) status = 503;
+        } catch (error) {
+            status = error.status ?? 500;
+            body = { error: status === 500 ? "Internal error" : error.message };
+            if (status === 500) this._logger.error("status api request failed :>> ", error.message);
+        }
+        res.writeHead(status, {
+            "Content-Type": "application/json",
+            "Access-Control-Allow-Origin": "*"
+        });
+        res.end(JSON.stringify(body));
+    }
+
+    async _route(segments, query) {
+        const [resource, id, sub] = segments;
+        if (segments.length === 2 && resource === "requests") return this.getRequest(id);
+        if (segments.length === 3 && resource === "addresses" && sub === "requests") {
+            return this.getAddressRequests(id, {
+                from: optionalInteger(query, "from"),
+                to: optionalInteger(query, "to"),
+                status: query.get("status") ?? undefined,
+                limit: optionalInteger(query, "limit"),
+                offset: optionalInteger(query, "offset")
+            });
+        }
+        if (segments.length === 1 && resource === "limits") return this.getLimits();
+        if (segments.length === 1 && resource === "health") return this.getHealth();
+        return null;
+    }
+
+    // Database filter of a transfer status. Lifecycle statuses derive from
+    // the stored `initiated` status with the heads and relays in `live`.
+    _statusFilter(status, { heads, relayed }) {
+        const confirmedAt = {};
+        for (const [chainId, head] of heads) confirmedAt[chainId] = head - this._chains.get(chainId).confirmations + 1;
+
+        switch (status) {
+            case undefined:
+                return {};
+            case TransferStatus.INITIATED:
+                return { status: RequestStatus.INITIATED, excludeRequestIds: [...relayed], confirmedAt, confirmed: false };
+            case TransferStatus.CONFIRMED:
+                return { status: RequestStatus.INITIATED, excludeRequestIds: [...relayed], confirmedAt, confirmed: true };
+            case TransferStatus.RELAYED:
+                return { status: RequestStatus.INITIATED, requestIds: [...relayed] };
+            default:
+                return { status };
+        }
+    }
+
+    // Head of every chain and the requests processed by a bridge after the
+    // last block the indexer stored, which are relayed but not indexed yet.
+    async _readChains() {
+        const heads = new Map();
+        const relayed = new Set();
+        for (const { name, chainId, bridge, provider } of this._chains.values()) {
+            const cursor = this._database.getCursor(chainId);
+            if (cursor === undefined) throw new HttpError(503, `${name} is not indexed yet`);
+
+            const head = await provider.getBlockNumber();
+            heads.set(chainId, head);
+            const topics = [PROCESSED_EVENTS.map(event => bridge.interface.getEvent(event).topicHash)];
+            for (let from = cursor + 1; from <= head; from += BLOCK_RANGE) {
+                const logs = await provider.getLogs({ address: bridge.target, topics, fromBlock: from, toBlock: Math.min(from + BLOCK_RANGE - 1, head) });
+                for (const log of logs) relayed.add(log.topics[1]);
+            }
+        }
+        return { heads, relayed };
+    }
+
+    // Head of the source chain and `processedTransactions` of the target bridge for one transfer.
+    async _readTransfer(transfer) {
+        const source = this._chains.get(transfer.sourceChain);
+        const target = this._chains.get(transfer.targetChain);
+        const heads = new Map();
+        const relayed = new Set();
+        if (source) heads.set(source.chainId, await source.provider.getBlockNumber());
+        if (target && transfer.status === RequestStatus.INITIATED && await target.bridge.processedTransactions(transfer.requestId)) {
+            relayed.add(transfer.requestId);
+        }
+        return { heads, relayed };
+    }
+
+    _withLifecycle(request, { heads, relayed: relayedIds }) {
+        const { events, ...transfer } = request;
+        const source = this._chains.get(transfer.sourceChain);
+        const initiated = events.find(event => event.name === "BridgeInitiated" && event.contract !== "PioneLiquidityManager");
+
+        let confirmations = null;
+        if (source && initiated) confirmations = heads.get(source.chainId) - initiated.blockNumber + 1;
+
+        const relayed = transfer.status !== RequestStatus.INITIATED || relayedIds.has(transfer.requestId);
+
+        const stages = {
+            initiated: true,
+            confirmed: relayed || (source !== undefined && confirmations !== null && confirmations >= source.confirmations),
+            relayed,
+            completed: transfer.status === RequestStatus.COMPLETED
+        };
+        let status = transfer.status;
+        if (status === RequestStatus.INITIATED) {
+            status = stages.relayed ? TransferStatus.RELAYED : stages.confirmed ? TransferStatus.CONFIRMED : TransferStatus.INITIATED;
+        }
+
+        return {
+            ...transfer,
+            status,
+            indexed: events.length > 0,
+            confirmations,
+            stages,
+            events
+        };
+    }
+}
+
+function optionalInteger(query, name) {
+    const value = query.get(name);
+    if (value === null) return undefined;
+    if (!/^\d+$/.test(value)) throw new HttpError(400, `${name} must be a non-negative integer`);
+    return Number(value);
+}
+
+module.exports = { StatusApi, TransferStatus };
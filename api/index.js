@@ -0,0 +1,62 @@
+const path = require("path");
+const { ethers } = require("ethers");
+const { StatusApi } = require("./StatusApi");
+const { BridgeDatabase } = require("../indexer/BridgeDatabase");
+require("dotenv").config();
+
+const BSC_RPC_URL = process.env.BSC_RPC_URL || "";
+const PIONE_RPC_URL = process.env.PIONE_RPC_URL || "";
+const PIONE_BRIDGE_BSC = process.env.PIONE_BRIDGE_BSC || "";
+const PIONE_BRIDGE = process.env.PIONE_BRIDGE || "";
+const BSC_CONFIRMATIONS = Number(process.env.BSC_CONFIRMATIONS || 15);
+const PIONE_CONFIRMATIONS = Number(process.env.PIONE_CONFIRMATIONS || 15);
+const INDEXER_DB = process.env.INDEXER_DB || path.join(__dirname, "..", "indexer", "data", "bridge.sqlite");
+const STATUS_API_PORT = Number(process.env.STATUS_API_PORT || 3000);
+const STATUS_API_MAX_LAG = Number(process.env.STATUS_API_MAX_LAG || 100);
+
+async function main() {
+    for (const [key, value] of Object.entries({ BSC_RPC_URL, PIONE_RPC_URL, PIONE_BRIDGE_BSC, PIONE_BRIDGE })) {
+        if (!value) throw new Error(`Missing ${key} in .env`);
+    }
+
+    const database = new BridgeDatabase(INDEXER_DB);
+    const api = new StatusApi({
+        database,
+        maxLag: STATUS_API_MAX_LAG,
+        chains: [
+            {
+                name: "bsc",
+                contract: "PioneChainBridgeBSC",
+                address: PIONE_BRIDGE_BSC,
+                provider: new ethers.JsonRpcProvider(BSC_RPC_URL),
+                confirmations: BSC_CONFIRMATIONS
+            },
+            {
+                name: "pione",
+                contract: "PioneChainBridge",
+                address: PIONE_BRIDGE,
+                provider: new ethers.JsonRpcProvider(PIONE_RPC_URL),
+                confirmations: PIONE_CONFIRMATIONS
+            }
+        ]
+    });
+    await api.init();
+
+    const port = await api.listen(STATUS_API_PORT, process.env.STATUS_API_HOST || undefined);
+    console.log("indexer database :>> ", INDEXER_DB);
+    console.log("status api listening on port :>> ", port);
+
+    const shutdown = async () => {
+        console.log("status api stopping...");
+        await api.close();
+        database.close();
+        process.exit(0);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+}
+
+main().catch((err) => {
+    console.log('err :>> ', err);
+    process.exit(1);
+});
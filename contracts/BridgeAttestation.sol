@@ -0,0 +1,201 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/**
+ * @title Bridge Attestation
+ * @dev M-of-N validator attestation shared by PioneChainBridge and PioneChainBridgeBSC.
+ *
+ * Features:
+ * - Admin-managed validator set and signature threshold
+ * - EIP-712 signatures over the incoming `BridgeRequest`, over the
+ *   `RequestRejection` of an incoming request that can never be completed,
+ *   and over the `RefundApproval` of an outbound request rejected by its
+ *   target chain
+ * - Signers must be passed in strictly ascending address order, which
+ *   rejects duplicated signatures without extra storage
+ *
+ * A threshold of 0 disables attestation mode and leaves `bridgeIn`,
+ * `rejectRequest` and `approveRefund` to the `OPERATOR_ROLE` alone.
+ *
+ * @company  Pione Group
+ *
+ * @author   Pione Labs
+ */
+
+import {AccessControl} from "@openzeppelin/contracts/access/AccessControl.sol";
+import {EIP712} from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+abstract contract BridgeAttestation is AccessControl, EIP712 {
+    bytes32 public constant BRIDGE_REQUEST_TYPEHASH = keccak256(
+        "BridgeRequest(address from,address to,uint256 amount,uint256 sourceChain,uint256 targetChain,uint256 nonce)"
+    );
+
+    bytes32 public constant REFUND_APPROVAL_TYPEHASH = keccak256("RefundApproval(bytes32 requestId)");
+
+    bytes32 public constant REQUEST_REJECTION_TYPEHASH = keccak256("RequestRejection(bytes32 requestId)");
+
+    // Canonical representation of an incoming bridge request. This struct
+    // carries the minimal set of fields needed to validate and release the
+    // requested amount on the target chain.
+    struct BridgeRequest {
+        address from;
+        address to;
+        uint amount;
+        uint sourceChain;
+        uint targetChain;
+        uint nonce;
+    }
+
+    // Number of distinct validator signatures `bridgeInWithSignatures` requires.
+    uint public validatorThreshold;
+
+    address[] private _validators;
+    mapping(address => bool) private _isValidator;
+
+    // Emitted when admin replaces the validator set or changes the threshold.
+    event ValidatorSetUpdated(address[] validators, uint threshold);
+
+    // ============ Errors ============
+    /// @notice Emitted when `bridgeIn` is called without signatures while attestation mode is on
+    error AttestationRequired();
+    /// @notice Emitted when fewer valid signatures than `validatorThreshold` are provided
+    error InsufficientSignatures(uint provided, uint threshold);
+    /// @notice Emitted when a signature is not produced by a registered validator
+    error UnknownValidator(address signer);
+    /// @notice Emitted when the same validator signed more than once
+    error DuplicateSigner(address signer);
+    /// @notice Emitted when signers are not sorted in ascending address order
+    error UnsortedSigners();
+    /// @notice Emitted when the validator set or threshold is inconsistent
+    error InvalidValidatorSet();
+
+    constructor(string memory name) EIP712(name, "1") {}
+
+    /**
+     * @notice Replace the validator set and threshold
+     * @dev Pass an empty set with a threshold of 0 to disable attestation mode.
+     */
+    function setValidators(address[] calldata validators, uint threshold)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        if (threshold > validators.length) revert InvalidValidatorSet();
+
+        for (uint i = 0; i < _validators.length; i++) {
+            _isValidator[_validators[i]] = false;
+        }
+        delete _validators;
+
+        for (uint i = 0; i < validators.length; i++) {
+            address validator = validators[i];
+            if (validator == address(0) || _isValidator[validator]) revert InvalidValidatorSet();
+            _isValidator[validator] = true;
+            _validators.push(validator);
+        }
+        validatorThreshold = threshold;
+
+        emit ValidatorSetUpdated(validators, threshold);
+    }
+
+    /**
+     * @notice Update the signature threshold for the current validator set
+     */
+    function setValidatorThreshold(uint threshold) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (threshold > _validators.length) revert InvalidValidatorSet();
+        validatorThreshold = threshold;
+
+        emit ValidatorSetUpdated(_validators, threshold);
+    }
+
+    /**
+     * @notice Returns the current validator set
+     */
+    function getValidators() external view returns (address[] memory) {
+        return _validators;
+    }
+
+    /**
+     * @notice Returns whether `account` is a registered validator
+     */
+    function isValidator(address account) external view returns (bool) {
+        return _isValidator[account];
+    }
+
+    /**
+     * @notice Returns the EIP-712 digest validators sign for `request`
+     */
+    function hashBridgeRequest(BridgeRequest calldata request) public view returns (bytes32) {
+        return _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    BRIDGE_REQUEST_TYPEHASH,
+                    request.from,
+                    request.to,
+                    request.amount,
+                    request.sourceChain,
+                    request.targetChain,
+                    request.nonce
+                )
+            )
+        );
+    }
+
+    /**
+     * @notice Returns the EIP-712 digest validators sign to approve the refund of `requestId`
+     */
+    function hashRefundApproval(bytes32 requestId) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(REFUND_APPROVAL_TYPEHASH, requestId)));
+    }
+
+    /**
+     * @notice Returns the EIP-712 digest validators sign to reject the incoming request `requestId`
+     */
+    function hashRequestRejection(bytes32 requestId) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(REQUEST_REJECTION_TYPEHASH, requestId)));
+    }
+
+    /**
+     * @dev Reverts unless `signatures` hold at least `validatorThreshold`
+     * distinct validator signatures over `request`, sorted by signer address.
+     */
+    function _verifyAttestation(BridgeRequest calldata request, bytes[] calldata signatures) internal view {
+        _verifySignatures(hashBridgeRequest(request), signatures);
+    }
+
+    /**
+     * @dev Same as `_verifyAttestation` for the refund approval of `requestId`.
+     */
+    function _verifyRefundAttestation(bytes32 requestId, bytes[] calldata signatures) internal view {
+        _verifySignatures(hashRefundApproval(requestId), signatures);
+    }
+
+    /**
+     * @dev Same as `_verifyAttestation` for the rejection of the incoming request `requestId`.
+     */
+    function _verifyRejectionAttestation(bytes32 requestId, bytes[] calldata signatures) internal view {
+        _verifySignatures(hashRequestRejection(requestId), signatures);
+    }
+
+    function _verifySignatures(bytes32 digest, bytes[] calldata signatures) private view {
+        if (signatures.length < validatorThreshold) {
+            revert InsufficientSignatures(signatures.length, validatorThreshold);
+        }
+
+        address lastSigner;
+        for (uint i = 0; i < signatures.length; i++) {
+            address signer = ECDSA.recover(digest, signatures[i]);
+            if (!_isValidator[signer]) revert UnknownValidator(signer);
+            if (signer == lastSigner) revert DuplicateSigner(signer);
+            if (signer < lastSigner) revert UnsortedSigners();
+            lastSigner = signer;
+        }
+    }
+
+    /**
+     * @dev Reverts when attestation mode is on, for entry points without signatures.
+     */
+    function _requireNoAttestation() internal view {
+        if (validatorThreshold > 0) revert AttestationRequired();
+    }
+}
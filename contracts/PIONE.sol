@@ -9,6 +9,7 @@ pragma solidity ^0.8.28;
  *  - Built on OpenZeppelin Contracts v5.4.0
  *  - Includes cross-chain mint and burn mechanisms via an authorized bridge.
  *  - Enforces a hard-capped maximum total supply: 666 666 666 PIO.
+ *  - A guardian can pause the token bridge; only the owner can unpause it.
  * 
  * @company  Pione Group
  * @team     Pione Labs
@@ -38,10 +39,12 @@ contract PIONE is
 
     bool private _tokenBridgePaused; // Bridge pause state
     address public tokenBridge; // Authorized bridge contract address
+    address public guardian; // May pause the token bridge besides the owner
 
     event TokenBridgeUpdated(address indexed oldTokenBridge, address indexed newTokenBridge);
     event TokenBridgePaused(address account);
     event TokenBridgeUnpaused(address account);
+    event GuardianUpdated(address indexed oldGuardian, address indexed newGuardian);
     
     error Unauthorized();
 
@@ -90,10 +93,20 @@ contract PIONE is
         tokenBridge = tokenBridge_;
     }
 
+    /**
+     * @notice Sets the guardian allowed to pause the token bridge (zero address to remove it)
+     */
+    function setGuardian(address guardian_) external onlyOwner {
+        emit GuardianUpdated(guardian, guardian_);
+        guardian = guardian_;
+    }
+
     /**
      * @notice Pauses bridge operations
+     * @dev Callable by the owner or the guardian.
      */
-    function pauseTokenBridge() external onlyOwner {
+    function pauseTokenBridge() external {
+        if (_msgSender() != owner() && _msgSender() != guardian) revert OwnableUnauthorizedAccount(_msgSender());
         require(!_tokenBridgePaused, "Token bridge already paused");
         _tokenBridgePaused = true;
         emit TokenBridgePaused(_msgSender());
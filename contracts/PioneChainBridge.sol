@@ -9,9 +9,15 @@ pragma solidity ^0.8.28;
  * - Lock native tokens on source chain
  * - Release native tokens on target chain
  * - Role-based access control (Admin, Operator)
- * - Configurable limits
- * - Emergency pause mechanism
+ * - Configurable limits (outbound and inbound)
+ * - Configurable bridge fee (flat + basis points) collected for a treasury
+ * - Emergency pause mechanism, also available to guardians
+ * - Delayed execution of large incoming transfers, cancellable by guardians
  * - Nonce-based replay attack prevention
+ * - Request IDs bound to the source and target bridge deployments
+ * - Refund of outbound requests rejected by the target chain
+ * - Optional M-of-N validator attestation for incoming requests
+ * - Batched `bridgeIn` that skips already-processed requests
  * 
  * @company  Pione Group
  * 
@@ -21,17 +27,43 @@ pragma solidity ^0.8.28;
 import {AccessControl} from "@openzeppelin/contracts/access/AccessControl.sol";
 import {Pausable} from "@openzeppelin/contracts/utils/Pausable.sol";
 import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import {BridgeAttestation} from "./BridgeAttestation.sol";
 
-contract PioneChainBridge is AccessControl, Pausable, ReentrancyGuard {
+contract PioneChainBridge is AccessControl, Pausable, ReentrancyGuard, BridgeAttestation {
     // Role used to authorize off-chain operators who can finalize incoming
     // cross-chain requests (i.e. release tokens on this chain after verification).
     bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
+
+    // Role of the security team, allowed to cancel queued large transfers
+    // while their execution delay is running.
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    // Upper bound for `executionDelay`, so a misconfiguration cannot lock
+    // incoming transfers indefinitely.
+    uint public constant MAX_EXECUTION_DELAY = 30 days;
+
+    // Version tag committed by every requestId. Bump it whenever the request
+    // id format changes so ids of different formats can never collide.
+    bytes32 public constant REQUEST_ID_VERSION = keccak256("PIONE_BRIDGE_REQUEST_V2");
+
+    // Denominator of `feeBps`, and the highest percentage fee that can be set.
+    uint public constant BPS_DENOMINATOR = 10000;
+    uint public constant MAX_FEE_BPS = 1000;
     
     uint public immutable CHAIN_ID;
 
     // Map of chain IDs that are allowed as bridge targets/sources.
     mapping(uint => bool) public supportedChains;
 
+    // Counterpart bridge deployed on each remote chain. Request ids commit to
+    // both bridge addresses, so a request can only be completed by the bridge
+    // it was sent to, and only if it comes from the registered counterpart.
+    mapping(uint => address) public remoteBridges;
+
+    // Request ids in the pre-V2 format (no bridge addresses) that may still be
+    // completed. Only meant for requests in flight while migrating.
+    mapping(bytes32 => bool) public legacyRequests;
+
     // Transfer limit configuration (can be 0 to disable a check):
     uint public minTransferAmount; // Smallest allowed amount for a bridge transfer
     uint public maxTransferAmount; // Largest allowed amount for a bridge transfer
@@ -43,6 +75,73 @@ contract PioneChainBridge is AccessControl, Pausable, ReentrancyGuard {
     uint private _lastTransferDay;
     uint private _dailyTransferred;
 
+    // Inbound limit configuration (0 disables a check). Caps how much can be
+    // released by `bridgeIn` per day, in total and per source chain.
+    uint public inboundDailyLimit;
+    mapping(uint => uint) public inboundChainDailyLimit;
+
+    // Day index and amount received during that day, in total and per
+    // source chain. These are used to enforce the inbound limits.
+    uint private _lastInboundDay;
+    uint private _dailyInbound;
+    mapping(uint => uint) private _lastChainInboundDay;
+    mapping(uint => uint) private _chainDailyInbound;
+
+    // Fee charged on `bridgeOut`: `flatFee` plus `feeBps` of the amount, in
+    // native PIO. `chainFees` overrides both for a target chain when enabled.
+    uint public flatFee;
+    uint public feeBps;
+
+    struct FeeConfig {
+        uint flatFee;
+        uint feeBps;
+        bool enabled;
+    }
+
+    mapping(uint => FeeConfig) public chainFees;
+
+    // Recipient of `withdrawFees` and fees collected but not yet withdrawn.
+    address public treasury;
+    uint public collectedFees;
+
+    // Delayed execution configuration. Incoming requests above
+    // `largeTransferThreshold` are queued for `executionDelay` seconds
+    // instead of being paid out by `bridgeIn` (0 disables queueing).
+    uint public largeTransferThreshold;
+    uint public executionDelay;
+
+    // Incoming transfer waiting for its execution delay to elapse.
+    struct PendingTransfer {
+        address to;
+        uint amount;
+        uint sourceChain;
+        uint unlockTime;
+        // Day the amount was counted against the inbound limits.
+        uint day;
+    }
+
+    // Queued transfers by requestId, removed once executed or cancelled.
+    mapping(bytes32 => PendingTransfer) public pendingTransfers;
+
+    // Lifecycle of an outbound request on this (source) chain.
+    enum OutboundStatus { None, Pending, RefundApproved, Refunded }
+
+    // Outbound request as recorded by `bridgeOut`, kept so that a request
+    // rejected by its target chain can be refunded to the sender.
+    struct OutboundRequest {
+        address from;
+        uint amount;
+        uint targetChain;
+        OutboundStatus status;
+    }
+
+    // Outbound requests by requestId.
+    mapping(bytes32 => OutboundRequest) public outboundRequests;
+
+    // Incoming requests rejected by this (target) chain. They are also marked
+    // processed, so a rejected request can never be completed afterwards.
+    mapping(bytes32 => bool) public rejectedRequests;
+
     // Nonce management per user to ensure uniqueness of outgoing requests
     mapping(address => uint) private _userNonces;
 
@@ -53,18 +152,6 @@ contract PioneChainBridge is AccessControl, Pausable, ReentrancyGuard {
     // Track total locked native tokens in the bridge
     uint private _totalLocked;
 
-    // Canonical representation of an incoming bridge request. This struct
-    // carries the minimal set of fields needed to validate and release the
-    // requested amount on the target chain.
-    struct BridgeRequest {
-        address from;
-        address to;
-        uint amount;
-        uint sourceChain;
-        uint targetChain;
-        uint nonce;
-    }
-
     // Emitted when a user initiates a cross-chain transfer (lock on this
     // chain). Consumers can index `requestId` to follow the lifecycle.
     event BridgeInitiated(bytes32 indexed requestId, address indexed from, address indexed to, uint amount, uint sourceChain, uint targetChain, uint nonce);
@@ -75,23 +162,96 @@ contract PioneChainBridge is AccessControl, Pausable, ReentrancyGuard {
     // Emitted when admin updates supported chain status.
     event ChainSupportUpdated(uint indexed chainId, bool supported);
 
+    // Emitted when admin updates the counterpart bridge of a remote chain.
+    event RemoteBridgeUpdated(uint indexed chainId, address bridge);
+
+    // Emitted when admin allows or revokes legacy-format request ids.
+    event LegacyRequestsUpdated(bytes32[] requestIds, bool allowed);
+
     // Emitted when transfer policy limits are updated by an admin.
     event TransferLimitsUpdated(uint minAmount, uint maxAmount, uint dailyLimit);
+
+    // Emitted when a large incoming transfer is queued instead of being completed.
+    event BridgeQueued(bytes32 indexed requestId, address indexed to, uint amount, uint sourceChain, uint unlockTime);
+
+    // Emitted when a guardian cancels a queued transfer.
+    event PendingTransferCancelled(bytes32 indexed requestId, address indexed guardian);
+
+    // Emitted when this chain permanently rejects an incoming request. Relayed
+    // back to the source chain to approve the refund of `requestId`.
+    event BridgeRejected(bytes32 indexed requestId, uint sourceChain);
+
+    // Emitted when the refund of an outbound request is approved on this chain.
+    event RefundApproved(bytes32 indexed requestId);
+
+    // Emitted when the sender reclaims a refunded outbound request.
+    event BridgeRefunded(bytes32 indexed requestId, address indexed from, uint amount);
+
+    // Emitted when admin updates the default bridge fee.
+    event FeesUpdated(uint flatFee, uint feeBps);
+
+    // Emitted when admin updates the fee override of a target chain.
+    event ChainFeeUpdated(uint indexed chainId, uint flatFee, uint feeBps, bool enabled);
+
+    // Emitted when admin updates the treasury address.
+    event TreasuryUpdated(address indexed treasury);
+
+    // Emitted when collected fees are sent to the treasury.
+    event FeesWithdrawn(address indexed treasury, uint amount);
+
+    // Emitted when admin updates the delayed execution configuration.
+    event ExecutionDelayUpdated(uint largeTransferThreshold, uint executionDelay);
+
+    // Emitted when admin updates the aggregate inbound daily limit.
+    event InboundDailyLimitUpdated(uint dailyLimit);
+
+    // Emitted when admin updates the inbound daily limit of a source chain.
+    event InboundChainDailyLimitUpdated(uint indexed chainId, uint dailyLimit);
+
+    // Emitted by `bridgeInBatch` for a request that was already processed, in
+    // place of `BridgeCompleted`/`BridgeQueued`.
+    event BridgeInSkipped(bytes32 indexed requestId);
+
+    // Emitted when admin adds PIO backing requests bridged before this bridge
+    // existed, e.g. liquidity moved over from a retired bridge.
+    event LiquiditySeeded(address indexed from, uint amount);
     
     // ============ Errors ============
     /// @notice Emitted when a transfer amount is outside configured bounds
     error InvalidAmount(uint minAmount, uint maxAmount, uint bridgeOutAmount);
     /// @notice Emitted when the operation would exceed the configured daily aggregate limit
     error DailyLimitExceeded();
+    /// @notice Emitted when `bridgeIn` would exceed the aggregate inbound daily limit
+    error InboundDailyLimitExceeded();
+    /// @notice Emitted when `bridgeIn` would exceed the inbound daily limit of the source chain
+    error InboundChainDailyLimitExceeded(uint sourceChain);
+    /// @notice Emitted when no queued transfer exists for the request id
+    error PendingTransferNotFound(bytes32 requestId);
+    /// @notice Emitted when a queued transfer is executed before its unlock time
+    error ExecutionDelayNotElapsed(uint unlockTime);
+    /// @notice Emitted when a queued transfer is cancelled after its unlock time
+    error ExecutionDelayElapsed(uint unlockTime);
+    /// @notice Emitted when the configured execution delay exceeds `MAX_EXECUTION_DELAY`
+    error InvalidExecutionDelay(uint executionDelay);
+    /// @notice Emitted when an outbound request is not in the status the operation requires
+    error InvalidOutboundStatus(bytes32 requestId, OutboundStatus status);
+    /// @notice Emitted when someone other than the original sender claims a refund
+    error NotRequestSender(address account);
+    /// @notice Emitted when a fee configuration exceeds `MAX_FEE_BPS`
+    error InvalidFee(uint feeBps);
+    /// @notice Emitted when the bridged amount does not cover the fee
+    error AmountBelowFee(uint amount, uint fee);
     /// @notice Emitted when the provided bridge request data is malformed or does not match its id
     error InvalidRequest();
+    /// @notice Emitted when `bridgeInBatch` gets a different number of requests and ids
+    error BatchLengthMismatch(uint requests, uint requestIds);
     
     constructor(
         uint _minTransferAmount,
         uint _maxTransferAmount,
         uint _dailyLimit,
         uint _chainSupport
-    ) {
+    ) BridgeAttestation("PioneChainBridge") {
         CHAIN_ID = block.chainid;
         
         // Set default limits
@@ -101,6 +261,7 @@ contract PioneChainBridge is AccessControl, Pausable, ReentrancyGuard {
         
         _grantRole(DEFAULT_ADMIN_ROLE, _msgSender());
         _grantRole(OPERATOR_ROLE, _msgSender());
+        _grantRole(GUARDIAN_ROLE, _msgSender());
 
         // Enable a default external chain in the supported list. 
         setChainSupport(_chainSupport, true);
@@ -118,6 +279,8 @@ contract PioneChainBridge is AccessControl, Pausable, ReentrancyGuard {
     ) external payable whenNotPaused nonReentrant returns (bytes32) {
         require(to != address(0), "Invalid recipient");
         require(supportedChains[targetChain], "Chain not supported");
+        address targetBridge = remoteBridges[targetChain];
+        require(targetBridge != address(0), "Remote bridge not set");
         
         uint amount = msg.value;
         require(amount > 0, "Amount must be greater than 0");
@@ -131,40 +294,261 @@ contract PioneChainBridge is AccessControl, Pausable, ReentrancyGuard {
         }
         
         if(dailyLimit > 0) _updateDailyTransferred(amount);
+
+        // The fee is kept by the bridge; only the net amount is delivered.
+        uint fee = quoteFee(amount, targetChain);
+        if (amount <= fee) revert AmountBelowFee(amount, fee);
+        uint netAmount = amount - fee;
+        collectedFees += fee;
         
         // Generate request ID
         address _sender = _msgSender();
         uint nonce = _userNonces[_sender]++;
-        bytes32 requestId = keccak256(
-            abi.encodePacked(
-                _sender,
-                to,
-                amount,
-                CHAIN_ID,
-                targetChain,
-                nonce
-            )
+        bytes32 requestId = _computeRequestId(
+            address(this),
+            targetBridge,
+            _sender,
+            to,
+            netAmount,
+            CHAIN_ID,
+            targetChain,
+            nonce
         );
+        outboundRequests[requestId] = OutboundRequest(_sender, netAmount, targetChain, OutboundStatus.Pending);
         // Lock native tokens in the contract
-        _totalLocked += amount;
+        _totalLocked += netAmount;
         
-        emit BridgeInitiated(requestId, _sender, to, amount, CHAIN_ID, targetChain, nonce);
+        emit BridgeInitiated(requestId, _sender, to, netAmount, CHAIN_ID, targetChain, nonce);
         return requestId;
     }
     
     /**
      * @notice Complete a cross-chain transfer by releasing native tokens
+     * @dev Only available while attestation mode is off (`validatorThreshold == 0`).
      */
     function bridgeIn(
         BridgeRequest calldata request,
         bytes32 requestId
     ) external onlyRole(OPERATOR_ROLE) whenNotPaused nonReentrant {
+        _requireNoAttestation();
+        _bridgeIn(request, requestId);
+    }
+
+    /**
+     * @notice Complete several cross-chain transfers in one transaction
+     * @dev Only available while attestation mode is off. Requests whose id is
+     * already processed emit `BridgeInSkipped` instead of reverting the batch;
+     * any other failure reverts the whole batch.
+     */
+    function bridgeInBatch(
+        BridgeRequest[] calldata requests,
+        bytes32[] calldata requestIds
+    ) external onlyRole(OPERATOR_ROLE) whenNotPaused nonReentrant {
+        _requireNoAttestation();
+        if (requests.length != requestIds.length) revert BatchLengthMismatch(requests.length, requestIds.length);
+
+        for (uint i = 0; i < requests.length; i++) {
+            if (_processedTransactions[requestIds[i]]) {
+                emit BridgeInSkipped(requestIds[i]);
+                continue;
+            }
+            _bridgeIn(requests[i], requestIds[i]);
+        }
+    }
+
+    /**
+     * @notice Complete a cross-chain transfer attested by `validatorThreshold` validators
+     * @param signatures EIP-712 signatures over `request`, sorted by signer address
+     */
+    function bridgeInWithSignatures(
+        BridgeRequest calldata request,
+        bytes32 requestId,
+        bytes[] calldata signatures
+    ) external onlyRole(OPERATOR_ROLE) whenNotPaused nonReentrant {
+        _verifyAttestation(request, signatures);
+        _bridgeIn(request, requestId);
+    }
+
+    /**
+     * @dev Validates `request` against `requestId` and releases native tokens to the recipient.
+     */
+    function _bridgeIn(BridgeRequest calldata request, bytes32 requestId) internal {
         require(request.targetChain == CHAIN_ID, "Wrong target chain");
         require(!_processedTransactions[requestId], "Already processed");
         require(_totalLocked >= request.amount, "Insufficient liquidity");
         
         // Verify request ID
-        bytes32 computedId = keccak256(
+        _validateRequestId(request, requestId);
+        _processedTransactions[requestId] = true;
+        _updateDailyInbound(request.sourceChain, request.amount);
+
+        // Release native tokens to the recipient on this chain
+        _totalLocked -= request.amount;
+
+        // Large transfers wait for `executionDelay`; the liquidity stays
+        // reserved for them until they are executed or cancelled.
+        if (largeTransferThreshold > 0 && request.amount > largeTransferThreshold) {
+            uint unlockTime = block.timestamp + executionDelay;
+            pendingTransfers[requestId] = PendingTransfer(request.to, request.amount, request.sourceChain, unlockTime, block.timestamp / 1 days);
+
+            emit BridgeQueued(requestId, request.to, request.amount, request.sourceChain, unlockTime);
+            return;
+        }
+
+        (bool success, ) = payable(request.to).call{value: request.amount}("");
+        require(success, "Transfer failed");
+
+        emit BridgeCompleted(requestId, request.to, request.amount, CHAIN_ID);
+    }
+
+    /**
+     * @notice Release a queued transfer once its execution delay has elapsed
+     * @dev Callable by anyone; the recipient was fixed when the request was queued.
+     */
+    function executePending(bytes32 requestId) external whenNotPaused nonReentrant {
+        PendingTransfer memory pending = pendingTransfers[requestId];
+        if (pending.unlockTime == 0) revert PendingTransferNotFound(requestId);
+        if (block.timestamp < pending.unlockTime) revert ExecutionDelayNotElapsed(pending.unlockTime);
+        delete pendingTransfers[requestId];
+
+        (bool success, ) = payable(pending.to).call{value: pending.amount}("");
+        require(success, "Transfer failed");
+
+        emit BridgeCompleted(requestId, pending.to, pending.amount, CHAIN_ID);
+    }
+
+    /**
+     * @notice Cancel a queued transfer while its execution delay is running
+     * @dev The request stays processed so it cannot be relayed again, the
+     * reserved amount is returned to the bridge liquidity and, if counted
+     * today, to the inbound limits, and the request is rejected so the
+     * source chain can refund it.
+     */
+    function cancelPending(bytes32 requestId) external onlyRole(GUARDIAN_ROLE) {
+        PendingTransfer memory pending = pendingTransfers[requestId];
+        if (pending.unlockTime == 0) revert PendingTransferNotFound(requestId);
+        if (block.timestamp >= pending.unlockTime) revert ExecutionDelayElapsed(pending.unlockTime);
+        delete pendingTransfers[requestId];
+        _releaseDailyInbound(pending.day, pending.sourceChain, pending.amount);
+
+        _totalLocked += pending.amount;
+        rejectedRequests[requestId] = true;
+
+        emit PendingTransferCancelled(requestId, _msgSender());
+        emit BridgeRejected(requestId, pending.sourceChain);
+    }
+    
+    /**
+     * @notice Permanently reject an incoming request, e.g. one that targets a
+     * chain pair that is no longer supported
+     * @dev Marks the request processed so a late `bridgeIn` reverts, and emits
+     * `BridgeRejected` to be relayed back to the source chain for a refund.
+     * Only available while attestation mode is off.
+     */
+    function rejectRequest(BridgeRequest calldata request, bytes32 requestId)
+        external
+        onlyRole(OPERATOR_ROLE)
+    {
+        _requireNoAttestation();
+        _rejectRequest(request, requestId);
+    }
+
+    /**
+     * @notice Permanently reject an incoming request attested by `validatorThreshold` validators
+     * @param signatures EIP-712 `RequestRejection` signatures, sorted by signer address
+     */
+    function rejectRequestWithSignatures(
+        BridgeRequest calldata request,
+        bytes32 requestId,
+        bytes[] calldata signatures
+    ) external onlyRole(OPERATOR_ROLE) {
+        _verifyRejectionAttestation(requestId, signatures);
+        _rejectRequest(request, requestId);
+    }
+
+    /**
+     * @dev Validates `request` against `requestId`, marks it processed and rejected.
+     */
+    function _rejectRequest(BridgeRequest calldata request, bytes32 requestId) internal {
+        require(request.targetChain == CHAIN_ID, "Wrong target chain");
+        require(!_processedTransactions[requestId], "Already processed");
+        _validateRequestId(request, requestId);
+
+        _processedTransactions[requestId] = true;
+        rejectedRequests[requestId] = true;
+
+        emit BridgeRejected(requestId, request.sourceChain);
+    }
+
+    /**
+     * @notice Approve the refund of an outbound request rejected by its target chain
+     * @dev Only after `BridgeRejected` for `requestId` was observed on the target chain.
+     */
+    function approveRefund(bytes32 requestId) external onlyRole(OPERATOR_ROLE) {
+        _requireNoAttestation();
+        _approveRefund(requestId);
+    }
+
+    /**
+     * @notice Approve a refund attested by `validatorThreshold` validators
+     * @param signatures EIP-712 `RefundApproval` signatures, sorted by signer address
+     */
+    function approveRefundWithSignatures(bytes32 requestId, bytes[] calldata signatures)
+        external
+        onlyRole(OPERATOR_ROLE)
+    {
+        _verifyRefundAttestation(requestId, signatures);
+        _approveRefund(requestId);
+    }
+
+    /**
+     * @notice Return the locked native PIO of an approved refund to the original sender
+     */
+    function claimRefund(bytes32 requestId) external whenNotPaused nonReentrant {
+        OutboundRequest storage outbound = outboundRequests[requestId];
+        if (outbound.status != OutboundStatus.RefundApproved) {
+            revert InvalidOutboundStatus(requestId, outbound.status);
+        }
+        if (outbound.from != _msgSender()) revert NotRequestSender(_msgSender());
+        outbound.status = OutboundStatus.Refunded;
+
+        require(_totalLocked >= outbound.amount, "Insufficient liquidity");
+        _totalLocked -= outbound.amount;
+
+        (bool success, ) = payable(outbound.from).call{value: outbound.amount}("");
+        require(success, "Transfer failed");
+
+        emit BridgeRefunded(requestId, outbound.from, outbound.amount);
+    }
+
+    function _approveRefund(bytes32 requestId) internal {
+        OutboundRequest storage outbound = outboundRequests[requestId];
+        if (outbound.status != OutboundStatus.Pending) {
+            revert InvalidOutboundStatus(requestId, outbound.status);
+        }
+        outbound.status = OutboundStatus.RefundApproved;
+
+        emit RefundApproved(requestId);
+    }
+
+    /**
+     * @dev Reverts unless `requestId` is the id the registered source bridge
+     * committed to for `request`, or an allowed legacy-format id.
+     */
+    function _validateRequestId(BridgeRequest calldata request, bytes32 requestId) internal view {
+        bytes32 computedId = _computeRequestId(
+            remoteBridges[request.sourceChain],
+            address(this),
+            request.from,
+            request.to,
+            request.amount,
+            request.sourceChain,
+            request.targetChain,
+            request.nonce
+        );
+        if (computedId == requestId) return;
+
+        bytes32 legacyId = keccak256(
             abi.encodePacked(
                 request.from,
                 request.to,
@@ -174,18 +558,38 @@ contract PioneChainBridge is AccessControl, Pausable, ReentrancyGuard {
                 request.nonce
             )
         );
-        if(computedId != requestId) revert InvalidRequest();
-        _processedTransactions[requestId] = true;
+        if (!legacyRequests[requestId] || legacyId != requestId) revert InvalidRequest();
+    }
 
-        // Release native tokens to the recipient on this chain
-        _totalLocked -= request.amount;
-        
-        (bool success, ) = payable(request.to).call{value: request.amount}("");
-        require(success, "Transfer failed");
-        
-        emit BridgeCompleted(requestId, request.to, request.amount, CHAIN_ID);
+    /**
+     * @dev Returns the V2 request id: the request fields plus the version tag
+     * and both bridge addresses, ABI-encoded to avoid packing ambiguities.
+     */
+    function _computeRequestId(
+        address sourceBridge,
+        address targetBridge,
+        address from,
+        address to,
+        uint amount,
+        uint sourceChain,
+        uint targetChain,
+        uint nonce
+    ) internal pure returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                REQUEST_ID_VERSION,
+                sourceBridge,
+                targetBridge,
+                from,
+                to,
+                amount,
+                sourceChain,
+                targetChain,
+                nonce
+            )
+        );
     }
-    
+
     /**
      * @dev Updates the stored per-day transferred total and enforces the configured daily limit.
      */
@@ -201,6 +605,42 @@ contract PioneChainBridge is AccessControl, Pausable, ReentrancyGuard {
         _dailyTransferred += amount;
     }
 
+    /**
+     * @dev Updates the per-day inbound totals and enforces the aggregate and
+     * per source chain inbound limits.
+     */
+    function _updateDailyInbound(uint sourceChain, uint amount) internal {
+        uint today = block.timestamp / 1 days;
+        if (_lastInboundDay != today) {
+            _dailyInbound = 0;
+            _lastInboundDay = today;
+        }
+        if (_lastChainInboundDay[sourceChain] != today) {
+            _chainDailyInbound[sourceChain] = 0;
+            _lastChainInboundDay[sourceChain] = today;
+        }
+
+        if (inboundDailyLimit > 0 && _dailyInbound + amount > inboundDailyLimit) {
+            revert InboundDailyLimitExceeded();
+        }
+        uint chainLimit = inboundChainDailyLimit[sourceChain];
+        if (chainLimit > 0 && _chainDailyInbound[sourceChain] + amount > chainLimit) {
+            revert InboundChainDailyLimitExceeded(sourceChain);
+        }
+
+        _dailyInbound += amount;
+        _chainDailyInbound[sourceChain] += amount;
+    }
+
+    /**
+     * @dev Gives back `amount` of the inbound limits if it was counted on
+     * `day` and the totals of that day are still the current ones.
+     */
+    function _releaseDailyInbound(uint day, uint sourceChain, uint amount) internal {
+        if (_lastInboundDay == day) _dailyInbound -= amount;
+        if (_lastChainInboundDay[sourceChain] == day) _chainDailyInbound[sourceChain] -= amount;
+    }
+
     /**
      * @notice Add or remove supported chain
      */
@@ -229,6 +669,139 @@ contract PioneChainBridge is AccessControl, Pausable, ReentrancyGuard {
         emit TransferLimitsUpdated(_minAmount, _maxAmount, _dailyLimit);
     }
 
+    /**
+     * @notice Update the aggregate inbound daily limit (0 disables it)
+     */
+    function setInboundDailyLimit(uint _dailyLimit) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        inboundDailyLimit = _dailyLimit;
+
+        emit InboundDailyLimitUpdated(_dailyLimit);
+    }
+
+    /**
+     * @notice Update the inbound daily limit of a source chain (0 disables it)
+     */
+    function setInboundChainDailyLimit(uint chainId, uint _dailyLimit) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        inboundChainDailyLimit[chainId] = _dailyLimit;
+
+        emit InboundChainDailyLimitUpdated(chainId, _dailyLimit);
+    }
+
+    /**
+     * @notice Register the counterpart bridge deployed on `chainId`
+     * @dev Both sides must be registered before transfers between them; pass
+     * the zero address to unlink a chain.
+     */
+    function setRemoteBridge(uint chainId, address bridge) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        remoteBridges[chainId] = bridge;
+
+        emit RemoteBridgeUpdated(chainId, bridge);
+    }
+
+    /**
+     * @notice Allow or revoke legacy-format request ids during a migration
+     * @dev Only register requests that were sent to the retired bridge and never
+     * processed by it, after that bridge has been paused.
+     */
+    function setLegacyRequests(bytes32[] calldata requestIds, bool allowed)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        for (uint i = 0; i < requestIds.length; i++) {
+            legacyRequests[requestIds[i]] = allowed;
+        }
+
+        emit LegacyRequestsUpdated(requestIds, allowed);
+    }
+
+    /**
+     * @notice Update the default bridge fee
+     * @param _flatFee Flat fee charged on every `bridgeOut`
+     * @param _feeBps Percentage fee in basis points, at most `MAX_FEE_BPS`
+     */
+    function setFees(uint _flatFee, uint _feeBps) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_feeBps > MAX_FEE_BPS) revert InvalidFee(_feeBps);
+        flatFee = _flatFee;
+        feeBps = _feeBps;
+
+        emit FeesUpdated(_flatFee, _feeBps);
+    }
+
+    /**
+     * @notice Override the bridge fee for transfers to `chainId`
+     * @dev Pass `enabled = false` to fall back to the default fee.
+     */
+    function setChainFee(uint chainId, uint _flatFee, uint _feeBps, bool enabled)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        if (_feeBps > MAX_FEE_BPS) revert InvalidFee(_feeBps);
+        chainFees[chainId] = FeeConfig(_flatFee, _feeBps, enabled);
+
+        emit ChainFeeUpdated(chainId, _flatFee, _feeBps, enabled);
+    }
+
+    /**
+     * @notice Update the address collected fees are withdrawn to
+     */
+    function setTreasury(address _treasury) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_treasury != address(0), "Invalid treasury");
+        treasury = _treasury;
+
+        emit TreasuryUpdated(_treasury);
+    }
+
+    /**
+     * @notice Send `amount` of the collected fees to the treasury
+     */
+    function withdrawFees(uint amount) external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant {
+        require(treasury != address(0), "Treasury not set");
+        require(amount <= collectedFees, "Insufficient fees");
+        collectedFees -= amount;
+
+        (bool success, ) = payable(treasury).call{value: amount}("");
+        require(success, "Transfer failed");
+
+        emit FeesWithdrawn(treasury, amount);
+    }
+
+    /**
+     * @notice Add the sent PIO to the liquidity `bridgeIn` releases from
+     * @dev A new bridge only holds what was bridged out through it. Seed it with
+     * the PIO locked in the bridge it replaces before migrating in-flight requests.
+     */
+    function seedLiquidity() external payable onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(msg.value > 0, "Invalid amount");
+        _totalLocked += msg.value;
+
+        emit LiquiditySeeded(_msgSender(), msg.value);
+    }
+
+    /**
+     * @notice Returns the fee `bridgeOut` charges on `amount` sent to `targetChain`
+     */
+    function quoteFee(uint amount, uint targetChain) public view returns (uint) {
+        FeeConfig memory config = chainFees[targetChain];
+        if (!config.enabled) config = FeeConfig(flatFee, feeBps, true);
+        return config.flatFee + amount * config.feeBps / BPS_DENOMINATOR;
+    }
+
+    /**
+     * @notice Update the delayed execution configuration
+     * @param _largeTransferThreshold Amount above which incoming transfers are queued (0 disables queueing)
+     * @param _executionDelay Seconds a queued transfer waits before `executePending`
+     */
+    function setExecutionDelay(uint _largeTransferThreshold, uint _executionDelay)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        if (_executionDelay > MAX_EXECUTION_DELAY) revert InvalidExecutionDelay(_executionDelay);
+        largeTransferThreshold = _largeTransferThreshold;
+        executionDelay = _executionDelay;
+
+        emit ExecutionDelayUpdated(_largeTransferThreshold, _executionDelay);
+    }
+
     /**
      * @notice Returns whether the transaction identified by the given request ID has been processed.
      */
@@ -236,10 +809,23 @@ contract PioneChainBridge is AccessControl, Pausable, ReentrancyGuard {
         return _processedTransactions[_requestId];
     }
 
+    /**
+     * @notice Returns whether the request identified by the given request ID was paid out:
+     * processed, not rejected and not waiting in the execution delay queue.
+     */
+    function completedTransactions(bytes32 _requestId) external view returns (bool) {
+        return _processedTransactions[_requestId]
+            && !rejectedRequests[_requestId]
+            && pendingTransfers[_requestId].unlockTime == 0;
+    }
+
     /**
      * @notice Pause bridge operations
+     * @dev Callable by guardians as well as the admin, so that an incident can
+     * be stopped without the admin keys. Only the admin can unpause.
      */
-    function pause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+    function pause() external {
+        if (!hasRole(GUARDIAN_ROLE, _msgSender())) _checkRole(DEFAULT_ADMIN_ROLE);
         _pause();
     }
     
@@ -272,6 +858,41 @@ contract PioneChainBridge is AccessControl, Pausable, ReentrancyGuard {
         return _dailyTransferred;
     }
 
+    /**
+     * @notice Returns the remaining amount that may be bridged in today across all source chains.
+     * @dev Reverts if no `inboundDailyLimit` is configured, like `getRemainingDailyLimit`.
+     */
+    function getRemainingInboundDailyLimit() external view returns (uint) {
+        require(inboundDailyLimit > 0, "no limit");
+        uint received = getDailyInbound();
+        return received >= inboundDailyLimit ? 0 : inboundDailyLimit - received;
+    }
+
+    /**
+     * @notice Returns the remaining amount that may be bridged in today from `chainId`.
+     * @dev Reverts if no inbound limit is configured for `chainId`.
+     */
+    function getRemainingInboundChainDailyLimit(uint chainId) external view returns (uint) {
+        uint limit = inboundChainDailyLimit[chainId];
+        require(limit > 0, "no limit");
+        uint received = getChainDailyInbound(chainId);
+        return received >= limit ? 0 : limit - received;
+    }
+
+    /**
+     * @notice Returns the total amount of PIO bridged in during the current day.
+     */
+    function getDailyInbound() public view returns (uint) {
+        return _lastInboundDay == block.timestamp / 1 days ? _dailyInbound : 0;
+    }
+
+    /**
+     * @notice Returns the amount of PIO bridged in from `chainId` during the current day.
+     */
+    function getChainDailyInbound(uint chainId) public view returns (uint) {
+        return _lastChainInboundDay[chainId] == block.timestamp / 1 days ? _chainDailyInbound[chainId] : 0;
+    }
+
     /**
      * @notice Returns total PIO Bridge Out
      */
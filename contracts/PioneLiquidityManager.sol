@@ -9,9 +9,11 @@ import { IPinkLock } from "./interfaces/IPinkLock.sol";
 
 import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { IERC20Permit } from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import { AccessControl } from "@openzeppelin/contracts/access/AccessControl.sol";
 import { ReentrancyGuard } from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import { Pausable } from "@openzeppelin/contracts/utils/Pausable.sol";
+import { Math } from "@openzeppelin/contracts/utils/math/Math.sol";
 
 contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
 
@@ -19,12 +21,23 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
     IPancakeRouter02 public router;
 
     bytes32 public constant MANAGER_ROLE = keccak256("MANAGER_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
     address public immutable PIONE_TOKEN;
     address public immutable USDT_TOKEN;
     address public immutable LP_PAIR;
     address public immutable POOL_LOCK;
+    // Chain id of PioneChain (5080 testnet, 5090 mainnet) that claims are bridged to
+    uint256 public immutable PIONE_CHAIN_ID;
     address public pioneBridge;
 
+    // Gradual release of the LP after the lock months (the TGE date), as PinkLock vesting
+    // locks: tgeBps of the LP at TGE, then cycleBps every cycle seconds. Unset (cycle 0) for a cliff lock.
+    struct VestingSchedule {
+        uint256 tgeBps;
+        uint256 cycle;
+        uint256 cycleBps;
+    }
+
     struct Transaction {
         uint256 pioAmount;
         uint256 usdtAmount;
@@ -32,22 +45,40 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
         bool depositUSDT;
         uint256 pinkLockId;
         uint256 lockMonths;
+        VestingSchedule vesting;
     }
     
     struct UserInfo {
         uint256 pioBalance;          
         uint256 usdtBalance;            
+        uint256 reservedUsdt;           // deposited USDT of open requests, part of usdtBalance
         uint256 totalLiquidity;    
         Transaction[] transactions;
         mapping(bytes32 requestId => uint256) _positions;
     }
 
+    // Cumulative PIO price of the pair (UQ112x112 USDT per PIO, times seconds) at a point in time
+    struct PriceObservation {
+        uint256 priceCumulative;
+        uint256 timestamp;
+    }
+
+    // TWAP guard of the liquidity additions, disabled while maxPriceDeviationBps is 0
+    uint256 public twapWindow;
+    uint256 public maxPriceDeviationBps;
+    PriceObservation private _previousObservation;
+    PriceObservation private _lastObservation;
+
     uint256 private _minClaimPIOAmount;
     mapping(address => UserInfo) private _userData;
     mapping(bytes32 => address) private _usedRequestIds;
+    mapping(bytes32 requestId => uint256) private _removedLiquidity;
+    mapping(bytes32 requestId => uint256) private _requestExpiry;
+    mapping(bytes32 requestId => bool) private _closedRequests;
 
     event UserDepositUSDT(bytes32 indexed requestId, address indexed user, uint256 amount);
     event BridgeCompleted(bytes32 indexed requestId, address indexed user, uint256 index);
+    event VestingScheduleSet(bytes32 indexed requestId, uint256 tgeBps, uint256 cycle, uint256 cycleBps);
     event ClaimedPIOtoPioneChain(bytes32 indexed requestId, address indexed user, uint256 amount);
     event ClaimedUSDT(address indexed account, uint256 amount);
 
@@ -59,6 +90,14 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
         uint256 liquidity,
         uint256 slippage
     );
+    event DepositAndLiquidityAdded(
+        address indexed user,
+        bytes32 indexed requestId,
+        uint256 pioAmount,
+        uint256 usdtAmount,
+        uint256 liquidity,
+        uint256 slippageBps
+    );
     event LiquidityLocked(
         address indexed user,
         bytes32 indexed requestId,
@@ -66,7 +105,18 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
         uint256 liquidity,
         uint256 unlockDate
     );
+    event LiquidityRemoved(
+        address indexed user,
+        bytes32 indexed requestId,
+        uint256 liquidity,
+        uint256 pioAmount,
+        uint256 usdtAmount
+    );
+    event RequestExpirySet(bytes32 indexed requestId, uint256 expiresAt);
+    event RequestCancelled(bytes32 indexed requestId, address indexed user, uint256 usdtRefund);
+    event RequestExpired(bytes32 indexed requestId, address indexed user, uint256 usdtRefund);
     event UpdatedMinClaimPIOAmount(uint256 oldAmount, uint256 newAmount);
+    event PriceGuardUpdated(uint256 twapWindow, uint256 maxPriceDeviationBps);
     event PioneBridgeUpdated(address indexed oldAddress, address indexed newAddress);
     
     modifier onlyOwner() {
@@ -74,6 +124,12 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
         _;
     }
 
+    // Guardians can pause without the admin keys, the admin keeps unpausing.
+    modifier onlyGuardian() {
+        require(hasRole(GUARDIAN_ROLE, msg.sender) || hasRole(DEFAULT_ADMIN_ROLE, msg.sender), "Not guardian");
+        _;
+    }
+
     modifier onlyManager() {
         require(hasRole(MANAGER_ROLE, msg.sender), "Not manager");
         _;
@@ -87,6 +143,7 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
         require(position < user.transactions.length, "Invalid transaction");
         require(user.transactions[position].usdtAmount > 0, "Invalid transaction");
         require(!user.transactions[position].depositUSDT, "Already deposited USDT");
+        _requireOpen(_requestId);
         _;
     }
 
@@ -99,6 +156,7 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
         require(user.transactions[position].usdtAmount > 0, "Invalid transaction");
         require(user.transactions[position].liquidityAmount == 0, "Additional liquidity request made");
         require(user.transactions[position].depositUSDT, "USDT not provided yet");
+        _requireOpen(_requestId);
         _;
     }
 
@@ -107,16 +165,19 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
         address _usdtToken,
         address _pioneBridge,
         address _router,
-        address _pinklock
+        address _pinklock,
+        uint256 _pioneChainId
     ) {
         require(
             _pioneToken != address(0) && _usdtToken != address(0) &&
             _router != address(0) && _pinklock != address(0),
             "Invalid address"
         );
+        require(_pioneChainId != 0, "Invalid chain id");
         PIONE_TOKEN = _pioneToken;
         USDT_TOKEN = _usdtToken;
         POOL_LOCK = _pinklock;
+        PIONE_CHAIN_ID = _pioneChainId;
         router = IPancakeRouter02(_router);
         LP_PAIR = IPancakeFactory(router.factory()).getPair(PIONE_TOKEN, USDT_TOKEN);
         require(LP_PAIR != address(0), "LP pair does not exist");
@@ -124,6 +185,7 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
 
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(MANAGER_ROLE, msg.sender);
+        _grantRole(GUARDIAN_ROLE, msg.sender);
         pioneBridge = _pioneBridge;
         _minClaimPIOAmount = 1 * 10**18; // default 1 PIO
     }
@@ -140,27 +202,31 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
         onlyManager
         whenNotPaused
     {
-        require(IPioneChainBridge(pioneBridge).processedTransactions(requestId), "Transaction not completed");
-        require(_usedRequestIds[requestId] == address(0), "RequestId already set");
-        require(lockMonths > 0, "Lock months must be greater than 0");
-
-        UserInfo storage userInfo = _userData[account];
-        Transaction memory newTransaction = Transaction({
-            pioAmount: amountPIO,
-            usdtAmount: amountUSDT,
-            liquidityAmount: 0,
-            depositUSDT: false,
-            pinkLockId: 0,
-            lockMonths: lockMonths
-        });
-        _usedRequestIds[requestId] = account;
-
-        uint256 index = userInfo.transactions.length;
-        userInfo._positions[requestId] = index;
-        userInfo.transactions.push(newTransaction);
-        userInfo.pioBalance += amountPIO;
+        _createRequest(requestId, account, amountPIO, amountUSDT, lockMonths, VestingSchedule(0, 0, 0));
+    }
 
-        emit BridgeCompleted(requestId, account, index);
+    // Handle completed bridge transaction and create a liquidity request whose LP
+    // vests from the end of the lock months instead of unlocking at once
+    function handleBridgeCompletedWithVesting(
+        bytes32 requestId,
+        address account,
+        uint256 amountPIO,
+        uint256 amountUSDT,
+        uint256 lockMonths,
+        VestingSchedule calldata vesting
+    )
+        external
+        onlyManager
+        whenNotPaused
+    {
+        // Same bounds as PinkLock's vestingLock, so addLiquidity cannot fail on them later
+        require(vesting.cycle > 0, "Invalid cycle");
+        require(vesting.tgeBps > 0 && vesting.tgeBps < 10_000, "Invalid bips for TGE");
+        require(vesting.cycleBps > 0 && vesting.cycleBps < 10_000, "Invalid bips for cycle");
+        require(vesting.tgeBps + vesting.cycleBps <= 10_000, "Sum of TGE bps and cycle should be less than 10000");
+
+        _createRequest(requestId, account, amountPIO, amountUSDT, lockMonths, vesting);
+        emit VestingScheduleSet(requestId, vesting.tgeBps, vesting.cycle, vesting.cycleBps);
     }
     
     // Deposit USDT for a liquidity request
@@ -171,15 +237,7 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
         canDeposit(requestId)
         returns (bool)
     {
-        UserInfo storage user = _userData[msg.sender];
-        uint256 position = user._positions[requestId];
-        uint256 usdtAmount = user.transactions[position].usdtAmount;
-
-        IERC20(USDT_TOKEN).safeTransferFrom(msg.sender, address(this), usdtAmount);
-        user.transactions[position].depositUSDT = true;
-        user.usdtBalance += usdtAmount;
-
-        emit UserDepositUSDT(requestId, msg.sender, usdtAmount);
+        _depositUSDT(requestId);
         return true;
     }
     
@@ -193,25 +251,100 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
 
         require(slippagePercent <= 90, "Slippage too high");
         (uint256 pioAmount, uint256 usdtAmount) = _validateAndGetAmounts(user, position);
-        uint256 liquidity = _executeAddLiquidity(
+        (uint256 pioUsed, uint256 usdtUsed, uint256 liquidity) = _executeAddLiquidity(
             user,
             position,
             pioAmount,
             usdtAmount,
-            slippagePercent,
-            msg.sender,
-            requestId
+            slippagePercent * 100,
+            block.timestamp + 300
         );
+        emit LiquidityAdded(msg.sender, requestId, pioUsed, usdtUsed, liquidity, slippagePercent);
 
         _lockLPTokens(user, position, liquidity, msg.sender, requestId);
         return true;
     }
+
+    // Deposit USDT for a liquidity request, then add and lock its liquidity in one transaction
+    function depositAndAddLiquidity(
+        bytes32 requestId,
+        uint256 slippageBps,
+        uint256 deadline
+    ) external nonReentrant whenNotPaused canDeposit(requestId) returns (bool) {
+        _depositAndAddLiquidity(requestId, slippageBps, deadline);
+        return true;
+    }
+
+    // depositAndAddLiquidity with an EIP-2612 permit of the USDT amount to this contract, signed
+    // with the same deadline. If the token has no permit or the permit fails (e.g. it was already
+    // submitted by someone else), the existing allowance is used instead.
+    function depositAndAddLiquidityWithPermit(
+        bytes32 requestId,
+        uint256 slippageBps,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused canDeposit(requestId) returns (bool) {
+        UserInfo storage user = _userData[msg.sender];
+        uint256 usdtAmount = user.transactions[user._positions[requestId]].usdtAmount;
+        try IERC20Permit(USDT_TOKEN).permit(msg.sender, address(this), usdtAmount, deadline, v, r, s) {} catch {}
+
+        _depositAndAddLiquidity(requestId, slippageBps, deadline);
+        return true;
+    }
     
-    // Claim USDT balance
+    // Cancel a request without liquidity: it can no longer be funded or executed,
+    // its PIO stays claimable with claimPioToPioneChain and deposited USDT is refunded
+    function cancelRequest(bytes32 requestId) external nonReentrant whenNotPaused returns (bool) {
+        require(_usedRequestIds[requestId] != address(0), "RequestId does not exist");
+        require(_usedRequestIds[requestId] == msg.sender, "Not the owner of this request");
+        require(!_closedRequests[requestId], "Request closed");
+
+        uint256 usdtRefund = _closeRequest(requestId, msg.sender);
+        emit RequestCancelled(requestId, msg.sender, usdtRefund);
+        return true;
+    }
+
+    // Set the time after which a request can no longer be funded or executed, 0 for none
+    function setRequestExpiry(bytes32 requestId, uint256 expiresAt) external onlyManager whenNotPaused {
+        require(_usedRequestIds[requestId] != address(0), "RequestId does not exist");
+        require(!_closedRequests[requestId], "Request closed");
+        require(expiresAt == 0 || expiresAt > block.timestamp, "Expiry must be in the future");
+
+        _requestExpiry[requestId] = expiresAt;
+        emit RequestExpirySet(requestId, expiresAt);
+    }
+
+    // Close the expired requests among `requestIds` as cancelRequest does. Requests still
+    // open, without expiry, already closed or with liquidity are skipped.
+    function expireRequests(bytes32[] calldata requestIds)
+        external
+        onlyManager
+        nonReentrant
+        whenNotPaused
+        returns (uint256 expired)
+    {
+        for (uint256 i = 0; i < requestIds.length; i++) {
+            bytes32 requestId = requestIds[i];
+            address account = _usedRequestIds[requestId];
+            uint256 expiresAt = _requestExpiry[requestId];
+            if (account == address(0) || _closedRequests[requestId] || expiresAt == 0 || block.timestamp <= expiresAt) continue;
+
+            UserInfo storage user = _userData[account];
+            if (user.transactions[user._positions[requestId]].liquidityAmount > 0) continue;
+
+            uint256 usdtRefund = _closeRequest(requestId, account);
+            emit RequestExpired(requestId, account, usdtRefund);
+            expired++;
+        }
+    }
+
+    // Claim the USDT balance not reserved by deposits of open requests
     function claimUSDT(uint256 amount) external nonReentrant whenNotPaused returns (bool) {
         require(amount > 0, "invalid amount");
         UserInfo storage user = _userData[msg.sender];
-        require(user.usdtBalance >= amount, "Insufficient balance USDT");
+        require(user.usdtBalance - user.reservedUsdt >= amount, "Insufficient balance USDT");
         user.usdtBalance -= amount;
 
         IERC20(USDT_TOKEN).safeTransfer(msg.sender, amount);
@@ -222,16 +355,49 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
 
     // Claim PIO balance and bridge back to Pione Chain
     function claimPioToPioneChain(uint256 amount) external nonReentrant whenNotPaused returns (bool) {
-        require(amount > 0, "Amount PIO must be > 0");
-        require(amount >= _minClaimPIOAmount, "Amount below minimum");
+        _claimPioToPioneChain(_userData[msg.sender], amount);
+        return true;
+    }
+
+    // Remove unlocked LP of a request through the router. The PIO and USDT are credited
+    // to the user's balances, the PIO is bridged back to Pione Chain right away if asked
+    // and not below the minimum claim, otherwise it stays in the balance.
+    // The user unlocks the LP in PinkLock first and approves it to this contract.
+    function removeLiquidity(
+        bytes32 requestId,
+        uint256 liquidity,
+        uint256 amountPioMin,
+        uint256 amountUsdtMin,
+        bool bridgePio
+    ) external nonReentrant whenNotPaused returns (uint256 pioAmount, uint256 usdtAmount) {
+        require(_usedRequestIds[requestId] != address(0), "RequestId does not exist");
+        require(_usedRequestIds[requestId] == msg.sender, "Not the owner of this request");
         UserInfo storage user = _userData[msg.sender];
-        require(user.pioBalance >= amount, "Insufficient balance PIO");
-        user.pioBalance -= amount;
+        Transaction storage txn = user.transactions[user._positions[requestId]];
+        require(txn.pinkLockId != 0, "Liquidity not locked");
+        require(liquidity > 0, "Invalid liquidity amount");
+        require(_removedLiquidity[requestId] + liquidity <= txn.liquidityAmount, "Exceeds request liquidity");
 
-        bytes32 requestId = IPioneChainBridge(pioneBridge).bridgeOut(msg.sender, amount, 5080);
+        _removedLiquidity[requestId] += liquidity;
+        user.totalLiquidity -= liquidity;
 
-        emit ClaimedPIOtoPioneChain(requestId, msg.sender, amount);
-        return true;
+        IERC20(LP_PAIR).safeTransferFrom(msg.sender, address(this), liquidity);
+        IERC20(LP_PAIR).approve(address(router), liquidity);
+        (pioAmount, usdtAmount) = router.removeLiquidity(
+            PIONE_TOKEN,
+            USDT_TOKEN,
+            liquidity,
+            amountPioMin,
+            amountUsdtMin,
+            address(this),
+            block.timestamp + 300
+        );
+        user.pioBalance += pioAmount;
+        user.usdtBalance += usdtAmount;
+
+        emit LiquidityRemoved(msg.sender, requestId, liquidity, pioAmount, usdtAmount);
+
+        if (bridgePio && pioAmount > 0 && pioAmount >= _minClaimPIOAmount) _claimPioToPioneChain(user, pioAmount);
     }
 
     // Calculate optimal USDT amount for given PIO amount
@@ -258,6 +424,7 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
             uint256 refundUsdt
         )
     {
+        _checkPriceDeviation();
         (uint256 reserveUsdt, uint256 reservePione) = getReserves();
         uint256 optimalUsdt = router.quote(pioneAmount, reservePione, reserveUsdt);
 
@@ -279,6 +446,40 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
         estimatedLiquidity = (actualPioAmount * totalSupply) / reservePione;
     }
 
+    // Get the PinkLock status of the LP locked for a request. Normal locks become
+    // withdrawable as a whole at the unlock date, vesting locks as PinkLock releases them.
+    function getLockStatus(bytes32 requestId)
+        external
+        view
+        returns (
+            uint256 lockId,
+            uint256 lockedAmount,
+            uint256 unlockDate,
+            uint256 unlockedAmount,
+            uint256 withdrawableAmount
+        )
+    {
+        require(_usedRequestIds[requestId] != address(0), "RequestId does not exist");
+        UserInfo storage user = _userData[_usedRequestIds[requestId]];
+        lockId = user.transactions[user._positions[requestId]].pinkLockId;
+        require(lockId != 0, "Liquidity not locked");
+
+        IPinkLock.Lock memory userLock = IPinkLock(POOL_LOCK).getLockById(lockId);
+        lockedAmount = userLock.amount;
+        unlockDate = userLock.tgeDate;
+        unlockedAmount = userLock.unlockedAmount;
+        if (userLock.cycle > 0) {
+            withdrawableAmount = IPinkLock(POOL_LOCK).withdrawableTokens(lockId);
+        } else if (block.timestamp >= userLock.tgeDate) {
+            withdrawableAmount = userLock.amount - userLock.unlockedAmount;
+        }
+    }
+
+    // Get the LP of a request already removed through `removeLiquidity`
+    function getRemovedLiquidity(bytes32 requestId) external view returns (uint256) {
+        return _removedLiquidity[requestId];
+    }
+
     // Get current LP reserves for USDT and PIO
     function getReserves() public view returns(uint256 reserveUsdt, uint256 reservePione) {
         (uint256 reserve0, uint256 reserve1,) = IPancakePair(LP_PAIR).getReserves();
@@ -288,20 +489,145 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
             : (reserve1, reserve0);
     }
 
-    // Execute liquidity addition to PancakeSwap
+    // Record a liquidity request for the PIO bridged to `account`
+    function _createRequest(
+        bytes32 requestId,
+        address account,
+        uint256 amountPIO,
+        uint256 amountUSDT,
+        uint256 lockMonths,
+        VestingSchedule memory vesting
+    ) private {
+        require(IPioneChainBridge(pioneBridge).completedTransactions(requestId), "Transaction not completed");
+        require(_usedRequestIds[requestId] == address(0), "RequestId already set");
+        require(lockMonths > 0, "Lock months must be greater than 0");
+
+        UserInfo storage userInfo = _userData[account];
+        Transaction memory newTransaction = Transaction({
+            pioAmount: amountPIO,
+            usdtAmount: amountUSDT,
+            liquidityAmount: 0,
+            depositUSDT: false,
+            pinkLockId: 0,
+            lockMonths: lockMonths,
+            vesting: vesting
+        });
+        _usedRequestIds[requestId] = account;
+
+        uint256 index = userInfo.transactions.length;
+        userInfo._positions[requestId] = index;
+        userInfo.transactions.push(newTransaction);
+        userInfo.pioBalance += amountPIO;
+
+        emit BridgeCompleted(requestId, account, index);
+    }
+
+    // Pull the USDT of a request from the caller
+    function _depositUSDT(bytes32 requestId) private {
+        UserInfo storage user = _userData[msg.sender];
+        uint256 position = user._positions[requestId];
+        uint256 usdtAmount = user.transactions[position].usdtAmount;
+
+        IERC20(USDT_TOKEN).safeTransferFrom(msg.sender, address(this), usdtAmount);
+        user.transactions[position].depositUSDT = true;
+        user.usdtBalance += usdtAmount;
+        user.reservedUsdt += usdtAmount;
+
+        emit UserDepositUSDT(requestId, msg.sender, usdtAmount);
+    }
+
+    // Deposit the USDT of a request, then add and lock its liquidity
+    function _depositAndAddLiquidity(bytes32 requestId, uint256 slippageBps, uint256 deadline) private {
+        require(block.timestamp <= deadline, "Transaction expired");
+        require(slippageBps <= 9000, "Slippage too high");
+        _depositUSDT(requestId);
+
+        UserInfo storage user = _userData[msg.sender];
+        uint256 position = user._positions[requestId];
+        (uint256 pioAmount, uint256 usdtAmount) = _validateAndGetAmounts(user, position);
+        (uint256 pioUsed, uint256 usdtUsed, uint256 liquidity) = _executeAddLiquidity(
+            user,
+            position,
+            pioAmount,
+            usdtAmount,
+            slippageBps,
+            deadline
+        );
+        emit DepositAndLiquidityAdded(msg.sender, requestId, pioUsed, usdtUsed, liquidity, slippageBps);
+
+        _lockLPTokens(user, position, liquidity, msg.sender, requestId);
+    }
+
+    // Record the cumulative PIO price of the pair, at most once per TWAP window.
+    // Called on every liquidity addition, anyone can call it to keep the TWAP recent.
+    function updatePriceObservation() public {
+        if (twapWindow == 0 || block.timestamp - _lastObservation.timestamp < twapWindow) return;
+        _previousObservation = _lastObservation;
+        _lastObservation = PriceObservation(_currentPriceCumulative(), block.timestamp);
+    }
+
+    // Get the PIO price in USDT (18 decimals) averaged since the latest observation at least
+    // one TWAP window old, and the spot price of the reserves
+    function getTwapPrice() public view returns (uint256 twapPrice, uint256 spotPrice) {
+        PriceObservation memory observation = block.timestamp - _lastObservation.timestamp >= twapWindow
+            ? _lastObservation
+            : _previousObservation;
+        require(observation.timestamp != 0 && observation.timestamp < block.timestamp, "TWAP not ready");
+
+        uint256 averagePrice;
+        unchecked {
+            // Cumulative prices overflow by design, only their difference is meaningful
+            averagePrice = (_currentPriceCumulative() - observation.priceCumulative) / (block.timestamp - observation.timestamp);
+        }
+        twapPrice = Math.mulDiv(averagePrice, 1e18, 2**112);
+
+        (uint256 reserveUsdt, uint256 reservePione) = getReserves();
+        spotPrice = reserveUsdt * 1e18 / reservePione;
+    }
+
+    // Revert if the spot price is further from the TWAP than the guard allows
+    function _checkPriceDeviation() private view {
+        if (maxPriceDeviationBps == 0) return;
+        (uint256 twapPrice, uint256 spotPrice) = getTwapPrice();
+        uint256 deviation = spotPrice > twapPrice ? spotPrice - twapPrice : twapPrice - spotPrice;
+        require(deviation * 10_000 <= twapPrice * maxPriceDeviationBps, "Price deviates from TWAP");
+    }
+
+    // Cumulative PIO price of the pair as of now, including the time since its last update
+    function _currentPriceCumulative() private view returns (uint256 priceCumulative) {
+        bool pioIsToken0 = IPancakePair(LP_PAIR).token0() == PIONE_TOKEN;
+        priceCumulative = pioIsToken0
+            ? IPancakePair(LP_PAIR).price0CumulativeLast()
+            : IPancakePair(LP_PAIR).price1CumulativeLast();
+
+        (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast) = IPancakePair(LP_PAIR).getReserves();
+        unchecked {
+            uint32 timeElapsed = uint32(block.timestamp) - blockTimestampLast;
+            if (timeElapsed > 0 && reserve0 != 0 && reserve1 != 0) {
+                priceCumulative += pioIsToken0
+                    ? (uint256(reserve1) << 112) / reserve0 * timeElapsed
+                    : (uint256(reserve0) << 112) / reserve1 * timeElapsed;
+            }
+        }
+    }
+
+    // Execute liquidity addition to PancakeSwap, returning the PIO and USDT used and the liquidity
     function _executeAddLiquidity(
         UserInfo storage user,
         uint256 position,
         uint256 pioAmount,
         uint256 usdtAmount,
-        uint256 slippagePercent,
-        address account,
-        bytes32 requestId
-    ) private returns (uint256 liquidity) {
-        uint256 amountPioMin = pioAmount * (100 - slippagePercent) / 100;
-        uint256 amountUsdtMin = usdtAmount * (100 - slippagePercent) / 100;
+        uint256 slippageBps,
+        uint256 deadline
+    ) private returns (uint256, uint256, uint256) {
+        updatePriceObservation();
+        _checkPriceDeviation();
+
+        uint256 amountPioMin = pioAmount * (10_000 - slippageBps) / 10_000;
+        uint256 amountUsdtMin = usdtAmount * (10_000 - slippageBps) / 10_000;
         user.pioBalance -= pioAmount;
         user.usdtBalance -= usdtAmount;
+        user.reservedUsdt -= usdtAmount;
 
         (uint amountA, uint amountB, uint liquidityAmount) = router.addLiquidity(
             PIONE_TOKEN,
@@ -311,7 +637,7 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
             amountPioMin,
             amountUsdtMin,
             address(this),
-            block.timestamp + 300
+            deadline
         );
 
         // Update transaction and refund unused tokens
@@ -321,8 +647,41 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
         if (pioAmount > amountA) user.pioBalance += (pioAmount - amountA);
         if (usdtAmount > amountB) user.usdtBalance += (usdtAmount - amountB);
 
-        emit LiquidityAdded(account, requestId, amountA, amountB, liquidityAmount, slippagePercent);
-        return liquidityAmount;
+        return (amountA, amountB, liquidityAmount);
+    }
+
+    // Revert if a request was closed or is past its expiry
+    function _requireOpen(bytes32 requestId) private view {
+        require(!_closedRequests[requestId], "Request closed");
+        uint256 expiresAt = _requestExpiry[requestId];
+        require(expiresAt == 0 || block.timestamp <= expiresAt, "Request expired");
+    }
+
+    // Close a request without liquidity and send back the USDT reserved by its deposit
+    function _closeRequest(bytes32 requestId, address account) private returns (uint256 usdtRefund) {
+        UserInfo storage user = _userData[account];
+        Transaction storage txn = user.transactions[user._positions[requestId]];
+        require(txn.liquidityAmount == 0, "Liquidity already added");
+        _closedRequests[requestId] = true;
+
+        if (txn.depositUSDT) {
+            usdtRefund = txn.usdtAmount;
+            user.usdtBalance -= usdtRefund;
+            user.reservedUsdt -= usdtRefund;
+            IERC20(USDT_TOKEN).safeTransfer(account, usdtRefund);
+        }
+    }
+
+    // Bridge PIO balance back to Pione Chain
+    function _claimPioToPioneChain(UserInfo storage user, uint256 amount) private {
+        require(amount > 0, "Amount PIO must be > 0");
+        require(amount >= _minClaimPIOAmount, "Amount below minimum");
+        require(user.pioBalance >= amount, "Insufficient balance PIO");
+        user.pioBalance -= amount;
+
+        bytes32 requestId = IPioneChainBridge(pioneBridge).bridgeOut(msg.sender, amount, PIONE_CHAIN_ID);
+
+        emit ClaimedPIOtoPioneChain(requestId, msg.sender, amount);
     }
 
     // Validate and get token amounts for transaction
@@ -338,7 +697,7 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
         require(user.usdtBalance >= usdtAmount, "Insufficient USDT");
     }
 
-    // Lock LP tokens in PinkLock
+    // Lock LP tokens in PinkLock, as a vesting lock starting at the unlock date when the request has a schedule
     function _lockLPTokens(
         UserInfo storage user,
         uint256 position,
@@ -351,14 +710,27 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
         uint256 unlockDate = block.timestamp + (30 days * user.transactions[position].lockMonths);
         string memory description = string(abi.encodePacked('{"l": "PIO LP Locker ', _getLastSixChars(account), '"}'));
 
-        uint256 lockId = IPinkLock(POOL_LOCK).lock(
-            account,
-            LP_PAIR,
-            true,
-            liquidity,
-            unlockDate,
-            description
-        );
+        VestingSchedule memory vesting = user.transactions[position].vesting;
+        uint256 lockId = vesting.cycle == 0
+            ? IPinkLock(POOL_LOCK).lock(
+                account,
+                LP_PAIR,
+                true,
+                liquidity,
+                unlockDate,
+                description
+            )
+            : IPinkLock(POOL_LOCK).vestingLock(
+                account,
+                LP_PAIR,
+                true,
+                liquidity,
+                unlockDate,
+                vesting.tgeBps,
+                vesting.cycle,
+                vesting.cycleBps,
+                description
+            );
         user.transactions[position].pinkLockId = lockId;
 
         emit LiquidityLocked(account, requestId, lockId, liquidity, unlockDate);
@@ -409,6 +781,18 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
         );
     }
 
+    // Get the vesting schedule of a request, all zero for a cliff lock
+    function getVestingSchedule(bytes32 requestId) external view returns (VestingSchedule memory) {
+        require(_usedRequestIds[requestId] != address(0), "RequestId does not exist");
+        UserInfo storage user = _userData[_usedRequestIds[requestId]];
+        return user.transactions[user._positions[requestId]].vesting;
+    }
+
+    // Get the expiry of a request (0 for none) and whether it was cancelled or expired
+    function getRequestState(bytes32 requestId) external view returns (uint256 expiresAt, bool closed) {
+        return (_requestExpiry[requestId], _closedRequests[requestId]);
+    }
+
     // Get user's PIO and USDT balances
     function getUserBalances(address account) external view returns (uint256 pioBalance, uint256 usdtBalance) {
         UserInfo storage user = _userData[account];
@@ -418,6 +802,11 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
         );
     }
 
+    // Get the part of the user's USDT balance deposited for requests not executed yet, which claimUSDT cannot withdraw
+    function getReservedUSDT(address account) external view returns (uint256) {
+        return _userData[account].reservedUsdt;
+    }
+
     /**
      * @dev Get the owner address of a requestId
      * @param requestId The requestId to check
@@ -445,6 +834,26 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
         return _minClaimPIOAmount;
     }
 
+    /**
+     * @dev Set the TWAP guard of liquidity additions. A new window restarts its observations
+     * @param window Minimum period the TWAP is averaged over, in seconds (0 stops the observations)
+     * @param maxDeviationBps Maximum deviation of the spot price from the TWAP, 0 disables the check
+     */
+    function setPriceGuard(uint256 window, uint256 maxDeviationBps) external onlyOwner {
+        require(maxDeviationBps <= 10_000, "Invalid max deviation");
+        require(maxDeviationBps == 0 || window > 0, "Invalid TWAP window");
+        // Observations spaced by the current window stay usable, only a new window restarts them
+        if (window != twapWindow) {
+            delete _previousObservation;
+            if (window > 0) _lastObservation = PriceObservation(_currentPriceCumulative(), block.timestamp);
+            else delete _lastObservation;
+        }
+        twapWindow = window;
+        maxPriceDeviationBps = maxDeviationBps;
+
+        emit PriceGuardUpdated(window, maxDeviationBps);
+    }
+
     /**
      * @dev Set PioneBridge address
      */
@@ -465,7 +874,7 @@ contract PioneLiquidityManager is AccessControl, Pausable, ReentrancyGuard {
     }
 
     // Pause contract
-    function pause() external onlyOwner {
+    function pause() external onlyGuardian {
         _pause();
     }
 
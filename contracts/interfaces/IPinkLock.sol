@@ -2,6 +2,20 @@
 pragma solidity >=0.8.4;
 
 interface IPinkLock {
+    struct Lock {
+        uint256 id;
+        address token;
+        address owner;
+        uint256 amount;
+        uint256 lockDate;
+        uint256 tgeDate; // TGE date for vesting locks, unlock date for normal locks
+        uint256 tgeBps; // In bips. Is 0 for normal locks
+        uint256 cycle; // Is 0 for normal locks
+        uint256 cycleBps; // In bips. Is 0 for normal locks
+        uint256 unlockedAmount;
+        string description;
+    }
+
     function lock(
         address owner,
         address token,
@@ -42,4 +56,8 @@ interface IPinkLock {
         uint256 newAmount,
         uint256 newUnlockDate
     ) external;
+
+    function getLockById(uint256 lockId) external view returns (Lock memory);
+
+    function withdrawableTokens(uint256 lockId) external view returns (uint256);
 }
\ No newline at end of file
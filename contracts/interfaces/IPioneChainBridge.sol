@@ -29,6 +29,18 @@ interface IPioneChainBridge {
         bytes32 requestId
     ) external;
 
+    /**
+     * @notice Complete a cross-chain transfer attested by the validator set
+     * @param request Incoming bridge request
+     * @param requestId Request ID committed by the source chain
+     * @param signatures EIP-712 validator signatures, sorted by signer address
+     */
+    function bridgeInWithSignatures(
+        BridgeRequest calldata request,
+        bytes32 requestId,
+        bytes[] calldata signatures
+    ) external;
+
     /**
      * @notice Add or remove supported chain
      * @param chainId Chain ID to update
@@ -55,6 +67,14 @@ interface IPioneChainBridge {
      */
     function processedTransactions(bytes32 _requestId) external view returns (bool);
 
+    /**
+     * @notice Returns whether the request was paid out on this chain: processed,
+     * not rejected and not queued behind the execution delay.
+     * @param _requestId Request ID to check
+     * @return Whether the request has been completed
+     */
+    function completedTransactions(bytes32 _requestId) external view returns (bool);
+
     /**
      * @notice Returns the remaining amount that may be bridged out today
      * @return Remaining daily limit
@@ -3,6 +3,11 @@ pragma solidity ^0.8.0;
 
 interface IPioneLiquidityManager {
     // Structs
+    struct VestingSchedule {
+        uint256 tgeBps;
+        uint256 cycle;
+        uint256 cycleBps;
+    }
     struct Transaction {
         uint256 pioAmount;
         uint256 usdtAmount;
@@ -10,10 +15,12 @@ interface IPioneLiquidityManager {
         bool depositUSDT;
         uint256 pinkLockId;
         uint256 lockMonths;
+        VestingSchedule vesting;
     }
     // Events
     event UserDepositUSDT(bytes32 indexed requestId, address indexed user, uint256 amount);
     event BridgeCompleted(bytes32 indexed requestId, address indexed user, uint256 index);
+    event VestingScheduleSet(bytes32 indexed requestId, uint256 tgeBps, uint256 cycle, uint256 cycleBps);
     event ClaimedPIOtoPioneChain(bytes32 indexed requestId, address indexed user, uint256 amount);
     event ClaimedUSDT(address indexed account, uint256 amount);
     event LiquidityAdded(
@@ -24,6 +31,14 @@ interface IPioneLiquidityManager {
         uint256 liquidity,
         uint256 slippage
     );
+    event DepositAndLiquidityAdded(
+        address indexed user,
+        bytes32 indexed requestId,
+        uint256 pioAmount,
+        uint256 usdtAmount,
+        uint256 liquidity,
+        uint256 slippageBps
+    );
     event LiquidityLocked(
         address indexed user,
         bytes32 indexed requestId,
@@ -31,7 +46,18 @@ interface IPioneLiquidityManager {
         uint256 liquidity,
         uint256 unlockDate
     );
+    event LiquidityRemoved(
+        address indexed user,
+        bytes32 indexed requestId,
+        uint256 liquidity,
+        uint256 pioAmount,
+        uint256 usdtAmount
+    );
+    event RequestExpirySet(bytes32 indexed requestId, uint256 expiresAt);
+    event RequestCancelled(bytes32 indexed requestId, address indexed user, uint256 usdtRefund);
+    event RequestExpired(bytes32 indexed requestId, address indexed user, uint256 usdtRefund);
     event UpdatedMinClaimPIOAmount(uint256 oldAmount, uint256 newAmount);
+    event PriceGuardUpdated(uint256 twapWindow, uint256 maxPriceDeviationBps);
     event PioneBridgeUpdated(address indexed oldAddress, address indexed newAddress);
 
     function handleBridgeCompleted(
@@ -41,6 +67,14 @@ interface IPioneLiquidityManager {
         uint256 amountUSDT,
         uint256 lockMonths
     ) external;
+    function handleBridgeCompletedWithVesting(
+        bytes32 requestId,
+        address account,
+        uint256 amountPIO,
+        uint256 amountUSDT,
+        uint256 lockMonths,
+        VestingSchedule calldata vesting
+    ) external;
 
     function depositUSDT(bytes32 requestId) external returns (bool);
     function addLiquidity(
@@ -48,11 +82,39 @@ interface IPioneLiquidityManager {
         uint256 slippagePercent
     ) external returns (bool);
 
+    function depositAndAddLiquidity(
+        bytes32 requestId,
+        uint256 slippageBps,
+        uint256 deadline
+    ) external returns (bool);
+    function depositAndAddLiquidityWithPermit(
+        bytes32 requestId,
+        uint256 slippageBps,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (bool);
+    function cancelRequest(bytes32 requestId) external returns (bool);
+    function setRequestExpiry(bytes32 requestId, uint256 expiresAt) external;
+    function expireRequests(bytes32[] calldata requestIds) external returns (uint256 expired);
     function claimUSDT(uint256 amount) external returns (bool);
     function claimPioToPioneChain(uint256 amount) external returns (bool);
+    function removeLiquidity(
+        bytes32 requestId,
+        uint256 liquidity,
+        uint256 amountPioMin,
+        uint256 amountUsdtMin,
+        bool bridgePio
+    ) external returns (uint256 pioAmount, uint256 usdtAmount);
     function getOptimalAmountUSDT(uint256 pioAmount) external view returns (uint256 optimalUsdtAmount);
     function getOptimalAmountPIO(uint256 usdtAmount) external view returns (uint256 optimalPioAmount);
     function setMinClaimPIOAmount(uint256 minAmount) external;
+    function setPriceGuard(uint256 window, uint256 maxDeviationBps) external;
+    function updatePriceObservation() external;
+    function getTwapPrice() external view returns (uint256 twapPrice, uint256 spotPrice);
+    function twapWindow() external view returns (uint256);
+    function maxPriceDeviationBps() external view returns (uint256);
     function previewAddLiquidity(uint256 pioneAmount, uint256 usdtAmount)
         external
         view
@@ -75,10 +137,23 @@ interface IPioneLiquidityManager {
             uint256 pinkLockId,
             uint256 lockMonths
         );
+    function getVestingSchedule(bytes32 requestId) external view returns (VestingSchedule memory);
+    function getRequestState(bytes32 requestId) external view returns (uint256 expiresAt, bool closed);
     function getUserBalances(address account)
         external
         view
         returns (uint256 pioBalance, uint256 usdtBalance);
+    function getLockStatus(bytes32 requestId)
+        external
+        view
+        returns (
+            uint256 lockId,
+            uint256 lockedAmount,
+            uint256 unlockDate,
+            uint256 unlockedAmount,
+            uint256 withdrawableAmount
+        );
+    function getRemovedLiquidity(bytes32 requestId) external view returns (uint256);
     function getRequestIdOwner(bytes32 requestId) external view returns (address);
     function getMinClaimPIOAmount() external view returns (uint256);
 
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+// Pre-V2 bridge surface used by scripts/migration/legacy-requests.js: packed
+// request ids without bridge addresses.
+contract MockLegacyBridge {
+    uint public immutable CHAIN_ID;
+    bool public paused;
+    mapping(bytes32 => bool) public processedTransactions;
+    mapping(address => uint) private _userNonces;
+
+    event BridgeInitiated(bytes32 indexed requestId, address indexed from, address indexed to, uint amount, uint sourceChain, uint targetChain, uint nonce);
+
+    constructor() {
+        CHAIN_ID = block.chainid;
+    }
+
+    function bridgeOut(address to, uint amount, uint targetChain) external returns (bytes32 requestId) {
+        uint nonce = _userNonces[msg.sender]++;
+        requestId = keccak256(abi.encodePacked(msg.sender, to, amount, CHAIN_ID, targetChain, nonce));
+        emit BridgeInitiated(requestId, msg.sender, to, amount, CHAIN_ID, targetChain, nonce);
+    }
+
+    function setProcessedTransaction(bytes32 requestId, bool status) external {
+        processedTransactions[requestId] = status;
+    }
+
+    function setPaused(bool _paused) external {
+        paused = _paused;
+    }
+}
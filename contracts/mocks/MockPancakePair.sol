@@ -8,6 +8,9 @@ contract MockPancakePair is ERC20 {
     uint112 private reserve1;
     uint32 private blockTimestampLast;
 
+    uint public price0CumulativeLast;
+    uint public price1CumulativeLast;
+
     address private _token0;
     address private _token1;
     address private _factory;
@@ -20,10 +23,19 @@ contract MockPancakePair is ERC20 {
         _mint(msg.sender, initialSupply);
     }
 
+    // Stands in for a swap or sync: accumulates the prices of the previous reserves like PancakePair._update
     function setReserves(uint112 _reserve0, uint112 _reserve1) external {
+        uint32 blockTimestamp = uint32(block.timestamp);
+        unchecked {
+            uint32 timeElapsed = blockTimestamp - blockTimestampLast;
+            if (timeElapsed > 0 && reserve0 != 0 && reserve1 != 0) {
+                price0CumulativeLast += (uint(reserve1) << 112) / reserve0 * timeElapsed;
+                price1CumulativeLast += (uint(reserve0) << 112) / reserve1 * timeElapsed;
+            }
+        }
         reserve0 = _reserve0;
         reserve1 = _reserve1;
-        blockTimestampLast = uint32(block.timestamp);
+        blockTimestampLast = blockTimestamp;
     }
 
     function setTokens(address token0_, address token1_) external {
@@ -61,14 +73,6 @@ contract MockPancakePair is ERC20 {
         return 1000;
     }
 
-    function price0CumulativeLast() external pure returns (uint) {
-        return 0;
-    }
-
-    function price1CumulativeLast() external pure returns (uint) {
-        return 0;
-    }
-
     function kLast() external pure returns (uint) {
         return 0;
     }
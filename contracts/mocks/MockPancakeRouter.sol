@@ -7,6 +7,11 @@ interface IFactory {
     function getPair(address tokenA, address tokenB) external view returns (address);
 }
 
+interface IPair {
+    function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast);
+    function token0() external view returns (address);
+}
+
 contract MockPancakeRouter {
     address public factory;
 
@@ -40,6 +45,34 @@ contract MockPancakeRouter {
         return (amountA, amountB, liquidity);
     }
 
+    function removeLiquidity(
+        address tokenA,
+        address tokenB,
+        uint liquidity,
+        uint amountAMin,
+        uint amountBMin,
+        address to,
+        uint deadline
+    ) external returns (uint amountA, uint amountB) {
+        // Take the LP tokens back from sender
+        address lpToken = IFactory(factory).getPair(tokenA, tokenB);
+        IERC20(lpToken).transferFrom(msg.sender, address(this), liquidity);
+
+        // Pay out the share of the pair reserves, paid from the tokens this router holds
+        (uint reserve0, uint reserve1,) = IPair(lpToken).getReserves();
+        (uint reserveA, uint reserveB) = IPair(lpToken).token0() == tokenA ? (reserve0, reserve1) : (reserve1, reserve0);
+        uint totalSupply = IERC20(lpToken).totalSupply();
+        amountA = liquidity * reserveA / totalSupply;
+        amountB = liquidity * reserveB / totalSupply;
+        require(amountA >= amountAMin, "INSUFFICIENT_A_AMOUNT");
+        require(amountB >= amountBMin, "INSUFFICIENT_B_AMOUNT");
+
+        IERC20(tokenA).transfer(to, amountA);
+        IERC20(tokenB).transfer(to, amountB);
+
+        return (amountA, amountB);
+    }
+
     function quote(uint amountA, uint reserveA, uint reserveB) external pure returns (uint amountB) {
         require(amountA > 0, "INSUFFICIENT_AMOUNT");
         require(reserveA > 0 && reserveB > 0, "INSUFFICIENT_LIQUIDITY");
@@ -2,6 +2,7 @@
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { IPinkLock } from "../interfaces/IPinkLock.sol";
 
 contract MockPinkLock {
     uint256 private lockIdCounter;
@@ -13,6 +14,11 @@ contract MockPinkLock {
         uint256 amount;
         uint256 unlockDate;
         string description;
+        uint256 lockDate;
+        uint256 unlockedAmount;
+        uint256 tgeBps;
+        uint256 cycle;
+        uint256 cycleBps;
     }
 
     mapping(uint256 => Lock) public locks;
@@ -37,13 +43,110 @@ contract MockPinkLock {
             isLpToken: isLpToken,
             amount: amount,
             unlockDate: unlockDate,
-            description: description
+            description: description,
+            lockDate: block.timestamp,
+            unlockedAmount: 0,
+            tgeBps: 0,
+            cycle: 0,
+            cycleBps: 0
         });
 
         return lockId;
     }
 
+    // Vesting lock: `unlockDate` of the lock holds the TGE date
+    function vestingLock(
+        address owner,
+        address token,
+        bool isLpToken,
+        uint256 amount,
+        uint256 tgeDate,
+        uint256 tgeBps,
+        uint256 cycle,
+        uint256 cycleBps,
+        string memory description
+    ) external returns (uint256 lockId) {
+        require(tgeDate > block.timestamp, "TGE date should be in the future");
+        require(cycle > 0, "Invalid cycle");
+        require(tgeBps > 0 && tgeBps < 10_000, "Invalid bips for TGE");
+        require(cycleBps > 0 && cycleBps < 10_000, "Invalid bips for cycle");
+        require(tgeBps + cycleBps <= 10_000, "Sum of TGE bps and cycle should be less than 10000");
+
+        IERC20(token).transferFrom(msg.sender, address(this), amount);
+
+        lockIdCounter++;
+        lockId = lockIdCounter;
+
+        locks[lockId] = Lock({
+            owner: owner,
+            token: token,
+            isLpToken: isLpToken,
+            amount: amount,
+            unlockDate: tgeDate,
+            description: description,
+            lockDate: block.timestamp,
+            unlockedAmount: 0,
+            tgeBps: tgeBps,
+            cycle: cycle,
+            cycleBps: cycleBps
+        });
+
+        return lockId;
+    }
+
+    // Release a normal lock to its owner once the unlock date is reached, or the
+    // vested part of a vesting lock, as PinkLock does
+    function unlock(uint256 lockId) external {
+        Lock storage userLock = locks[lockId];
+        require(userLock.owner == msg.sender, "You are not the owner of this lock");
+
+        uint256 amount;
+        if (userLock.cycle == 0) {
+            require(block.timestamp >= userLock.unlockDate, "It is not time to unlock");
+            require(userLock.unlockedAmount == 0, "Nothing to unlock");
+            amount = userLock.amount;
+        } else {
+            amount = _withdrawableTokens(userLock);
+            require(amount > 0, "Nothing to unlock");
+        }
+
+        userLock.unlockedAmount += amount;
+        IERC20(userLock.token).transfer(msg.sender, amount);
+    }
+
     function getLock(uint256 lockId) external view returns (Lock memory) {
         return locks[lockId];
     }
-}
\ No newline at end of file
+
+    function getLockById(uint256 lockId) external view returns (IPinkLock.Lock memory) {
+        Lock storage userLock = locks[lockId];
+        return IPinkLock.Lock({
+            id: lockId,
+            token: userLock.token,
+            owner: userLock.owner,
+            amount: userLock.amount,
+            lockDate: userLock.lockDate,
+            tgeDate: userLock.unlockDate,
+            tgeBps: userLock.tgeBps,
+            cycle: userLock.cycle,
+            cycleBps: userLock.cycleBps,
+            unlockedAmount: userLock.unlockedAmount,
+            description: userLock.description
+        });
+    }
+
+    // PinkLock only reports vesting locks here, normal locks are released whole by `unlock`
+    function withdrawableTokens(uint256 lockId) external view returns (uint256) {
+        return _withdrawableTokens(locks[lockId]);
+    }
+
+    function _withdrawableTokens(Lock memory userLock) internal view returns (uint256) {
+        if (userLock.cycle == 0 || block.timestamp < userLock.unlockDate) return 0;
+
+        uint256 tgeReleaseAmount = userLock.amount * userLock.tgeBps / 10_000;
+        uint256 cycleReleaseAmount = userLock.amount * userLock.cycleBps / 10_000;
+        uint256 currentTotal = ((block.timestamp - userLock.unlockDate) / userLock.cycle) * cycleReleaseAmount + tgeReleaseAmount;
+        if (currentTotal > userLock.amount) currentTotal = userLock.amount;
+        return currentTotal - userLock.unlockedAmount;
+    }
+}
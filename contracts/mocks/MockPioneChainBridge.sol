@@ -3,14 +3,29 @@ pragma solidity ^0.8.0;
 
 contract MockPioneChainBridge {
     mapping(bytes32 => bool) public processedTransactions;
+    mapping(bytes32 => bool) public completedTransactions;
+
+    struct BridgeOutCall {
+        address to;
+        uint256 amount;
+        uint256 chainId;
+    }
+    BridgeOutCall public lastBridgeOut;
 
     function setProcessedTransaction(bytes32 requestId, bool status) external {
         processedTransactions[requestId] = status;
+        completedTransactions[requestId] = status;
+    }
+
+    // Processed but not paid out, e.g. queued or rejected
+    function setCompletedTransaction(bytes32 requestId, bool status) external {
+        completedTransactions[requestId] = status;
     }
 
     function bridgeOut(address to, uint256 amount, uint256 chainId) external returns (bytes32) {
         // Mock implementation
         bytes32 requestId = keccak256(abi.encodePacked(to, amount, chainId, block.timestamp));
+        lastBridgeOut = BridgeOutCall(to, amount, chainId);
         processedTransactions[requestId] = true;
         return requestId;
     }
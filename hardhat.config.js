@@ -1,6 +1,8 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("hardhat-contract-sizer");
 require("dotenv").config();
+require("./tasks/bridge");
+require("./tasks/ignition");
 
 const PRIVATE_KEY = process.env.PRIVATE_KEY || "";
 const INFURA_KEY = process.env.INFURA_KEY || "";
@@ -32,6 +34,14 @@ module.exports = {
     ]
   },
   networks: {
+    hardhat: {
+      // 31338 when running the PioneChain side of a local pair, see README.
+      chainId: Number(process.env.HARDHAT_CHAIN_ID || 31337),
+    },
+    localPione: {
+      url: "http://127.0.0.1:8546",
+      chainId: 31338,
+    },
     pione: {
       url: "https://rpc.pionescan.com",
       chainId: 5090,
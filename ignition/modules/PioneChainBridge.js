@@ -1,15 +1,16 @@
 // This setup uses Hardhat Ignition to manage smart contract deployments.
 // Learn more about it at https://hardhat.org/ignition
+//
+// Parameters come from ignition/parameters/<network>.json, see README.
 
 const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
-const { ethers } = require("hardhat");
 
 module.exports = buildModule("PioneChainBridge_modules", (m) => {
 
-  const minTransfer = ethers.parseEther("1"); // 1 PIO
-  const maxTransfer = ethers.parseEther("0"); // 0 PIO => unlimit
-  const dailyLimit = ethers.parseEther("0"); // 0 PIO => unlimit
-  const chainSupport = 97; // Pione 5090 => BSC 56
+  const minTransfer = m.getParameter("minTransfer", 10n ** 18n); // 1 PIO
+  const maxTransfer = m.getParameter("maxTransfer", 0n); // 0 PIO => unlimit
+  const dailyLimit = m.getParameter("dailyLimit", 0n); // 0 PIO => unlimit
+  const chainSupport = m.getParameter("chainSupport"); // BSC chain of the pair: Pione 5090 => BSC 56
 
   const bridge = m.contract(
       "PioneChainBridge", 
@@ -1,23 +1,22 @@
 // This setup uses Hardhat Ignition to manage smart contract deployments.
 // Learn more about it at https://hardhat.org/ignition
+//
+// Parameters come from ignition/parameters/<network>.json, see README.
 
 const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
-const { ethers } = require("hardhat");
-require('dotenv').config();
-
-const PIONE_TOKEN = process.env.PIONE_TOKEN || "";
 
 module.exports = buildModule("PioneChainBridgeBSC_modules", (m) => {
 
-  const minTransfer = ethers.parseEther("1"); // 1 PIO
-  const maxTransfer = ethers.parseEther("10000"); // 10K PIO
-  const dailyLimit = ethers.parseEther("1000000"); // 1M PIO
-  const chainSupport = 5080; // BSC 56 => Pione 5090
+  const pioToken = m.getParameter("pioToken"); // PIONE token on this chain
+  const minTransfer = m.getParameter("minTransfer", 10n ** 18n); // 1 PIO
+  const maxTransfer = m.getParameter("maxTransfer", 10000n * 10n ** 18n); // 10K PIO
+  const dailyLimit = m.getParameter("dailyLimit", 1000000n * 10n ** 18n); // 1M PIO
+  const chainSupport = m.getParameter("chainSupport"); // Pione chain of the pair: BSC 56 => Pione 5090
 
   const bridge = m.contract(
       "PioneChainBridgeBSC", 
       [
-        PIONE_TOKEN,
+        pioToken,
         minTransfer,
         maxTransfer,
         dailyLimit,
@@ -0,0 +1,371 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { ethers } = require("ethers");
+
+// Status of a request, from the furthest event seen for it.
+const RequestStatus = Object.freeze({
+    INITIATED: "initiated",
+    QUEUED: "queued",
+    COMPLETED: "completed",
+    REJECTED: "rejected",
+    REFUNDED: "refunded"
+});
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS cursors (
+        chain_id INTEGER PRIMARY KEY,
+        block INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS events (
+        chain_id INTEGER NOT NULL,
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        contract TEXT NOT NULL,
+        address TEXT NOT NULL,
+        name TEXT NOT NULL,
+        request_id TEXT,
+        account TEXT,
+        args TEXT NOT NULL,
+        PRIMARY KEY (chain_id, tx_hash, log_index)
+    );
+    CREATE INDEX IF NOT EXISTS events_request_id ON events (request_id);
+    CREATE INDEX IF NOT EXISTS events_account ON events (account);
+    CREATE INDEX IF NOT EXISTS events_name ON events (name, timestamp);
+
+    CREATE TABLE IF NOT EXISTS requests (
+        request_id TEXT PRIMARY KEY,
+        source_chain INTEGER,
+        target_chain INTEGER,
+        sender TEXT,
+        recipient TEXT,
+        amount TEXT,
+        nonce TEXT,
+        initiated_tx TEXT,
+        initiated_at INTEGER,
+        completed_amount TEXT,
+        completed_tx TEXT,
+        completed_at INTEGER,
+        queued_tx TEXT,
+        queued_at INTEGER,
+        unlock_time INTEGER,
+        rejected_tx TEXT,
+        rejected_at INTEGER,
+        refunded_tx TEXT,
+        refunded_at INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS requests_sender ON requests (sender, initiated_at);
+    CREATE INDEX IF NOT EXISTS requests_recipient ON requests (recipient, initiated_at);
+`;
+
+// Columns of `requests` set by each bridge event; outbound and inbound rows
+// arrive in any order and are merged on request_id.
+const REQUEST_COLUMNS = {
+    BridgeInitiated: (args, event) => ({
+        source_chain: Number(args.sourceChain),
+        target_chain: Number(args.targetChain),
+        sender: args.from,
+        recipient: args.to,
+        amount: args.amount.toString(),
+        nonce: args.nonce.toString(),
+        initiated_tx: event.txHash,
+        initiated_at: event.timestamp
+    }),
+    BridgeCompleted: (args, event) => ({
+        target_chain: event.chainId,
+        recipient: args.to,
+        completed_amount: args.amount.toString(),
+        completed_tx: event.txHash,
+        completed_at: event.timestamp
+    }),
+    BridgeQueued: (args, event) => ({
+        source_chain: Number(args.sourceChain),
+        target_chain: event.chainId,
+        recipient: args.to,
+        queued_tx: event.txHash,
+        queued_at: event.timestamp,
+        unlock_time: Number(args.unlockTime)
+    }),
+    BridgeRejected: (args, event) => ({
+        source_chain: Number(args.sourceChain),
+        target_chain: event.chainId,
+        rejected_tx: event.txHash,
+        rejected_at: event.timestamp
+    }),
+    BridgeRefunded: (args, event) => ({
+        source_chain: event.chainId,
+        refunded_tx: event.txHash,
+        refunded_at: event.timestamp
+    })
+};
+
+function toJson(args) {
+    return JSON.stringify(args, (key, value) => typeof value === "bigint" ? value.toString() : value);
+}
+
+// Status of a `requests` row, selected as `status` so it can be filtered on.
+const STATUS_SQL = `CASE
+    WHEN refunded_tx IS NOT NULL THEN '${RequestStatus.REFUNDED}'
+    WHEN rejected_tx IS NOT NULL THEN '${RequestStatus.REJECTED}'
+    WHEN completed_tx IS NOT NULL THEN '${RequestStatus.COMPLETED}'
+    WHEN queued_tx IS NOT NULL THEN '${RequestStatus.QUEUED}'
+    ELSE '${RequestStatus.INITIATED}'
+END`;
+
+// Block of the source chain BridgeInitiated of a `requests` row.
+const INITIATED_BLOCK_SQL = `(
+    SELECT block_number FROM events
+    WHERE events.request_id = requests.request_id AND events.chain_id = requests.source_chain
+        AND events.name = 'BridgeInitiated' AND events.contract != 'PioneLiquidityManager'
+)`;
+
+function toRequest(row) {
+    return {
+        requestId: row.request_id,
+        status: row.status,
+        sourceChain: row.source_chain,
+        targetChain: row.target_chain,
+        from: row.sender,
+        to: row.recipient,
+        amount: row.amount,
+        nonce: row.nonce,
+        initiated: row.initiated_tx ? { txHash: row.initiated_tx, timestamp: row.initiated_at } : null,
+        queued: row.queued_tx ? { txHash: row.queued_tx, timestamp: row.queued_at, unlockTime: row.unlock_time } : null,
+        completed: row.completed_tx ? { txHash: row.completed_tx, timestamp: row.completed_at, amount: row.completed_amount } : null,
+        rejected: row.rejected_tx ? { txHash: row.rejected_tx, timestamp: row.rejected_at } : null,
+        refunded: row.refunded_tx ? { txHash: row.refunded_tx, timestamp: row.refunded_at } : null
+    };
+}
+
+function toEvent(row) {
+    return {
+        chainId: row.chain_id,
+        blockNumber: row.block_number,
+        logIndex: row.log_index,
+        txHash: row.tx_hash,
+        timestamp: row.timestamp,
+        contract: row.contract,
+        address: row.address,
+        name: row.name,
+        requestId: row.request_id,
+        account: row.account,
+        args: JSON.parse(row.args)
+    };
+}
+
+// WHERE clause and parameters of a `getRequests` filter, over rows with their `status`.
+function requestFilter({ address, fromTime, toTime, status, requestIds, excludeRequestIds, confirmedAt, confirmed }) {
+    const where = [];
+    const params = {};
+    if (address !== undefined) {
+        where.push("(sender = @address OR recipient = @address)");
+        params.address = ethers.getAddress(address);
+    }
+    if (fromTime !== undefined) {
+        where.push("initiated_at >= @fromTime");
+        params.fromTime = fromTime;
+    }
+    if (toTime !== undefined) {
+        where.push("initiated_at <= @toTime");
+        params.toTime = toTime;
+    }
+    if (status !== undefined) {
+        where.push("status = @status");
+        params.status = status;
+    }
+    if (requestIds !== undefined) {
+        where.push("request_id IN (SELECT value FROM json_each(@requestIds))");
+        params.requestIds = JSON.stringify(requestIds);
+    }
+    if (excludeRequestIds !== undefined) {
+        where.push("request_id NOT IN (SELECT value FROM json_each(@excludeRequestIds))");
+        params.excludeRequestIds = JSON.stringify(excludeRequestIds);
+    }
+    if (confirmed !== undefined) {
+        // Requests of chains missing from `confirmedAt` are never confirmed.
+        const blocks = Object.entries(confirmedAt ?? {});
+        const lastBlock = blocks.length
+            ? `CASE source_chain ${blocks.map((_, i) => `WHEN @confirmedChain${i} THEN @confirmedBlock${i}`).join(" ")} END`
+            : "NULL";
+        blocks.forEach(([chainId, block], i) => {
+            params[`confirmedChain${i}`] = Number(chainId);
+            params[`confirmedBlock${i}`] = block;
+        });
+        where.push(`IFNULL(${INITIATED_BLOCK_SQL} <= ${lastBlock}, 0) = @confirmed`);
+        params.confirmed = confirmed ? 1 : 0;
+    }
+    return { where: where.length ? `WHERE ${where.join(" AND ")}` : "", params };
+}
+
+/**
+ * SQLite store of the bridge indexer.
+ *
+ * Every indexed log is kept in `events`; bridge request events are also merged
+ * into one `requests` row per requestId, joining the outbound side (source
+ * chain) with the inbound side (target chain). Amounts are stored as decimal
+ * wei strings and timestamps as block timestamps in seconds.
+ */
+class BridgeDatabase {
+    /**
+     * @param {string} [file] database file, in-memory by default
+     */
+    constructor(file = ":memory:") {
+        if (file !== ":memory:") fs.mkdirSync(path.dirname(file), { recursive: true });
+        this._db = new Database(file);
+        this._db.pragma("journal_mode = WAL");
+        this._db.exec(SCHEMA);
+
+        this._insertEvent = this._db.prepare(`
+            INSERT OR IGNORE INTO events (chain_id, block_number, log_index, tx_hash, timestamp, contract, address, name, request_id, account, args)
+            VALUES (@chainId, @blockNumber, @logIndex, @txHash, @timestamp, @contract, @address, @name, @requestId, @account, @args)
+        `);
+        this._setCursor = this._db.prepare(`
+            INSERT INTO cursors (chain_id, block) VALUES (?, ?)
+            ON CONFLICT (chain_id) DO UPDATE SET block = excluded.block
+        `);
+    }
+
+    close() {
+        this._db.close();
+    }
+
+    getCursor(chainId) {
+        return this._db.prepare("SELECT block FROM cursors WHERE chain_id = ?").get(Number(chainId))?.block;
+    }
+
+    /**
+     * Stores the decoded events of one scanned block range of `chainId` and
+     * moves its cursor to `block`, in one transaction. Events already stored
+     * are ignored, so ranges can be scanned again.
+     *
+     * @param {Array<Object>} events `{ chainId, blockNumber, logIndex, txHash,
+     *   timestamp, contract, address, name, args }` with ethers `Result` args
+     */
+    saveBatch(chainId, block, events) {
+        this._db.transaction(() => {
+            for (const event of events) {
+                const args = event.args.toObject ? event.args.toObject() : event.args;
+                const inserted = this._insertEvent.run({
+                    chainId: event.chainId,
+                    blockNumber: event.blockNumber,
+                    logIndex: event.logIndex,
+                    txHash: event.txHash,
+                    timestamp: event.timestamp,
+                    contract: event.contract,
+                    address: event.address,
+                    name: event.name,
+                    requestId: args.requestId ?? null,
+                    account: args.user ?? args.account ?? args.from ?? args.to ?? null,
+                    args: toJson(args)
+                });
+
+                const columns = event.contract !== "PioneLiquidityManager" && REQUEST_COLUMNS[event.name];
+                if (inserted.changes > 0 && columns) this._mergeRequest(args.requestId, columns(args, event));
+            }
+            this._setCursor.run(Number(chainId), block);
+        })();
+    }
+
+    _mergeRequest(requestId, columns) {
+        const names = Object.keys(columns);
+        this._db.prepare(`
+            INSERT INTO requests (request_id, ${names.join(", ")}) VALUES (@requestId, ${names.map(name => `@${name}`).join(", ")})
+            ON CONFLICT (request_id) DO UPDATE SET ${names.map(name => `${name} = COALESCE(requests.${name}, excluded.${name})`).join(", ")}
+        `).run({ requestId, ...columns });
+    }
+
+    /**
+     * Returns a request with its status and every indexed event carrying its
+     * requestId (both bridges and PioneLiquidityManager), or null.
+     */
+    getRequest(requestId) {
+        const row = this._db.prepare(`SELECT *, ${STATUS_SQL} AS status FROM requests WHERE request_id = ?`).get(requestId);
+        if (!row) return null;
+        return {
+            ...toRequest(row),
+            events: this.getEvents({ requestId })
+        };
+    }
+
+    /**
+     * Lists requests, newest first.
+     *
+     * @param {Object} [filter]
+     * @param {string} [filter.address] sender or recipient
+     * @param {number} [filter.fromTime] initiated at or after, in seconds
+     * @param {number} [filter.toTime] initiated at or before, in seconds
+     * @param {string} [filter.status] one of `RequestStatus`
+     * @param {Array<string>} [filter.requestIds] only these requests
+     * @param {Array<string>} [filter.excludeRequestIds] none of these requests
+     * @param {Object<number, number>} [filter.confirmedAt] last block of each
+     *   source chain whose requests count as confirmed
+     * @param {boolean} [filter.confirmed] with `confirmedAt`, keeps the requests
+     *   initiated at or before (true) or after (false) that block
+     * @param {number} [filter.limit] defaults to 100
+     * @param {number} [filter.offset]
+     */
+    getRequests({ limit = 100, offset = 0, ...filter } = {}) {
+        const { where, params } = requestFilter(filter);
+        return this._db.prepare(`
+            SELECT * FROM (SELECT *, ${STATUS_SQL} AS status FROM requests) AS requests ${where}
+            ORDER BY COALESCE(initiated_at, completed_at, queued_at, rejected_at) DESC, request_id
+            LIMIT @limit OFFSET @offset
+        `).all({ ...params, limit, offset }).map(toRequest);
+    }
+
+    /**
+     * Counts the requests matching the filter of `getRequests`, ignoring
+     * `limit` and `offset`.
+     */
+    countRequests({ limit, offset, ...filter } = {}) {
+        const { where, params } = requestFilter(filter);
+        return this._db.prepare(`
+            SELECT COUNT(*) AS count FROM (SELECT *, ${STATUS_SQL} AS status FROM requests) AS requests ${where}
+        `).get(params).count;
+    }
+
+    /**
+     * Lists indexed events in chain order.
+     *
+     * @param {Object} [filter]
+     * @param {string} [filter.name] event name, e.g. `LiquidityLocked`
+     * @param {string} [filter.contract] e.g. `PioneLiquidityManager`
+     * @param {number} [filter.chainId]
+     * @param {string} [filter.requestId]
+     * @param {string} [filter.account] user, sender or recipient of the event
+     * @param {number} [filter.fromTime] in seconds
+     * @param {number} [filter.toTime] in seconds
+     * @param {number} [filter.limit] defaults to 1000
+     */
+    getEvents({ name, contract, chainId, requestId, account, fromTime, toTime, limit = 1000 } = {}) {
+        const where = [];
+        const params = { limit };
+        for (const [column, value] of [["name", name], ["contract", contract], ["chain_id", chainId], ["request_id", requestId]]) {
+            if (value === undefined) continue;
+            where.push(`${column} = @${column}`);
+            params[column] = value;
+        }
+        if (account !== undefined) {
+            where.push("account = @account");
+            params.account = ethers.getAddress(account);
+        }
+        if (fromTime !== undefined) {
+            where.push("timestamp >= @fromTime");
+            params.fromTime = fromTime;
+        }
+        if (toTime !== undefined) {
+            where.push("timestamp <= @toTime");
+            params.toTime = toTime;
+        }
+        return this._db.prepare(`
+            SELECT * FROM events ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+            ORDER BY timestamp, chain_id, block_number, log_index
+            LIMIT @limit
+        `).all(params).map(toEvent);
+    }
+}
+
+module.exports = { BridgeDatabase, RequestStatus };
@@ -0,0 +1,195 @@
+const { ethers } = require("ethers");
+const { getAbi } = require("../lib/artifacts");
+const { BridgeDatabase } = require("./BridgeDatabase");
+
+const BLOCK_RANGE = 5000;
+
+const BRIDGE_EVENTS = [
+    "BridgeInitiated",
+    "BridgeCompleted",
+    "BridgeQueued",
+    "BridgeRejected",
+    "BridgeRefunded",
+    "ChainSupportUpdated",
+    "TransferLimitsUpdated"
+];
+
+// Events stored per contract; other logs of the same contracts are skipped.
+const INDEXED_EVENTS = {
+    PioneChainBridgeBSC: BRIDGE_EVENTS,
+    PioneChainBridge: BRIDGE_EVENTS,
+    PioneLiquidityManager: [
+        "UserDepositUSDT",
+        "BridgeCompleted",
+        "VestingScheduleSet",
+        "ClaimedPIOtoPioneChain",
+        "ClaimedUSDT",
+        "LiquidityAdded",
+        "DepositAndLiquidityAdded",
+        "LiquidityLocked",
+        "LiquidityRemoved",
+        "PriceGuardUpdated",
+        "RequestExpirySet",
+        "RequestCancelled",
+        "RequestExpired",
+        "UpdatedMinClaimPIOAmount",
+        "PioneBridgeUpdated"
+    ]
+};
+
+/**
+ * Copies the events of the PIONE bridge pair and PioneLiquidityManager into a
+ * `BridgeDatabase`, where outbound and inbound sides of a request are joined
+ * by requestId.
+ *
+ * Each chain is scanned up to the block with `confirmations` on top of it, so
+ * stored events are not expected to be reorged out. The last scanned block of
+ * every chain is saved with its events, in the same transaction: a restarted
+ * indexer resumes where it stopped. Passing `startBlock` backfills from that
+ * block instead; events already stored are not duplicated.
+ */
+class Indexer {
+    /**
+     * @param {Object} options
+     * @param {Array<Object>} options.chains Chain entries:
+     *   - `name`        label used in logs
+     *   - `provider`    provider of the chain
+     *   - `contracts`   `[{ contract, address }]` with `contract` one of
+     *                   `PioneChainBridgeBSC`, `PioneChainBridge` or
+     *                   `PioneLiquidityManager`
+     *   - `startBlock`  first block to scan (defaults to the stored cursor,
+     *                   then to the current head)
+     *   - `confirmations` blocks required on top of an indexed block,
+     *                   counting its own block (defaults to 1)
+     * @param {BridgeDatabase} [options.database] in-memory by default
+     * @param {Object} [options.logger] console-compatible logger
+     */
+    constructor({ chains, database = new BridgeDatabase(), logger = console }) {
+        if (!chains || chains.length === 0) throw new Error("Indexer needs at least one chain");
+        for (const chain of chains) {
+            for (const { contract } of chain.contracts) {
+                if (!INDEXED_EVENTS[contract]) throw new Error(`Cannot index ${contract}`);
+            }
+        }
+        this._config = chains;
+        this._database = database;
+        this._logger = logger;
+        this._chains = [];
+        this._timer = null;
+        this._running = false;
+    }
+
+    get database() {
+        return this._database;
+    }
+
+    /**
+     * Resolves chain ids and the block each chain resumes from.
+     */
+    async init() {
+        for (const config of this._config) {
+            const chainId = Number((await config.provider.getNetwork()).chainId);
+            if (this._chains.some(chain => chain.chainId === chainId)) throw new Error(`Duplicate chain ${chainId}`);
+
+            const saved = this._database.getCursor(chainId);
+            const cursor = config.startBlock !== undefined
+                ? config.startBlock - 1
+                : saved ?? await config.provider.getBlockNumber();
+
+            this._chains.push({
+                name: config.name,
+                chainId,
+                provider: config.provider,
+                confirmations: Math.max(config.confirmations ?? 1, 1),
+                contracts: config.contracts.map(({ contract, address }) => ({
+                    name: contract,
+                    contract: new ethers.Contract(address, getAbi(contract), config.provider)
+                })),
+                cursor
+            });
+        }
+        return this;
+    }
+
+    /**
+     * Indexes every chain up to its confirmed head.
+     * @return {Promise<number>} number of events read in this pass
+     */
+    async poll() {
+        if (this._chains.length === 0) await this.init();
+        let count = 0;
+        for (const chain of this._chains) {
+            const latest = await chain.provider.getBlockNumber() - chain.confirmations + 1;
+            count += await this._scan(chain, latest);
+        }
+        return count;
+    }
+
+    /**
+     * Polls forever with `intervalMs` between passes until `stop()` is called.
+     */
+    start(intervalMs = 5000) {
+        if (this._running) return;
+        this._running = true;
+
+        const tick = async () => {
+            try {
+                await this.poll();
+            } catch (error) {
+                this._logger.error("indexer poll failed :>> ", error.message);
+            }
+            if (this._running) this._timer = setTimeout(tick, intervalMs);
+        };
+        tick();
+    }
+
+    stop() {
+        this._running = false;
+        if (this._timer) clearTimeout(this._timer);
+        this._timer = null;
+    }
+
+    /**
+     * Returns the last indexed block of the chain identified by `chainId`.
+     */
+    getCursor(chainId) {
+        return this._chains.find(chain => chain.chainId === Number(chainId))?.cursor;
+    }
+
+    async _scan(chain, latest) {
+        let count = 0;
+        for (let from = chain.cursor + 1; from <= latest; from += BLOCK_RANGE) {
+            const to = Math.min(from + BLOCK_RANGE - 1, latest);
+            const events = [];
+            const timestamps = new Map();
+
+            for (const { name, contract } of chain.contracts) {
+                for (const log of await contract.queryFilter("*", from, to)) {
+                    if (!log.eventName || !INDEXED_EVENTS[name].includes(log.eventName)) continue;
+                    if (!timestamps.has(log.blockNumber)) {
+                        timestamps.set(log.blockNumber, (await chain.provider.getBlock(log.blockNumber)).timestamp);
+                    }
+                    events.push({
+                        chainId: chain.chainId,
+                        blockNumber: log.blockNumber,
+                        logIndex: log.index,
+                        txHash: log.transactionHash,
+                        timestamp: timestamps.get(log.blockNumber),
+                        contract: name,
+                        address: log.address,
+                        name: log.eventName,
+                        args: log.args
+                    });
+                }
+            }
+
+            this._database.saveBatch(chain.chainId, to, events);
+            chain.cursor = to;
+            count += events.length;
+            if (events.length > 0) this._logger.log(`indexed ${chain.name} :>> `, `${events.length} events in blocks ${from}-${to}`);
+        }
+        return count;
+    }
+}
+
+module.exports = { Indexer, INDEXED_EVENTS };
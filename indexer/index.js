@@ -0,0 +1,67 @@
+const path = require("path");
+const { ethers } = require("ethers");
+const { Indexer } = require("./Indexer");
+const { BridgeDatabase } = require("./BridgeDatabase");
+require("dotenv").config();
+
+const BSC_RPC_URL = process.env.BSC_RPC_URL || "";
+const PIONE_RPC_URL = process.env.PIONE_RPC_URL || "";
+const PIONE_BRIDGE_BSC = process.env.PIONE_BRIDGE_BSC || "";
+const PIONE_BRIDGE = process.env.PIONE_BRIDGE || "";
+const LIQUIDITY_MANAGER = process.env.LIQUIDITY_MANAGER || "";
+const INDEXER_POLL_INTERVAL = Number(process.env.INDEXER_POLL_INTERVAL || 5000);
+const BSC_CONFIRMATIONS = Number(process.env.BSC_CONFIRMATIONS || 15);
+const PIONE_CONFIRMATIONS = Number(process.env.PIONE_CONFIRMATIONS || 15);
+const INDEXER_DB = process.env.INDEXER_DB || path.join(__dirname, "data", "bridge.sqlite");
+
+function optionalBlock(value) {
+    return value ? Number(value) : undefined;
+}
+
+async function main() {
+    for (const [key, value] of Object.entries({ BSC_RPC_URL, PIONE_RPC_URL, PIONE_BRIDGE_BSC, PIONE_BRIDGE })) {
+        if (!value) throw new Error(`Missing ${key} in .env`);
+    }
+
+    const bscContracts = [{ contract: "PioneChainBridgeBSC", address: PIONE_BRIDGE_BSC }];
+    if (LIQUIDITY_MANAGER) bscContracts.push({ contract: "PioneLiquidityManager", address: LIQUIDITY_MANAGER });
+
+    const indexer = new Indexer({
+        database: new BridgeDatabase(INDEXER_DB),
+        chains: [
+            {
+                name: "bsc",
+                provider: new ethers.JsonRpcProvider(BSC_RPC_URL),
+                contracts: bscContracts,
+                startBlock: optionalBlock(process.env.BSC_START_BLOCK),
+                confirmations: BSC_CONFIRMATIONS
+            },
+            {
+                name: "pione",
+                provider: new ethers.JsonRpcProvider(PIONE_RPC_URL),
+                contracts: [{ contract: "PioneChainBridge", address: PIONE_BRIDGE }],
+                startBlock: optionalBlock(process.env.PIONE_START_BLOCK),
+                confirmations: PIONE_CONFIRMATIONS
+            }
+        ]
+    });
+    await indexer.init();
+
+    console.log("indexer database :>> ", INDEXER_DB);
+    console.log("indexer started, poll interval :>> ", INDEXER_POLL_INTERVAL);
+    indexer.start(INDEXER_POLL_INTERVAL);
+
+    const shutdown = () => {
+        console.log("indexer stopping...");
+        indexer.stop();
+        indexer.database.close();
+        process.exit(0);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+}
+
+main().catch((err) => {
+    console.log('err :>> ', err);
+    process.exit(1);
+});
@@ -0,0 +1,33 @@
+const path = require("path");
+const { ethers } = require("ethers");
+const { BridgeDatabase } = require("./BridgeDatabase");
+require("dotenv").config();
+
+const INDEXER_DB = process.env.INDEXER_DB || path.join(__dirname, "data", "bridge.sqlite");
+
+function optionalTime(value) {
+    return value ? Math.floor(new Date(value).getTime() / 1000) : undefined;
+}
+
+// Usage: npm run indexer:query -- <requestId | address> [from] [to]
+// `from` and `to` are dates (e.g. 2025-01-31) bounding the initiation time.
+async function main() {
+    const [query, from, to] = process.argv.slice(2);
+    if (!query) throw new Error("Usage: npm run indexer:query -- <requestId | address> [from] [to]");
+
+    const database = new BridgeDatabase(INDEXER_DB);
+    let result;
+    if (ethers.isHexString(query, 32)) {
+        result = database.getRequest(query);
+        if (!result) throw new Error(`Request ${query} is not indexed`);
+    } else {
+        result = database.getRequests({ address: query, fromTime: optionalTime(from), toTime: optionalTime(to) });
+    }
+    database.close();
+    console.log(JSON.stringify(result, null, 2));
+}
+
+main().catch((err) => {
+    console.log('err :>> ', err);
+    process.exit(1);
+});
@@ -0,0 +1,27 @@
+const path = require("path");
+
+const ARTIFACTS_DIR = path.join(__dirname, "..", "artifacts", "contracts");
+
+/**
+ * Returns the artifact (ABI and bytecode) of a contract compiled by
+ * `npx hardhat compile`.
+ */
+function getArtifact(contractName) {
+    const artifactPath = path.join(ARTIFACTS_DIR, `${contractName}.sol`, `${contractName}.json`);
+    try {
+        return require(artifactPath);
+    } catch (error) {
+        throw new Error(`Missing artifact for ${contractName}, run \`npx hardhat compile\` first`);
+    }
+}
+
+/**
+ * Returns the ABI of a contract compiled by `npx hardhat compile`.
+ * Off-chain services load ABIs from the build output so they never drift
+ * from the deployed Solidity sources.
+ */
+function getAbi(contractName) {
+    return getArtifact(contractName).abi;
+}
+
+module.exports = { getAbi, getArtifact };
@@ -0,0 +1,158 @@
+// EIP-712 typed data validators sign to attest an incoming bridge request,
+// matching `BRIDGE_REQUEST_TYPEHASH` in contracts/BridgeAttestation.sol.
+const BRIDGE_REQUEST_TYPES = {
+    BridgeRequest: [
+        { name: "from", type: "address" },
+        { name: "to", type: "address" },
+        { name: "amount", type: "uint256" },
+        { name: "sourceChain", type: "uint256" },
+        { name: "targetChain", type: "uint256" },
+        { name: "nonce", type: "uint256" }
+    ]
+};
+
+// Typed data validators sign to approve the refund of an outbound request
+// rejected by its target chain (`REFUND_APPROVAL_TYPEHASH`).
+const REFUND_APPROVAL_TYPES = {
+    RefundApproval: [
+        { name: "requestId", type: "bytes32" }
+    ]
+};
+
+// Typed data validators sign to reject an incoming request that can never be
+// completed (`REQUEST_REJECTION_TYPEHASH`).
+const REQUEST_REJECTION_TYPES = {
+    RequestRejection: [
+        { name: "requestId", type: "bytes32" }
+    ]
+};
+
+// Typed data a PioneChainBridgeBSC user signs to have `bridgeOutWithSignature`
+// submitted on their behalf (`BRIDGE_INTENT_TYPEHASH`).
+const BRIDGE_INTENT_TYPES = {
+    BridgeIntent: [
+        { name: "from", type: "address" },
+        { name: "to", type: "address" },
+        { name: "amount", type: "uint256" },
+        { name: "targetChain", type: "uint256" },
+        { name: "relayerFee", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+/**
+ * Reads the EIP-712 domain of a bridge through its EIP-5267 `eip712Domain()`.
+ */
+async function getBridgeDomain(bridge) {
+    const domain = await bridge.eip712Domain();
+    return {
+        name: domain.name,
+        version: domain.version,
+        chainId: domain.chainId,
+        verifyingContract: domain.verifyingContract
+    };
+}
+
+/**
+ * Signs `request` for the bridge described by `domain` and returns the
+ * signature with its signer address.
+ */
+async function signBridgeRequest(signer, domain, request) {
+    const signature = await signer.signTypedData(domain, BRIDGE_REQUEST_TYPES, request);
+    return { signer: await signer.getAddress(), signature };
+}
+
+/**
+ * Signs the refund approval of `requestId` for the source bridge described
+ * by `domain`.
+ */
+async function signRefundApproval(signer, domain, requestId) {
+    const signature = await signer.signTypedData(domain, REFUND_APPROVAL_TYPES, { requestId });
+    return { signer: await signer.getAddress(), signature };
+}
+
+/**
+ * Signs the rejection of the incoming request `requestId` for the target
+ * bridge described by `domain`.
+ */
+async function signRequestRejection(signer, domain, requestId) {
+    const signature = await signer.signTypedData(domain, REQUEST_REJECTION_TYPES, { requestId });
+    return { signer: await signer.getAddress(), signature };
+}
+
+/**
+ * Signs a bridge `intent` for the BSC bridge described by `domain`. The
+ * signer must be `intent.from`, or its owner for ERC-1271 wallets.
+ */
+async function signBridgeIntent(signer, domain, intent) {
+    return signer.signTypedData(domain, BRIDGE_INTENT_TYPES, intent);
+}
+
+/**
+ * Orders attestations by signer address as `bridgeInWithSignatures`,
+ * `rejectRequestWithSignatures` and `approveRefundWithSignatures` expect and
+ * returns the raw signatures.
+ */
+function sortSignatures(attestations) {
+    return [...attestations]
+        .sort((a, b) => {
+            const x = BigInt(a.signer);
+            const y = BigInt(b.signer);
+            return x < y ? -1 : x > y ? 1 : 0;
+        })
+        .map(a => a.signature);
+}
+
+/**
+ * Asks every attester for an attestation through `attest(attester)` and
+ * returns `threshold` signatures, sorted, of distinct signers that `bridge`
+ * lists as validators. `recover(signature)` returns the address that signed
+ * the expected typed data, so a signature over anything else is dropped.
+ * Refusing or unreachable attesters are skipped; an error is thrown when
+ * fewer than `threshold` valid signatures remain.
+ */
+async function collectSignatures(bridge, threshold, attesters, attest, recover) {
+    const results = await Promise.allSettled(attesters.map(attester => attest(attester)));
+    const attestations = [];
+    const reasons = [];
+    for (const result of results) {
+        if (result.status === "rejected") {
+            reasons.push(result.reason.message);
+            continue;
+        }
+        const { signature } = result.value;
+        let signer;
+        try {
+            signer = recover(signature);
+        } catch (error) {
+            reasons.push(`unreadable signature: ${error.shortMessage || error.message}`);
+            continue;
+        }
+        if (attestations.some(a => a.signer === signer)) continue;
+        if (!(await bridge.isValidator(signer))) {
+            reasons.push(`${signer} is not a validator`);
+            continue;
+        }
+        attestations.push({ signer, signature });
+    }
+    if (attestations.length < Number(threshold)) {
+        throw new Error(`${attestations.length} of ${threshold} validator signatures collected` +
+            (reasons.length > 0 ? `: ${reasons.join("; ")}` : ""));
+    }
+    return sortSignatures(attestations).slice(0, Number(threshold));
+}
+
+module.exports = {
+    BRIDGE_REQUEST_TYPES,
+    REFUND_APPROVAL_TYPES,
+    REQUEST_REJECTION_TYPES,
+    BRIDGE_INTENT_TYPES,
+    getBridgeDomain,
+    signBridgeRequest,
+    signRefundApproval,
+    signRequestRejection,
+    signBridgeIntent,
+    sortSignatures,
+    collectSignatures
+};
@@ -0,0 +1,200 @@
+const { ethers } = require("ethers");
+const { getAbi } = require("./artifacts");
+
+const BLOCK_RANGE = 5000;
+
+// Roles reported per contract. AccessControl does not enumerate holders, so
+// they are rebuilt from RoleGranted/RoleRevoked.
+const ROLES = {
+    PioneChainBridgeBSC: ["DEFAULT_ADMIN_ROLE", "OPERATOR_ROLE", "GUARDIAN_ROLE"],
+    PioneChainBridge: ["DEFAULT_ADMIN_ROLE", "OPERATOR_ROLE", "GUARDIAN_ROLE"],
+    PioneLiquidityManager: ["DEFAULT_ADMIN_ROLE", "MANAGER_ROLE", "GUARDIAN_ROLE"]
+};
+
+async function deploymentBlock(provider, entry, startBlock) {
+    if (!entry.hash) return startBlock;
+    const txReceipt = await provider.getTransactionReceipt(entry.hash);
+    return txReceipt ? txReceipt.blockNumber : startBlock;
+}
+
+/**
+ * Returns the current holders of each role in `roleNames`, replaying the role
+ * events of `contract` from `fromBlock`.
+ */
+async function findRoleHolders(contract, roleNames, fromBlock) {
+    const roles = {};
+    for (const name of roleNames) roles[await contract[name]()] = name;
+
+    const latest = await contract.runner.provider.getBlockNumber();
+    const holders = Object.fromEntries(roleNames.map(name => [name, new Set()]));
+    for (let from = fromBlock; from <= latest; from += BLOCK_RANGE) {
+        const to = Math.min(from + BLOCK_RANGE - 1, latest);
+        const events = [
+            ...await contract.queryFilter(contract.filters.RoleGranted(), from, to),
+            ...await contract.queryFilter(contract.filters.RoleRevoked(), from, to)
+        ].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+        for (const event of events) {
+            const name = roles[event.args.role];
+            if (!name) continue;
+            if (event.eventName === "RoleGranted") holders[name].add(event.args.account);
+            else holders[name].delete(event.args.account);
+        }
+    }
+
+    const result = {};
+    for (const name of roleNames) {
+        result[name] = [];
+        for (const account of holders[name]) {
+            if (await contract.hasRole(await contract[name](), account)) result[name].push(account);
+        }
+    }
+    return result;
+}
+
+function formatAmount(value) {
+    return `${ethers.formatEther(value)} PIO`;
+}
+
+async function auditBridge(report, check, { name, bridge, chainId, remoteChainId, remoteBridge }) {
+    check(name, "CHAIN_ID", await bridge.CHAIN_ID() === BigInt(chainId), `${await bridge.CHAIN_ID()}`);
+    check(name, `supportedChains(${remoteChainId})`, await bridge.supportedChains(remoteChainId), `${await bridge.supportedChains(remoteChainId)}`);
+    const remote = await bridge.remoteBridges(remoteChainId);
+    check(name, `remoteBridges(${remoteChainId})`, remote === remoteBridge, remote);
+    check(name, "paused", !(await bridge.paused()), `${await bridge.paused()}`, "warn");
+
+    const min = await bridge.minTransferAmount();
+    const max = await bridge.maxTransferAmount();
+    const daily = await bridge.dailyLimit();
+    check(name, "minTransferAmount <= maxTransferAmount", max === 0n || min <= max, `${formatAmount(min)} / ${formatAmount(max)}`);
+    check(name, "maxTransferAmount <= dailyLimit", daily === 0n || max === 0n || max <= daily, `${formatAmount(max)} / ${formatAmount(daily)}`);
+    check(name, "minTransferAmount > 0", min > 0n, formatAmount(min), "warn");
+
+    const fee = await bridge.quoteFee(min, remoteChainId);
+    check(name, "fee below minTransferAmount", min === 0n || fee < min, `${formatAmount(fee)} on ${formatAmount(min)}`, "warn");
+    const chainFee = await bridge.chainFees(remoteChainId);
+    const charges = await bridge.flatFee() > 0n || await bridge.feeBps() > 0n || (chainFee.enabled && (chainFee.flatFee > 0n || chainFee.feeBps > 0n));
+    const treasury = await bridge.treasury();
+    check(name, "treasury set", !charges || treasury !== ethers.ZeroAddress, treasury, "warn");
+
+    const threshold = await bridge.largeTransferThreshold();
+    const delay = await bridge.executionDelay();
+    check(name, "execution delay", threshold === 0n || delay > 0n, threshold === 0n ? "disabled" : `${formatAmount(threshold)} for ${delay}s`, "warn");
+
+    const roles = report.roles[name];
+    check(name, "DEFAULT_ADMIN_ROLE held", roles.DEFAULT_ADMIN_ROLE.length > 0, roles.DEFAULT_ADMIN_ROLE.join(", ") || "nobody");
+    check(name, "OPERATOR_ROLE held", roles.OPERATOR_ROLE.length > 0, roles.OPERATOR_ROLE.join(", ") || "nobody");
+    const shared = roles.DEFAULT_ADMIN_ROLE.filter(account => roles.OPERATOR_ROLE.includes(account));
+    check(name, "admin separate from operator", shared.length === 0, shared.join(", ") || "yes", "warn");
+}
+
+/**
+ * Checks the live configuration of a bridge pair deployment, read from the
+ * manifest written by `deployPair`. Only reads from the chains.
+ *
+ * Returns a report with one entry per check (`pass`, `fail` or `warn`) and the
+ * role holders of each contract; `ok` is false if any check failed.
+ * PioneLiquidityManager is audited when the manifest lists it on BSC.
+ */
+async function auditDeployment({ manifest, bsc, pione, startBlock = 0 }) {
+    const report = {
+        network: manifest.network,
+        auditedAt: new Date().toISOString(),
+        ok: true,
+        checks: [],
+        owners: {},
+        roles: {}
+    };
+    const check = (contract, name, passed, detail, severity = "fail") => {
+        report.checks.push({ contract, check: name, status: passed ? "pass" : severity, detail });
+        if (!passed && severity === "fail") report.ok = false;
+    };
+
+    const bscChainId = manifest.bsc.chainId;
+    const pioneChainId = manifest.pione.chainId;
+    const contracts = Object.fromEntries(
+        Object.entries({ ...manifest.bsc.contracts, ...manifest.pione.contracts })
+            .map(([name, entry]) => [name, { ...entry, address: ethers.getAddress(entry.address) }])
+    );
+    for (const [name, provider, expected] of [["bsc", bsc, bscChainId], ["pione", pione, pioneChainId]]) {
+        const { chainId } = await provider.getNetwork();
+        if (Number(chainId) !== expected) throw new Error(`The ${name} provider is on chain ${chainId}, the manifest expects ${expected}`);
+    }
+
+    const attach = (name, provider) => new ethers.Contract(contracts[name].address, getAbi(name), provider);
+    const token = attach("PIONE", bsc);
+    const bscBridge = attach("PioneChainBridgeBSC", bsc);
+    const pioneBridge = attach("PioneChainBridge", pione);
+    const liquidityManager = contracts.PioneLiquidityManager && attach("PioneLiquidityManager", bsc);
+
+    for (const [name, contract, provider] of [
+        ["PioneChainBridgeBSC", bscBridge, bsc],
+        ["PioneChainBridge", pioneBridge, pione],
+        ["PioneLiquidityManager", liquidityManager, bsc]
+    ]) {
+        if (!contract) continue;
+        report.roles[name] = await findRoleHolders(contract, ROLES[name], await deploymentBlock(provider, contracts[name], startBlock));
+    }
+
+    report.owners.PIONE = await token.owner();
+    const tokenBridge = await token.tokenBridge();
+    check("PIONE", "tokenBridge", tokenBridge === contracts.PioneChainBridgeBSC.address, tokenBridge);
+    check("PIONE", "tokenBridgePaused", !(await token.tokenBridgePaused()), `${await token.tokenBridgePaused()}`);
+    const guardian = await token.guardian();
+    check("PIONE", "guardian set", guardian !== ethers.ZeroAddress, guardian, "warn");
+
+    const pioToken = await bscBridge.pioToken();
+    check("PioneChainBridgeBSC", "pioToken", pioToken === contracts.PIONE.address, pioToken);
+    await auditBridge(report, check, {
+        name: "PioneChainBridgeBSC",
+        bridge: bscBridge,
+        chainId: bscChainId,
+        remoteChainId: pioneChainId,
+        remoteBridge: contracts.PioneChainBridge.address
+    });
+    await auditBridge(report, check, {
+        name: "PioneChainBridge",
+        bridge: pioneBridge,
+        chainId: pioneChainId,
+        remoteChainId: bscChainId,
+        remoteBridge: contracts.PioneChainBridgeBSC.address
+    });
+
+    if (liquidityManager) {
+        const pioneBridgeAddress = await liquidityManager.pioneBridge();
+        check("PioneLiquidityManager", "pioneBridge", pioneBridgeAddress === contracts.PioneChainBridgeBSC.address, pioneBridgeAddress);
+        const pioneToken = await liquidityManager.PIONE_TOKEN();
+        check("PioneLiquidityManager", "PIONE_TOKEN", pioneToken === contracts.PIONE.address, pioneToken);
+        const claimChainId = Number(await liquidityManager.PIONE_CHAIN_ID());
+        check("PioneLiquidityManager", "PIONE_CHAIN_ID", claimChainId === pioneChainId, `${claimChainId}`);
+        check("PioneLiquidityManager", "paused", !(await liquidityManager.paused()), `${await liquidityManager.paused()}`, "warn");
+        const roles = report.roles.PioneLiquidityManager;
+        check("PioneLiquidityManager", "DEFAULT_ADMIN_ROLE held", roles.DEFAULT_ADMIN_ROLE.length > 0, roles.DEFAULT_ADMIN_ROLE.join(", ") || "nobody");
+        check("PioneLiquidityManager", "MANAGER_ROLE held", roles.MANAGER_ROLE.length > 0, roles.MANAGER_ROLE.join(", ") || "nobody");
+    }
+    return report;
+}
+
+/**
+ * Renders a report of `auditDeployment` as text.
+ */
+function formatReport(report) {
+    const lines = [`Audit of the ${report.network} pair at ${report.auditedAt}: ${report.ok ? "PASS" : "FAIL"}`, ""];
+    for (const { contract, check, status, detail } of report.checks) {
+        lines.push(`[${status.toUpperCase()}] ${contract} ${check}: ${detail}`);
+    }
+    lines.push("", "Owners");
+    for (const [contract, owner] of Object.entries(report.owners)) lines.push(`  ${contract}: ${owner}`);
+    lines.push("", "Roles");
+    for (const [contract, roles] of Object.entries(report.roles)) {
+        for (const [role, holders] of Object.entries(roles)) {
+            lines.push(`  ${contract} ${role}: ${holders.join(", ") || "nobody"}`);
+        }
+    }
+    return lines.join("\n");
+}
+
+module.exports = {
+    auditDeployment,
+    formatReport
+};
@@ -0,0 +1,194 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { getArtifact } = require("./artifacts");
+const { decodeError } = require("./errors");
+const { BRIDGE_NETWORKS, findBridgeNetwork, validateModuleParameters } = require("./deployParameters");
+
+// Manifest of a bridge pair deployment:
+// {
+//   network: "testnet",
+//   bsc: { chainId: 97, contracts: { PIONE: { address, hash }, PioneChainBridgeBSC: { address, hash } } },
+//   pione: { chainId: 5080, contracts: { PioneChainBridge: { address, hash } } },
+//   steps: { "PIONE.setTokenBridge": { chainId, hash }, ... },
+//   check: { ok, checkedAt, failures }
+// }
+// A contract with `hash: null` was given in the parameters, not deployed.
+
+function readManifest(file) {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+}
+
+function writeManifest(file, manifest) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+}
+
+/**
+ * Returns the contracts of `manifest` deployed on `chainId`, keyed by contract
+ * name, in the shape of Ignition's `deployed_addresses.json`.
+ */
+function manifestAddresses(manifest, chainId) {
+    const side = ["bsc", "pione"].find(name => manifest[name]?.chainId === Number(chainId));
+    return Object.fromEntries(
+        Object.entries(side ? manifest[side].contracts : {}).map(([contractName, { address }]) => [contractName, address])
+    );
+}
+
+/**
+ * Checks that a deployed pair points at each other and is open for
+ * transfers. Returns the failed checks; an empty list means the pair is ready.
+ */
+async function checkPair({ token, bscBridge, pioneBridge, bscChainId, pioneChainId }) {
+    const bscBridgeAddress = await bscBridge.getAddress();
+    const pioneBridgeAddress = await pioneBridge.getAddress();
+    const checks = [
+        [await bscBridge.CHAIN_ID() === BigInt(bscChainId), `PioneChainBridgeBSC.CHAIN_ID is not ${bscChainId}`],
+        [await pioneBridge.CHAIN_ID() === BigInt(pioneChainId), `PioneChainBridge.CHAIN_ID is not ${pioneChainId}`],
+        [await bscBridge.supportedChains(pioneChainId), `PioneChainBridgeBSC does not support chain ${pioneChainId}`],
+        [await pioneBridge.supportedChains(bscChainId), `PioneChainBridge does not support chain ${bscChainId}`],
+        [await bscBridge.remoteBridges(pioneChainId) === pioneBridgeAddress, `PioneChainBridgeBSC.remoteBridges(${pioneChainId}) is not ${pioneBridgeAddress}`],
+        [await pioneBridge.remoteBridges(bscChainId) === bscBridgeAddress, `PioneChainBridge.remoteBridges(${bscChainId}) is not ${bscBridgeAddress}`],
+        [await bscBridge.pioToken() === await token.getAddress(), `PioneChainBridgeBSC.pioToken is not ${await token.getAddress()}`],
+        [await token.tokenBridge() === bscBridgeAddress, `PIONE.tokenBridge is not ${bscBridgeAddress}`],
+        [!(await token.tokenBridgePaused()), "PIONE token bridge is paused"],
+        [!(await bscBridge.paused()), "PioneChainBridgeBSC is paused"],
+        [!(await pioneBridge.paused()), "PioneChainBridge is paused"]
+    ];
+    return checks.filter(([ok]) => !ok).map(([, failure]) => failure);
+}
+
+/**
+ * Deploys and wires a bridge pair: PIONE (unless `pioToken` is given) and
+ * PioneChainBridgeBSC with the `bsc` signer, PioneChainBridge with the `pione`
+ * signer, then sets the token bridge, links both bridges and unpauses them.
+ *
+ * Constructor arguments come from Ignition `parameters` and are validated
+ * against the chain pair first. Every address and transaction hash is written
+ * to `manifestFile` as soon as it is known; running again skips contracts that
+ * are already deployed and steps whose effect is already on-chain. Ends with
+ * `checkPair` and throws if the pair is not ready.
+ */
+async function deployPair({ bsc, pione, parameters, manifestFile, log = console.log }) {
+    const bscChainId = Number((await bsc.provider.getNetwork()).chainId);
+    const pioneChainId = Number((await pione.provider.getNetwork()).chainId);
+    const network = findBridgeNetwork(bscChainId);
+    if (!network || BRIDGE_NETWORKS[network].bsc !== bscChainId || BRIDGE_NETWORKS[network].pione !== pioneChainId) {
+        throw new Error(`Chains ${bscChainId} (BSC) and ${pioneChainId} (PioneChain) are not a bridge pair`);
+    }
+
+    const manifest = readManifest(manifestFile);
+    if (manifest.network && manifest.network !== network) {
+        const { bsc: bscSide, pione: pioneSide } = BRIDGE_NETWORKS[manifest.network] ?? {};
+        throw new Error(`${manifestFile} belongs to the ${manifest.network} pair (${bscSide} <> ${pioneSide})`);
+    }
+    manifest.network = network;
+    manifest.bsc = { chainId: bscChainId, contracts: {}, ...manifest.bsc };
+    manifest.pione = { chainId: pioneChainId, contracts: {}, ...manifest.pione };
+    manifest.steps = manifest.steps ?? {};
+    const save = () => writeManifest(manifestFile, manifest);
+
+    const bscParameters = parameters?.PioneChainBridgeBSC_modules ?? {};
+    const pioneParameters = parameters?.PioneChainBridge_modules ?? {};
+    const deployToken = !bscParameters.pioToken || bscParameters.pioToken === ethers.ZeroAddress;
+
+    const errors = [
+        ...validateModuleParameters("PioneChainBridgeBSC_modules", parameters, bscChainId)
+            .filter(error => !(deployToken && error === "PioneChainBridgeBSC_modules.pioToken is not set")),
+        ...validateModuleParameters("PioneChainBridge_modules", parameters, pioneChainId)
+    ];
+    if (errors.length > 0) {
+        throw new Error(`Refusing to deploy the ${network} pair:\n  ${errors.join("\n  ")}`);
+    }
+
+    async function ensureContract(signer, side, contractName, args) {
+        const { abi, bytecode } = getArtifact(contractName);
+        const entry = manifest[side].contracts[contractName];
+        if (entry && (await signer.provider.getCode(entry.address)) !== "0x") {
+            log(`${contractName} :>> `, `${entry.address} (already deployed)`);
+            return new ethers.Contract(entry.address, abi, signer);
+        }
+
+        const contract = await new ethers.ContractFactory(abi, bytecode, signer).deploy(...args);
+        await contract.waitForDeployment();
+        manifest[side].contracts[contractName] = {
+            address: await contract.getAddress(),
+            hash: contract.deploymentTransaction().hash
+        };
+        save();
+        log(`${contractName} :>> `, manifest[side].contracts[contractName].address);
+        return contract;
+    }
+
+    async function ensureStep(name, contract, isDone, send) {
+        if (await isDone()) {
+            log(`${name} :>> `, "already done");
+            return;
+        }
+        try {
+            const txReceipt = await (await send()).wait();
+            manifest.steps[name] = { chainId: Number((await contract.runner.provider.getNetwork()).chainId), hash: txReceipt.hash };
+        } catch (error) {
+            throw new Error(`${name} failed: ${decodeError(error, contract.interface)}`);
+        }
+        save();
+        log(`${name} :>> `, manifest.steps[name].hash);
+    }
+
+    let token;
+    if (deployToken) {
+        token = await ensureContract(bsc, "bsc", "PIONE", [await bsc.getAddress()]);
+    } else {
+        token = new ethers.Contract(bscParameters.pioToken, getArtifact("PIONE").abi, bsc);
+        manifest.bsc.contracts.PIONE = { address: bscParameters.pioToken, hash: null };
+        save();
+    }
+
+    const bscBridge = await ensureContract(bsc, "bsc", "PioneChainBridgeBSC", [
+        await token.getAddress(),
+        bscParameters.minTransfer ?? ethers.parseEther("1"),
+        bscParameters.maxTransfer ?? ethers.parseEther("10000"),
+        bscParameters.dailyLimit ?? ethers.parseEther("1000000"),
+        bscParameters.chainSupport
+    ]);
+    const pioneBridge = await ensureContract(pione, "pione", "PioneChainBridge", [
+        pioneParameters.minTransfer ?? ethers.parseEther("1"),
+        pioneParameters.maxTransfer ?? 0n,
+        pioneParameters.dailyLimit ?? 0n,
+        pioneParameters.chainSupport
+    ]);
+    const bscBridgeAddress = await bscBridge.getAddress();
+    const pioneBridgeAddress = await pioneBridge.getAddress();
+
+    await ensureStep("PIONE.setTokenBridge", token,
+        async () => await token.tokenBridge() === bscBridgeAddress,
+        () => token.setTokenBridge(bscBridgeAddress));
+    await ensureStep("PIONE.unpauseTokenBridge", token,
+        async () => !(await token.tokenBridgePaused()),
+        () => token.unpauseTokenBridge());
+    await ensureStep("PioneChainBridgeBSC.setRemoteBridge", bscBridge,
+        async () => await bscBridge.remoteBridges(pioneChainId) === pioneBridgeAddress,
+        () => bscBridge.setRemoteBridge(pioneChainId, pioneBridgeAddress));
+    await ensureStep("PioneChainBridge.setRemoteBridge", pioneBridge,
+        async () => await pioneBridge.remoteBridges(bscChainId) === bscBridgeAddress,
+        () => pioneBridge.setRemoteBridge(bscChainId, bscBridgeAddress));
+    await ensureStep("PioneChainBridge.unpause", pioneBridge,
+        async () => !(await pioneBridge.paused()),
+        () => pioneBridge.unpause());
+
+    const failures = await checkPair({ token, bscBridge, pioneBridge, bscChainId, pioneChainId });
+    manifest.check = { ok: failures.length === 0, checkedAt: new Date().toISOString(), failures };
+    save();
+    if (failures.length > 0) {
+        throw new Error(`Post-deploy check failed:\n  ${failures.join("\n  ")}`);
+    }
+    log("post-deploy check :>> ", "ok");
+    return manifest;
+}
+
+module.exports = {
+    readManifest,
+    manifestAddresses,
+    checkPair,
+    deployPair
+};
@@ -0,0 +1,119 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Chain pairs the bridge is deployed on, named after their parameter file in
+// ignition/parameters.
+const BRIDGE_NETWORKS = {
+    mainnet: { bsc: 56, pione: 5090 },
+    testnet: { bsc: 97, pione: 5080 },
+    local: { bsc: 31337, pione: 31338 }
+};
+
+// Side of the pair each Ignition module is deployed on, and its address
+// parameters. `optional` addresses may be the zero address. `remoteChain`
+// names the parameter that must hold the chain id of the other side.
+const MODULES = {
+    PIONE_modules: { side: "bsc", addresses: [] },
+    PioneChainBridgeBSC_modules: { side: "bsc", addresses: ["pioToken"], remoteChain: "chainSupport", bridge: true },
+    PioneChainBridge_modules: { side: "pione", addresses: [], remoteChain: "chainSupport", bridge: true },
+    PioneLiquidityManager_modules: {
+        side: "bsc",
+        addresses: ["pioneToken", "usdtToken", "router", "pinkLock"],
+        optional: ["bridge"],
+        remoteChain: "pioneChainId"
+    }
+};
+
+/**
+ * Returns the name of the chain pair `chainId` belongs to, or undefined.
+ */
+function findBridgeNetwork(chainId) {
+    return Object.keys(BRIDGE_NETWORKS).find(name => {
+        const { bsc, pione } = BRIDGE_NETWORKS[name];
+        return Number(chainId) === bsc || Number(chainId) === pione;
+    });
+}
+
+/**
+ * Path of the parameter file for `chainId`, e.g. ignition/parameters/testnet.json.
+ */
+function defaultParametersFile(ignitionDir, chainId) {
+    const network = findBridgeNetwork(chainId);
+    return network && path.join(ignitionDir, "parameters", `${network}.json`);
+}
+
+/**
+ * Parses Ignition parameters. Strings like "1000n" become bigints, the same
+ * way Ignition reads them.
+ */
+function parseParameters(json) {
+    return JSON.parse(json, (key, value) =>
+        typeof value === "string" && /^\d+n$/.test(value) ? BigInt(value.slice(0, -1)) : value
+    );
+}
+
+/**
+ * Reads an Ignition parameter file.
+ */
+function readParameters(file) {
+    if (!fs.existsSync(file)) throw new Error(`No parameter file found at ${file}`);
+    return parseParameters(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Checks the parameters of `moduleId` before deploying it on `chainId` and
+ * returns the problems found; an empty list means the deploy may go ahead.
+ * Refuses chains outside the known pairs, a `chainSupport` (or the liquidity
+ * manager's `pioneChainId`) that is not the other side of the pair, and
+ * missing or zero addresses.
+ */
+function validateModuleParameters(moduleId, parameters, chainId) {
+    const config = MODULES[moduleId];
+    if (!config) return [];
+
+    const network = findBridgeNetwork(chainId);
+    if (!network) return [`Chain ${chainId} is not part of a known bridge pair`];
+
+    const pair = BRIDGE_NETWORKS[network];
+    const remoteSide = config.side === "bsc" ? "pione" : "bsc";
+    if (Number(chainId) !== pair[config.side]) {
+        return [`${moduleId} is deployed on the ${config.side} side (chain ${pair[config.side]}) of the ${network} pair, not on chain ${chainId}`];
+    }
+
+    const values = parameters?.[moduleId] ?? {};
+    const errors = [];
+
+    for (const name of config.addresses) {
+        if (!ethers.isAddress(values[name])) errors.push(`${moduleId}.${name} must be an address`);
+        else if (values[name] === ethers.ZeroAddress) errors.push(`${moduleId}.${name} is not set`);
+    }
+    for (const name of config.optional ?? []) {
+        if (!ethers.isAddress(values[name])) errors.push(`${moduleId}.${name} must be an address`);
+    }
+
+    if (config.remoteChain) {
+        const name = config.remoteChain;
+        if (values[name] === undefined) {
+            errors.push(`${moduleId}.${name} is not set`);
+        } else if (Number(values[name]) !== pair[remoteSide]) {
+            errors.push(`${moduleId}.${name} is ${values[name]}, but chain ${chainId} is paired with chain ${pair[remoteSide]}`);
+        }
+    }
+    if (config.bridge) {
+        if (values.minTransfer !== undefined && values.maxTransfer !== undefined &&
+            BigInt(values.maxTransfer) !== 0n && BigInt(values.minTransfer) > BigInt(values.maxTransfer)) {
+            errors.push(`${moduleId}.minTransfer is above maxTransfer`);
+        }
+    }
+    return errors;
+}
+
+module.exports = {
+    BRIDGE_NETWORKS,
+    findBridgeNetwork,
+    defaultParametersFile,
+    parseParameters,
+    readParameters,
+    validateModuleParameters
+};
@@ -0,0 +1,29 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Reads the addresses Ignition recorded for a deployment, keyed by future id
+ * (`<Module>#<Contract>`).
+ */
+function readDeployedAddresses(deploymentsDir, deploymentId) {
+    const file = path.join(deploymentsDir, deploymentId, "deployed_addresses.json");
+    if (!fs.existsSync(file)) throw new Error(`No Ignition deployment found at ${file}`);
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Returns the address `contractName` was deployed at in `addresses`, or
+ * undefined when the deployment does not contain it.
+ */
+function findDeployedAddress(addresses, contractName) {
+    const matches = Object.entries(addresses).filter(([futureId]) => futureId.split("#").pop() === contractName);
+    if (matches.length > 1) {
+        throw new Error(`Several ${contractName} in deployment: ${matches.map(([futureId]) => futureId).join(", ")}`);
+    }
+    return matches[0]?.[1];
+}
+
+module.exports = {
+    readDeployedAddresses,
+    findDeployedAddress
+};
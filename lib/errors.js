@@ -0,0 +1,48 @@
+const { ethers } = require("ethers");
+
+// Error arguments holding PIO amounts or timestamps, printed in a readable unit.
+const AMOUNT_ARGS = /amount|limit|^fee$/i;
+const TIME_ARGS = /time$/i;
+
+function formatArg(name, value) {
+    if (typeof value !== "bigint") return String(value);
+    if (AMOUNT_ARGS.test(name)) return `${ethers.formatEther(value)} PIO`;
+    if (TIME_ARGS.test(name)) return new Date(Number(value) * 1000).toISOString();
+    return value.toString();
+}
+
+// Revert data is nested differently depending on the provider.
+function findRevertData(error) {
+    for (let e = error; e; e = e.error ?? e.info?.error) {
+        if (typeof e.data === "string" && e.data.startsWith("0x")) return e.data;
+        if (typeof e.data?.data === "string") return e.data.data;
+    }
+    return null;
+}
+
+/**
+ * Turns a failed contract call into a readable message. Custom errors are
+ * decoded with `contractInterface`, e.g.
+ * `InvalidAmount(minAmount=1.0 PIO, maxAmount=0.0 PIO, bridgeOutAmount=0.5 PIO)`;
+ * revert strings are returned as is.
+ */
+function decodeError(error, contractInterface) {
+    const data = findRevertData(error);
+    let parsed = null;
+    if (data && contractInterface) {
+        try {
+            parsed = contractInterface.parseError(data);
+        } catch (parseError) {
+            parsed = null;
+        }
+    }
+
+    if (parsed && parsed.name !== "Error") {
+        const args = parsed.fragment.inputs.map((input, i) => `${input.name}=${formatArg(input.name, parsed.args[i])}`);
+        return `${parsed.name}(${args.join(", ")})`;
+    }
+    if (parsed) return parsed.args[0];
+    return error.reason || error.shortMessage || error.message;
+}
+
+module.exports = { decodeError };
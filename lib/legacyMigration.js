@@ -0,0 +1,137 @@
+const { ethers } = require("ethers");
+const { computeLegacyRequestId } = require("./requestId");
+const { BRIDGE_REQUEST_TYPES, getBridgeDomain, collectSignatures } = require("./attestation");
+
+const BLOCK_RANGE = 5000;
+const BATCH_SIZE = 100;
+
+// Pre-V2 bridges only share these fragments with the current ones.
+const LEGACY_BRIDGE_ABI = [
+    "event BridgeInitiated(bytes32 indexed requestId, address indexed from, address indexed to, uint amount, uint sourceChain, uint targetChain, uint nonce)",
+    "function CHAIN_ID() view returns (uint)",
+    "function paused() view returns (bool)",
+    "function processedTransactions(bytes32) view returns (bool)"
+];
+
+/**
+ * Lists the `BridgeInitiated` requests of `legacySource` sent to the chain of
+ * `legacyTarget` that neither `legacyTarget` nor `newTarget` processed.
+ * @return {Promise<Array<Object>>} `{ requestId, request, transactionHash }` entries
+ */
+async function findInFlightRequests({ legacySource, legacyTarget, newTarget, startBlock = 0, log = console.log }) {
+    const targetChain = await legacyTarget.CHAIN_ID();
+    const latest = await legacySource.runner.provider.getBlockNumber();
+    const requests = [];
+
+    for (let from = startBlock; from <= latest; from += BLOCK_RANGE) {
+        const to = Math.min(from + BLOCK_RANGE - 1, latest);
+        const events = await legacySource.queryFilter(legacySource.filters.BridgeInitiated(), from, to);
+
+        for (const event of events) {
+            const { requestId, from: sender, to: recipient, amount, sourceChain, nonce } = event.args;
+            if (event.args.targetChain !== targetChain) continue;
+
+            const request = { from: sender, to: recipient, amount, sourceChain, targetChain, nonce };
+            if (computeLegacyRequestId(request) !== requestId) {
+                log('unexpected request id, skipped :>> ', requestId);
+                continue;
+            }
+            if (await legacyTarget.processedTransactions(requestId)) continue;
+            if (await newTarget.processedTransactions(requestId)) continue;
+
+            requests.push({ requestId, request, transactionHash: event.transactionHash });
+        }
+    }
+    return requests;
+}
+
+/**
+ * Allows the legacy ids of `requests` on `newTarget` with `admin`, in
+ * batches of `BATCH_SIZE`. Ids already allowed are skipped.
+ */
+async function allowRequests({ newTarget, admin, requests, log = console.log }) {
+    const pending = [];
+    for (const { requestId } of requests) {
+        if (!(await newTarget.legacyRequests(requestId))) pending.push(requestId);
+    }
+
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+        const batch = pending.slice(i, i + BATCH_SIZE);
+        const tx = await newTarget.connect(admin).setLegacyRequests(batch, true);
+        const txReceipt = await tx.wait();
+        log('allowed legacy requests :>> ', batch.length);
+        log('hash :>> ', txReceipt.hash);
+    }
+}
+
+/**
+ * Returns how much native PIO a new PioneChainBridge lacks to release
+ * `requests` on top of what it already holds.
+ */
+async function getLiquidityShortfall({ newTarget, requests }) {
+    const required = requests.reduce((sum, { request }) => sum + request.amount, 0n);
+    const locked = await newTarget.getTotalPIOBridgeOut();
+    return required > locked ? required - locked : 0n;
+}
+
+/**
+ * Sends the liquidity shortfall of a new PioneChainBridge with
+ * `seedLiquidity`, so the migrated requests can be released.
+ * @return {Promise<bigint>} the amount seeded
+ */
+async function seedLiquidity({ newTarget, admin, requests, log = console.log }) {
+    const shortfall = await getLiquidityShortfall({ newTarget, requests });
+    if (shortfall === 0n) return 0n;
+
+    const tx = await newTarget.connect(admin).seedLiquidity({ value: shortfall });
+    const txReceipt = await tx.wait();
+    log('seeded liquidity :>> ', ethers.formatEther(shortfall));
+    log('hash :>> ', txReceipt.hash);
+    return shortfall;
+}
+
+/**
+ * Completes `requests` on `newTarget` with `operator`. When the bridge runs
+ * in attestation mode the signatures are collected from `validators`
+ * (`ValidatorClient`s), which check each request against its legacy
+ * `BridgeInitiated` log themselves. A failing request does not stop the
+ * others.
+ * @return {Promise<Array<Object>>} `{ requestId, status, hash | error }` per request
+ */
+async function completeRequests({ newTarget, operator, requests, validators = [], log = console.log }) {
+    const threshold = await newTarget.validatorThreshold();
+    const domain = threshold > 0n ? await getBridgeDomain(newTarget) : null;
+    const results = [];
+
+    for (const { requestId, request, transactionHash } of requests) {
+        try {
+            let tx;
+            if (threshold === 0n) {
+                tx = await newTarget.connect(operator).bridgeIn(request, requestId);
+            } else {
+                const signatures = await collectSignatures(newTarget, threshold, validators,
+                    validator => validator.attestBridgeRequest({ requestId, sourceChain: request.sourceChain, transactionHash }),
+                    signature => ethers.verifyTypedData(domain, BRIDGE_REQUEST_TYPES, request, signature));
+                tx = await newTarget.connect(operator).bridgeInWithSignatures(request, requestId, signatures);
+            }
+            const txReceipt = await tx.wait();
+            log('completed :>> ', requestId);
+            log('hash :>> ', txReceipt.hash);
+            results.push({ requestId, status: "completed", hash: txReceipt.hash });
+        } catch (error) {
+            const reason = error.shortMessage || error.message;
+            log('error :>> ', requestId, reason);
+            results.push({ requestId, status: "failed", error: reason });
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    LEGACY_BRIDGE_ABI,
+    findInFlightRequests,
+    allowRequests,
+    getLiquidityShortfall,
+    seedLiquidity,
+    completeRequests
+};
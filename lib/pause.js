@@ -0,0 +1,69 @@
+const { ethers } = require("ethers");
+const { getAbi } = require("./artifacts");
+const { decodeError } = require("./errors");
+
+// Components of a deployment manifest that can be paused, with the calls
+// reading and setting their pause state. Bridges go first: they are the
+// entry points of new transfers.
+const COMPONENTS = [
+    { side: "bsc", name: "PioneChainBridgeBSC", paused: "paused", pause: "pause" },
+    { side: "pione", name: "PioneChainBridge", paused: "paused", pause: "pause" },
+    { side: "bsc", name: "PIONE", paused: "tokenBridgePaused", pause: "pauseTokenBridge" },
+    { side: "bsc", name: "PioneLiquidityManager", paused: "paused", pause: "pause" }
+];
+
+/**
+ * Pauses every component of `manifest` on both chains: the two bridges, the
+ * PIONE token bridge and, when the manifest lists it, PioneLiquidityManager.
+ *
+ * The signers need `GUARDIAN_ROLE` (or the admin role) on the bridges and the
+ * liquidity manager, and must be the PIONE `guardian` (or owner). Components
+ * already paused are skipped. Both chains are handled concurrently and a
+ * failing component does not stop the others.
+ *
+ * @param {Object} options
+ * @param {Object} options.manifest deployment manifest (`deployments/<network>.json`)
+ * @param {ethers.Signer} options.bsc guardian signer on BSC
+ * @param {ethers.Signer} options.pione guardian signer on PioneChain
+ * @param {Function} [options.log] progress logger
+ * @return {Promise<Array<Object>>} one entry per component with its `status`:
+ *   `paused`, `already paused` or `failed`
+ */
+async function pauseAll({ manifest, bsc, pione, log = console.log }) {
+    const signers = { bsc, pione };
+
+    const pauseSide = async side => {
+        const results = [];
+        for (const { name, paused, pause } of COMPONENTS.filter(component => component.side === side)) {
+            const entry = manifest[side].contracts[name];
+            if (!entry) continue;
+
+            const contract = new ethers.Contract(entry.address, getAbi(name), signers[side]);
+            const result = { chain: side, contract: name, address: ethers.getAddress(entry.address) };
+            try {
+                if (await contract[paused]()) {
+                    results.push({ ...result, status: "already paused" });
+                    log(`${name} already paused`);
+                    continue;
+                }
+                const txReceipt = await (await contract[pause]()).wait();
+                results.push({ ...result, status: "paused", hash: txReceipt.hash });
+                log(`${name} paused, hash :>> ${txReceipt.hash}`);
+            } catch (error) {
+                const reason = decodeError(error, contract.interface);
+                results.push({ ...result, status: "failed", error: reason });
+                log(`${name} failed :>> ${reason}`);
+            }
+        }
+        return results;
+    };
+
+    const [bscResults, pioneResults] = await Promise.all([pauseSide("bsc"), pauseSide("pione")]);
+    return COMPONENTS
+        .map(({ name }) => [...bscResults, ...pioneResults].find(result => result.contract === name))
+        .filter(Boolean);
+}
+
+module.exports = {
+    pauseAll
+};
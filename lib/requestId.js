@@ -0,0 +1,55 @@
+const { ethers } = require("ethers");
+
+// Version tag committed by every request id, `REQUEST_ID_VERSION` in the bridges.
+const REQUEST_ID_VERSION = ethers.id("PIONE_BRIDGE_REQUEST_V2");
+
+const REQUEST_ID_TYPES = [
+    "bytes32",
+    "address",
+    "address",
+    "address",
+    "address",
+    "uint256",
+    "uint256",
+    "uint256",
+    "uint256"
+];
+
+/**
+ * Computes the id `bridgeOut` on `sourceBridge` commits to for a request sent
+ * to `targetBridge`.
+ */
+function computeRequestId(request, sourceBridge, targetBridge) {
+    return ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(REQUEST_ID_TYPES, [
+            REQUEST_ID_VERSION,
+            sourceBridge,
+            targetBridge,
+            request.from,
+            request.to,
+            request.amount,
+            request.sourceChain,
+            request.targetChain,
+            request.nonce
+        ])
+    );
+}
+
+/**
+ * Computes the pre-V2 id (packed request fields, no bridge addresses) used by
+ * bridges deployed before the migration.
+ */
+function computeLegacyRequestId(request) {
+    return ethers.keccak256(
+        ethers.solidityPacked(
+            ["address", "address", "uint256", "uint256", "uint256", "uint256"],
+            [request.from, request.to, request.amount, request.sourceChain, request.targetChain, request.nonce]
+        )
+    );
+}
+
+module.exports = {
+    REQUEST_ID_VERSION,
+    computeRequestId,
+    computeLegacyRequestId
+};
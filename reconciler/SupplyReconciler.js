@@ -0,0 +1,215 @@
+const { ethers } = require("ethers");
+const { getAbi } = require("../lib/artifacts");
+
+const BLOCK_RANGE = 5000;
+
+/**
+ * Checks the supply invariant of the PIONE bridge pair: PIO minted on BSC
+ * must be backed by native PIO locked in PioneChainBridge, plus supply that
+ * existed before the bridge (`preMinted`).
+ *
+ * Both bridges are scanned for `BridgeInitiated`, `BridgeCompleted`,
+ * `BridgeQueued`, `BridgeRejected` and `BridgeRefunded`. Every request sent
+ * from one side is matched with its outcome on the other side; requests that
+ * have left the source but are not settled yet (in flight, rejected and not
+ * refunded, queued on BSC) explain the gap between the locked amount and the
+ * BSC supply:
+ *
+ *     totalSupply = locked + preMinted - outstanding - burned
+ *
+ * Anything above that is unbacked supply. Completions without a matching
+ * source event (`orphans`) and completions whose amount or recipient differ
+ * from the source event (`mismatches`) point at a forged `bridgeIn`.
+ *
+ * Scanned events are kept between calls, so `reconcile()` can be called
+ * repeatedly and only reads new blocks.
+ */
+class SupplyReconciler {
+    /**
+     * @param {Object} options
+     * @param {Object} options.bsc   `{ address, provider, startBlock }` of PioneChainBridgeBSC
+     * @param {Object} options.pione `{ address, provider, startBlock }` of PioneChainBridge
+     * @param {bigint} [options.preMinted] BSC supply not backed by the bridge
+     * @param {Object} [options.logger] console-compatible logger
+     */
+    constructor({ bsc, pione, preMinted = 0n, logger = console }) {
+        this._config = { bsc, pione };
+        this._preMinted = BigInt(preMinted);
+        this._logger = logger;
+        this._sides = null;
+        this._timer = null;
+        this._running = false;
+    }
+
+    /**
+     * Resolves chain ids and the PIONE token of the BSC bridge.
+     */
+    async init() {
+        const sides = {};
+        for (const [name, contract] of [["bsc", "PioneChainBridgeBSC"], ["pione", "PioneChainBridge"]]) {
+            const { address, provider, startBlock = 0 } = this._config[name];
+            const bridge = new ethers.Contract(address, getAbi(contract), provider);
+            sides[name] = {
+                name,
+                bridge,
+                provider,
+                chainId: await bridge.CHAIN_ID(),
+                cursor: startBlock - 1,
+                initiated: new Map(),
+                completed: new Map(),
+                queued: new Map(),
+                rejected: new Set(),
+                refunded: new Set()
+            };
+        }
+        this._token = new ethers.Contract(await sides.bsc.bridge.pioToken(), getAbi("PIONE"), sides.bsc.provider);
+        this._sides = sides;
+        return this;
+    }
+
+    /**
+     * Reconciles both sides at `bscBlock` and `pioneBlock` (latest by default).
+     * Blocks must not go backwards between calls. Use blocks of about the same
+     * time on both chains, otherwise requests settled after one of the blocks
+     * show up as orphans or discrepancies.
+     *
+     * @return {Promise<Object>} report, `ok` is false on unbacked supply,
+     *   orphans or mismatches
+     */
+    async reconcile({ bscBlock, pioneBlock } = {}) {
+        if (!this._sides) await this.init();
+        const { bsc, pione } = this._sides;
+
+        bsc.block = bscBlock ?? await bsc.provider.getBlockNumber();
+        pione.block = pioneBlock ?? await pione.provider.getBlockNumber();
+        await this._scan(bsc, pione.chainId);
+        await this._scan(pione, bsc.chainId);
+
+        const totalSupply = await this._token.totalSupply({ blockTag: bsc.block });
+        const locked = await pione.bridge.getTotalPIOBridgeOut({ blockTag: pione.block });
+
+        const toPione = this._match(bsc, pione);
+        const toBsc = this._match(pione, bsc);
+        const outstanding = [...toPione.outstanding, ...toBsc.outstanding];
+        const orphans = [...toPione.orphans, ...toBsc.orphans];
+        for (const orphan of orphans) {
+            orphan.legacy = await this._sides[orphan.chain].bridge.legacyRequests(orphan.requestId, { blockTag: this._sides[orphan.chain].block });
+        }
+
+        const outstandingAmount = outstanding.reduce((sum, { amount }) => sum + amount, 0n);
+        const expectedSupply = locked + this._preMinted - outstandingAmount;
+        const discrepancy = totalSupply - expectedSupply;
+        const mismatches = [...toPione.mismatches, ...toBsc.mismatches];
+
+        const report = {
+            bsc: { chainId: bsc.chainId, block: bsc.block, totalSupply },
+            pione: { chainId: pione.chainId, block: pione.block, locked },
+            preMinted: this._preMinted,
+            backing: locked + this._preMinted,
+            invariantHolds: totalSupply <= locked + this._preMinted,
+            outstanding,
+            outstandingAmount,
+            expectedSupply,
+            // > 0: unbacked supply on BSC. < 0: PIO burned outside the bridge.
+            discrepancy,
+            orphans,
+            mismatches
+        };
+        report.ok = report.invariantHolds && discrepancy <= 0n && mismatches.length === 0 &&
+            orphans.every(orphan => orphan.legacy);
+        return report;
+    }
+
+    /**
+     * Reconciles forever with `intervalMs` between passes until `stop()` is
+     * called. Failed reports are logged as errors.
+     */
+    start(intervalMs = 60000) {
+        if (this._running) return;
+        this._running = true;
+
+        const tick = async () => {
+            try {
+                const report = await this.reconcile();
+                const line = `BSC supply ${ethers.formatEther(report.bsc.totalSupply)} PIO, backing ${ethers.formatEther(report.backing)} PIO, outstanding ${ethers.formatEther(report.outstandingAmount)} PIO`;
+                if (report.ok) this._logger.log("reconciled :>> ", line);
+                else this._logger.error("RECONCILIATION FAILED :>> ", `${line}, discrepancy ${ethers.formatEther(report.discrepancy)} PIO, ${report.orphans.length} orphans, ${report.mismatches.length} mismatches`);
+            } catch (error) {
+                this._logger.error("reconcile failed :>> ", error.message);
+            }
+            if (this._running) this._timer = setTimeout(tick, intervalMs);
+        };
+        tick();
+    }
+
+    stop() {
+        this._running = false;
+        if (this._timer) clearTimeout(this._timer);
+        this._timer = null;
+    }
+
+    async _scan(side, remoteChainId) {
+        if (side.block < side.cursor) {
+            throw new Error(`Block ${side.block} of chain ${side.chainId} is before the last reconciled block ${side.cursor}`);
+        }
+        const { bridge } = side;
+
+        for (let from = side.cursor + 1; from <= side.block; from += BLOCK_RANGE) {
+            const to = Math.min(from + BLOCK_RANGE - 1, side.block);
+
+            for (const event of await bridge.queryFilter(bridge.filters.BridgeInitiated(), from, to)) {
+                const { requestId, to: recipient, amount, targetChain } = event.args;
+                if (targetChain === remoteChainId) side.initiated.set(requestId, { amount, to: recipient });
+            }
+            for (const event of await bridge.queryFilter(bridge.filters.BridgeCompleted(), from, to)) {
+                const { requestId, to: recipient, amount } = event.args;
+                side.completed.set(requestId, { amount, to: recipient });
+            }
+            for (const event of await bridge.queryFilter(bridge.filters.BridgeQueued(), from, to)) {
+                const { requestId, to: recipient, amount, sourceChain } = event.args;
+                if (sourceChain === remoteChainId) side.queued.set(requestId, { amount, to: recipient });
+            }
+            for (const event of await bridge.queryFilter(bridge.filters.BridgeRejected(), from, to)) {
+                if (event.args.sourceChain === remoteChainId) side.rejected.add(event.args.requestId);
+            }
+            for (const event of await bridge.queryFilter(bridge.filters.BridgeRefunded(), from, to)) {
+                side.refunded.add(event.args.requestId);
+            }
+        }
+        side.cursor = side.block;
+    }
+
+    // Matches the requests sent from `source` with their outcome on `target`.
+    _match(source, target) {
+        const direction = `${source.name} -> ${target.name}`;
+        const outstanding = [];
+        const mismatches = [];
+
+        for (const [requestId, sent] of source.initiated) {
+            const received = target.completed.get(requestId) ?? target.queued.get(requestId);
+            if (received && (received.amount !== sent.amount || received.to !== sent.to)) {
+                mismatches.push({ requestId, direction, sent, received });
+            }
+
+            if (target.completed.has(requestId) || source.refunded.has(requestId)) continue;
+            if (target.rejected.has(requestId)) {
+                outstanding.push({ requestId, direction, amount: sent.amount, status: "rejected" });
+            } else if (target.queued.has(requestId)) {
+                // PioneChainBridge takes queued amounts out of the locked total
+                // right away; BSC only mints them on execution.
+                if (target.name === "bsc") outstanding.push({ requestId, direction, amount: sent.amount, status: "queued" });
+            } else {
+                outstanding.push({ requestId, direction, amount: sent.amount, status: "in flight" });
+            }
+        }
+
+        const orphans = [];
+        for (const [requestId, received] of [...target.completed, ...target.queued]) {
+            if (source.initiated.has(requestId) || orphans.some(orphan => orphan.requestId === requestId)) continue;
+            orphans.push({ requestId, chain: target.name, amount: received.amount, to: received.to });
+        }
+        return { outstanding, orphans, mismatches };
+    }
+}
+
+module.exports = { SupplyReconciler };
@@ -0,0 +1,79 @@
+const { ethers } = require("ethers");
+const { SupplyReconciler } = require("./SupplyReconciler");
+require("dotenv").config();
+
+const BSC_RPC_URL = process.env.BSC_RPC_URL || "";
+const PIONE_RPC_URL = process.env.PIONE_RPC_URL || "";
+const PIONE_BRIDGE_BSC = process.env.PIONE_BRIDGE_BSC || "";
+const PIONE_BRIDGE = process.env.PIONE_BRIDGE || "";
+const PRE_MINTED_SUPPLY = ethers.parseEther(process.env.PRE_MINTED_SUPPLY || "0");
+const RECONCILE_INTERVAL = Number(process.env.RECONCILE_INTERVAL || 0);
+
+function optionalBlock(value) {
+    return value ? Number(value) : undefined;
+}
+
+function formatAmount(value) {
+    return `${ethers.formatEther(value)} PIO`;
+}
+
+function printReport(report) {
+    console.log('BSC total supply :>> ', `${formatAmount(report.bsc.totalSupply)} at block ${report.bsc.block}`);
+    console.log('PioneChain locked :>> ', `${formatAmount(report.pione.locked)} at block ${report.pione.block}`);
+    console.log('pre-minted :>> ', formatAmount(report.preMinted));
+    console.log('invariant (supply <= locked + pre-minted) :>> ', report.invariantHolds ? "holds" : "BROKEN");
+    console.log('outstanding requests :>> ', `${report.outstanding.length} for ${formatAmount(report.outstandingAmount)}`);
+    report.outstanding.forEach(({ requestId, direction, amount, status }) => console.log(`  ${requestId} ${direction} ${formatAmount(amount)} ${status}`));
+    console.log('expected supply :>> ', formatAmount(report.expectedSupply));
+    console.log('discrepancy :>> ', formatAmount(report.discrepancy));
+    console.log('orphans :>> ', report.orphans.length);
+    report.orphans.forEach(({ requestId, chain, amount, to, legacy }) => console.log(`  ${requestId} on ${chain} ${formatAmount(amount)} to ${to}${legacy ? " (legacy)" : ""}`));
+    console.log('mismatches :>> ', report.mismatches.length);
+    report.mismatches.forEach(({ requestId, direction, sent, received }) => console.log(`  ${requestId} ${direction} sent ${formatAmount(sent.amount)} to ${sent.to}, received ${formatAmount(received.amount)} to ${received.to}`));
+    console.log('result :>> ', report.ok ? "OK" : "FAILED");
+}
+
+async function main() {
+    for (const [key, value] of Object.entries({ BSC_RPC_URL, PIONE_RPC_URL, PIONE_BRIDGE_BSC, PIONE_BRIDGE })) {
+        if (!value) throw new Error(`Missing ${key} in .env`);
+    }
+
+    const reconciler = new SupplyReconciler({
+        bsc: {
+            address: PIONE_BRIDGE_BSC,
+            provider: new ethers.JsonRpcProvider(BSC_RPC_URL),
+            startBlock: optionalBlock(process.env.BSC_START_BLOCK)
+        },
+        pione: {
+            address: PIONE_BRIDGE,
+            provider: new ethers.JsonRpcProvider(PIONE_RPC_URL),
+            startBlock: optionalBlock(process.env.PIONE_START_BLOCK)
+        },
+        preMinted: PRE_MINTED_SUPPLY
+    });
+
+    if (RECONCILE_INTERVAL > 0) {
+        console.log("reconciler started, interval :>> ", RECONCILE_INTERVAL);
+        reconciler.start(RECONCILE_INTERVAL);
+        const shutdown = () => {
+            console.log("reconciler stopping...");
+            reconciler.stop();
+            process.exit(0);
+        };
+        process.on("SIGINT", shutdown);
+        process.on("SIGTERM", shutdown);
+        return;
+    }
+
+    const report = await reconciler.reconcile({
+        bscBlock: optionalBlock(process.env.RECONCILE_BSC_BLOCK),
+        pioneBlock: optionalBlock(process.env.RECONCILE_PIONE_BLOCK)
+    });
+    printReport(report);
+    if (!report.ok) process.exit(1);
+}
+
+main().catch((err) => {
+    console.log('err :>> ', err);
+    process.exit(1);
+});
@@ -0,0 +1,212 @@
+const fs = require("fs");
+const path = require("path");
+
+// Lifecycle of a relayed request:
+//   seen       BridgeInitiated observed on the source chain
+//   submitted  bridgeIn sent to the target chain
+//   confirmed  target bridge reports the request as processed
+//   failed     bridgeIn reverted or could not be sent, retried from `retryAt`
+//              on; orphaned requests and unknown targets are failed for good
+//
+// Refunds (`BridgeRejected` observed on a target chain) go through the same
+// statuses, `confirmed` meaning the refund is approved on the source chain.
+const RequestStatus = Object.freeze({
+    SEEN: "seen",
+    SUBMITTED: "submitted",
+    CONFIRMED: "confirmed",
+    FAILED: "failed"
+});
+
+// BigInts are stored the same way Ignition's journal.jsonl stores them.
+function replacer(key, value) {
+    return typeof value === "bigint" ? { _kind: "bigint", value: value.toString() } : value;
+}
+
+function reviver(key, value) {
+    return value && value._kind === "bigint" ? BigInt(value.value) : value;
+}
+
+/**
+ * Append-only JSON-lines store for relayer state.
+ *
+ * Every state change is written as one line and the current state is the
+ * replay of all lines, so a crash can at worst lose the line being written.
+ * Without a `filePath` the journal is kept in memory only.
+ */
+class Journal {
+    constructor(filePath) {
+        this._filePath = filePath;
+        this._cursors = new Map();
+        this._requests = new Map();
+        this._refunds = new Map();
+
+        if (filePath && fs.existsSync(filePath)) {
+            const lines = fs.readFileSync(filePath, "utf8").split("\n").filter(Boolean);
+            lines.forEach((line, i) => {
+                let entry;
+                try {
+                    entry = JSON.parse(line, reviver);
+                } catch (error) {
+                    if (i !== lines.length - 1) throw new Error(`Corrupted journal ${filePath} at line ${i + 1}`);
+                    // Only the last line can be cut short by a crash; drop it
+                    // so the next append starts on a fresh line.
+                    fs.writeFileSync(filePath, lines.slice(0, i).map(l => l + "\n").join(""));
+                    return;
+                }
+                this._apply(entry);
+            });
+        } else if (filePath) {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        }
+    }
+
+    /**
+     * Returns the last scanned `{ block, hash }` of a chain, if any.
+     */
+    getCursor(chainId) {
+        return this._cursors.get(chainId.toString());
+    }
+
+    setCursor(chainId, block, hash) {
+        this._write({ type: "CURSOR", chainId: chainId.toString(), block, hash });
+    }
+
+    getRequest(requestId) {
+        return this._requests.get(requestId);
+    }
+
+    /**
+     * Returns requests, optionally filtered by status and source chain.
+     */
+    getRequests({ status, sourceChain } = {}) {
+        return [...this._requests.values()].filter(r =>
+            (status === undefined || [].concat(status).includes(r.status)) &&
+            (sourceChain === undefined || r.request.sourceChain === BigInt(sourceChain))
+        );
+    }
+
+    /**
+     * Records a request observed on the source chain, its new location after
+     * a reorg, or puts an unfinished request back in the queue.
+     */
+    recordSeen(item) {
+        this._write({ type: "REQUEST_SEEN", ...item });
+    }
+
+    recordSubmitted(requestId, hash) {
+        this._write({ type: "REQUEST_SUBMITTED", requestId, hash });
+    }
+
+    recordConfirmed(requestId, hash) {
+        this._write({ type: "REQUEST_CONFIRMED", requestId, hash });
+    }
+
+    /**
+     * Records a failed attempt. `retryAt` (ms timestamp) is set for failures
+     * worth retrying and left out for final ones.
+     */
+    recordFailed(requestId, reason, retryAt) {
+        this._write({ type: "REQUEST_FAILED", requestId, reason, retryAt });
+    }
+
+    getRefund(requestId) {
+        return this._refunds.get(requestId);
+    }
+
+    /**
+     * Returns refunds, optionally filtered by status and by the chain that
+     * rejected the request.
+     */
+    getRefunds({ status, chainId } = {}) {
+        return [...this._refunds.values()].filter(r =>
+            (status === undefined || [].concat(status).includes(r.status)) &&
+            (chainId === undefined || r.chainId === BigInt(chainId))
+        );
+    }
+
+    /**
+     * Records a rejection observed on a target chain, or its new location
+     * after a reorg.
+     */
+    recordRefundSeen(item) {
+        this._write({ type: "REFUND_SEEN", ...item });
+    }
+
+    recordRefundApproved(requestId, hash) {
+        this._write({ type: "REFUND_APPROVED", requestId, hash });
+    }
+
+    recordRefundFailed(requestId, reason, retryAt) {
+        this._write({ type: "REFUND_FAILED", requestId, reason, retryAt });
+    }
+
+    _write(entry) {
+        if (this._filePath) {
+            fs.appendFileSync(this._filePath, JSON.stringify(entry, replacer) + "\n");
+        }
+        this._apply(entry);
+    }
+
+    _apply(entry) {
+        const { type, ...data } = entry;
+        switch (type) {
+            case "CURSOR":
+                this._cursors.set(data.chainId, { block: data.block, hash: data.hash });
+                break;
+            case "REQUEST_SEEN": {
+                const previous = this._requests.get(data.requestId);
+                // A confirmed request is final; anything else is queued again.
+                this._requests.set(data.requestId, {
+                    ...previous,
+                    ...data,
+                    status: previous?.status === RequestStatus.CONFIRMED
+                        ? RequestStatus.CONFIRMED
+                        : RequestStatus.SEEN
+                });
+                break;
+            }
+            case "REQUEST_SUBMITTED":
+                this._update(data.requestId, { status: RequestStatus.SUBMITTED, hash: data.hash });
+                break;
+            case "REQUEST_CONFIRMED":
+                this._update(data.requestId, { status: RequestStatus.CONFIRMED, hash: data.hash });
+                break;
+            case "REQUEST_FAILED":
+                this._fail(data, this._requests);
+                break;
+            case "REFUND_SEEN": {
+                const previous = this._refunds.get(data.requestId);
+                this._refunds.set(data.requestId, {
+                    ...previous,
+                    ...data,
+                    status: previous?.status === RequestStatus.CONFIRMED
+                        ? RequestStatus.CONFIRMED
+                        : RequestStatus.SEEN
+                });
+                break;
+            }
+            case "REFUND_APPROVED":
+                this._update(data.requestId, { status: RequestStatus.CONFIRMED, hash: data.hash }, this._refunds);
+                break;
+            case "REFUND_FAILED":
+                this._fail(data, this._refunds);
+                break;
+            default:
+                throw new Error(`Unknown journal entry ${type}`);
+        }
+    }
+
+    // Failed attempts are counted so the relayer can back off between retries.
+    _fail({ requestId, reason, retryAt }, items) {
+        const attempts = (items.get(requestId)?.attempts ?? 0) + 1;
+        this._update(requestId, { status: RequestStatus.FAILED, reason, retryAt, attempts }, items);
+    }
+
+    _update(requestId, changes, items = this._requests) {
+        const item = items.get(requestId);
+        if (!item) throw new Error(`Unknown request ${requestId}`);
+        Object.assign(item, changes);
+    }
+}
+
+module.exports = { Journal, RequestStatus };
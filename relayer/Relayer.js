@@ -0,0 +1,557 @@
+const { ethers } = require("ethers");
+const { getAbi } = require("../lib/artifacts");
+const { Journal, RequestStatus } = require("./Journal");
+const { BRIDGE_REQUEST_TYPES, REFUND_APPROVAL_TYPES, getBridgeDomain, collectSignatures } = require("../lib/attestation");
+
+const BLOCK_RANGE = 5000;
+
+// `OutboundStatus` of the source bridges.
+const OutboundStatus = Object.freeze({ NONE: 0n, PENDING: 1n, REFUND_APPROVED: 2n, REFUNDED: 3n });
+
+// Failures that no retry can fix. Anything else, e.g. a paused bridge, an
+// exceeded daily limit, missing liquidity or an RPC/nonce error, is retried.
+const TERMINAL_FAILURES = new Set([
+    "orphaned",
+    "unknown target chain",
+    "unknown source chain",
+    "unknown outbound request"
+]);
+
+/**
+ * Reference operator for the PIONE bridge pair.
+ *
+ * Every configured chain is both a source and a target: the relayer scans
+ * each bridge for `BridgeInitiated`, rebuilds the `BridgeRequest` struct from
+ * the event and submits `bridgeIn` on the bridge deployed on `targetChain`
+ * with the chain's `OPERATOR_ROLE` signer.
+ *
+ * Requests are held as pending until their block has `confirmations` on the
+ * source chain. Right before `bridgeIn` the originating log is looked up
+ * again, so a request whose block was orphaned by a reorg is dropped instead
+ * of being paid out on the target chain.
+ *
+ * The way back works the same: a `BridgeRejected` emitted by a target bridge
+ * waits for its confirmations and is then relayed to the source bridge as
+ * `approveRefund`, after which the sender can reclaim the request there.
+ *
+ * A failed `bridgeIn` or `approveRefund` is retried with exponential
+ * backoff, starting at `retryDelayMs` and capped at `maxRetryDelayMs`. Only
+ * orphaned requests and requests for unknown chains fail for good.
+ *
+ * Scan cursors and request states live in a `Journal`. On `init()` the
+ * relayer resumes from the stored cursors and reconciles unfinished requests
+ * against `processedTransactions` on their target bridge.
+ */
+class Relayer {
+    /**
+     * @param {Object} options
+     * @param {Array<Object>} options.chains Chain entries:
+     *   - `name`        label used in logs
+     *   - `contract`    artifact name (`PioneChainBridge` or `PioneChainBridgeBSC`)
+     *   - `address`     bridge address
+     *   - `signer`      connected signer holding `OPERATOR_ROLE` on this bridge
+     *   - `startBlock`  first block to scan (defaults to the current head)
+     *   - `confirmations` blocks required on top of a request, counting its
+     *                   own block (defaults to 1)
+     *   - `attesters`   validators asked for signatures when this bridge runs
+     *                   in attestation mode (`validatorThreshold > 0`):
+     *                   `ValidatorClient`s of independently run validators,
+     *                   or `Validator` instances. The relayer holds no
+     *                   validator key, it only collects and submits.
+     *   - `batchSize`   requests sent per `bridgeInBatch` to this bridge
+     *                   (defaults to 1, one `bridgeIn` per request). Not
+     *                   used in attestation mode.
+     * @param {Journal} [options.journal] persistent state, in-memory by default
+     * @param {number} [options.retryDelayMs] delay before the first retry of a
+     *   failed request, doubled on every further failure (defaults to 30s)
+     * @param {number} [options.maxRetryDelayMs] longest delay between retries
+     *   (defaults to 1h)
+     * @param {Object} [options.logger] console-compatible logger
+     */
+    constructor({ chains, journal = new Journal(), retryDelayMs = 30000, maxRetryDelayMs = 3600000, logger = console }) {
+        if (!chains || chains.length < 2) throw new Error("Relayer needs at least two chains");
+        this._config = chains;
+        this._journal = journal;
+        this._retryDelayMs = retryDelayMs;
+        this._maxRetryDelayMs = maxRetryDelayMs;
+        this._logger = logger;
+        this._chains = new Map();
+        this._timer = null;
+        this._running = false;
+    }
+
+    /**
+     * Resolves each bridge's `CHAIN_ID`, restores the scan cursors and
+     * reconciles requests left unfinished by a previous run.
+     */
+    async init() {
+        for (const config of this._config) {
+            const bridge = new ethers.Contract(config.address, getAbi(config.contract), config.signer);
+            const chainId = await bridge.CHAIN_ID();
+            if (this._chains.has(chainId)) throw new Error(`Duplicate chain ${chainId}`);
+
+            const provider = config.signer.provider;
+            const saved = this._journal.getCursor(chainId);
+            const floor = config.startBlock !== undefined
+                ? config.startBlock - 1
+                : saved?.block ?? await provider.getBlockNumber();
+
+            this._chains.set(chainId, {
+                name: config.name,
+                chainId,
+                bridge,
+                provider,
+                confirmations: Math.max(config.confirmations ?? 1, 1),
+                attesters: config.attesters ?? [],
+                batchSize: Math.max(config.batchSize ?? 1, 1),
+                floor,
+                cursor: saved ? Math.max(saved.block, floor) : floor,
+                cursorHash: saved && saved.block >= floor ? saved.hash : null
+            });
+            // Persist the starting point right away so a restart before the
+            // first new block never skips past events.
+            if (!saved) this._journal.setCursor(chainId, floor, null);
+        }
+
+        await this._reconcile();
+        return this;
+    }
+
+    /**
+     * Scans every chain once and relays the requests that reached their
+     * confirmation depth.
+     * @return {Promise<Array<Object>>} results of the requests settled in this pass
+     */
+    async poll() {
+        const results = [];
+        for (const source of this._chains.values()) {
+            const latest = await source.provider.getBlockNumber();
+            await this._scan(source, latest);
+            results.push(...await this._processPending(source, latest));
+        }
+        return results;
+    }
+
+    /**
+     * Polls forever with `intervalMs` between passes until `stop()` is called.
+     */
+    start(intervalMs = 5000) {
+        if (this._running) return;
+        this._running = true;
+
+        const tick = async () => {
+            try {
+                await this.poll();
+            } catch (error) {
+                this._logger.error("relayer poll failed :>> ", error.message);
+            }
+            if (this._running) this._timer = setTimeout(tick, intervalMs);
+        };
+        tick();
+    }
+
+    stop() {
+        this._running = false;
+        if (this._timer) clearTimeout(this._timer);
+        this._timer = null;
+    }
+
+    /**
+     * Returns the last scanned block of the chain identified by `chainId`.
+     */
+    getCursor(chainId) {
+        return this._chains.get(BigInt(chainId))?.cursor;
+    }
+
+    /**
+     * Returns the requests seen on the chain identified by `chainId` that are
+     * still waiting for confirmations.
+     */
+    getPending(chainId) {
+        return this._journal.getRequests({ status: RequestStatus.SEEN, sourceChain: chainId });
+    }
+
+    /**
+     * Settles unfinished requests whose `bridgeIn` already landed and queues
+     * the remaining submitted ones again.
+     */
+    async _reconcile() {
+        const unfinished = this._journal.getRequests({
+            status: [RequestStatus.SEEN, RequestStatus.SUBMITTED, RequestStatus.FAILED]
+        });
+        for (const item of unfinished) {
+            const target = this._chains.get(item.request.targetChain);
+            if (!target) continue;
+
+            if (await target.bridge.processedTransactions(item.requestId)) {
+                this._logger.log(`[${target.name}] ${item.requestId} reconciled as processed`);
+                this._journal.recordConfirmed(item.requestId, item.hash ?? null);
+            } else if (item.status === RequestStatus.SUBMITTED) {
+                this._logger.warn(`[${target.name}] ${item.requestId} submission was lost, queued again`);
+                this._journal.recordSeen(location(item));
+            }
+        }
+
+        const refunds = this._journal.getRefunds({ status: [RequestStatus.SEEN, RequestStatus.FAILED] });
+        for (const item of refunds) {
+            const source = this._chains.get(item.sourceChain);
+            if (!source) continue;
+
+            const { status } = await source.bridge.outboundRequests(item.requestId);
+            if (status >= OutboundStatus.REFUND_APPROVED) {
+                this._logger.log(`[${source.name}] refund of ${item.requestId} reconciled as approved`);
+                this._journal.recordRefundApproved(item.requestId, null);
+            }
+        }
+    }
+
+    // Scans up to `latest` in pieces of `BLOCK_RANGE` blocks, as public RPCs
+    // reject larger log queries, and saves the cursor after each piece.
+    async _scan(source, latest) {
+        await this._detectReorg(source);
+        while (source.cursor < latest) {
+            await this._scanRange(source, source.cursor + 1, Math.min(source.cursor + BLOCK_RANGE, latest));
+        }
+    }
+
+    async _scanRange(source, from, to) {
+        const events = await source.bridge.queryFilter(source.bridge.filters.BridgeInitiated(), from, to);
+        for (const event of events) {
+            const { requestId, from, to, amount, sourceChain, targetChain, nonce } = event.args;
+            const known = this._journal.getRequest(requestId);
+            if (known && known.blockHash === event.blockHash) continue;
+
+            this._journal.recordSeen({
+                requestId,
+                request: { from, to, amount, sourceChain, targetChain, nonce },
+                blockNumber: event.blockNumber,
+                blockHash: event.blockHash,
+                transactionHash: event.transactionHash,
+                logIndex: event.index
+            });
+        }
+
+        const rejections = await source.bridge.queryFilter(source.bridge.filters.BridgeRejected(), from, to);
+        for (const event of rejections) {
+            const { requestId, sourceChain } = event.args;
+            const known = this._journal.getRefund(requestId);
+            if (known && known.blockHash === event.blockHash) continue;
+
+            this._journal.recordRefundSeen({
+                requestId,
+                chainId: source.chainId,
+                sourceChain,
+                blockNumber: event.blockNumber,
+                blockHash: event.blockHash,
+                transactionHash: event.transactionHash,
+                logIndex: event.index
+            });
+        }
+
+        const head = await source.provider.getBlock(to);
+        source.cursor = to;
+        source.cursorHash = head.hash;
+        this._journal.setCursor(source.chainId, source.cursor, source.cursorHash);
+    }
+
+    /**
+     * Rewinds the cursor by the confirmation depth when the last scanned
+     * block is no longer canonical, so replacement blocks get scanned.
+     */
+    async _detectReorg(source) {
+        if (!source.cursorHash) return;
+
+        const block = await source.provider.getBlock(source.cursor);
+        if (block && block.hash === source.cursorHash) return;
+
+        const rewound = Math.max(source.cursor - source.confirmations, source.floor);
+        this._logger.warn(`[${source.name}] reorg detected at block ${source.cursor}, rescanning from ${rewound + 1}`);
+        source.cursor = rewound;
+        source.cursorHash = null;
+        this._journal.setCursor(source.chainId, source.cursor, null);
+    }
+
+    async _processPending(source, latest) {
+        const results = [];
+        const ready = [];
+        const retries = this._journal.getRequests({ status: RequestStatus.FAILED, sourceChain: source.chainId })
+            .filter(item => this._isDue(item));
+        for (const item of [...this.getPending(source.chainId), ...retries]) {
+            if (latest - item.blockNumber + 1 < source.confirmations) continue;
+
+            const origin = await this._verifyOrigin(source, item, "BridgeInitiated",
+                moved => this._journal.recordSeen({ ...location(item), ...moved }));
+            if (origin === "moved") continue;
+
+            if (origin === "orphaned") {
+                this._logger.warn(`[${source.name}] ${item.requestId} orphaned at block ${item.blockNumber}, dropped`);
+                this._journal.recordFailed(item.requestId, "orphaned");
+                results.push({ requestId: item.requestId, status: "orphaned" });
+                continue;
+            }
+            ready.push(item);
+        }
+        results.push(...await this._relayAll(source, ready));
+
+        const refunds = this._journal.getRefunds({ status: [RequestStatus.SEEN, RequestStatus.FAILED], chainId: source.chainId })
+            .filter(item => item.status === RequestStatus.SEEN || this._isDue(item));
+        for (const item of refunds) {
+            if (latest - item.blockNumber + 1 < source.confirmations) continue;
+
+            const origin = await this._verifyOrigin(source, item, "BridgeRejected",
+                moved => this._journal.recordRefundSeen({ ...refundLocation(item), ...moved }));
+            if (origin === "moved") continue;
+
+            if (origin === "orphaned") {
+                // Without a canonical rejection the request may still be
+                // completed on this chain, so it must not be refunded.
+                this._logger.warn(`[${source.name}] rejection of ${item.requestId} orphaned, dropped`);
+                this._journal.recordRefundFailed(item.requestId, "orphaned");
+                results.push({ requestId: item.requestId, status: "orphaned" });
+                continue;
+            }
+            results.push(await this._approveRefund(source, item));
+        }
+        return results;
+    }
+
+    /**
+     * Looks the originating `eventName` log up again in the canonical chain.
+     * A log that moved to another block is re-anchored there through
+     * `relocate` and has to collect its confirmations again.
+     * @return {Promise<string>} `canonical`, `moved` or `orphaned`
+     */
+    async _verifyOrigin(source, item, eventName, relocate) {
+        const receipt = await source.provider.getTransactionReceipt(item.transactionHash);
+        const bridgeAddress = (await source.bridge.getAddress()).toLowerCase();
+        const topic = source.bridge.interface.getEvent(eventName).topicHash;
+        const log = receipt?.logs.find(l =>
+            l.address.toLowerCase() === bridgeAddress &&
+            l.topics[0] === topic &&
+            l.topics[1] === item.requestId
+        );
+        if (!log) return "orphaned";
+
+        const block = await source.provider.getBlock(receipt.blockNumber);
+        if (!block || block.hash !== receipt.blockHash) return "orphaned";
+
+        if (receipt.blockHash !== item.blockHash) {
+            this._logger.warn(`[${source.name}] ${eventName} of ${item.requestId} moved to block ${receipt.blockNumber}`);
+            relocate({ blockNumber: receipt.blockNumber, blockHash: receipt.blockHash, logIndex: log.index });
+            return "moved";
+        }
+        return "canonical";
+    }
+
+    /**
+     * Relays `items` one by one, except those targeting a bridge with a
+     * `batchSize` above 1 outside attestation mode, which are sent in
+     * `bridgeInBatch` chunks.
+     */
+    async _relayAll(source, items) {
+        const results = [];
+        const batches = new Map();
+        for (const item of items) {
+            const target = this._chains.get(item.request.targetChain);
+            if (target && await this._batches(target)) {
+                if (!batches.has(target)) batches.set(target, []);
+                batches.get(target).push(item);
+                continue;
+            }
+            results.push(await this._relay(source, item));
+        }
+
+        for (const [target, queued] of batches) {
+            for (let i = 0; i < queued.length; i += target.batchSize) {
+                results.push(...await this._relayBatch(source, target, queued.slice(i, i + target.batchSize)));
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Whether a failed request is worth retrying and its backoff has passed.
+     * Entries written before retries existed carry no `retryAt` and are
+     * retried right away.
+     */
+    _isDue(item) {
+        return !TERMINAL_FAILURES.has(item.reason) && (item.retryAt ?? 0) <= Date.now();
+    }
+
+    _retryAt(item) {
+        return Date.now() + Math.min(this._retryDelayMs * 2 ** (item.attempts ?? 0), this._maxRetryDelayMs);
+    }
+
+    async _batches(target) {
+        return target.batchSize > 1 && await target.bridge.validatorThreshold() === 0n;
+    }
+
+    /**
+     * Sends `items` in one `bridgeInBatch`. Requests the receipt reports as
+     * `BridgeInSkipped` were processed by someone else in the meantime.
+     */
+    async _relayBatch(source, target, items) {
+        const results = [];
+        const unprocessed = [];
+        for (const item of items) {
+            if (await target.bridge.processedTransactions(item.requestId)) {
+                this._logger.log(`[${target.name}] ${item.requestId} already processed`);
+                this._journal.recordConfirmed(item.requestId, null);
+                results.push({ requestId: item.requestId, status: "processed" });
+            } else {
+                unprocessed.push(item);
+            }
+        }
+        if (unprocessed.length === 0) return results;
+
+        try {
+            const tx = await target.bridge.bridgeInBatch(unprocessed.map(item => item.request), unprocessed.map(item => item.requestId));
+            for (const { requestId } of unprocessed) this._journal.recordSubmitted(requestId, tx.hash);
+            const receipt = await tx.wait();
+
+            const bridgeAddress = (await target.bridge.getAddress()).toLowerCase();
+            const skipped = new Set(receipt.logs
+                .filter(log => log.address.toLowerCase() === bridgeAddress)
+                .map(log => target.bridge.interface.parseLog(log))
+                .filter(log => log?.name === "BridgeInSkipped")
+                .map(log => log.args.requestId));
+            for (const { requestId } of unprocessed) {
+                if (skipped.has(requestId)) {
+                    this._journal.recordConfirmed(requestId, null);
+                    results.push({ requestId, status: "processed" });
+                } else {
+                    this._journal.recordConfirmed(requestId, receipt.hash);
+                    results.push({ requestId, status: "relayed", hash: receipt.hash });
+                }
+            }
+            this._logger.log(`[${source.name} -> ${target.name}] ${unprocessed.length - skipped.size} requests relayed in batch, hash :>> ${receipt.hash}`);
+        } catch (error) {
+            const reason = error.shortMessage || error.message;
+            this._logger.error(`[${source.name} -> ${target.name}] batch of ${unprocessed.length} requests failed :>> `, reason);
+            for (const item of unprocessed) {
+                const retryAt = this._retryAt(item);
+                this._journal.recordFailed(item.requestId, reason, retryAt);
+                results.push({ requestId: item.requestId, status: "failed", error, retryAt });
+            }
+        }
+        return results;
+    }
+
+    async _relay(source, item) {
+        const { requestId, request } = item;
+        const target = this._chains.get(request.targetChain);
+
+        if (!target) {
+            this._logger.warn(`[${source.name}] ${requestId} targets unknown chain ${request.targetChain}, skipped`);
+            this._journal.recordFailed(requestId, "unknown target chain");
+            return { requestId, status: "skipped" };
+        }
+
+        if (await target.bridge.processedTransactions(requestId)) {
+            this._logger.log(`[${target.name}] ${requestId} already processed`);
+            this._journal.recordConfirmed(requestId, null);
+            return { requestId, status: "processed" };
+        }
+
+        try {
+            const tx = await this._submit(target, item);
+            this._journal.recordSubmitted(requestId, tx.hash);
+            const receipt = await tx.wait();
+            this._journal.recordConfirmed(requestId, receipt.hash);
+            this._logger.log(`[${source.name} -> ${target.name}] ${requestId} relayed, hash :>> ${receipt.hash}`);
+            return { requestId, status: "relayed", hash: receipt.hash };
+        } catch (error) {
+            const reason = error.shortMessage || error.message;
+            const retryAt = this._retryAt(item);
+            this._logger.error(`[${source.name} -> ${target.name}] ${requestId} failed, retry at ${new Date(retryAt).toISOString()} :>> `, reason);
+            this._journal.recordFailed(requestId, reason, retryAt);
+            return { requestId, status: "failed", error, retryAt };
+        }
+    }
+
+    /**
+     * Sends `bridgeIn`, or `bridgeInWithSignatures` with signatures collected
+     * from the target's attesters when the target bridge runs in attestation
+     * mode. Each validator re-checks the source transaction on its own.
+     */
+    async _submit(target, item) {
+        const { requestId, request, transactionHash } = item;
+        const threshold = await target.bridge.validatorThreshold();
+        if (threshold === 0n) return target.bridge.bridgeIn(request, requestId);
+
+        target.domain ??= await getBridgeDomain(target.bridge);
+        const signatures = await collectSignatures(target.bridge, threshold, target.attesters,
+            attester => attester.attestBridgeRequest({ requestId, sourceChain: request.sourceChain, transactionHash }),
+            signature => ethers.verifyTypedData(target.domain, BRIDGE_REQUEST_TYPES, request, signature));
+        return target.bridge.bridgeInWithSignatures(request, requestId, signatures);
+    }
+
+    /**
+     * Approves on the source bridge the refund of a request that `target`
+     * rejected.
+     */
+    async _approveRefund(target, item) {
+        const { requestId } = item;
+        const source = this._chains.get(item.sourceChain);
+
+        if (!source) {
+            this._logger.warn(`[${target.name}] rejection of ${requestId} from unknown chain ${item.sourceChain}, skipped`);
+            this._journal.recordRefundFailed(requestId, "unknown source chain");
+            return { requestId, status: "skipped" };
+        }
+
+        const { status } = await source.bridge.outboundRequests(requestId);
+        if (status >= OutboundStatus.REFUND_APPROVED) {
+            this._logger.log(`[${source.name}] refund of ${requestId} already approved`);
+            this._journal.recordRefundApproved(requestId, null);
+            return { requestId, status: "processed" };
+        }
+        if (status === OutboundStatus.NONE) {
+            this._logger.warn(`[${source.name}] rejection of ${requestId} matches no outbound request, skipped`);
+            this._journal.recordRefundFailed(requestId, "unknown outbound request");
+            return { requestId, status: "skipped" };
+        }
+
+        try {
+            const tx = await this._submitRefund(source, item);
+            const receipt = await tx.wait();
+            this._journal.recordRefundApproved(requestId, receipt.hash);
+            this._logger.log(`[${target.name} -> ${source.name}] refund of ${requestId} approved, hash :>> ${receipt.hash}`);
+            return { requestId, status: "refund-approved", hash: receipt.hash };
+        } catch (error) {
+            const reason = error.shortMessage || error.message;
+            const retryAt = this._retryAt(item);
+            this._logger.error(`[${target.name} -> ${source.name}] refund of ${requestId} failed, retry at ${new Date(retryAt).toISOString()} :>> `, reason);
+            this._journal.recordRefundFailed(requestId, reason, retryAt);
+            return { requestId, status: "failed", error, retryAt };
+        }
+    }
+
+    /**
+     * Sends `approveRefund`, or `approveRefundWithSignatures` when the source
+     * bridge runs in attestation mode.
+     */
+    async _submitRefund(source, item) {
+        const { requestId, chainId, transactionHash } = item;
+        const threshold = await source.bridge.validatorThreshold();
+        if (threshold === 0n) return source.bridge.approveRefund(requestId);
+
+        source.domain ??= await getBridgeDomain(source.bridge);
+        const signatures = await collectSignatures(source.bridge, threshold, source.attesters,
+            attester => attester.attestRefund({ requestId, chainId, transactionHash }),
+            signature => ethers.verifyTypedData(source.domain, REFUND_APPROVAL_TYPES, { requestId }, signature));
+        return source.bridge.approveRefundWithSignatures(requestId, signatures);
+    }
+}
+
+// Fields of a journal entry that locate a request on its source chain.
+function location({ requestId, request, blockNumber, blockHash, transactionHash, logIndex }) {
+    return { requestId, request, blockNumber, blockHash, transactionHash, logIndex };
+}
+
+// Fields of a refund journal entry that locate the rejection on its chain.
+function refundLocation({ requestId, chainId, sourceChain, blockNumber, blockHash, transactionHash, logIndex }) {
+    return { requestId, chainId, sourceChain, blockNumber, blockHash, transactionHash, logIndex };
+}
+
+module.exports = { Relayer };
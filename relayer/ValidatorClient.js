@@ -0,0 +1,54 @@
+/**
+ * HTTP client of a validator started with validator/index.js. It exposes the
+ * same `attestBridgeRequest` / `attestRejection` / `attestRefund` methods as `Validator`, so the
+ * relayer can be given either one as an attester.
+ */
+class ValidatorClient {
+    /**
+     * @param {string} url base URL of the validator
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] per request timeout (defaults to 10s)
+     */
+    constructor(url, { timeoutMs = 10000 } = {}) {
+        this._url = url.replace(/\/+$/, "");
+        this._timeoutMs = timeoutMs;
+    }
+
+    async attestBridgeRequest({ requestId, sourceChain, transactionHash }) {
+        return this._post("/attestations/bridge-request", {
+            requestId,
+            sourceChain: sourceChain.toString(),
+            transactionHash
+        });
+    }
+
+    async attestRejection({ requestId, sourceChain, transactionHash }) {
+        return this._post("/attestations/rejection", {
+            requestId,
+            sourceChain: sourceChain.toString(),
+            transactionHash
+        });
+    }
+
+    async attestRefund({ requestId, chainId, transactionHash }) {
+        return this._post("/attestations/refund", {
+            requestId,
+            chainId: chainId.toString(),
+            transactionHash
+        });
+    }
+
+    async _post(path, params) {
+        const response = await fetch(this._url + path, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(params),
+            signal: AbortSignal.timeout(this._timeoutMs)
+        });
+        const body = await response.json();
+        if (!response.ok) throw new Error(`Validator ${this._url} refused: ${body.error}`);
+        return body;
+    }
+}
+
+module.exports = { ValidatorClient };
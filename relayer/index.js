@@ -0,0 +1,80 @@
+const path = require("path");
+const { ethers } = require("ethers");
+const { Relayer } = require("./Relayer");
+const { Journal } = require("./Journal");
+const { ValidatorClient } = require("./ValidatorClient");
+require("dotenv").config();
+
+const BSC_RPC_URL = process.env.BSC_RPC_URL || "";
+const PIONE_RPC_URL = process.env.PIONE_RPC_URL || "";
+const PIONE_BRIDGE_BSC = process.env.PIONE_BRIDGE_BSC || "";
+const PIONE_BRIDGE = process.env.PIONE_BRIDGE || "";
+const OPERATOR_PRIVATE_KEY = process.env.OPERATOR_PRIVATE_KEY || "";
+const RELAYER_POLL_INTERVAL = Number(process.env.RELAYER_POLL_INTERVAL || 5000);
+const BSC_CONFIRMATIONS = Number(process.env.BSC_CONFIRMATIONS || 15);
+const PIONE_CONFIRMATIONS = Number(process.env.PIONE_CONFIRMATIONS || 15);
+const VALIDATOR_URLS = (process.env.VALIDATOR_URLS || "").split(",").filter(Boolean);
+const RELAYER_BATCH_SIZE = Number(process.env.RELAYER_BATCH_SIZE || 1);
+const RELAYER_RETRY_DELAY = Number(process.env.RELAYER_RETRY_DELAY || 30000);
+const RELAYER_MAX_RETRY_DELAY = Number(process.env.RELAYER_MAX_RETRY_DELAY || 3600000);
+const RELAYER_JOURNAL = process.env.RELAYER_JOURNAL || path.join(__dirname, "data", "journal.jsonl");
+
+function optionalBlock(value) {
+    return value ? Number(value) : undefined;
+}
+
+async function main() {
+    for (const [key, value] of Object.entries({ BSC_RPC_URL, PIONE_RPC_URL, PIONE_BRIDGE_BSC, PIONE_BRIDGE, OPERATOR_PRIVATE_KEY })) {
+        if (!value) throw new Error(`Missing ${key} in .env`);
+    }
+
+    const bscProvider = new ethers.JsonRpcProvider(BSC_RPC_URL);
+    const pioneProvider = new ethers.JsonRpcProvider(PIONE_RPC_URL);
+    const attesters = VALIDATOR_URLS.map(url => new ValidatorClient(url));
+
+    const relayer = new Relayer({
+        journal: new Journal(RELAYER_JOURNAL),
+        retryDelayMs: RELAYER_RETRY_DELAY,
+        maxRetryDelayMs: RELAYER_MAX_RETRY_DELAY,
+        chains: [
+            {
+                name: "bsc",
+                contract: "PioneChainBridgeBSC",
+                address: PIONE_BRIDGE_BSC,
+                signer: new ethers.Wallet(OPERATOR_PRIVATE_KEY, bscProvider),
+                attesters,
+                startBlock: optionalBlock(process.env.BSC_START_BLOCK),
+                confirmations: BSC_CONFIRMATIONS,
+                batchSize: RELAYER_BATCH_SIZE
+            },
+            {
+                name: "pione",
+                contract: "PioneChainBridge",
+                address: PIONE_BRIDGE,
+                signer: new ethers.Wallet(OPERATOR_PRIVATE_KEY, pioneProvider),
+                attesters,
+                startBlock: optionalBlock(process.env.PIONE_START_BLOCK),
+                confirmations: PIONE_CONFIRMATIONS,
+                batchSize: RELAYER_BATCH_SIZE
+            }
+        ]
+    });
+    await relayer.init();
+
+    console.log("relayer journal :>> ", RELAYER_JOURNAL);
+    console.log("relayer started, poll interval :>> ", RELAYER_POLL_INTERVAL);
+    relayer.start(RELAYER_POLL_INTERVAL);
+
+    const shutdown = () => {
+        console.log("relayer stopping...");
+        relayer.stop();
+        process.exit(0);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+}
+
+main().catch((err) => {
+    console.log('err :>> ', err);
+    process.exit(1);
+});
@@ -0,0 +1,45 @@
+const path = require("path");
+const { ethers } = require("ethers");
+const { pauseAll } = require("../../lib/pause");
+const { readManifest } = require("../../lib/deployPair");
+const { findBridgeNetwork } = require("../../lib/deployParameters");
+require("dotenv").config();
+
+// Emergency stop: pauses both bridges, the PIONE token bridge and the
+// liquidity manager of a deployment in one run. Exits with 1 if a component
+// could not be paused. Unpausing stays with the admin and the PIONE owner.
+
+const BSC_RPC_URL = process.env.BSC_RPC_URL || "";
+const PIONE_RPC_URL = process.env.PIONE_RPC_URL || "";
+const DEPLOY_MANIFEST = process.env.DEPLOY_MANIFEST || "";
+const GUARDIAN_PRIVATE_KEY = process.env.GUARDIAN_PRIVATE_KEY || "";
+
+async function main() {
+    for (const [key, value] of Object.entries({ BSC_RPC_URL, PIONE_RPC_URL, GUARDIAN_PRIVATE_KEY })) {
+        if (!value) throw new Error(`Missing ${key} in .env`);
+    }
+
+    const bscProvider = new ethers.JsonRpcProvider(BSC_RPC_URL);
+    const pioneProvider = new ethers.JsonRpcProvider(PIONE_RPC_URL);
+    const { chainId } = await bscProvider.getNetwork();
+    const network = findBridgeNetwork(chainId);
+    if (!network) throw new Error(`BSC_RPC_URL points at chain ${chainId}, which is not part of a bridge pair`);
+
+    const manifestFile = DEPLOY_MANIFEST || path.join(__dirname, "..", "..", "deployments", `${network}.json`);
+    const manifest = readManifest(manifestFile);
+    if (!manifest.network) throw new Error(`No deployment manifest found at ${manifestFile}`);
+
+    const results = await pauseAll({
+        manifest,
+        bsc: new ethers.Wallet(GUARDIAN_PRIVATE_KEY, bscProvider),
+        pione: new ethers.Wallet(GUARDIAN_PRIVATE_KEY, pioneProvider)
+    });
+
+    console.table(results.map(({ chain, contract, status }) => ({ chain, contract, status })));
+    if (results.some(result => result.status === "failed")) process.exit(1);
+}
+
+main().catch((err) => {
+    console.log('err :>> ', err);
+    process.exit(1);
+});
@@ -0,0 +1,45 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { auditDeployment, formatReport } = require("../../lib/audit");
+const { readManifest } = require("../../lib/deployPair");
+const { findBridgeNetwork } = require("../../lib/deployParameters");
+require("dotenv").config();
+
+// Read-only audit of a bridge pair deployment. Prints a text report, writes
+// the JSON report next to the manifest and exits with 1 if a check failed.
+
+const BSC_RPC_URL = process.env.BSC_RPC_URL || "";
+const PIONE_RPC_URL = process.env.PIONE_RPC_URL || "";
+const DEPLOY_MANIFEST = process.env.DEPLOY_MANIFEST || "";
+const AUDIT_REPORT = process.env.AUDIT_REPORT || "";
+const AUDIT_START_BLOCK = Number(process.env.AUDIT_START_BLOCK || 0);
+
+async function main() {
+    for (const [key, value] of Object.entries({ BSC_RPC_URL, PIONE_RPC_URL })) {
+        if (!value) throw new Error(`Missing ${key} in .env`);
+    }
+
+    const bscProvider = new ethers.JsonRpcProvider(BSC_RPC_URL);
+    const pioneProvider = new ethers.JsonRpcProvider(PIONE_RPC_URL);
+    const { chainId } = await bscProvider.getNetwork();
+    const network = findBridgeNetwork(chainId);
+    if (!network) throw new Error(`BSC_RPC_URL points at chain ${chainId}, which is not part of a bridge pair`);
+
+    const manifestFile = DEPLOY_MANIFEST || path.join(__dirname, "..", "..", "deployments", `${network}.json`);
+    const manifest = readManifest(manifestFile);
+    if (!manifest.network) throw new Error(`No deployment manifest found at ${manifestFile}`);
+
+    const report = await auditDeployment({ manifest, bsc: bscProvider, pione: pioneProvider, startBlock: AUDIT_START_BLOCK });
+
+    const reportFile = AUDIT_REPORT || manifestFile.replace(/\.json$/, ".audit.json");
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2) + "\n");
+    console.log(formatReport(report));
+    console.log('\nreport :>> ', reportFile);
+    if (!report.ok) process.exit(1);
+}
+
+main().catch((err) => {
+    console.log('err :>> ', err);
+    process.exit(1);
+});
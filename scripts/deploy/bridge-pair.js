@@ -0,0 +1,49 @@
+const path = require("path");
+const { ethers } = require("ethers");
+const { deployPair } = require("../../lib/deployPair");
+const { findBridgeNetwork, readParameters } = require("../../lib/deployParameters");
+require("dotenv").config();
+
+// Deploys PIONE, PioneChainBridgeBSC and PioneChainBridge, wires them together
+// and checks the result, across both chains of a pair. Safe to run again after
+// a failure: finished steps are read back from the manifest and the chains.
+
+const BSC_RPC_URL = process.env.BSC_RPC_URL || "";
+const PIONE_RPC_URL = process.env.PIONE_RPC_URL || "";
+const PRIVATE_KEY = process.env.PRIVATE_KEY || "";
+const DEPLOY_PARAMETERS = process.env.DEPLOY_PARAMETERS || "";
+const DEPLOY_MANIFEST = process.env.DEPLOY_MANIFEST || "";
+
+async function main() {
+    for (const [key, value] of Object.entries({ BSC_RPC_URL, PIONE_RPC_URL, PRIVATE_KEY })) {
+        if (!value) throw new Error(`Missing ${key} in .env`);
+    }
+
+    const bscProvider = new ethers.JsonRpcProvider(BSC_RPC_URL);
+    const pioneProvider = new ethers.JsonRpcProvider(PIONE_RPC_URL);
+    const { chainId } = await bscProvider.getNetwork();
+    const network = findBridgeNetwork(chainId);
+    if (!network) throw new Error(`BSC_RPC_URL points at chain ${chainId}, which is not part of a bridge pair`);
+
+    const root = path.join(__dirname, "..", "..");
+    const parametersFile = DEPLOY_PARAMETERS || path.join(root, "ignition", "parameters", `${network}.json`);
+    const manifestFile = DEPLOY_MANIFEST || path.join(root, "deployments", `${network}.json`);
+    console.log('parameters :>> ', parametersFile);
+    console.log('manifest :>> ', manifestFile);
+
+    const manifest = await deployPair({
+        bsc: new ethers.Wallet(PRIVATE_KEY, bscProvider),
+        pione: new ethers.Wallet(PRIVATE_KEY, pioneProvider),
+        parameters: readParameters(parametersFile),
+        manifestFile
+    });
+
+    console.log('PIONE :>> ', manifest.bsc.contracts.PIONE.address);
+    console.log('PioneChainBridgeBSC :>> ', manifest.bsc.contracts.PioneChainBridgeBSC.address);
+    console.log('PioneChainBridge :>> ', manifest.pione.contracts.PioneChainBridge.address);
+}
+
+main().catch((err) => {
+    console.log('err :>> ', err);
+    process.exit(1);
+});
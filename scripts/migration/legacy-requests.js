@@ -0,0 +1,90 @@
+const { ethers } = require("ethers");
+const { getAbi } = require("../../lib/artifacts");
+const {
+    LEGACY_BRIDGE_ABI,
+    findInFlightRequests,
+    allowRequests,
+    getLiquidityShortfall,
+    seedLiquidity,
+    completeRequests
+} = require("../../lib/legacyMigration");
+const { ValidatorClient } = require("../../relayer/ValidatorClient");
+require("dotenv").config();
+
+// Moves requests that are still in flight between a retired bridge pair to the
+// new target bridge: every `BridgeInitiated` of the legacy source bridge that
+// the legacy target bridge never processed is allowed as a legacy request id
+// on the new target bridge, then completed there with `bridgeIn`.
+//
+// Run it once per direction, after pausing the legacy target bridge so that a
+// request can never be processed by both target bridges.
+//
+// When the new target bridge runs in attestation mode, the signatures are
+// requested from the validators at VALIDATOR_URLS, which must list the legacy
+// source bridge in their BSC_LEGACY_BRIDGES / PIONE_LEGACY_BRIDGES so they can
+// check each request against its BridgeInitiated log themselves.
+//
+// A new PioneChainBridge can only release what it holds. Seed it with the PIO
+// taken out of the legacy bridge before completing BSC -> PioneChain requests,
+// or set SEED_LIQUIDITY=true to have the admin send the missing amount.
+
+const LEGACY_SOURCE_RPC_URL = process.env.LEGACY_SOURCE_RPC_URL || "";
+const LEGACY_SOURCE_BRIDGE = process.env.LEGACY_SOURCE_BRIDGE || "";
+const LEGACY_START_BLOCK = Number(process.env.LEGACY_START_BLOCK || 0);
+const TARGET_RPC_URL = process.env.TARGET_RPC_URL || "";
+const LEGACY_TARGET_BRIDGE = process.env.LEGACY_TARGET_BRIDGE || "";
+const NEW_TARGET_BRIDGE = process.env.NEW_TARGET_BRIDGE || "";
+const NEW_TARGET_CONTRACT = process.env.NEW_TARGET_CONTRACT || "";
+const ADMIN_PRIVATE_KEY = process.env.ADMIN_PRIVATE_KEY || "";
+const OPERATOR_PRIVATE_KEY = process.env.OPERATOR_PRIVATE_KEY || "";
+const VALIDATOR_URLS = (process.env.VALIDATOR_URLS || "").split(",").filter(Boolean);
+const SEED_LIQUIDITY = process.env.SEED_LIQUIDITY === "true";
+
+async function main() {
+    for (const [key, value] of Object.entries({ LEGACY_SOURCE_RPC_URL, LEGACY_SOURCE_BRIDGE, TARGET_RPC_URL, LEGACY_TARGET_BRIDGE, NEW_TARGET_BRIDGE, NEW_TARGET_CONTRACT })) {
+        if (!value) throw new Error(`Missing ${key} in .env`);
+    }
+
+    const sourceProvider = new ethers.JsonRpcProvider(LEGACY_SOURCE_RPC_URL);
+    const targetProvider = new ethers.JsonRpcProvider(TARGET_RPC_URL);
+
+    const legacySource = new ethers.Contract(LEGACY_SOURCE_BRIDGE, LEGACY_BRIDGE_ABI, sourceProvider);
+    const legacyTarget = new ethers.Contract(LEGACY_TARGET_BRIDGE, LEGACY_BRIDGE_ABI, targetProvider);
+    const newTarget = new ethers.Contract(NEW_TARGET_BRIDGE, getAbi(NEW_TARGET_CONTRACT), targetProvider);
+
+    if (!(await legacyTarget.paused())) {
+        throw new Error("Pause the legacy target bridge before migrating its in-flight requests");
+    }
+
+    const requests = await findInFlightRequests({ legacySource, legacyTarget, newTarget, startBlock: LEGACY_START_BLOCK });
+    console.log('in-flight legacy requests :>> ', requests.length);
+    requests.forEach(({ requestId, request }) => console.log(requestId, request.to, ethers.formatEther(request.amount)));
+
+    const releasesLiquidity = NEW_TARGET_CONTRACT === "PioneChainBridge";
+    if (releasesLiquidity) {
+        const shortfall = await getLiquidityShortfall({ newTarget, requests });
+        console.log('liquidity shortfall :>> ', ethers.formatEther(shortfall));
+    }
+
+    if (!ADMIN_PRIVATE_KEY) {
+        console.log("ADMIN_PRIVATE_KEY not set, dry run only");
+        return;
+    }
+    const admin = new ethers.Wallet(ADMIN_PRIVATE_KEY, targetProvider);
+    await allowRequests({ newTarget, admin, requests });
+    if (releasesLiquidity && SEED_LIQUIDITY) await seedLiquidity({ newTarget, admin, requests });
+
+    if (OPERATOR_PRIVATE_KEY) {
+        await completeRequests({
+            newTarget,
+            operator: new ethers.Wallet(OPERATOR_PRIVATE_KEY, targetProvider),
+            requests,
+            validators: VALIDATOR_URLS.map(url => new ValidatorClient(url))
+        });
+    }
+}
+
+main().catch((err) => {
+    console.log('err :>> ', err);
+    process.exit(1);
+});
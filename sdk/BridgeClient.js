@@ -0,0 +1,428 @@
+const { ethers } = require("ethers");
+const { decodeError } = require("../lib/errors");
+const { computeRequestId } = require("../lib/requestId");
+const { getBridgeDomain, signBridgeIntent } = require("../lib/attestation");
+const { PIONE_CHAIN_BRIDGE_ABI, PIONE_CHAIN_BRIDGE_BSC_ABI, PIONE_ABI } = require("./abi");
+
+const ABIS = {
+    PioneChainBridge: PIONE_CHAIN_BRIDGE_ABI,
+    PioneChainBridgeBSC: PIONE_CHAIN_BRIDGE_BSC_ABI
+};
+
+// Codes of `BridgeError`. Pre-flight codes are also reported by `quoteBridge`.
+const BridgeErrorCode = Object.freeze({
+    UNKNOWN_CHAIN: "UNKNOWN_CHAIN",
+    CHAIN_NOT_SUPPORTED: "CHAIN_NOT_SUPPORTED",
+    PAUSED: "PAUSED",
+    INVALID_RECIPIENT: "INVALID_RECIPIENT",
+    AMOUNT_BELOW_MINIMUM: "AMOUNT_BELOW_MINIMUM",
+    AMOUNT_ABOVE_MAXIMUM: "AMOUNT_ABOVE_MAXIMUM",
+    DAILY_LIMIT_EXCEEDED: "DAILY_LIMIT_EXCEEDED",
+    AMOUNT_BELOW_FEE: "AMOUNT_BELOW_FEE",
+    INSUFFICIENT_BALANCE: "INSUFFICIENT_BALANCE",
+    USER_REJECTED: "USER_REJECTED",
+    CALL_REVERTED: "CALL_REVERTED",
+    REQUEST_NOT_FOUND: "REQUEST_NOT_FOUND",
+    TIMEOUT: "TIMEOUT"
+});
+
+/**
+ * Error thrown by `BridgeClient`. `code` is one of `BridgeErrorCode`; for
+ * `CALL_REVERTED` the message is the decoded revert reason, e.g.
+ * `InvalidAmount(minAmount=1.0 PIO, maxAmount=10000.0 PIO, bridgeOutAmount=0.5 PIO)`,
+ * and `revert` holds the custom error name when there is one.
+ */
+class BridgeError extends Error {
+    constructor(code, message, { cause, revert = null, quote = null } = {}) {
+        super(message, { cause });
+        this.name = "BridgeError";
+        this.code = code;
+        this.revert = revert;
+        this.quote = quote;
+    }
+}
+
+/**
+ * @typedef {Object} BridgeRequest
+ * @property {string} from
+ * @property {string} to
+ * @property {bigint} amount   net amount delivered on the target chain
+ * @property {bigint} sourceChain
+ * @property {bigint} targetChain
+ * @property {bigint} nonce
+ */
+
+/**
+ * @typedef {Object} Quote
+ * @property {number} sourceChain
+ * @property {number} targetChain
+ * @property {bigint} amount             amount taken from the sender
+ * @property {bigint} fee                fee kept by the source bridge
+ * @property {bigint} netAmount          amount delivered on the target chain
+ * @property {bigint} minTransferAmount  0 if unlimited
+ * @property {bigint} maxTransferAmount  0 if unlimited
+ * @property {?bigint} remainingDailyLimit null if the bridge has no daily limit
+ * @property {Array<{code: string, message: string}>} errors pre-flight failures,
+ *   empty if `bridgeOut` is expected to succeed
+ */
+
+/**
+ * @typedef {Object} BridgeOutResult
+ * @property {string} requestId
+ * @property {BridgeRequest} request as emitted in `BridgeInitiated`
+ * @property {bigint} fee
+ * @property {string} hash  transaction hash on the source chain
+ */
+
+/**
+ * @typedef {Object} SignedIntent
+ * @property {Object} intent    `BridgeIntent` struct of PioneChainBridgeBSC
+ * @property {string} signature EIP-712 signature of `intent.from`
+ */
+
+/**
+ * Client for the PIONE bridge pair. Each configured chain is given with the
+ * bridge deployed on it and a read-only provider; transactions are sent with
+ * the ethers v6 signer passed to `bridgeOut`, and routed to the bridge of the
+ * signer's chain.
+ *
+ *     const client = await new BridgeClient({ chains: [
+ *         { contract: "PioneChainBridgeBSC", address: bscBridge, provider: bscProvider },
+ *         { contract: "PioneChainBridge", address: pioneBridge, provider: pioneProvider }
+ *     ] }).init();
+ *     const { requestId } = await client.bridgeOut(signer, { to, amount: ethers.parseEther("10") });
+ *     await client.waitForCompletion(requestId);
+ */
+class BridgeClient {
+    /**
+     * @param {Object} options
+     * @param {Array<Object>} options.chains Chain entries:
+     *   - `contract`  `PioneChainBridge` (native PIO) or `PioneChainBridgeBSC` (BEP-20 PIO)
+     *   - `address`   bridge address
+     *   - `provider`  provider of the chain
+     */
+    constructor({ chains }) {
+        if (!chains || chains.length === 0) throw new Error("BridgeClient needs at least one chain");
+        for (const { contract } of chains) {
+            if (!ABIS[contract]) throw new Error(`Unknown bridge contract ${contract}`);
+        }
+        this._config = chains;
+        this._chains = new Map();
+    }
+
+    /**
+     * Resolves each bridge's `CHAIN_ID` and, on BSC, the PIONE token.
+     */
+    async init() {
+        for (const { contract, address, provider } of this._config) {
+            const bridge = new ethers.Contract(address, ABIS[contract], provider);
+            const chainId = Number(await bridge.CHAIN_ID());
+            if (this._chains.has(chainId)) throw new Error(`Duplicate chain ${chainId}`);
+
+            const token = contract === "PioneChainBridgeBSC"
+                ? new ethers.Contract(await bridge.pioToken(), PIONE_ABI, provider)
+                : null;
+            this._chains.set(chainId, { chainId, contract, address: ethers.getAddress(address), bridge, provider, token });
+        }
+        return this;
+    }
+
+    /**
+     * Returns the ids of the configured chains.
+     */
+    get chainIds() {
+        return [...this._chains.keys()];
+    }
+
+    /**
+     * Quotes a transfer from `sourceChain` and runs the pre-flight checks
+     * `bridgeOut` would run: pause state, chain support, min/max amount,
+     * remaining daily limit, fee and, when `from` is given, the balance.
+     *
+     * @param {Object} params
+     * @param {number} params.sourceChain
+     * @param {number} [params.targetChain] defaults to the only other configured chain
+     * @param {bigint} params.amount amount taken from the sender, in wei
+     * @param {string} [params.from] sender, to check its balance
+     * @param {string} [params.to] recipient, to check it is a valid address
+     * @return {Promise<Quote>}
+     */
+    async quoteBridge({ sourceChain, targetChain, amount, from, to }) {
+        const source = this._chain(sourceChain);
+        targetChain = Number(targetChain ?? this._defaultTarget(source.chainId));
+        amount = BigInt(amount);
+        const { bridge } = source;
+
+        const errors = [];
+        const fail = (code, message) => errors.push({ code, message });
+
+        const [paused, supported, remoteBridge, minTransferAmount, maxTransferAmount, dailyLimit] = await Promise.all([
+            bridge.paused(),
+            bridge.supportedChains(targetChain),
+            bridge.remoteBridges(targetChain),
+            bridge.minTransferAmount(),
+            bridge.maxTransferAmount(),
+            bridge.dailyLimit()
+        ]);
+        const remainingDailyLimit = dailyLimit > 0n ? await bridge.getRemainingDailyLimit() : null;
+        const fee = await bridge.quoteFee(amount, targetChain);
+
+        if (paused || (source.token && await source.token.tokenBridgePaused())) {
+            fail(BridgeErrorCode.PAUSED, `The bridge on chain ${source.chainId} is paused`);
+        }
+        if (!supported || remoteBridge === ethers.ZeroAddress) {
+            fail(BridgeErrorCode.CHAIN_NOT_SUPPORTED, `Chain ${targetChain} is not supported by the bridge on chain ${source.chainId}`);
+        }
+        if (to !== undefined && (!ethers.isAddress(to) || to === ethers.ZeroAddress)) {
+            fail(BridgeErrorCode.INVALID_RECIPIENT, `Invalid recipient ${to}`);
+        }
+        if (minTransferAmount > 0n && amount < minTransferAmount) {
+            fail(BridgeErrorCode.AMOUNT_BELOW_MINIMUM, `Amount ${ethers.formatEther(amount)} PIO is below the minimum of ${ethers.formatEther(minTransferAmount)} PIO`);
+        }
+        if (maxTransferAmount > 0n && amount > maxTransferAmount) {
+            fail(BridgeErrorCode.AMOUNT_ABOVE_MAXIMUM, `Amount ${ethers.formatEther(amount)} PIO is above the maximum of ${ethers.formatEther(maxTransferAmount)} PIO`);
+        }
+        if (remainingDailyLimit !== null && amount > remainingDailyLimit) {
+            fail(BridgeErrorCode.DAILY_LIMIT_EXCEEDED, `Amount ${ethers.formatEther(amount)} PIO is above the ${ethers.formatEther(remainingDailyLimit)} PIO left in today's limit`);
+        }
+        if (amount <= fee) {
+            fail(BridgeErrorCode.AMOUNT_BELOW_FEE, `Amount ${ethers.formatEther(amount)} PIO does not cover the fee of ${ethers.formatEther(fee)} PIO`);
+        }
+        if (from !== undefined) {
+            const balance = source.token ? await source.token.balanceOf(from) : await source.provider.getBalance(from);
+            if (balance < amount) {
+                fail(BridgeErrorCode.INSUFFICIENT_BALANCE, `Balance of ${ethers.formatEther(balance)} PIO is below ${ethers.formatEther(amount)} PIO`);
+            }
+        }
+
+        return {
+            sourceChain: source.chainId,
+            targetChain,
+            amount,
+            fee,
+            netAmount: amount > fee ? amount - fee : 0n,
+            minTransferAmount,
+            maxTransferAmount,
+            remainingDailyLimit,
+            errors
+        };
+    }
+
+    /**
+     * Sends `amount` to `to` on `targetChain` from the chain `signer` is
+     * connected to, after the pre-flight checks of `quoteBridge`. Waits for
+     * the transaction to be mined.
+     *
+     * @param {ethers.Signer} signer
+     * @param {Object} params
+     * @param {string} params.to recipient on the target chain
+     * @param {bigint} params.amount amount taken from the sender, in wei
+     * @param {number} [params.targetChain] defaults to the only other configured chain
+     * @param {boolean} [params.skipPreflight] send even if pre-flight checks fail
+     * @return {Promise<BridgeOutResult>}
+     * @throws {BridgeError} with a pre-flight code, `USER_REJECTED` or `CALL_REVERTED`
+     */
+    async bridgeOut(signer, { to, amount, targetChain, skipPreflight = false }) {
+        const { chainId } = await signer.provider.getNetwork();
+        const source = this._chain(chainId);
+        const from = await signer.getAddress();
+
+        const quote = await this.quoteBridge({ sourceChain: source.chainId, targetChain, amount, from, to });
+        if (quote.errors.length > 0 && !skipPreflight) {
+            const [{ code, message }] = quote.errors;
+            throw new BridgeError(code, message, { quote });
+        }
+
+        const bridge = source.bridge.connect(signer);
+        let txReceipt;
+        try {
+            const tx = source.contract === "PioneChainBridge"
+                ? await bridge.bridgeOut(to, quote.targetChain, { value: quote.amount })
+                : await bridge.bridgeOut(to, quote.amount, quote.targetChain);
+            txReceipt = await tx.wait();
+        } catch (error) {
+            throw this._wrapError(error, source.bridge.interface, quote);
+        }
+
+        return { ...this._parseInitiated(source, txReceipt), fee: quote.fee };
+    }
+
+    /**
+     * Signs a `bridgeOutWithSignature` intent for the BSC bridge, so that a
+     * relayer can submit it and the sender needs no BNB. Only the signer's
+     * wallet is used; nothing is sent. `amount + relayerFee` is taken from
+     * the sender when the intent is relayed.
+     *
+     * @param {ethers.Signer} signer sender, connected to the BSC chain
+     * @param {Object} params
+     * @param {string} params.to recipient on the target chain
+     * @param {bigint} params.amount amount bridged, in wei
+     * @param {number} [params.targetChain] defaults to the only other configured chain
+     * @param {bigint} [params.relayerFee] PIO paid to the relayer, defaults to 0
+     * @param {number} [params.deadline] unix time after which the intent
+     *   expires, defaults to one hour from now
+     * @return {Promise<SignedIntent>}
+     * @throws {BridgeError} with a pre-flight code or `USER_REJECTED`
+     */
+    async signBridgeIntent(signer, { to, amount, targetChain, relayerFee = 0n, deadline }) {
+        const { chainId } = await signer.provider.getNetwork();
+        const source = this._chain(chainId);
+        if (source.contract !== "PioneChainBridgeBSC") throw new Error(`Bridge on chain ${source.chainId} does not accept signed intents`);
+        const from = await signer.getAddress();
+
+        // The limits apply to `amount`, the balance must also cover the relayer fee.
+        const quote = await this.quoteBridge({ sourceChain: source.chainId, targetChain, amount, to });
+        const balance = await source.token.balanceOf(from);
+        if (balance < amount + relayerFee) {
+            quote.errors.push({
+                code: BridgeErrorCode.INSUFFICIENT_BALANCE,
+                message: `Balance of ${ethers.formatEther(balance)} PIO is below ${ethers.formatEther(amount + relayerFee)} PIO`
+            });
+        }
+        if (quote.errors.length > 0) {
+            const [{ code, message }] = quote.errors;
+            throw new BridgeError(code, message, { quote });
+        }
+
+        const intent = {
+            from,
+            to,
+            amount,
+            targetChain: quote.targetChain,
+            relayerFee,
+            nonce: await source.bridge.getUserNonce(from),
+            deadline: deadline ?? Math.floor(Date.now() / 1000) + 3600
+        };
+        try {
+            return { intent, signature: await signBridgeIntent(signer, await getBridgeDomain(source.bridge), intent) };
+        } catch (error) {
+            throw this._wrapError(error, source.bridge.interface, quote);
+        }
+    }
+
+    /**
+     * Submits an intent signed with `signBridgeIntent` from `relayer`, which
+     * pays the gas and receives `intent.relayerFee`. Waits for the
+     * transaction to be mined.
+     *
+     * @param {ethers.Signer} relayer
+     * @param {SignedIntent} signedIntent
+     * @return {Promise<BridgeOutResult>} `fee` is the bridge fee, excluding the relayer fee
+     * @throws {BridgeError} `USER_REJECTED` or `CALL_REVERTED`
+     */
+    async relayBridgeIntent(relayer, { intent, signature }) {
+        const { chainId } = await relayer.provider.getNetwork();
+        const source = this._chain(chainId);
+
+        let txReceipt;
+        try {
+            txReceipt = await (await source.bridge.connect(relayer).bridgeOutWithSignature(intent, signature)).wait();
+        } catch (error) {
+            throw this._wrapError(error, source.bridge.interface, null);
+        }
+        const result = this._parseInitiated(source, txReceipt);
+        return { ...result, fee: intent.amount - result.request.amount };
+    }
+
+    /**
+     * Computes the id the source bridge commits to for `request`. Both chains
+     * of the request must be configured.
+     *
+     * @param {BridgeRequest} request
+     * @return {string}
+     */
+    computeRequestId(request) {
+        const source = this._chain(request.sourceChain);
+        const target = this._chain(request.targetChain);
+        return computeRequestId(request, source.address, target.address);
+    }
+
+    /**
+     * Polls the target bridge until the request is completed or rejected.
+     * Queued requests (above the large transfer threshold) keep being waited
+     * for until they are executed.
+     *
+     * @param {string} requestId
+     * @param {Object} [options]
+     * @param {number} [options.targetChain] looked up in `outboundRequests` of
+     *   the configured bridges when omitted
+     * @param {number} [options.timeout] in ms, defaults to 30 minutes
+     * @param {number} [options.pollInterval] in ms, defaults to 5 seconds
+     * @param {Function} [options.onUpdate] called with each new status
+     *   (`pending`, `queued`)
+     * @return {Promise<{ requestId: string, targetChain: number, status: string }>}
+     *   status `completed` or `rejected`
+     * @throws {BridgeError} `REQUEST_NOT_FOUND` or `TIMEOUT`
+     */
+    async waitForCompletion(requestId, { targetChain, timeout = 30 * 60 * 1000, pollInterval = 5000, onUpdate } = {}) {
+        const target = this._chain(targetChain ?? await this._findTargetChain(requestId));
+        const deadline = Date.now() + timeout;
+        let last = null;
+
+        for (;;) {
+            const status = await this._inboundStatus(target.bridge, requestId);
+            if (status === "completed" || status === "rejected") return { requestId, targetChain: target.chainId, status };
+            if (status !== last && onUpdate) onUpdate(status);
+            last = status;
+
+            if (Date.now() + pollInterval > deadline) {
+                throw new BridgeError(BridgeErrorCode.TIMEOUT, `Request ${requestId} is still ${status} on chain ${target.chainId}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, pollInterval));
+        }
+    }
+
+    async _inboundStatus(bridge, requestId) {
+        if (await bridge.rejectedRequests(requestId)) return "rejected";
+        if (!(await bridge.processedTransactions(requestId))) return "pending";
+        const { unlockTime } = await bridge.pendingTransfers(requestId);
+        return unlockTime > 0n ? "queued" : "completed";
+    }
+
+    async _findTargetChain(requestId) {
+        for (const { bridge } of this._chains.values()) {
+            const { from, targetChain } = await bridge.outboundRequests(requestId);
+            if (from !== ethers.ZeroAddress) return targetChain;
+        }
+        throw new BridgeError(BridgeErrorCode.REQUEST_NOT_FOUND, `Request ${requestId} was not sent from a configured bridge`);
+    }
+
+    _parseInitiated(source, txReceipt) {
+        const event = txReceipt.logs
+            .filter(log => log.address === source.address)
+            .map(log => source.bridge.interface.parseLog(log))
+            .find(log => log?.name === "BridgeInitiated");
+        const { requestId, from, to, amount, sourceChain, targetChain, nonce } = event.args;
+        return {
+            requestId,
+            request: { from, to, amount, sourceChain, targetChain, nonce },
+            hash: txReceipt.hash
+        };
+    }
+
+    _chain(chainId) {
+        const chain = this._chains.get(Number(chainId));
+        if (!chain) throw new BridgeError(BridgeErrorCode.UNKNOWN_CHAIN, `Chain ${chainId} is not configured`);
+        return chain;
+    }
+
+    _defaultTarget(sourceChain) {
+        const others = this.chainIds.filter(chainId => chainId !== sourceChain);
+        if (others.length !== 1) throw new Error("targetChain is required when more than two chains are configured");
+        return others[0];
+    }
+
+    _wrapError(error, contractInterface, quote) {
+        if (error.code === "ACTION_REJECTED") {
+            return new BridgeError(BridgeErrorCode.USER_REJECTED, "The transaction was rejected by the user", { cause: error, quote });
+        }
+        const message = decodeError(error, contractInterface);
+        return new BridgeError(BridgeErrorCode.CALL_REVERTED, message, {
+            cause: error,
+            quote,
+            revert: /^\w+\(/.test(message) ? message.slice(0, message.indexOf("(")) : null
+        });
+    }
+}
+
+module.exports = { BridgeClient, BridgeError, BridgeErrorCode };
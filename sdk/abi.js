@@ -0,0 +1,76 @@
+// Fragments of the bridge and token ABIs used by the SDK, kept inline so the
+// SDK does not need the Hardhat artifacts (e.g. when bundled for a browser).
+
+// Custom errors both bridges may revert with, plus the PIONE errors a burn
+// can bubble up.
+const ERRORS = [
+    "error AmountBelowFee(uint256 amount, uint256 fee)",
+    "error AttestationRequired()",
+    "error DailyLimitExceeded()",
+    "error EnforcedPause()",
+    "error InboundChainDailyLimitExceeded(uint256 sourceChain)",
+    "error InboundDailyLimitExceeded()",
+    "error InvalidAmount(uint256 minAmount, uint256 maxAmount, uint256 bridgeOutAmount)",
+    "error InvalidOutboundStatus(bytes32 requestId, uint8 status)",
+    "error InvalidRequest()",
+    "error NotRequestSender(address account)",
+    "error ReentrancyGuardReentrantCall()",
+    "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+    "error Unauthorized()"
+];
+
+const BRIDGE_VIEWS = [
+    "function CHAIN_ID() view returns (uint256)",
+    "function dailyLimit() view returns (uint256)",
+    "function getRemainingDailyLimit() view returns (uint256)",
+    "function maxTransferAmount() view returns (uint256)",
+    "function minTransferAmount() view returns (uint256)",
+    "function outboundRequests(bytes32) view returns (address from, uint256 amount, uint256 targetChain, uint8 status)",
+    "function paused() view returns (bool)",
+    "function pendingTransfers(bytes32) view returns (address to, uint256 amount, uint256 sourceChain, uint256 unlockTime, uint256 day)",
+    "function processedTransactions(bytes32 _requestId) view returns (bool)",
+    "function quoteFee(uint256 amount, uint256 targetChain) view returns (uint256)",
+    "function rejectedRequests(bytes32) view returns (bool)",
+    "function remoteBridges(uint256) view returns (address)",
+    "function supportedChains(uint256) view returns (bool)"
+];
+
+const BRIDGE_EVENTS = [
+    "event BridgeCompleted(bytes32 indexed requestId, address indexed to, uint256 amount, uint256 targetChain)",
+    "event BridgeInitiated(bytes32 indexed requestId, address indexed from, address indexed to, uint256 amount, uint256 sourceChain, uint256 targetChain, uint256 nonce)",
+    "event BridgeQueued(bytes32 indexed requestId, address indexed to, uint256 amount, uint256 sourceChain, uint256 unlockTime)",
+    "event BridgeRejected(bytes32 indexed requestId, uint256 sourceChain)"
+];
+
+const PIONE_CHAIN_BRIDGE_ABI = [
+    ...BRIDGE_VIEWS,
+    ...BRIDGE_EVENTS,
+    ...ERRORS,
+    "function bridgeOut(address to, uint256 targetChain) payable returns (bytes32)"
+];
+
+const PIONE_CHAIN_BRIDGE_BSC_ABI = [
+    ...BRIDGE_VIEWS,
+    ...BRIDGE_EVENTS,
+    ...ERRORS,
+    "function bridgeOut(address to, uint256 amount, uint256 targetChain) returns (bytes32)",
+    "function bridgeOutWithSignature((address from, address to, uint256 amount, uint256 targetChain, uint256 relayerFee, uint256 nonce, uint256 deadline) intent, bytes signature) returns (bytes32)",
+    "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+    "function getUserNonce(address account) view returns (uint256)",
+    "function pioToken() view returns (address)",
+    "event BridgeIntentRelayed(bytes32 indexed requestId, address indexed relayer, uint256 relayerFee)",
+    "error IntentExpired(uint256 deadline)",
+    "error InvalidIntentNonce(address account, uint256 nonce)",
+    "error InvalidIntentSignature(address account)"
+];
+
+const PIONE_ABI = [
+    "function balanceOf(address account) view returns (uint256)",
+    "function tokenBridgePaused() view returns (bool)"
+];
+
+module.exports = {
+    PIONE_CHAIN_BRIDGE_ABI,
+    PIONE_CHAIN_BRIDGE_BSC_ABI,
+    PIONE_ABI
+};
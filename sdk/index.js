@@ -0,0 +1,13 @@
+const { BridgeClient, BridgeError, BridgeErrorCode } = require("./BridgeClient");
+const { computeRequestId } = require("../lib/requestId");
+const { decodeError } = require("../lib/errors");
+const abi = require("./abi");
+
+module.exports = {
+    BridgeClient,
+    BridgeError,
+    BridgeErrorCode,
+    computeRequestId,
+    decodeError,
+    ...abi
+};
@@ -0,0 +1,196 @@
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { readDeployedAddresses, findDeployedAddress } = require("../lib/deployments");
+const { findBridgeNetwork } = require("../lib/deployParameters");
+const { readManifest, manifestAddresses } = require("../lib/deployPair");
+const { decodeError } = require("../lib/errors");
+
+// Bridge contracts looked up in the Ignition deployment of the selected network.
+const BRIDGE_CONTRACTS = ["PioneChainBridgeBSC", "PioneChainBridge"];
+
+// `OutboundStatus` of the bridges.
+const OUTBOUND_STATUS = ["none", "pending", "refund approved", "refunded"];
+
+/**
+ * Resolves the bridge of the selected network from Ignition's
+ * `deployed_addresses.json` (`chain-<chainId>` unless `deploymentId` is given).
+ * Without `deploymentId`, falls back to the manifest of `npm run deploy:pair`.
+ */
+async function resolveBridge(hre, deploymentId) {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const id = deploymentId ?? `chain-${chainId}`;
+    let addresses;
+    try {
+        addresses = readDeployedAddresses(path.join(hre.config.paths.ignition, "deployments"), id);
+    } catch (error) {
+        const network = findBridgeNetwork(chainId);
+        const manifestFile = network && path.join(hre.config.paths.root, "deployments", `${network}.json`);
+        addresses = deploymentId === undefined && network ? manifestAddresses(readManifest(manifestFile), chainId) : {};
+        if (Object.keys(addresses).length === 0) throw error;
+    }
+
+    for (const name of BRIDGE_CONTRACTS) {
+        const address = findDeployedAddress(addresses, name);
+        if (address) {
+            const [signer] = await hre.ethers.getSigners();
+            return { name, bridge: await hre.ethers.getContractAt(name, address, signer) };
+        }
+    }
+    throw new HardhatPluginError("bridge", `No bridge contract in Ignition deployment ${id}`);
+}
+
+function formatAmount(hre, value) {
+    return `${hre.ethers.formatEther(value)} PIO`;
+}
+
+function formatLimit(hre, value) {
+    return value === 0n ? "unlimited" : formatAmount(hre, value);
+}
+
+task("bridge:out", "Bridges PIO to another chain through the bridge of the selected network")
+    .addParam("to", "Recipient address on the target chain")
+    .addParam("amount", "Amount in PIO, e.g. 12.5")
+    .addParam("target", "Target chain id", undefined, types.int)
+    .addOptionalParam("deploymentId", "Ignition deployment id (defaults to chain-<chainId>)")
+    .setAction(async ({ to, amount, target, deploymentId }, hre) => {
+        const { name, bridge } = await resolveBridge(hre, deploymentId);
+        const value = hre.ethers.parseEther(amount);
+
+        try {
+            const fee = await bridge.quoteFee(value, target);
+            const tx = name === "PioneChainBridge"
+                ? await bridge.bridgeOut(to, target, { value })
+                : await bridge.bridgeOut(to, value, target);
+            const txReceipt = await tx.wait();
+
+            const event = txReceipt.logs
+                .map(log => bridge.interface.parseLog(log))
+                .find(log => log?.name === "BridgeInitiated");
+            const result = {
+                requestId: event.args.requestId,
+                amount: event.args.amount,
+                fee,
+                nonce: event.args.nonce,
+                hash: txReceipt.hash
+            };
+
+            console.log('requestId :>> ', result.requestId);
+            console.log('amount delivered :>> ', formatAmount(hre, result.amount));
+            console.log('fee :>> ', formatAmount(hre, fee));
+            console.log('hash :>> ', result.hash);
+            return result;
+        } catch (error) {
+            throw new HardhatPluginError("bridge", `bridgeOut failed: ${decodeError(error, bridge.interface)}`);
+        }
+    });
+
+task("bridge:status", "Prints what the bridge of the selected network knows about a request")
+    .addParam("requestId", "Request id emitted in BridgeInitiated")
+    .addOptionalParam("deploymentId", "Ignition deployment id (defaults to chain-<chainId>)")
+    .setAction(async ({ requestId, deploymentId }, hre) => {
+        const { bridge } = await resolveBridge(hre, deploymentId);
+
+        const [outbound, processed, rejected, pending] = await Promise.all([
+            bridge.outboundRequests(requestId),
+            bridge.processedTransactions(requestId),
+            bridge.rejectedRequests(requestId),
+            bridge.pendingTransfers(requestId)
+        ]);
+
+        // Outgoing side: only set if the request was sent from this bridge.
+        const sent = outbound.status !== 0n
+            ? {
+                from: outbound.from,
+                amount: outbound.amount,
+                targetChain: outbound.targetChain,
+                status: OUTBOUND_STATUS[Number(outbound.status)]
+            }
+            : null;
+
+        // Incoming side, in order of precedence.
+        let received = "not processed";
+        if (rejected) received = "rejected";
+        else if (pending.unlockTime !== 0n) received = "queued";
+        else if (processed) received = "completed";
+
+        console.log('requestId :>> ', requestId);
+        if (sent) {
+            console.log('sent from this bridge :>> ', `${formatAmount(hre, sent.amount)} from ${sent.from} to chain ${sent.targetChain}`);
+            console.log('outbound status :>> ', sent.status);
+        } else {
+            console.log('sent from this bridge :>> ', "no");
+        }
+        console.log('inbound status :>> ', received);
+        if (received === "queued") {
+            console.log('unlocks at :>> ', new Date(Number(pending.unlockTime) * 1000).toISOString());
+        }
+
+        return {
+            requestId,
+            outbound: sent,
+            inbound: received,
+            unlockTime: received === "queued" ? pending.unlockTime : null
+        };
+    });
+
+task("bridge:limits", "Prints the limits, fees and status of the bridge of the selected network")
+    .addOptionalParam("chain", "Remote chain id to print per-chain settings for", undefined, types.int)
+    .addOptionalParam("deploymentId", "Ignition deployment id (defaults to chain-<chainId>)")
+    .setAction(async ({ chain, deploymentId }, hre) => {
+        const { name, bridge } = await resolveBridge(hre, deploymentId);
+
+        const limits = {
+            bridge: await bridge.getAddress(),
+            contract: name,
+            paused: await bridge.paused(),
+            minTransferAmount: await bridge.minTransferAmount(),
+            maxTransferAmount: await bridge.maxTransferAmount(),
+            dailyLimit: await bridge.dailyLimit(),
+            dailyTransferred: await bridge.getDailyTransferred(),
+            inboundDailyLimit: await bridge.inboundDailyLimit(),
+            dailyInbound: await bridge.getDailyInbound(),
+            flatFee: await bridge.flatFee(),
+            feeBps: await bridge.feeBps(),
+            largeTransferThreshold: await bridge.largeTransferThreshold(),
+            executionDelay: await bridge.executionDelay(),
+            validatorThreshold: await bridge.validatorThreshold()
+        };
+        if (name === "PioneChainBridge") limits.totalLocked = await bridge.getTotalPIOBridgeOut();
+
+        console.log('bridge :>> ', `${limits.contract} at ${limits.bridge}`);
+        console.log('paused :>> ', limits.paused);
+        console.log('min transfer :>> ', formatLimit(hre, limits.minTransferAmount));
+        console.log('max transfer :>> ', formatLimit(hre, limits.maxTransferAmount));
+        console.log('daily limit :>> ', formatLimit(hre, limits.dailyLimit));
+        console.log('transferred today :>> ', formatAmount(hre, limits.dailyTransferred));
+        console.log('inbound daily limit :>> ', formatLimit(hre, limits.inboundDailyLimit));
+        console.log('received today :>> ', formatAmount(hre, limits.dailyInbound));
+        console.log('fee :>> ', `${formatAmount(hre, limits.flatFee)} + ${limits.feeBps} bps`);
+        console.log('delayed above :>> ', limits.largeTransferThreshold === 0n
+            ? "disabled"
+            : `${formatAmount(hre, limits.largeTransferThreshold)} for ${limits.executionDelay}s`);
+        console.log('validator threshold :>> ', limits.validatorThreshold.toString());
+        if (limits.totalLocked !== undefined) console.log('total locked :>> ', formatAmount(hre, limits.totalLocked));
+
+        if (chain !== undefined) {
+            const chainFee = await bridge.chainFees(chain);
+            limits.chain = {
+                chainId: chain,
+                supported: await bridge.supportedChains(chain),
+                remoteBridge: await bridge.remoteBridges(chain),
+                inboundDailyLimit: await bridge.inboundChainDailyLimit(chain),
+                dailyInbound: await bridge.getChainDailyInbound(chain),
+                fee: chainFee.enabled ? { flatFee: chainFee.flatFee, feeBps: chainFee.feeBps } : null
+            };
+
+            console.log(`chain ${chain} supported :>> `, limits.chain.supported);
+            console.log(`chain ${chain} remote bridge :>> `, limits.chain.remoteBridge);
+            console.log(`chain ${chain} inbound daily limit :>> `, formatLimit(hre, limits.chain.inboundDailyLimit));
+            console.log(`chain ${chain} received today :>> `, formatAmount(hre, limits.chain.dailyInbound));
+            console.log(`chain ${chain} fee :>> `, limits.chain.fee
+                ? `${formatAmount(hre, limits.chain.fee.flatFee)} + ${limits.chain.fee.feeBps} bps`
+                : "default");
+        }
+        return limits;
+    });
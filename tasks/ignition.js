@@ -0,0 +1,41 @@
+const path = require("path");
+const { scope } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const {
+    defaultParametersFile,
+    parseParameters,
+    readParameters,
+    validateModuleParameters
+} = require("../lib/deployParameters");
+
+// Wraps `ignition deploy` so that the bridge modules are only deployed with
+// parameters that match the selected network. Without --parameters, the file
+// of the network's chain pair is used, e.g. ignition/parameters/testnet.json.
+scope("ignition")
+    .task("deploy")
+    .setAction(async (args, hre, runSuper) => {
+        const { chainId } = await hre.ethers.provider.getNetwork();
+        const { id: moduleId } = require(path.resolve(args.modulePath));
+
+        let parametersInput = args.parameters;
+        if (parametersInput === undefined) {
+            parametersInput = defaultParametersFile(hre.config.paths.ignition, chainId);
+            if (parametersInput) console.log('parameters :>> ', path.relative(process.cwd(), parametersInput));
+        }
+
+        let parameters;
+        try {
+            parameters = parametersInput === undefined || /\.json5?$/.test(parametersInput)
+                ? parametersInput && readParameters(path.resolve(parametersInput))
+                : parseParameters(parametersInput);
+        } catch (error) {
+            throw new HardhatPluginError("ignition", `Invalid parameters: ${error.message}`);
+        }
+
+        const errors = validateModuleParameters(moduleId, parameters, chainId);
+        if (errors.length > 0) {
+            throw new HardhatPluginError("ignition", `Refusing to deploy ${moduleId} on chain ${chainId}:\n  ${errors.join("\n  ")}`);
+        }
+
+        return runSuper({ ...args, parameters: parametersInput });
+    });
@@ -0,0 +1,158 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { BSC_CHAIN_ID, PIONE_CHAIN_ID, createLocalChain } = require("./helpers/chains");
+const { getAbi } = require("../lib/artifacts");
+const { readParameters } = require("../lib/deployParameters");
+const { deployPair } = require("../lib/deployPair");
+const { auditDeployment, formatReport } = require("../lib/audit");
+
+describe("Deployment audit", function () {
+    let bsc, pione, dir, manifest, owner;
+    let token, bscBridge, pioneBridge, liquidityManager;
+
+    const find = (report, contract, check) => report.checks.find(c => c.contract === contract && c.check === check);
+    const audit = (options = {}) => auditDeployment({ manifest, bsc: bsc.provider, pione: pione.provider, ...options });
+
+    // PioneLiquidityManager on Pancake mocks, pointed at the BSC bridge.
+    async function deployLiquidityManager() {
+        const usdt = await bsc.deploy("MockERC20", ["Tether USD", "USDT", ethers.parseEther("1000000")]);
+        const pair = await bsc.deploy("MockPancakePair", ["PancakePair PIO-USDT", "PIO-USDT-LP", ethers.parseEther("1000000")]);
+        const factory = await bsc.deploy("MockFactory");
+        await (await factory.setPair(await pair.getAddress())).wait();
+        const router = await bsc.deploy("MockPancakeRouter");
+        await (await router.setFactory(await factory.getAddress())).wait();
+        const pinkLock = await bsc.deploy("MockPinkLock");
+
+        const contract = await bsc.deploy("PioneLiquidityManager", [
+            await token.getAddress(),
+            await usdt.getAddress(),
+            await bscBridge.getAddress(),
+            await router.getAddress(),
+            await pinkLock.getAddress(),
+            PIONE_CHAIN_ID
+        ]);
+        return { contract, hash: contract.deploymentTransaction().hash };
+    }
+
+    before(async function () {
+        bsc = await createLocalChain(BSC_CHAIN_ID);
+        pione = await createLocalChain(PIONE_CHAIN_ID);
+        owner = bsc.signers[0].address;
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "audit-"));
+
+        const testnet = readParameters(path.join(__dirname, "..", "ignition", "parameters", "testnet.json"));
+        manifest = await deployPair({
+            bsc: bsc.signers[0],
+            pione: pione.signers[0],
+            parameters: {
+                ...testnet,
+                PioneChainBridgeBSC_modules: { ...testnet.PioneChainBridgeBSC_modules, pioToken: ethers.ZeroAddress }
+            },
+            manifestFile: path.join(dir, "testnet.json"),
+            log: () => {}
+        });
+
+        const attach = (chain, side, name) => new ethers.Contract(manifest[side].contracts[name].address, getAbi(name), chain.signers[0]);
+        token = attach(bsc, "bsc", "PIONE");
+        bscBridge = attach(bsc, "bsc", "PioneChainBridgeBSC");
+        pioneBridge = attach(pione, "pione", "PioneChainBridge");
+
+        const { contract, hash } = await deployLiquidityManager();
+        liquidityManager = contract;
+        manifest.bsc.contracts.PioneLiquidityManager = { address: (await contract.getAddress()).toLowerCase(), hash };
+    });
+
+    after(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should pass a fresh deployment", async function () {
+        const report = await audit();
+
+        expect(report.ok).to.be.true;
+        expect(report.network).to.equal("testnet");
+        expect(report.checks.filter(c => c.status === "fail")).to.deep.equal([]);
+        expect(find(report, "PIONE", "tokenBridge")).to.deep.include({ status: "pass", detail: await bscBridge.getAddress() });
+        expect(find(report, "PioneChainBridge", `supportedChains(${BSC_CHAIN_ID})`).status).to.equal("pass");
+        expect(find(report, "PioneLiquidityManager", "pioneBridge").status).to.equal("pass");
+        expect(find(report, "PioneLiquidityManager", "PIONE_CHAIN_ID")).to.deep.include({ status: "pass", detail: `${PIONE_CHAIN_ID}` });
+        expect(report.owners.PIONE).to.equal(owner);
+    });
+
+    it("Should list role holders and warn about a shared admin and operator", async function () {
+        const report = await audit();
+
+        expect(report.roles.PioneChainBridgeBSC).to.deep.equal({
+            DEFAULT_ADMIN_ROLE: [owner],
+            OPERATOR_ROLE: [owner],
+            GUARDIAN_ROLE: [owner]
+        });
+        expect(report.roles.PioneLiquidityManager).to.deep.equal({ DEFAULT_ADMIN_ROLE: [owner], MANAGER_ROLE: [owner], GUARDIAN_ROLE: [owner] });
+        expect(find(report, "PIONE", "guardian set")).to.deep.include({ status: "warn", detail: ethers.ZeroAddress });
+        expect(find(report, "PioneChainBridge", "admin separate from operator")).to.deep.include({ status: "warn", detail: owner });
+    });
+
+    it("Should follow role changes", async function () {
+        const operator = pione.signers[1].address;
+        const role = await pioneBridge.OPERATOR_ROLE();
+        await (await pioneBridge.grantRole(role, operator)).wait();
+        await (await pioneBridge.revokeRole(role, owner)).wait();
+
+        const report = await audit();
+
+        expect(report.roles.PioneChainBridge.OPERATOR_ROLE).to.deep.equal([operator]);
+        expect(find(report, "PioneChainBridge", "admin separate from operator").status).to.equal("pass");
+
+        await (await pioneBridge.grantRole(role, owner)).wait();
+    });
+
+    it("Should fail on broken wiring", async function () {
+        const other = bsc.signers[3].address;
+        await (await token.setTokenBridge(other)).wait();
+        await (await token.pauseTokenBridge()).wait();
+        await (await liquidityManager.setPioneBridge(other)).wait();
+
+        const report = await audit();
+
+        expect(report.ok).to.be.false;
+        expect(find(report, "PIONE", "tokenBridge")).to.deep.include({ status: "fail", detail: other });
+        expect(find(report, "PIONE", "tokenBridgePaused").status).to.equal("fail");
+        expect(find(report, "PioneLiquidityManager", "pioneBridge")).to.deep.include({ status: "fail", detail: other });
+
+        await (await token.setTokenBridge(await bscBridge.getAddress())).wait();
+        await (await token.unpauseTokenBridge()).wait();
+        await (await liquidityManager.setPioneBridge(await bscBridge.getAddress())).wait();
+    });
+
+    it("Should fail on inverted limits and warn on fees without a treasury", async function () {
+        await (await bscBridge.setTransferLimits(ethers.parseEther("100"), ethers.parseEther("10"), ethers.parseEther("5"))).wait();
+        await (await bscBridge.setFees(ethers.parseEther("200"), 0)).wait();
+
+        const report = await audit();
+
+        expect(report.ok).to.be.false;
+        expect(find(report, "PioneChainBridgeBSC", "minTransferAmount <= maxTransferAmount").status).to.equal("fail");
+        expect(find(report, "PioneChainBridgeBSC", "maxTransferAmount <= dailyLimit").status).to.equal("fail");
+        expect(find(report, "PioneChainBridgeBSC", "fee below minTransferAmount").status).to.equal("warn");
+        expect(find(report, "PioneChainBridgeBSC", "treasury set").status).to.equal("warn");
+
+        await (await bscBridge.setTransferLimits(ethers.parseEther("1"), ethers.parseEther("10000"), ethers.parseEther("1000000"))).wait();
+        await (await bscBridge.setFees(0, 0)).wait();
+    });
+
+    it("Should render a text report", async function () {
+        const text = formatReport(await audit());
+
+        expect(text).to.match(/^Audit of the testnet pair at .*: PASS/);
+        expect(text).to.include(`[PASS] PIONE tokenBridge: ${await bscBridge.getAddress()}`);
+        expect(text).to.include(`[WARN] PioneChainBridgeBSC admin separate from operator: ${owner}`);
+        expect(text).to.include(`  PioneLiquidityManager MANAGER_ROLE: ${owner}`);
+    });
+
+    it("Should refuse providers of other chains", async function () {
+        await expect(audit({ pione: bsc.provider })).to.be.rejectedWith(`The pione provider is on chain ${BSC_CHAIN_ID}, the manifest expects ${PIONE_CHAIN_ID}`);
+    });
+});
@@ -0,0 +1,164 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { Relayer } = require("../relayer/Relayer");
+const { getAbi } = require("../lib/artifacts");
+const { BridgeClient, BridgeErrorCode, PIONE_CHAIN_BRIDGE_ABI, PIONE_CHAIN_BRIDGE_BSC_ABI, PIONE_ABI } = require("../sdk");
+const { deployBridgePair, BSC_CHAIN_ID, PIONE_CHAIN_ID } = require("./helpers/chains");
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+const USER = 2;
+
+describe("BridgeClient", function () {
+    let bsc, pione, relayer, client, user;
+
+    async function expectBridgeError(promise, code) {
+        try {
+            await promise;
+        } catch (error) {
+            expect(error.name).to.equal("BridgeError");
+            expect(error.code).to.equal(code);
+            return error;
+        }
+        expect.fail(`Expected BridgeError ${code}`);
+    }
+
+    beforeEach(async function () {
+        ({ bsc, pione } = await deployBridgePair());
+        relayer = await new Relayer({
+            logger: silentLogger,
+            chains: [
+                { name: "bsc", contract: "PioneChainBridgeBSC", address: await bsc.bridge.getAddress(), signer: bsc.signers[0], startBlock: 0 },
+                { name: "pione", contract: "PioneChainBridge", address: await pione.bridge.getAddress(), signer: pione.signers[0], startBlock: 0 }
+            ]
+        }).init();
+        client = await new BridgeClient({
+            chains: [
+                { contract: "PioneChainBridgeBSC", address: await bsc.bridge.getAddress(), provider: bsc.provider },
+                { contract: "PioneChainBridge", address: await pione.bridge.getAddress(), provider: pione.provider }
+            ]
+        }).init();
+        user = { bsc: bsc.signers[USER], pione: pione.signers[USER] };
+    });
+
+    it("Should quote fees and limits", async function () {
+        await (await bsc.bridge.setFees(ethers.parseEther("1"), 100)).wait();
+
+        const quote = await client.quoteBridge({ sourceChain: BSC_CHAIN_ID, amount: ethers.parseEther("100") });
+
+        expect(quote).to.deep.equal({
+            sourceChain: BSC_CHAIN_ID,
+            targetChain: PIONE_CHAIN_ID,
+            amount: ethers.parseEther("100"),
+            fee: ethers.parseEther("2"),
+            netAmount: ethers.parseEther("98"),
+            minTransferAmount: ethers.parseEther("1"),
+            maxTransferAmount: ethers.parseEther("10000"),
+            remainingDailyLimit: ethers.parseEther("1000000"),
+            errors: []
+        });
+        expect((await client.quoteBridge({ sourceChain: PIONE_CHAIN_ID, amount: ethers.parseEther("5") })).remainingDailyLimit).to.be.null;
+    });
+
+    it("Should bridge both ways and wait for completion", async function () {
+        const sent = await client.bridgeOut(user.pione, { to: user.bsc.address, amount: ethers.parseEther("100") });
+        expect(sent.request).to.deep.include({ from: user.pione.address, amount: ethers.parseEther("100"), targetChain: BigInt(BSC_CHAIN_ID) });
+        expect(client.computeRequestId(sent.request)).to.equal(sent.requestId);
+
+        await relayer.poll();
+        expect(await client.waitForCompletion(sent.requestId, { pollInterval: 10 })).to.deep.equal({
+            requestId: sent.requestId,
+            targetChain: BSC_CHAIN_ID,
+            status: "completed"
+        });
+
+        const back = await client.bridgeOut(user.bsc, { to: user.pione.address, amount: ethers.parseEther("40") });
+        expect(back.request.sourceChain).to.equal(BigInt(BSC_CHAIN_ID));
+        expect(await bsc.token.balanceOf(user.bsc.address)).to.equal(ethers.parseEther("60"));
+        expect(client.computeRequestId(back.request)).to.equal(back.requestId);
+    });
+
+    it("Should refuse transfers failing pre-flight checks without sending them", async function () {
+        const nonce = await bsc.provider.getTransactionCount(user.bsc.address);
+
+        let error = await expectBridgeError(client.bridgeOut(user.bsc, { to: user.pione.address, amount: ethers.parseEther("10") }), BridgeErrorCode.INSUFFICIENT_BALANCE);
+        expect(error.message).to.equal("Balance of 0.0 PIO is below 10.0 PIO");
+        expect(error.quote.errors).to.have.length(1);
+
+        error = await expectBridgeError(client.bridgeOut(user.bsc, { to: user.pione.address, amount: ethers.parseEther("0.5") }), BridgeErrorCode.AMOUNT_BELOW_MINIMUM);
+        expect(error.message).to.equal("Amount 0.5 PIO is below the minimum of 1.0 PIO");
+        await expectBridgeError(client.bridgeOut(user.bsc, { to: user.pione.address, amount: ethers.parseEther("20000") }), BridgeErrorCode.AMOUNT_ABOVE_MAXIMUM);
+        await expectBridgeError(client.bridgeOut(user.bsc, { to: ethers.ZeroAddress, amount: ethers.parseEther("0") }), BridgeErrorCode.INVALID_RECIPIENT);
+
+        await (await bsc.bridge.pause()).wait();
+        await expectBridgeError(client.bridgeOut(user.bsc, { to: user.pione.address, amount: ethers.parseEther("10") }), BridgeErrorCode.PAUSED);
+        expect(await bsc.provider.getTransactionCount(user.bsc.address)).to.equal(nonce);
+    });
+
+    it("Should report the remaining daily limit", async function () {
+        await (await pione.bridge.setTransferLimits(ethers.parseEther("1"), ethers.parseEther("100"), ethers.parseEther("150"))).wait();
+        await client.bridgeOut(user.pione, { to: user.bsc.address, amount: ethers.parseEther("100") });
+
+        const quote = await client.quoteBridge({ sourceChain: PIONE_CHAIN_ID, amount: ethers.parseEther("60"), from: user.pione.address });
+        expect(quote.remainingDailyLimit).to.equal(ethers.parseEther("50"));
+        expect(quote.errors.map(({ code }) => code)).to.deep.equal([BridgeErrorCode.DAILY_LIMIT_EXCEEDED]);
+    });
+
+    it("Should decode custom errors of reverted transfers", async function () {
+        const error = await expectBridgeError(
+            client.bridgeOut(user.pione, { to: user.bsc.address, amount: ethers.parseEther("0.5"), skipPreflight: true }),
+            BridgeErrorCode.CALL_REVERTED
+        );
+        expect(error.revert).to.equal("InvalidAmount");
+        expect(error.message).to.equal("InvalidAmount(minAmount=1.0 PIO, maxAmount=0.0 PIO, bridgeOutAmount=0.5 PIO)");
+    });
+
+    it("Should keep waiting for queued transfers until the timeout", async function () {
+        await (await bsc.bridge.setExecutionDelay(ethers.parseEther("50"), 3600)).wait();
+        const sent = await client.bridgeOut(user.pione, { to: user.bsc.address, amount: ethers.parseEther("100") });
+        await relayer.poll();
+
+        const updates = [];
+        const error = await expectBridgeError(
+            client.waitForCompletion(sent.requestId, { timeout: 50, pollInterval: 10, onUpdate: status => updates.push(status) }),
+            BridgeErrorCode.TIMEOUT
+        );
+        expect(updates).to.deep.equal(["queued"]);
+        expect(error.message).to.equal(`Request ${sent.requestId} is still queued on chain ${BSC_CHAIN_ID}`);
+
+        await expectBridgeError(client.waitForCompletion(ethers.ZeroHash), BridgeErrorCode.REQUEST_NOT_FOUND);
+        await expectBridgeError(client.quoteBridge({ sourceChain: 1, amount: 1n }), BridgeErrorCode.UNKNOWN_CHAIN);
+    });
+
+    it("Should sign intents and relay them for the sender", async function () {
+        const sent = await client.bridgeOut(user.pione, { to: user.bsc.address, amount: ethers.parseEther("100") });
+        await relayer.poll();
+        await client.waitForCompletion(sent.requestId, { pollInterval: 10 });
+
+        await expectBridgeError(
+            client.signBridgeIntent(user.bsc, { to: user.pione.address, amount: ethers.parseEther("99"), relayerFee: ethers.parseEther("2") }),
+            BridgeErrorCode.INSUFFICIENT_BALANCE
+        );
+        const signed = await client.signBridgeIntent(user.bsc, { to: user.pione.address, amount: ethers.parseEther("90"), relayerFee: ethers.parseEther("2") });
+        expect(signed.intent).to.deep.include({ from: user.bsc.address, nonce: 0n, targetChain: PIONE_CHAIN_ID });
+
+        const submitter = bsc.signers[USER + 1];
+        const relayed = await client.relayBridgeIntent(submitter, signed);
+        expect(relayed.request).to.deep.include({ from: user.bsc.address, amount: ethers.parseEther("90"), sourceChain: BigInt(BSC_CHAIN_ID) });
+        expect(client.computeRequestId(relayed.request)).to.equal(relayed.requestId);
+        expect(await bsc.token.balanceOf(user.bsc.address)).to.equal(ethers.parseEther("8"));
+        expect(await bsc.token.balanceOf(submitter.address)).to.equal(ethers.parseEther("2"));
+
+        const error = await expectBridgeError(client.relayBridgeIntent(submitter, signed), BridgeErrorCode.CALL_REVERTED);
+        expect(error.revert).to.equal("InvalidIntentNonce");
+    });
+
+    it("Should keep its ABI fragments in sync with the artifacts", function () {
+        for (const [name, fragments] of [["PioneChainBridge", PIONE_CHAIN_BRIDGE_ABI], ["PioneChainBridgeBSC", PIONE_CHAIN_BRIDGE_BSC_ABI], ["PIONE", PIONE_ABI]]) {
+            const artifact = new ethers.Interface([...getAbi(name), ...getAbi("PIONE").filter(fragment => fragment.type !== "constructor")]);
+            for (const fragment of new ethers.Interface(fragments).fragments) {
+                const lookup = { function: "getFunction", event: "getEvent", error: "getError" }[fragment.type];
+                expect(artifact[lookup](fragment.format())?.format("full"), `${name} ${fragment.format()}`).to.equal(fragment.format("full"));
+            }
+        }
+    });
+});
@@ -0,0 +1,195 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { expect } = require("chai");
+const { computeRequestId } = require("../lib/requestId");
+
+const { ethers } = hre;
+
+describe("Bridge tasks", function () {
+    const REMOTE_BRIDGE = ethers.getAddress("0x00000000000000000000000000000000000b12d9");
+    const BSC_CHAIN_ID = 97;
+    const PIONE_CHAIN_ID = 5080;
+
+    let ignitionDir, originalIgnitionDir, originalLog;
+    let owner, user, token, bscBridge, pioneBridge;
+
+    function writeDeployment(deploymentId, addresses) {
+        const dir = path.join(ignitionDir, "deployments", deploymentId);
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, "deployed_addresses.json"), JSON.stringify(addresses, null, 2));
+    }
+
+    before(async function () {
+        [owner, user] = await ethers.getSigners();
+
+        token = await ethers.deployContract("PIONE", [owner.address]);
+        bscBridge = await ethers.deployContract("PioneChainBridgeBSC", [
+            await token.getAddress(),
+            ethers.parseEther("1"),
+            ethers.parseEther("100"),
+            ethers.parseEther("150"),
+            PIONE_CHAIN_ID
+        ]);
+        await bscBridge.setRemoteBridge(PIONE_CHAIN_ID, REMOTE_BRIDGE);
+
+        // Give the owner PIO to bridge out, then hand minting over to the bridge.
+        await token.setTokenBridge(owner.address);
+        await token.unpauseTokenBridge();
+        await token.crosschainMint(owner.address, ethers.parseEther("1000"));
+        await token.setTokenBridge(await bscBridge.getAddress());
+
+        pioneBridge = await ethers.deployContract("PioneChainBridge", [ethers.parseEther("1"), 0, 0, BSC_CHAIN_ID]);
+        await pioneBridge.unpause();
+        await pioneBridge.setRemoteBridge(BSC_CHAIN_ID, REMOTE_BRIDGE);
+
+        ignitionDir = fs.mkdtempSync(path.join(os.tmpdir(), "bridge-tasks-"));
+        const { chainId } = await ethers.provider.getNetwork();
+        writeDeployment(`chain-${chainId}`, {
+            "PIONE_modules#PIONE": await token.getAddress(),
+            "PioneChainBridgeBSC_modules#PioneChainBridgeBSC": await bscBridge.getAddress()
+        });
+        writeDeployment("pione-local", {
+            "PioneChainBridge_modules#PioneChainBridge": await pioneBridge.getAddress()
+        });
+
+        originalIgnitionDir = hre.config.paths.ignition;
+        hre.config.paths.ignition = ignitionDir;
+        originalLog = console.log;
+        console.log = () => {};
+    });
+
+    after(function () {
+        console.log = originalLog;
+        hre.config.paths.ignition = originalIgnitionDir;
+        fs.rmSync(ignitionDir, { recursive: true, force: true });
+    });
+
+    describe("bridge:out", function () {
+        it("Should bridge out through the bridge of the default deployment", async function () {
+            const result = await hre.run("bridge:out", { to: user.address, amount: "10", target: PIONE_CHAIN_ID });
+
+            const request = {
+                from: owner.address,
+                to: user.address,
+                amount: ethers.parseEther("10"),
+                sourceChain: (await ethers.provider.getNetwork()).chainId,
+                targetChain: PIONE_CHAIN_ID,
+                nonce: 0
+            };
+            expect(result.requestId).to.equal(computeRequestId(request, await bscBridge.getAddress(), REMOTE_BRIDGE));
+            expect(result.amount).to.equal(ethers.parseEther("10"));
+            expect(result.fee).to.equal(0);
+            expect(await bscBridge.processedTransactions(result.requestId)).to.be.false;
+            expect((await bscBridge.outboundRequests(result.requestId)).status).to.equal(1);
+        });
+
+        it("Should bridge native PIO through a named deployment", async function () {
+            const result = await hre.run("bridge:out", {
+                to: user.address,
+                amount: "2.5",
+                target: BSC_CHAIN_ID,
+                deploymentId: "pione-local"
+            });
+
+            expect(result.amount).to.equal(ethers.parseEther("2.5"));
+            expect(await pioneBridge.getTotalPIOBridgeOut()).to.equal(ethers.parseEther("2.5"));
+        });
+
+        it("Should decode InvalidAmount", async function () {
+            await expect(
+                hre.run("bridge:out", { to: user.address, amount: "0.5", target: PIONE_CHAIN_ID })
+            ).to.be.rejectedWith("InvalidAmount(minAmount=1.0 PIO, maxAmount=100.0 PIO, bridgeOutAmount=0.5 PIO)");
+        });
+
+        it("Should decode DailyLimitExceeded", async function () {
+            await hre.run("bridge:out", { to: user.address, amount: "100", target: PIONE_CHAIN_ID });
+
+            await expect(
+                hre.run("bridge:out", { to: user.address, amount: "50", target: PIONE_CHAIN_ID })
+            ).to.be.rejectedWith("DailyLimitExceeded()");
+        });
+
+        it("Should report revert strings", async function () {
+            await expect(
+                hre.run("bridge:out", { to: user.address, amount: "10", target: 1 })
+            ).to.be.rejectedWith("Chain not supported");
+        });
+
+        it("Should fail without an Ignition deployment", async function () {
+            await expect(
+                hre.run("bridge:out", { to: user.address, amount: "10", target: PIONE_CHAIN_ID, deploymentId: "missing" })
+            ).to.be.rejectedWith("No Ignition deployment found");
+        });
+    });
+
+    describe("bridge:status", function () {
+        it("Should report an outbound request", async function () {
+            const { requestId } = await hre.run("bridge:out", { to: user.address, amount: "1", target: BSC_CHAIN_ID, deploymentId: "pione-local" });
+
+            const status = await hre.run("bridge:status", { requestId, deploymentId: "pione-local" });
+
+            expect(status.outbound).to.deep.equal({
+                from: owner.address,
+                amount: ethers.parseEther("1"),
+                targetChain: BigInt(BSC_CHAIN_ID),
+                status: "pending"
+            });
+            expect(status.inbound).to.equal("not processed");
+        });
+
+        it("Should report completed, queued and rejected inbound requests", async function () {
+            const chainId = (await ethers.provider.getNetwork()).chainId;
+            const incoming = async (nonce) => {
+                const request = { from: user.address, to: user.address, amount: ethers.parseEther("1"), sourceChain: BSC_CHAIN_ID, targetChain: chainId, nonce };
+                return { request, requestId: computeRequestId(request, REMOTE_BRIDGE, await pioneBridge.getAddress()) };
+            };
+            const status = requestId => hre.run("bridge:status", { requestId, deploymentId: "pione-local" });
+
+            const completed = await incoming(0);
+            await pioneBridge.bridgeIn(completed.request, completed.requestId);
+            expect((await status(completed.requestId)).inbound).to.equal("completed");
+
+            const rejected = await incoming(1);
+            await pioneBridge.rejectRequest(rejected.request, rejected.requestId);
+            expect((await status(rejected.requestId)).inbound).to.equal("rejected");
+
+            await pioneBridge.setExecutionDelay(ethers.parseEther("0.5"), 3600);
+            const queued = await incoming(2);
+            await pioneBridge.bridgeIn(queued.request, queued.requestId);
+            const result = await status(queued.requestId);
+            expect(result.inbound).to.equal("queued");
+            expect(result.unlockTime).to.equal((await pioneBridge.pendingTransfers(queued.requestId)).unlockTime);
+            await pioneBridge.setExecutionDelay(0, 0);
+        });
+    });
+
+    describe("bridge:limits", function () {
+        it("Should report limits and fees", async function () {
+            const limits = await hre.run("bridge:limits", {});
+
+            expect(limits.contract).to.equal("PioneChainBridgeBSC");
+            expect(limits.minTransferAmount).to.equal(ethers.parseEther("1"));
+            expect(limits.maxTransferAmount).to.equal(ethers.parseEther("100"));
+            expect(limits.dailyLimit).to.equal(ethers.parseEther("150"));
+            expect(limits.dailyTransferred).to.equal(ethers.parseEther("110"));
+            expect(limits.totalLocked).to.be.undefined;
+        });
+
+        it("Should report per-chain settings", async function () {
+            await pioneBridge.setChainFee(BSC_CHAIN_ID, ethers.parseEther("0.1"), 25, true);
+
+            const limits = await hre.run("bridge:limits", { chain: BSC_CHAIN_ID, deploymentId: "pione-local" });
+
+            expect(limits.contract).to.equal("PioneChainBridge");
+            expect(limits.totalLocked).to.equal(await pioneBridge.getTotalPIOBridgeOut());
+            expect(limits.chain).to.deep.include({
+                chainId: BSC_CHAIN_ID,
+                supported: true,
+                remoteBridge: REMOTE_BRIDGE,
+                fee: { flatFee: ethers.parseEther("0.1"), feeBps: 25n }
+            });
+        });
+    });
+});
@@ -0,0 +1,178 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { BSC_CHAIN_ID, PIONE_CHAIN_ID, createLocalChain } = require("./helpers/chains");
+const { getAbi } = require("../lib/artifacts");
+const { readParameters } = require("../lib/deployParameters");
+const { readManifest, manifestAddresses, checkPair, deployPair } = require("../lib/deployPair");
+
+describe("Bridge pair deployment", function () {
+    let bsc, pione, dir, manifestFile, parameters;
+
+    // Testnet parameters without a token, so that PIONE gets deployed.
+    function testnetParameters(overrides = {}) {
+        const testnet = readParameters(path.join(__dirname, "..", "ignition", "parameters", "testnet.json"));
+        return {
+            ...testnet,
+            PioneChainBridgeBSC_modules: { ...testnet.PioneChainBridgeBSC_modules, pioToken: ethers.ZeroAddress, ...overrides }
+        };
+    }
+
+    async function nonces() {
+        return [
+            await bsc.provider.getTransactionCount(bsc.signers[0].address),
+            await pione.provider.getTransactionCount(pione.signers[0].address)
+        ];
+    }
+
+    function deploy(options = {}) {
+        return deployPair({
+            bsc: bsc.signers[0],
+            pione: pione.signers[0],
+            parameters,
+            manifestFile,
+            log: () => {},
+            ...options
+        });
+    }
+
+    beforeEach(async function () {
+        bsc = await createLocalChain(BSC_CHAIN_ID);
+        pione = await createLocalChain(PIONE_CHAIN_ID);
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "deploy-pair-"));
+        manifestFile = path.join(dir, "testnet.json");
+        parameters = testnetParameters();
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should deploy and wire both chains", async function () {
+        const manifest = await deploy();
+
+        expect(manifest.network).to.equal("testnet");
+        expect(manifest.bsc.chainId).to.equal(BSC_CHAIN_ID);
+        expect(manifest.pione.chainId).to.equal(PIONE_CHAIN_ID);
+        expect(Object.keys(manifest.steps)).to.deep.equal([
+            "PIONE.setTokenBridge",
+            "PIONE.unpauseTokenBridge",
+            "PioneChainBridgeBSC.setRemoteBridge",
+            "PioneChainBridge.setRemoteBridge",
+            "PioneChainBridge.unpause"
+        ]);
+        expect(manifest.steps["PioneChainBridge.unpause"].chainId).to.equal(PIONE_CHAIN_ID);
+        expect(manifest.check).to.deep.include({ ok: true, failures: [] });
+        expect(readManifest(manifestFile)).to.deep.equal(manifest);
+
+        const { PIONE, PioneChainBridgeBSC } = manifest.bsc.contracts;
+        const { PioneChainBridge } = manifest.pione.contracts;
+        const tx = await bsc.provider.getTransactionReceipt(PioneChainBridgeBSC.hash);
+        expect(tx.contractAddress).to.equal(PioneChainBridgeBSC.address);
+
+        const bridge = new ethers.Contract(PioneChainBridge.address, ["function remoteBridges(uint) view returns (address)", "function paused() view returns (bool)"], pione.provider);
+        expect(await bridge.remoteBridges(BSC_CHAIN_ID)).to.equal(PioneChainBridgeBSC.address);
+        expect(await bridge.paused()).to.be.false;
+        expect(PIONE.hash).to.not.be.null;
+    });
+
+    it("Should list the addresses of each chain", async function () {
+        const manifest = await deploy();
+
+        expect(manifestAddresses(manifest, PIONE_CHAIN_ID)).to.deep.equal({
+            PioneChainBridge: manifest.pione.contracts.PioneChainBridge.address
+        });
+        expect(Object.keys(manifestAddresses(manifest, BSC_CHAIN_ID))).to.deep.equal(["PIONE", "PioneChainBridgeBSC"]);
+        expect(manifestAddresses(manifest, 56)).to.deep.equal({});
+    });
+
+    it("Should not send anything when run again", async function () {
+        const first = await deploy();
+        const before = await nonces();
+
+        const second = await deploy();
+
+        expect(await nonces()).to.deep.equal(before);
+        expect(second.bsc.contracts).to.deep.equal(first.bsc.contracts);
+        expect(second.pione.contracts).to.deep.equal(first.pione.contracts);
+        expect(second.steps).to.deep.equal(first.steps);
+    });
+
+    it("Should resume a partial deployment", async function () {
+        await deploy();
+        const manifest = readManifest(manifestFile);
+        delete manifest.pione;
+        delete manifest.steps["PioneChainBridge.setRemoteBridge"];
+        fs.writeFileSync(manifestFile, JSON.stringify(manifest));
+        const before = await nonces();
+
+        const resumed = await deploy();
+
+        const after = await nonces();
+        expect(after[0]).to.equal(before[0] + 1); // PioneChainBridgeBSC.setRemoteBridge to the new bridge
+        expect(after[1]).to.equal(before[1] + 3); // deploy, setRemoteBridge, unpause
+        expect(resumed.bsc.contracts).to.deep.equal(manifest.bsc.contracts);
+        expect(resumed.check.ok).to.be.true;
+    });
+
+    it("Should use an existing token", async function () {
+        const token = await bsc.deploy("PIONE", [bsc.signers[0].address]);
+        parameters = testnetParameters({ pioToken: await token.getAddress() });
+
+        const manifest = await deploy();
+
+        expect(manifest.bsc.contracts.PIONE).to.deep.equal({ address: await token.getAddress(), hash: null });
+        expect(await token.tokenBridge()).to.equal(manifest.bsc.contracts.PioneChainBridgeBSC.address);
+    });
+
+    it("Should decode failing steps", async function () {
+        const token = await bsc.deploy("PIONE", [bsc.signers[1].address]);
+        parameters = testnetParameters({ pioToken: await token.getAddress() });
+
+        await expect(deploy()).to.be.rejectedWith(`PIONE.setTokenBridge failed: OwnableUnauthorizedAccount(account=${bsc.signers[0].address})`);
+        expect(readManifest(manifestFile).pione.contracts.PioneChainBridge).to.not.be.undefined;
+    });
+
+    it("Should refuse parameters of another pair before deploying", async function () {
+        parameters = testnetParameters({ chainSupport: 5090 });
+
+        await expect(deploy()).to.be.rejectedWith("PioneChainBridgeBSC_modules.chainSupport is 5090, but chain 97 is paired with chain 5080");
+        expect(await nonces()).to.deep.equal([0, 0]);
+        expect(fs.existsSync(manifestFile)).to.be.false;
+    });
+
+    it("Should refuse chains that are not a pair", async function () {
+        const mainnetPione = await createLocalChain(5090);
+
+        await expect(deploy({ pione: mainnetPione.signers[0] })).to.be.rejectedWith("Chains 97 (BSC) and 5090 (PioneChain) are not a bridge pair");
+    });
+
+    it("Should refuse a manifest of another pair", async function () {
+        fs.writeFileSync(manifestFile, JSON.stringify({ network: "mainnet", bsc: { chainId: 56 }, pione: { chainId: 5090 } }));
+
+        await expect(deploy()).to.be.rejectedWith("belongs to the mainnet pair (56 <> 5090)");
+    });
+
+    it("Should report bridges that do not point at each other", async function () {
+        const manifest = await deploy();
+        const attach = (chain, side, name) => new ethers.Contract(manifest[side].contracts[name].address, getAbi(name), chain.signers[0]);
+        const pioneBridge = attach(pione, "pione", "PioneChainBridge");
+        await (await pioneBridge.setRemoteBridge(BSC_CHAIN_ID, bsc.signers[2].address)).wait();
+        await (await pioneBridge.pause()).wait();
+
+        const failures = await checkPair({
+            token: attach(bsc, "bsc", "PIONE"),
+            bscBridge: attach(bsc, "bsc", "PioneChainBridgeBSC"),
+            pioneBridge,
+            bscChainId: BSC_CHAIN_ID,
+            pioneChainId: PIONE_CHAIN_ID
+        });
+
+        expect(failures).to.deep.equal([
+            `PioneChainBridge.remoteBridges(${BSC_CHAIN_ID}) is not ${manifest.bsc.contracts.PioneChainBridgeBSC.address}`,
+            "PioneChainBridge is paused"
+        ]);
+    });
+});
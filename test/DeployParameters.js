@@ -0,0 +1,152 @@
+const path = require("path");
+const hre = require("hardhat");
+const { expect } = require("chai");
+const {
+    findBridgeNetwork,
+    readParameters,
+    validateModuleParameters
+} = require("../lib/deployParameters");
+
+const { ethers } = hre;
+
+describe("Deploy parameters", function () {
+    const parametersFile = network => path.join(__dirname, "..", "ignition", "parameters", `${network}.json`);
+
+    describe("Parameter files", function () {
+        it("Should read bigint values", async function () {
+            const parameters = readParameters(parametersFile("testnet"));
+
+            expect(parameters.PioneChainBridgeBSC_modules.maxTransfer).to.equal(ethers.parseEther("10000"));
+            expect(parameters.PioneChainBridgeBSC_modules.chainSupport).to.equal(5080);
+        });
+
+        it("Should accept the testnet file on both sides of the testnet pair", async function () {
+            const parameters = readParameters(parametersFile("testnet"));
+
+            expect(validateModuleParameters("PioneChainBridgeBSC_modules", parameters, 97)).to.deep.equal([]);
+            expect(validateModuleParameters("PioneLiquidityManager_modules", parameters, 97)).to.deep.equal([]);
+            expect(validateModuleParameters("PioneChainBridge_modules", parameters, 5080)).to.deep.equal([]);
+        });
+
+        it("Should accept the local file on both sides of the local pair", async function () {
+            const parameters = readParameters(parametersFile("local"));
+
+            expect(validateModuleParameters("PioneChainBridgeBSC_modules", parameters, 31337)).to.deep.equal([]);
+            expect(validateModuleParameters("PioneChainBridge_modules", parameters, 31338)).to.deep.equal([]);
+        });
+
+        it("Should refuse mainnet addresses that are not filled in", async function () {
+            const parameters = readParameters(parametersFile("mainnet"));
+
+            expect(validateModuleParameters("PioneChainBridge_modules", parameters, 5090)).to.deep.equal([]);
+            expect(validateModuleParameters("PioneChainBridgeBSC_modules", parameters, 56)).to.deep.equal([
+                "PioneChainBridgeBSC_modules.pioToken is not set"
+            ]);
+            expect(validateModuleParameters("PioneLiquidityManager_modules", parameters, 56)).to.have.members([
+                "PioneLiquidityManager_modules.pioneToken is not set",
+                "PioneLiquidityManager_modules.pinkLock is not set"
+            ]);
+        });
+    });
+
+    describe("Validation", function () {
+        it("Should refuse a parameter file of another pair", async function () {
+            const parameters = readParameters(parametersFile("testnet"));
+
+            expect(validateModuleParameters("PioneChainBridgeBSC_modules", parameters, 56)).to.deep.equal([
+                "PioneChainBridgeBSC_modules.chainSupport is 5080, but chain 56 is paired with chain 5090"
+            ]);
+        });
+
+        it("Should refuse a liquidity manager bridging claims to another PioneChain", async function () {
+            const parameters = readParameters(parametersFile("testnet"));
+            const values = parameters.PioneLiquidityManager_modules;
+
+            expect(validateModuleParameters("PioneLiquidityManager_modules", {
+                PioneLiquidityManager_modules: { ...values, pioneChainId: 5090 }
+            }, 97)).to.deep.equal([
+                "PioneLiquidityManager_modules.pioneChainId is 5090, but chain 97 is paired with chain 5080"
+            ]);
+            expect(validateModuleParameters("PioneLiquidityManager_modules", {
+                PioneLiquidityManager_modules: { ...values, pioneChainId: undefined }
+            }, 97)).to.deep.equal([
+                "PioneLiquidityManager_modules.pioneChainId is not set"
+            ]);
+        });
+
+        it("Should refuse a module on the wrong side of the pair", async function () {
+            const parameters = readParameters(parametersFile("testnet"));
+
+            expect(validateModuleParameters("PioneChainBridge_modules", parameters, 97)).to.deep.equal([
+                "PioneChainBridge_modules is deployed on the pione side (chain 5080) of the testnet pair, not on chain 97"
+            ]);
+        });
+
+        it("Should refuse unknown chains", async function () {
+            expect(findBridgeNetwork(1)).to.be.undefined;
+            expect(validateModuleParameters("PioneChainBridge_modules", {}, 1)).to.deep.equal([
+                "Chain 1 is not part of a known bridge pair"
+            ]);
+        });
+
+        it("Should refuse missing parameters and inverted limits", async function () {
+            const parameters = {
+                PioneChainBridgeBSC_modules: {
+                    pioToken: "0x1234",
+                    minTransfer: ethers.parseEther("10"),
+                    maxTransfer: ethers.parseEther("1")
+                }
+            };
+
+            expect(validateModuleParameters("PioneChainBridgeBSC_modules", parameters, 97)).to.deep.equal([
+                "PioneChainBridgeBSC_modules.pioToken must be an address",
+                "PioneChainBridgeBSC_modules.chainSupport is not set",
+                "PioneChainBridgeBSC_modules.minTransfer is above maxTransfer"
+            ]);
+        });
+
+        it("Should ignore modules it does not know", async function () {
+            expect(validateModuleParameters("PinkLock_modules", undefined, 1)).to.deep.equal([]);
+        });
+    });
+
+    describe("ignition deploy", function () {
+        let originalLog;
+
+        before(function () {
+            originalLog = console.log;
+            console.log = () => {};
+        });
+
+        after(function () {
+            console.log = originalLog;
+        });
+
+        it("Should refuse to deploy with a mismatched chain pair", async function () {
+            await expect(
+                hre.run({ scope: "ignition", task: "deploy" }, {
+                    modulePath: "ignition/modules/PioneChainBridgeBSC.js",
+                    parameters: "ignition/parameters/testnet.json"
+                })
+            ).to.be.rejectedWith("chainSupport is 5080, but chain 31337 is paired with chain 31338");
+        });
+
+        it("Should deploy with valid inline parameters", async function () {
+            const [owner] = await ethers.getSigners();
+            const token = await ethers.deployContract("PIONE", [owner.address]);
+            const nonce = await ethers.provider.getTransactionCount(owner.address);
+            const parameters = JSON.stringify({
+                PioneChainBridgeBSC_modules: { pioToken: await token.getAddress(), chainSupport: 31338 }
+            });
+
+            await hre.run({ scope: "ignition", task: "deploy" }, {
+                modulePath: "ignition/modules/PioneChainBridgeBSC.js",
+                parameters
+            });
+            const bridge = await ethers.getContractAt("PioneChainBridgeBSC", ethers.getCreateAddress({ from: owner.address, nonce }));
+
+            expect(await bridge.supportedChains(31338)).to.be.true;
+            expect(await bridge.maxTransferAmount()).to.equal(ethers.parseEther("10000"));
+        });
+    });
+});
@@ -0,0 +1,208 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { Relayer } = require("../relayer/Relayer");
+const { Indexer } = require("../indexer/Indexer");
+const { BridgeDatabase, RequestStatus } = require("../indexer/BridgeDatabase");
+const { deployBridgePair, BSC_CHAIN_ID, PIONE_CHAIN_ID } = require("./helpers/chains");
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+const USER = 2;
+
+describe("Indexer", function () {
+    let bsc, pione, relayer, dir;
+
+    async function lockOnPione(amount, account = pione.signers[USER]) {
+        const txReceipt = await (await pione.bridge.connect(account).bridgeOut(account.address, BSC_CHAIN_ID, { value: amount })).wait();
+        return pione.bridge.interface.parseLog(txReceipt.logs.find(log => log.address === pione.bridge.target)).args;
+    }
+
+    async function createIndexer(options = {}, chainOptions = {}) {
+        return new Indexer({
+            logger: silentLogger,
+            chains: [
+                { name: "bsc", provider: bsc.provider, contracts: [{ contract: "PioneChainBridgeBSC", address: await bsc.bridge.getAddress() }], startBlock: 0, ...chainOptions },
+                { name: "pione", provider: pione.provider, contracts: [{ contract: "PioneChainBridge", address: await pione.bridge.getAddress() }], startBlock: 0, ...chainOptions }
+            ],
+            ...options
+        }).init();
+    }
+
+    beforeEach(async function () {
+        ({ bsc, pione } = await deployBridgePair());
+        relayer = await new Relayer({
+            logger: silentLogger,
+            chains: [
+                { name: "bsc", contract: "PioneChainBridgeBSC", address: await bsc.bridge.getAddress(), signer: bsc.signers[0], startBlock: 0 },
+                { name: "pione", contract: "PioneChainBridge", address: await pione.bridge.getAddress(), signer: pione.signers[0], startBlock: 0 }
+            ]
+        }).init();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should join the outbound and inbound side of a request", async function () {
+        const indexer = await createIndexer();
+        const sent = await lockOnPione(ethers.parseEther("100"));
+
+        await indexer.poll();
+        let request = indexer.database.getRequest(sent.requestId);
+        expect(request).to.deep.include({
+            status: RequestStatus.INITIATED,
+            sourceChain: PIONE_CHAIN_ID,
+            targetChain: BSC_CHAIN_ID,
+            from: pione.signers[USER].address,
+            to: pione.signers[USER].address,
+            amount: ethers.parseEther("100").toString(),
+            completed: null
+        });
+
+        // Events are ordered by timestamp, complete a minute later than the lock.
+        await bsc.provider.send("evm_increaseTime", [60]);
+        await relayer.poll();
+        await indexer.poll();
+        request = indexer.database.getRequest(sent.requestId);
+        expect(request.status).to.equal(RequestStatus.COMPLETED);
+        expect(request.completed.amount).to.equal(ethers.parseEther("100").toString());
+        expect(request.events.map(({ chainId, name }) => [chainId, name])).to.deep.equal([
+            [PIONE_CHAIN_ID, "BridgeInitiated"],
+            [BSC_CHAIN_ID, "BridgeCompleted"]
+        ]);
+    });
+
+    it("Should query requests by address and time range", async function () {
+        const indexer = await createIndexer();
+        const first = await lockOnPione(ethers.parseEther("10"));
+        await pione.provider.send("evm_increaseTime", [3600]);
+        const second = await lockOnPione(ethers.parseEther("20"));
+        await lockOnPione(ethers.parseEther("30"), pione.signers[USER + 1]);
+        await indexer.poll();
+
+        const { database } = indexer;
+        const mine = database.getRequests({ address: pione.signers[USER].address.toLowerCase() });
+        expect(mine.map(request => request.requestId)).to.deep.equal([second.requestId, first.requestId]);
+
+        const firstAt = database.getRequest(first.requestId).initiated.timestamp;
+        const early = database.getRequests({ address: pione.signers[USER].address, toTime: firstAt + 60 });
+        expect(early.map(request => request.requestId)).to.deep.equal([first.requestId]);
+        expect(database.getRequests({ fromTime: firstAt + 60 })).to.have.length(2);
+        expect(database.getRequests({ status: RequestStatus.COMPLETED })).to.deep.equal([]);
+
+        const page = database.getRequests({ address: pione.signers[USER].address, limit: 1, offset: 1 });
+        expect(page.map(request => request.requestId)).to.deep.equal([first.requestId]);
+        expect(database.countRequests({ address: pione.signers[USER].address, limit: 1 })).to.equal(2);
+        expect(database.countRequests({ status: RequestStatus.INITIATED, excludeRequestIds: [first.requestId] })).to.equal(2);
+
+        const firstBlock = database.getRequest(first.requestId).events[0].blockNumber;
+        const confirmed = database.getRequests({ confirmedAt: { [PIONE_CHAIN_ID]: firstBlock }, confirmed: true });
+        expect(confirmed.map(request => request.requestId)).to.deep.equal([first.requestId]);
+        expect(database.countRequests({ confirmedAt: { [PIONE_CHAIN_ID]: firstBlock }, confirmed: false })).to.equal(2);
+        expect(database.countRequests({ requestIds: [second.requestId, ethers.ZeroHash] })).to.equal(1);
+    });
+
+    it("Should resume from the stored cursor", async function () {
+        const file = path.join(dir, "bridge.sqlite");
+        let indexer = await createIndexer({ database: new BridgeDatabase(file) });
+        await lockOnPione(ethers.parseEther("10"));
+        await indexer.poll();
+        const cursor = indexer.getCursor(PIONE_CHAIN_ID);
+        indexer.database.close();
+
+        const sent = await lockOnPione(ethers.parseEther("20"));
+        indexer = await createIndexer({ database: new BridgeDatabase(file) }, { startBlock: undefined });
+        expect(indexer.getCursor(PIONE_CHAIN_ID)).to.equal(cursor);
+
+        expect(await indexer.poll()).to.equal(1);
+        expect(indexer.database.getRequest(sent.requestId).status).to.equal(RequestStatus.INITIATED);
+        expect(indexer.database.getRequests()).to.have.length(2);
+        indexer.database.close();
+    });
+
+    it("Should backfill from a start block without duplicates", async function () {
+        const database = new BridgeDatabase(path.join(dir, "bridge.sqlite"));
+        const sent = await lockOnPione(ethers.parseEther("10"));
+        await (await createIndexer({ database })).poll();
+        const events = database.getEvents().length;
+
+        const indexer = await createIndexer({ database });
+        expect(await indexer.poll()).to.be.greaterThan(0);
+        expect(database.getEvents()).to.have.length(events);
+        expect(database.getRequest(sent.requestId).events).to.have.length(1);
+        database.close();
+    });
+
+    it("Should only index confirmed blocks", async function () {
+        const indexer = await createIndexer({}, { confirmations: 3 });
+        const sent = await lockOnPione(ethers.parseEther("10"));
+
+        await indexer.poll();
+        expect(indexer.database.getRequest(sent.requestId)).to.be.null;
+
+        await pione.provider.send("hardhat_mine", ["0x2"]);
+        await indexer.poll();
+        expect(indexer.database.getRequest(sent.requestId).status).to.equal(RequestStatus.INITIATED);
+    });
+
+    it("Should index configuration changes", async function () {
+        const indexer = await createIndexer();
+        await (await bsc.bridge.setTransferLimits(ethers.parseEther("5"), ethers.parseEther("500"), ethers.parseEther("5000"))).wait();
+        await indexer.poll();
+
+        const support = indexer.database.getEvents({ name: "ChainSupportUpdated", chainId: BSC_CHAIN_ID });
+        expect(support.map(event => event.args)).to.deep.include({ chainId: PIONE_CHAIN_ID.toString(), supported: true });
+
+        const limits = indexer.database.getEvents({ name: "TransferLimitsUpdated", chainId: BSC_CHAIN_ID });
+        expect(limits[limits.length - 1]).to.deep.include({
+            contract: "PioneChainBridgeBSC",
+            args: {
+                minAmount: ethers.parseEther("5").toString(),
+                maxAmount: ethers.parseEther("500").toString(),
+                dailyLimit: ethers.parseEther("5000").toString()
+            }
+        });
+    });
+
+    it("Should index PioneLiquidityManager events", async function () {
+        const usdt = await bsc.deploy("MockERC20", ["Tether USD", "USDT", ethers.parseEther("1000000")]);
+        const pair = await bsc.deploy("MockPancakePair", ["PancakePair PIO-USDT", "PIO-USDT-LP", ethers.parseEther("1000000")]);
+        const factory = await bsc.deploy("MockFactory");
+        await (await factory.setPair(await pair.getAddress())).wait();
+        const router = await bsc.deploy("MockPancakeRouter");
+        await (await router.setFactory(await factory.getAddress())).wait();
+        const pinkLock = await bsc.deploy("MockPinkLock");
+        const liquidityManager = await bsc.deploy("PioneLiquidityManager", [
+            await bsc.token.getAddress(),
+            await usdt.getAddress(),
+            await bsc.bridge.getAddress(),
+            await router.getAddress(),
+            await pinkLock.getAddress(),
+            PIONE_CHAIN_ID
+        ]);
+
+        const indexer = await new Indexer({
+            logger: silentLogger,
+            chains: [{
+                name: "bsc",
+                provider: bsc.provider,
+                contracts: [{ contract: "PioneLiquidityManager", address: await liquidityManager.getAddress() }],
+                startBlock: 0
+            }]
+        }).init();
+        await (await liquidityManager.setMinClaimPIOAmount(ethers.parseEther("7"))).wait();
+        await indexer.poll();
+
+        const [event] = indexer.database.getEvents({ contract: "PioneLiquidityManager", name: "UpdatedMinClaimPIOAmount" });
+        expect(event.args.newAmount).to.equal(ethers.parseEther("7").toString());
+        expect(indexer.database.getRequests()).to.deep.equal([]);
+    });
+
+    it("Should refuse unknown contracts", function () {
+        expect(() => new Indexer({ chains: [{ provider: bsc.provider, contracts: [{ contract: "PIONE", address: ethers.ZeroAddress }] }] }))
+            .to.throw("Cannot index PIONE");
+    });
+});
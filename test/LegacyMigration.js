@@ -0,0 +1,92 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const {
+    LEGACY_BRIDGE_ABI,
+    findInFlightRequests,
+    allowRequests,
+    getLiquidityShortfall,
+    seedLiquidity,
+    completeRequests
+} = require("../lib/legacyMigration");
+const { deployBridgePair, createValidators, PIONE_CHAIN_ID } = require("./helpers/chains");
+
+const USER = 2;
+const silentLog = () => {};
+
+describe("Legacy migration", function () {
+    let bsc, pione, legacySource, legacyTarget, admin, requestId;
+    const amount = ethers.parseEther("25");
+
+    beforeEach(async function () {
+        ({ bsc, pione } = await deployBridgePair());
+        admin = pione.signers[0];
+
+        // Retired pair: BSC burns went through `legacySource`, PioneChain
+        // releases through `legacyTarget`.
+        const source = await bsc.deploy("MockLegacyBridge");
+        const target = await pione.deploy("MockLegacyBridge");
+        legacySource = new ethers.Contract(await source.getAddress(), LEGACY_BRIDGE_ABI, bsc.provider);
+        legacyTarget = new ethers.Contract(await target.getAddress(), LEGACY_BRIDGE_ABI, pione.provider);
+
+        const user = bsc.signers[USER];
+        await (await source.connect(user).bridgeOut(user.address, ethers.parseEther("7"), PIONE_CHAIN_ID)).wait();
+        await (await source.connect(user).bridgeOut(user.address, amount, PIONE_CHAIN_ID)).wait();
+        await (await source.connect(user).bridgeOut(user.address, ethers.parseEther("3"), 1)).wait();
+
+        const events = await legacySource.queryFilter(legacySource.filters.BridgeInitiated());
+        await (await target.setProcessedTransaction(events[0].args.requestId, true)).wait();
+        await (await target.setPaused(true)).wait();
+        requestId = events[1].args.requestId;
+    });
+
+    it("Should move an in-flight BSC request to a freshly seeded PioneChainBridge", async function () {
+        const newTarget = pione.bridge;
+        const recipient = pione.signers[USER].address;
+        expect(await newTarget.getTotalPIOBridgeOut()).to.equal(0);
+
+        const requests = await findInFlightRequests({ legacySource, legacyTarget, newTarget, log: silentLog });
+        expect(requests.map(r => r.requestId)).to.deep.equal([requestId]);
+
+        await allowRequests({ newTarget, admin, requests, log: silentLog });
+        expect(await newTarget.legacyRequests(requestId)).to.be.true;
+
+        // A new bridge holds nothing to release yet.
+        const [failed] = await completeRequests({ newTarget, operator: admin, requests, log: silentLog });
+        expect(failed.status).to.equal("failed");
+        expect(failed.error).to.include("Insufficient liquidity");
+        expect(await getLiquidityShortfall({ newTarget, requests })).to.equal(amount);
+
+        expect(await seedLiquidity({ newTarget, admin, requests, log: silentLog })).to.equal(amount);
+        expect(await newTarget.getTotalPIOBridgeOut()).to.equal(amount);
+        expect(await seedLiquidity({ newTarget, admin, requests, log: silentLog })).to.equal(0);
+
+        const balanceBefore = await pione.provider.getBalance(recipient);
+        const [completed] = await completeRequests({ newTarget, operator: admin, requests, log: silentLog });
+
+        expect(completed.status).to.equal("completed");
+        expect(await pione.provider.getBalance(recipient)).to.equal(balanceBefore + amount);
+        expect(await newTarget.getTotalPIOBridgeOut()).to.equal(0);
+        expect(await newTarget.completedTransactions(requestId)).to.be.true;
+        expect(await findInFlightRequests({ legacySource, legacyTarget, newTarget, log: silentLog })).to.have.lengthOf(0);
+    });
+
+    it("Should complete migrated requests with signatures of validators that know the legacy bridge", async function () {
+        const newTarget = pione.bridge;
+        const legacyBridges = [await legacySource.getAddress()];
+        const validators = await createValidators({ bsc, pione }, 2, { legacyBridges });
+        const [unaware] = await createValidators({ bsc, pione }, 1);
+        await (await newTarget.setValidators([...validators, unaware].map(v => v.getAddress()), 2)).wait();
+
+        const requests = await findInFlightRequests({ legacySource, legacyTarget, newTarget, log: silentLog });
+        await allowRequests({ newTarget, admin, requests, log: silentLog });
+        await seedLiquidity({ newTarget, admin, requests, log: silentLog });
+
+        const [refused] = await completeRequests({ newTarget, operator: admin, requests, validators: [validators[0], unaware], log: silentLog });
+        expect(refused.status).to.equal("failed");
+        expect(refused.error).to.include(`No BridgeInitiated of ${requestId}`);
+
+        const [completed] = await completeRequests({ newTarget, operator: admin, requests, validators, log: silentLog });
+        expect(completed.status).to.equal("completed");
+        expect(await newTarget.processedTransactions(requestId)).to.be.true;
+    });
+});
@@ -378,6 +378,35 @@ describe("PIONE", function () {
         ).to.be.revertedWithCustomError(token, "OwnableUnauthorizedAccount");
       });
 
+      it("Should allow the guardian to pause but not unpause", async function () {
+        const { token, owner, user1 } = await loadFixture(deployWithActiveBridgeFixture);
+
+        await expect(token.connect(owner).setGuardian(user1.address))
+          .to.emit(token, "GuardianUpdated")
+          .withArgs(ethers.ZeroAddress, user1.address);
+        await expect(token.connect(user1).pauseTokenBridge())
+          .to.emit(token, "TokenBridgePaused")
+          .withArgs(user1.address);
+        await expect(
+          token.connect(user1).unpauseTokenBridge()
+        ).to.be.revertedWithCustomError(token, "OwnableUnauthorizedAccount");
+      });
+
+      it("Should only allow owner to set the guardian", async function () {
+        const { token, owner, user1 } = await loadFixture(deployWithActiveBridgeFixture);
+
+        await expect(
+          token.connect(user1).setGuardian(user1.address)
+        ).to.be.revertedWithCustomError(token, "OwnableUnauthorizedAccount");
+
+        await token.connect(owner).setGuardian(user1.address);
+        await token.connect(owner).setGuardian(ethers.ZeroAddress);
+        expect(await token.guardian()).to.equal(ethers.ZeroAddress);
+        await expect(
+          token.connect(user1).pauseTokenBridge()
+        ).to.be.revertedWithCustomError(token, "OwnableUnauthorizedAccount");
+      });
+
       it("Should revert if non-owner tries to unpause", async function () {
         const { token, user1 } = await loadFixture(deployPioneTokenFixture);
         
@@ -0,0 +1,107 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { BSC_CHAIN_ID, PIONE_CHAIN_ID, createLocalChain } = require("./helpers/chains");
+const { getAbi } = require("../lib/artifacts");
+const { readParameters } = require("../lib/deployParameters");
+const { deployPair } = require("../lib/deployPair");
+const { pauseAll } = require("../lib/pause");
+const { decodeError } = require("../lib/errors");
+
+const GUARDIAN = 4;
+
+describe("Pause all", function () {
+    let bsc, pione, dir, manifest, guardian;
+    let token, bscBridge, pioneBridge, liquidityManager;
+
+    async function deployLiquidityManager() {
+        const usdt = await bsc.deploy("MockERC20", ["Tether USD", "USDT", ethers.parseEther("1000000")]);
+        const pair = await bsc.deploy("MockPancakePair", ["PancakePair PIO-USDT", "PIO-USDT-LP", ethers.parseEther("1000000")]);
+        const factory = await bsc.deploy("MockFactory");
+        await (await factory.setPair(await pair.getAddress())).wait();
+        const router = await bsc.deploy("MockPancakeRouter");
+        await (await router.setFactory(await factory.getAddress())).wait();
+        const pinkLock = await bsc.deploy("MockPinkLock");
+
+        return bsc.deploy("PioneLiquidityManager", [
+            await token.getAddress(),
+            await usdt.getAddress(),
+            await bscBridge.getAddress(),
+            await router.getAddress(),
+            await pinkLock.getAddress(),
+            PIONE_CHAIN_ID
+        ]);
+    }
+
+    beforeEach(async function () {
+        bsc = await createLocalChain(BSC_CHAIN_ID);
+        pione = await createLocalChain(PIONE_CHAIN_ID);
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "pause-"));
+
+        const testnet = readParameters(path.join(__dirname, "..", "ignition", "parameters", "testnet.json"));
+        manifest = await deployPair({
+            bsc: bsc.signers[0],
+            pione: pione.signers[0],
+            parameters: {
+                ...testnet,
+                PioneChainBridgeBSC_modules: { ...testnet.PioneChainBridgeBSC_modules, pioToken: ethers.ZeroAddress }
+            },
+            manifestFile: path.join(dir, "testnet.json"),
+            log: () => {}
+        });
+
+        const attach = (chain, side, name) => new ethers.Contract(manifest[side].contracts[name].address, getAbi(name), chain.signers[0]);
+        token = attach(bsc, "bsc", "PIONE");
+        bscBridge = attach(bsc, "bsc", "PioneChainBridgeBSC");
+        pioneBridge = attach(pione, "pione", "PioneChainBridge");
+        liquidityManager = await deployLiquidityManager();
+        manifest.bsc.contracts.PioneLiquidityManager = { address: await liquidityManager.getAddress() };
+
+        guardian = { bsc: bsc.signers[GUARDIAN], pione: pione.signers[GUARDIAN] };
+        for (const contract of [bscBridge, liquidityManager]) {
+            await (await contract.grantRole(await contract.GUARDIAN_ROLE(), guardian.bsc.address)).wait();
+        }
+        await (await pioneBridge.grantRole(await pioneBridge.GUARDIAN_ROLE(), guardian.pione.address)).wait();
+        await (await token.setGuardian(guardian.bsc.address)).wait();
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should pause every component with a guardian key", async function () {
+        await (await pioneBridge.pause()).wait();
+
+        const results = await pauseAll({ manifest, ...guardian, log: () => {} });
+
+        expect(results.map(({ chain, contract, status }) => [chain, contract, status])).to.deep.equal([
+            ["bsc", "PioneChainBridgeBSC", "paused"],
+            ["pione", "PioneChainBridge", "already paused"],
+            ["bsc", "PIONE", "paused"],
+            ["bsc", "PioneLiquidityManager", "paused"]
+        ]);
+        expect(await bscBridge.paused()).to.be.true;
+        expect(await token.tokenBridgePaused()).to.be.true;
+        expect(await liquidityManager.paused()).to.be.true;
+
+        const error = await bscBridge.connect(guardian.bsc).unpause().catch(error => error);
+        expect(decodeError(error, bscBridge.interface)).to.match(/^AccessControlUnauthorizedAccount\(/);
+    });
+
+    it("Should keep pausing when a component refuses the guardian", async function () {
+        await (await token.setGuardian(ethers.ZeroAddress)).wait();
+        delete manifest.bsc.contracts.PioneLiquidityManager;
+
+        const results = await pauseAll({ manifest, ...guardian, log: () => {} });
+
+        expect(results.map(({ contract, status }) => [contract, status])).to.deep.equal([
+            ["PioneChainBridgeBSC", "paused"],
+            ["PioneChainBridge", "paused"],
+            ["PIONE", "failed"]
+        ]);
+        expect(results[2].error).to.match(/^OwnableUnauthorizedAccount\(/);
+        expect(await token.tokenBridgePaused()).to.be.false;
+    });
+});
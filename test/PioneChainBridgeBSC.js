@@ -1,8 +1,13 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { getBridgeDomain, signBridgeRequest, signRefundApproval, signRequestRejection, signBridgeIntent, sortSignatures } = require("../lib/attestation");
+const { computeRequestId, computeLegacyRequestId } = require("../lib/requestId");
 
 describe("PioneChainBridgeBSC", function () {
+  // Counterpart bridge registered for every remote chain in the fixture.
+  const REMOTE_BRIDGE = ethers.getAddress("0x00000000000000000000000000000000000b12d9");
+
   // Fixture để deploy contracts
   async function deployBridgeFixture() {
     const [owner, operator, user1, user2, user3] = await ethers.getSigners();
@@ -41,6 +46,7 @@ describe("PioneChainBridgeBSC", function () {
       0, 0, 0, BSC_TESTNET_ID
     );
     await initialBridge.waitForDeployment();
+    await initialBridge.setRemoteBridge(BSC_CHAIN_ID, REMOTE_BRIDGE);
     
     // Temporarily set initial bridge to mint tokens
     await pioToken.setTokenBridge(await initialBridge.getAddress());
@@ -58,12 +64,7 @@ describe("PioneChainBridgeBSC", function () {
       targetChain: currentChainId,
       nonce: 0
     };
-    const requestId1 = ethers.keccak256(
-      ethers.solidityPacked(
-        ["address", "address", "uint256", "uint256", "uint256", "uint256"],
-        [request1.from, request1.to, request1.amount, request1.sourceChain, request1.targetChain, request1.nonce]
-      )
-    );
+    const requestId1 = computeRequestId(request1, REMOTE_BRIDGE, await initialBridge.getAddress());
     await initialBridge.bridgeIn(request1, requestId1);
 
     // Mint to user2
@@ -75,12 +76,7 @@ describe("PioneChainBridgeBSC", function () {
       targetChain: currentChainId,
       nonce: 0
     };
-    const requestId2 = ethers.keccak256(
-      ethers.solidityPacked(
-        ["address", "address", "uint256", "uint256", "uint256", "uint256"],
-        [request2.from, request2.to, request2.amount, request2.sourceChain, request2.targetChain, request2.nonce]
-      )
-    );
+    const requestId2 = computeRequestId(request2, REMOTE_BRIDGE, await initialBridge.getAddress());
     await initialBridge.bridgeIn(request2, requestId2);
     
     // Set back to main bridge
@@ -90,6 +86,9 @@ describe("PioneChainBridgeBSC", function () {
     const ETH_CHAIN_ID = 1;
     await bridge.setChainSupport(BSC_CHAIN_ID, true);
     await bridge.setChainSupport(ETH_CHAIN_ID, true);
+    for (const chainId of [BSC_CHAIN_ID, BSC_TESTNET_ID, ETH_CHAIN_ID]) {
+      await bridge.setRemoteBridge(chainId, REMOTE_BRIDGE);
+    }
 
     return {
       bridge,
@@ -343,12 +342,7 @@ describe("PioneChainBridgeBSC", function () {
         nonce: 0
       };
       
-      const requestId = ethers.keccak256(
-        ethers.solidityPacked(
-          ["address", "address", "uint256", "uint256", "uint256", "uint256"],
-          [request.from, request.to, request.amount, request.sourceChain, request.targetChain, request.nonce]
-        )
-      );
+      const requestId = computeRequestId(request, REMOTE_BRIDGE, await bridge.getAddress());
       
       const balanceBefore = await pioToken.balanceOf(user3.address);
       
@@ -374,12 +368,7 @@ describe("PioneChainBridgeBSC", function () {
         nonce: 1
       };
       
-      const requestId = ethers.keccak256(
-        ethers.solidityPacked(
-          ["address", "address", "uint256", "uint256", "uint256", "uint256"],
-          [request.from, request.to, request.amount, request.sourceChain, request.targetChain, request.nonce]
-        )
-      );
+      const requestId = computeRequestId(request, REMOTE_BRIDGE, await bridge.getAddress());
       
       await bridge.connect(owner).bridgeIn(request, requestId);
       
@@ -400,12 +389,7 @@ describe("PioneChainBridgeBSC", function () {
         nonce: 2
       };
       
-      const requestId = ethers.keccak256(
-        ethers.solidityPacked(
-          ["address", "address", "uint256", "uint256", "uint256", "uint256"],
-          [request.from, request.to, request.amount, request.sourceChain, request.targetChain, request.nonce]
-        )
-      );
+      const requestId = computeRequestId(request, REMOTE_BRIDGE, await bridge.getAddress());
       
       await bridge.connect(owner).bridgeIn(request, requestId);
       
@@ -448,12 +432,7 @@ describe("PioneChainBridgeBSC", function () {
         nonce: 4
       };
       
-      const requestId = ethers.keccak256(
-        ethers.solidityPacked(
-          ["address", "address", "uint256", "uint256", "uint256", "uint256"],
-          [request.from, request.to, request.amount, request.sourceChain, request.targetChain, request.nonce]
-        )
-      );
+      const requestId = computeRequestId(request, REMOTE_BRIDGE, await bridge.getAddress());
       
       await expect(
         bridge.connect(owner).bridgeIn(request, requestId)
@@ -474,12 +453,7 @@ describe("PioneChainBridgeBSC", function () {
         nonce: 5
       };
       
-      const requestId = ethers.keccak256(
-        ethers.solidityPacked(
-          ["address", "address", "uint256", "uint256", "uint256", "uint256"],
-          [request.from, request.to, request.amount, request.sourceChain, request.targetChain, request.nonce]
-        )
-      );
+      const requestId = computeRequestId(request, REMOTE_BRIDGE, await bridge.getAddress());
       
       await expect(
         bridge.connect(user1).bridgeIn(request, requestId)
@@ -505,12 +479,7 @@ describe("PioneChainBridgeBSC", function () {
         nonce: 6
       };
   
-      const requestId = ethers.keccak256(
-        ethers.solidityPacked(
-          ["address", "address", "uint256", "uint256", "uint256", "uint256"],
-          [request.from, request.to, request.amount, request.sourceChain, request.targetChain, request.nonce]
-        )
-      );
+      const requestId = computeRequestId(request, REMOTE_BRIDGE, await bridge.getAddress());
       
       await expect(
         bridge.connect(owner).bridgeIn(request, requestId)
@@ -533,12 +502,7 @@ describe("PioneChainBridgeBSC", function () {
         nonce: 7
       };
       
-      const requestId = ethers.keccak256(
-        ethers.solidityPacked(
-          ["address", "address", "uint256", "uint256", "uint256", "uint256"],
-          [request.from, request.to, request.amount, request.sourceChain, request.targetChain, request.nonce]
-        )
-      );
+      const requestId = computeRequestId(request, REMOTE_BRIDGE, await bridge.getAddress());
       
       await expect(
         bridge.connect(owner).bridgeIn(request, requestId)
@@ -546,6 +510,996 @@ describe("PioneChainBridgeBSC", function () {
     });
   });
 
+  describe("Attestation", function () {
+    const validators = [0, 1, 2].map(() => ethers.Wallet.createRandom());
+
+    async function attestationFixture() {
+      const base = await deployBridgeFixture();
+      const { bridge, user3, BSC_CHAIN_ID } = base;
+
+      await bridge.setValidators(validators.map(v => v.address), 2);
+
+      const request = {
+        from: user3.address,
+        to: user3.address,
+        amount: ethers.parseEther("100"),
+        sourceChain: BSC_CHAIN_ID,
+        targetChain: await bridge.CHAIN_ID(),
+        nonce: 0
+      };
+      const requestId = computeRequestId(request, REMOTE_BRIDGE, await bridge.getAddress());
+      const domain = await getBridgeDomain(bridge);
+
+      return { ...base, request, requestId, domain };
+    }
+
+    async function sign(signers, domain, request) {
+      return Promise.all(signers.map(s => signBridgeRequest(s, domain, request)));
+    }
+
+    it("Should use the BSC bridge EIP-712 domain", async function () {
+      const { bridge, domain } = await loadFixture(attestationFixture);
+
+      expect(domain.name).to.equal("PioneChainBridgeBSC");
+      expect(domain.verifyingContract).to.equal(await bridge.getAddress());
+    });
+
+    it("Should require signatures once attestation mode is on", async function () {
+      const { bridge, request, requestId } = await loadFixture(attestationFixture);
+
+      await expect(
+        bridge.bridgeIn(request, requestId)
+      ).to.be.revertedWithCustomError(bridge, "AttestationRequired");
+    });
+
+    it("Should mint tokens with threshold signatures", async function () {
+      const { bridge, pioToken, user3, request, requestId, domain } = await loadFixture(attestationFixture);
+      const signatures = sortSignatures(await sign(validators.slice(0, 2), domain, request));
+
+      const balanceBefore = await pioToken.balanceOf(user3.address);
+      await expect(bridge.bridgeInWithSignatures(request, requestId, signatures))
+        .to.emit(bridge, "BridgeCompleted")
+        .withArgs(requestId, user3.address, request.amount, request.targetChain);
+
+      expect(await pioToken.balanceOf(user3.address) - balanceBefore).to.equal(request.amount);
+    });
+
+    it("Should revert with duplicate signers", async function () {
+      const { bridge, request, requestId, domain } = await loadFixture(attestationFixture);
+      const [attestation] = await sign(validators.slice(0, 1), domain, request);
+
+      await expect(bridge.bridgeInWithSignatures(request, requestId, [attestation.signature, attestation.signature]))
+        .to.be.revertedWithCustomError(bridge, "DuplicateSigner")
+        .withArgs(attestation.signer);
+    });
+
+    it("Should revert with unsorted signers", async function () {
+      const { bridge, request, requestId, domain } = await loadFixture(attestationFixture);
+      const signatures = sortSignatures(await sign(validators.slice(0, 2), domain, request));
+
+      await expect(bridge.bridgeInWithSignatures(request, requestId, signatures.reverse()))
+        .to.be.revertedWithCustomError(bridge, "UnsortedSigners");
+    });
+
+    it("Should reject signatures from a stale validator set", async function () {
+      const { bridge, request, requestId, domain } = await loadFixture(attestationFixture);
+      const stale = sortSignatures(await sign(validators.slice(0, 2), domain, request));
+
+      await bridge.setValidators([validators[2].address, ethers.Wallet.createRandom().address], 2);
+
+      await expect(bridge.bridgeInWithSignatures(request, requestId, stale))
+        .to.be.revertedWithCustomError(bridge, "UnknownValidator");
+    });
+
+    it("Should not accept signatures made for another bridge", async function () {
+      const { bridge, pioToken, request, requestId } = await loadFixture(attestationFixture);
+
+      const Bridge = await ethers.getContractFactory("PioneChainBridgeBSC");
+      const other = await Bridge.deploy(await pioToken.getAddress(), 0, 0, 0, 97);
+      const otherDomain = await getBridgeDomain(other);
+      const signatures = sortSignatures(await sign(validators.slice(0, 2), otherDomain, request));
+
+      await expect(bridge.bridgeInWithSignatures(request, requestId, signatures))
+        .to.be.revertedWithCustomError(bridge, "UnknownValidator");
+    });
+  });
+
+  // Builds a request between `bridge` and REMOTE_BRIDGE with the id the
+  // source bridge commits to.
+  async function buildRequest(bridge, to, amount, sourceChain, targetChain, nonce) {
+    const request = { from: to, to, amount, sourceChain, targetChain, nonce };
+    const local = await bridge.getAddress();
+    const requestId = BigInt(sourceChain) === await bridge.CHAIN_ID()
+      ? computeRequestId(request, local, REMOTE_BRIDGE)
+      : computeRequestId(request, REMOTE_BRIDGE, local);
+    return { request, requestId };
+  }
+
+  describe("Batch BridgeIn", function () {
+    async function buildBatch(bridge, recipients, amount, sourceChain) {
+      const chainId = await bridge.CHAIN_ID();
+      const batch = await Promise.all(recipients.map((to, nonce) => buildRequest(bridge, to, amount, sourceChain, chainId, nonce)));
+      return { requests: batch.map(b => b.request), requestIds: batch.map(b => b.requestId) };
+    }
+
+    it("Should mint every request of the batch", async function () {
+      const { bridge, pioToken, user1, user2, user3, ETH_CHAIN_ID } = await loadFixture(deployBridgeFixture);
+      const amount = ethers.parseEther("50");
+      const recipients = [user1.address, user2.address, user3.address];
+      const { requests, requestIds } = await buildBatch(bridge, recipients, amount, ETH_CHAIN_ID);
+
+      const tx = bridge.bridgeInBatch(requests, requestIds);
+
+      for (const [i, requestId] of requestIds.entries()) {
+        await expect(tx).to.emit(bridge, "BridgeCompleted").withArgs(requestId, recipients[i], amount, await bridge.CHAIN_ID());
+      }
+      await expect(tx).to.changeTokenBalances(pioToken, [user1, user2, user3], [amount, amount, amount]);
+      await expect(tx).not.to.emit(bridge, "BridgeInSkipped");
+      for (const requestId of requestIds) {
+        expect(await bridge.processedTransactions(requestId)).to.be.true;
+      }
+    });
+
+    it("Should skip already processed requests", async function () {
+      const { bridge, pioToken, user1, user2, user3, ETH_CHAIN_ID } = await loadFixture(deployBridgeFixture);
+      const amount = ethers.parseEther("50");
+      const { requests, requestIds } = await buildBatch(bridge, [user1.address, user2.address, user3.address], amount, ETH_CHAIN_ID);
+      await bridge.bridgeIn(requests[1], requestIds[1]);
+
+      const tx = bridge.bridgeInBatch(requests, requestIds);
+      await expect(tx).to.emit(bridge, "BridgeInSkipped").withArgs(requestIds[1]);
+      await expect(tx).to.changeTokenBalances(pioToken, [user1, user2, user3], [amount, 0, amount]);
+
+      await expect(bridge.bridgeInBatch(requests, requestIds))
+        .to.emit(bridge, "BridgeInSkipped").withArgs(requestIds[2])
+        .and.not.to.emit(bridge, "BridgeCompleted");
+    });
+
+    it("Should revert the whole batch on an invalid request", async function () {
+      const { bridge, user1, user2, ETH_CHAIN_ID } = await loadFixture(deployBridgeFixture);
+      const { requests, requestIds } = await buildBatch(bridge, [user1.address, user2.address], ethers.parseEther("50"), ETH_CHAIN_ID);
+
+      await expect(bridge.bridgeInBatch(requests, [requestIds[0], ethers.ZeroHash]))
+        .to.be.revertedWithCustomError(bridge, "InvalidRequest");
+      await expect(bridge.bridgeInBatch(requests, [requestIds[0]]))
+        .to.be.revertedWithCustomError(bridge, "BatchLengthMismatch")
+        .withArgs(2, 1);
+      expect(await bridge.processedTransactions(requestIds[0])).to.be.false;
+    });
+
+    it("Should only allow operators outside attestation mode", async function () {
+      const { bridge, user1, ETH_CHAIN_ID } = await loadFixture(deployBridgeFixture);
+      const { requests, requestIds } = await buildBatch(bridge, [user1.address], ethers.parseEther("50"), ETH_CHAIN_ID);
+
+      await expect(bridge.connect(user1).bridgeInBatch(requests, requestIds))
+        .to.be.revertedWithCustomError(bridge, "AccessControlUnauthorizedAccount");
+
+      await bridge.setValidators([user1.address], 1);
+      await expect(bridge.bridgeInBatch(requests, requestIds))
+        .to.be.revertedWithCustomError(bridge, "AttestationRequired");
+
+      await bridge.setValidators([], 0);
+      await bridge.pause();
+      await expect(bridge.bridgeInBatch(requests, requestIds))
+        .to.be.revertedWithCustomError(bridge, "EnforcedPause");
+    });
+
+    it("Should cost less gas per request than separate bridgeIn calls", async function () {
+      const { bridge, ETH_CHAIN_ID } = await loadFixture(deployBridgeFixture);
+      const size = 10;
+      const recipients = Array.from({ length: size + 1 }, () => ethers.Wallet.createRandom().address);
+      const { requests, requestIds } = await buildBatch(bridge, recipients, ethers.parseEther("50"), ETH_CHAIN_ID);
+
+      const single = await (await bridge.bridgeIn(requests[size], requestIds[size])).wait();
+      const batch = await (await bridge.bridgeInBatch(requests.slice(0, size), requestIds.slice(0, size))).wait();
+      const perRequest = batch.gasUsed / BigInt(size);
+
+      expect(perRequest).to.be.lessThan(single.gasUsed);
+      expect(await bridge.processedTransactions(requestIds[size - 1])).to.be.true;
+    });
+  });
+
+  describe("Inbound Limits", function () {
+    it("Should update inbound daily limit", async function () {
+      const { bridge } = await loadFixture(deployBridgeFixture);
+      const limit = ethers.parseEther("100") * 2n;
+
+      await expect(bridge.setInboundDailyLimit(limit))
+        .to.emit(bridge, "InboundDailyLimitUpdated")
+        .withArgs(limit);
+
+      expect(await bridge.inboundDailyLimit()).to.equal(limit);
+      expect(await bridge.getRemainingInboundDailyLimit()).to.equal(limit);
+    });
+
+    it("Should update inbound daily limit of a source chain", async function () {
+      const { bridge, BSC_CHAIN_ID } = await loadFixture(deployBridgeFixture);
+      const limit = ethers.parseEther("100");
+
+      await expect(bridge.setInboundChainDailyLimit(BSC_CHAIN_ID, limit))
+        .to.emit(bridge, "InboundChainDailyLimitUpdated")
+        .withArgs(BSC_CHAIN_ID, limit);
+
+      expect(await bridge.inboundChainDailyLimit(BSC_CHAIN_ID)).to.equal(limit);
+      expect(await bridge.getRemainingInboundChainDailyLimit(BSC_CHAIN_ID)).to.equal(limit);
+    });
+
+    it("Should only allow admin to update inbound limits", async function () {
+      const { bridge, user1, BSC_CHAIN_ID } = await loadFixture(deployBridgeFixture);
+
+      await expect(bridge.connect(user1).setInboundDailyLimit(1)).to.be.reverted;
+      await expect(bridge.connect(user1).setInboundChainDailyLimit(BSC_CHAIN_ID, 1)).to.be.reverted;
+    });
+
+    it("Should revert views when no inbound limit is set", async function () {
+      const { bridge, BSC_CHAIN_ID } = await loadFixture(deployBridgeFixture);
+
+      await expect(bridge.getRemainingInboundDailyLimit()).to.be.revertedWith("no limit");
+      await expect(bridge.getRemainingInboundChainDailyLimit(BSC_CHAIN_ID)).to.be.revertedWith("no limit");
+    });
+
+    it("Should enforce aggregate inbound daily limit", async function () {
+      const { bridge, user3, BSC_CHAIN_ID, ETH_CHAIN_ID } = await loadFixture(deployBridgeFixture);
+      const amount = ethers.parseEther("100");
+      const chainId = await bridge.CHAIN_ID();
+      await bridge.setInboundDailyLimit(amount * 2n);
+
+      const first = await buildRequest(bridge, user3.address, amount, BSC_CHAIN_ID, chainId, 0);
+      const second = await buildRequest(bridge, user3.address, amount, ETH_CHAIN_ID, chainId, 0);
+      const third = await buildRequest(bridge, user3.address, 1n, BSC_CHAIN_ID, chainId, 1);
+
+      await bridge.bridgeIn(first.request, first.requestId);
+      await bridge.bridgeIn(second.request, second.requestId);
+
+      expect(await bridge.getDailyInbound()).to.equal(amount * 2n);
+      expect(await bridge.getRemainingInboundDailyLimit()).to.equal(0);
+      await expect(
+        bridge.bridgeIn(third.request, third.requestId)
+      ).to.be.revertedWithCustomError(bridge, "InboundDailyLimitExceeded");
+      expect(await bridge.processedTransactions(third.requestId)).to.be.false;
+    });
+
+    it("Should enforce inbound daily limit per source chain", async function () {
+      const { bridge, user3, BSC_CHAIN_ID, ETH_CHAIN_ID } = await loadFixture(deployBridgeFixture);
+      const amount = ethers.parseEther("100");
+      const chainId = await bridge.CHAIN_ID();
+      await bridge.setInboundChainDailyLimit(BSC_CHAIN_ID, amount);
+
+      const first = await buildRequest(bridge, user3.address, amount, BSC_CHAIN_ID, chainId, 0);
+      const second = await buildRequest(bridge, user3.address, amount, BSC_CHAIN_ID, chainId, 1);
+      const other = await buildRequest(bridge, user3.address, amount, ETH_CHAIN_ID, chainId, 0);
+
+      await bridge.bridgeIn(first.request, first.requestId);
+      await expect(
+        bridge.bridgeIn(second.request, second.requestId)
+      ).to.be.revertedWithCustomError(bridge, "InboundChainDailyLimitExceeded")
+        .withArgs(BSC_CHAIN_ID);
+
+      await expect(bridge.bridgeIn(other.request, other.requestId))
+        .to.emit(bridge, "BridgeCompleted");
+      expect(await bridge.getChainDailyInbound(BSC_CHAIN_ID)).to.equal(amount);
+      expect(await bridge.getChainDailyInbound(ETH_CHAIN_ID)).to.equal(amount);
+    });
+
+    it("Should reset inbound limits after 24 hours", async function () {
+      const { bridge, user3, BSC_CHAIN_ID } = await loadFixture(deployBridgeFixture);
+      const amount = ethers.parseEther("100");
+      const chainId = await bridge.CHAIN_ID();
+      await bridge.setInboundDailyLimit(amount);
+      await bridge.setInboundChainDailyLimit(BSC_CHAIN_ID, amount);
+
+      const first = await buildRequest(bridge, user3.address, amount, BSC_CHAIN_ID, chainId, 0);
+      const second = await buildRequest(bridge, user3.address, amount, BSC_CHAIN_ID, chainId, 1);
+      await bridge.bridgeIn(first.request, first.requestId);
+
+      await time.increase(86400);
+
+      expect(await bridge.getRemainingInboundDailyLimit()).to.equal(amount);
+      expect(await bridge.getRemainingInboundChainDailyLimit(BSC_CHAIN_ID)).to.equal(amount);
+      await expect(bridge.bridgeIn(second.request, second.requestId))
+        .to.emit(bridge, "BridgeCompleted");
+    });
+  });
+
+  describe("Delayed Execution", function () {
+    async function deployDelayFixture() {
+      const fixture = await deployBridgeFixture();
+      const threshold = ethers.parseEther("1000");
+      const delay = 3600;
+      await fixture.bridge.setExecutionDelay(threshold, delay);
+
+      const chainId = await fixture.bridge.CHAIN_ID();
+      const large = await buildRequest(fixture.bridge, fixture.user3.address, ethers.parseEther("2000"), fixture.BSC_CHAIN_ID, chainId, 0);
+      const small = await buildRequest(fixture.bridge, fixture.user3.address, ethers.parseEther("100"), fixture.BSC_CHAIN_ID, chainId, 1);
+      return { ...fixture, threshold, delay, large, small };
+    }
+
+    it("Should update the delayed execution configuration", async function () {
+      const { bridge } = await loadFixture(deployBridgeFixture);
+
+      await expect(bridge.setExecutionDelay(100, 3600))
+        .to.emit(bridge, "ExecutionDelayUpdated")
+        .withArgs(100, 3600);
+
+      expect(await bridge.largeTransferThreshold()).to.equal(100);
+      expect(await bridge.executionDelay()).to.equal(3600);
+    });
+
+    it("Should reject an execution delay above the maximum", async function () {
+      const { bridge } = await loadFixture(deployBridgeFixture);
+      const tooLong = (await bridge.MAX_EXECUTION_DELAY()) + 1n;
+
+      await expect(bridge.setExecutionDelay(100, tooLong))
+        .to.be.revertedWithCustomError(bridge, "InvalidExecutionDelay")
+        .withArgs(tooLong);
+    });
+
+    it("Should only allow admin to update the delayed execution configuration", async function () {
+      const { bridge, user1 } = await loadFixture(deployBridgeFixture);
+
+      await expect(bridge.connect(user1).setExecutionDelay(100, 3600)).to.be.reverted;
+    });
+
+    it("Should complete transfers up to the threshold immediately", async function () {
+      const { bridge, small } = await loadFixture(deployDelayFixture);
+
+      await expect(bridge.bridgeIn(small.request, small.requestId))
+        .to.emit(bridge, "BridgeCompleted");
+      expect((await bridge.pendingTransfers(small.requestId)).unlockTime).to.equal(0);
+    });
+
+    it("Should queue transfers above the threshold", async function () {
+      const { bridge, pioToken, user1, user3, BSC_CHAIN_ID, delay, large } = await loadFixture(deployDelayFixture);
+      const balanceBefore = await pioToken.balanceOf(user3.address);
+
+      const tx = await bridge.bridgeIn(large.request, large.requestId);
+      const unlockTime = BigInt(await time.latest()) + BigInt(delay);
+
+      await expect(tx)
+        .to.emit(bridge, "BridgeQueued")
+        .withArgs(large.requestId, user3.address, large.request.amount, BSC_CHAIN_ID, unlockTime);
+      await expect(tx).to.not.emit(bridge, "BridgeCompleted");
+
+      const pending = await bridge.pendingTransfers(large.requestId);
+      expect(pending.to).to.equal(user3.address);
+      expect(pending.amount).to.equal(large.request.amount);
+      expect(pending.unlockTime).to.equal(unlockTime);
+      expect(await bridge.processedTransactions(large.requestId)).to.be.true;
+      expect(await pioToken.balanceOf(user3.address)).to.equal(balanceBefore);
+    });
+
+    it("Should only report paid out requests as completed", async function () {
+      const { bridge, user3, BSC_CHAIN_ID, delay, large, small } = await loadFixture(deployDelayFixture);
+      const chainId = await bridge.CHAIN_ID();
+
+      await bridge.bridgeIn(small.request, small.requestId);
+      expect(await bridge.completedTransactions(small.requestId)).to.be.true;
+
+      await bridge.bridgeIn(large.request, large.requestId);
+      expect(await bridge.processedTransactions(large.requestId)).to.be.true;
+      expect(await bridge.completedTransactions(large.requestId)).to.be.false;
+      await time.increase(delay);
+      await bridge.executePending(large.requestId);
+      expect(await bridge.completedTransactions(large.requestId)).to.be.true;
+
+      const cancelled = await buildRequest(bridge, user3.address, ethers.parseEther("2000"), BSC_CHAIN_ID, chainId, 2);
+      await bridge.bridgeIn(cancelled.request, cancelled.requestId);
+      await bridge.cancelPending(cancelled.requestId);
+      expect(await bridge.completedTransactions(cancelled.requestId)).to.be.false;
+
+      const rejected = await buildRequest(bridge, user3.address, ethers.parseEther("100"), BSC_CHAIN_ID, chainId, 3);
+      await bridge.rejectRequest(rejected.request, rejected.requestId);
+      expect(await bridge.processedTransactions(rejected.requestId)).to.be.true;
+      expect(await bridge.completedTransactions(rejected.requestId)).to.be.false;
+    });
+
+    it("Should not execute a queued transfer before the delay elapses", async function () {
+      const { bridge, user1, large } = await loadFixture(deployDelayFixture);
+      await bridge.bridgeIn(large.request, large.requestId);
+      const { unlockTime } = await bridge.pendingTransfers(large.requestId);
+
+      await expect(bridge.connect(user1).executePending(large.requestId))
+        .to.be.revertedWithCustomError(bridge, "ExecutionDelayNotElapsed")
+        .withArgs(unlockTime);
+    });
+
+    it("Should let anyone execute a queued transfer after the delay", async function () {
+      const { bridge, pioToken, user1, user3, BSC_CHAIN_ID, delay, large } = await loadFixture(deployDelayFixture);
+      await bridge.bridgeIn(large.request, large.requestId);
+      const balanceBefore = await pioToken.balanceOf(user3.address);
+
+      await time.increase(delay);
+
+      await expect(bridge.connect(user1).executePending(large.requestId))
+        .to.emit(bridge, "BridgeCompleted")
+        .withArgs(large.requestId, user3.address, large.request.amount, await bridge.CHAIN_ID());
+      expect(await pioToken.balanceOf(user3.address)).to.equal(balanceBefore + large.request.amount);
+
+      await expect(bridge.connect(user1).executePending(large.requestId))
+        .to.be.revertedWithCustomError(bridge, "PendingTransferNotFound")
+        .withArgs(large.requestId);
+    });
+
+    it("Should not execute a queued transfer while paused", async function () {
+      const { bridge, user1, delay, large } = await loadFixture(deployDelayFixture);
+      await bridge.bridgeIn(large.request, large.requestId);
+      await time.increase(delay);
+      await bridge.pause();
+
+      await expect(bridge.connect(user1).executePending(large.requestId))
+        .to.be.revertedWithCustomError(bridge, "EnforcedPause");
+    });
+
+    it("Should let a guardian cancel a queued transfer during the delay", async function () {
+      const { bridge, pioToken, user1, user3, BSC_CHAIN_ID, delay, large } = await loadFixture(deployDelayFixture);
+      await bridge.grantRole(await bridge.GUARDIAN_ROLE(), user1.address);
+      await bridge.bridgeIn(large.request, large.requestId);
+      const balanceBefore = await pioToken.balanceOf(user3.address);
+
+      await expect(bridge.connect(user1).cancelPending(large.requestId))
+        .to.emit(bridge, "PendingTransferCancelled")
+        .withArgs(large.requestId, user1.address);
+
+      await time.increase(delay);
+      await expect(bridge.executePending(large.requestId))
+        .to.be.revertedWithCustomError(bridge, "PendingTransferNotFound");
+      await expect(bridge.bridgeIn(large.request, large.requestId))
+        .to.be.revertedWith("Already processed");
+      expect(await pioToken.balanceOf(user3.address)).to.equal(balanceBefore);
+    });
+
+    it("Should return a cancelled transfer to the inbound limits of the day it was counted", async function () {
+      const { bridge, BSC_CHAIN_ID, large, small } = await loadFixture(deployDelayFixture);
+      await bridge.setInboundDailyLimit(large.request.amount);
+      await bridge.setInboundChainDailyLimit(BSC_CHAIN_ID, large.request.amount);
+      await bridge.bridgeIn(large.request, large.requestId);
+      expect(await bridge.getDailyInbound()).to.equal(large.request.amount);
+
+      await bridge.cancelPending(large.requestId);
+      expect(await bridge.getDailyInbound()).to.equal(0);
+      expect(await bridge.getChainDailyInbound(BSC_CHAIN_ID)).to.equal(0);
+      await bridge.bridgeIn(small.request, small.requestId);
+      expect(await bridge.getRemainingInboundDailyLimit()).to.equal(large.request.amount - small.request.amount);
+    });
+
+    it("Should keep the inbound totals of a later day when cancelling", async function () {
+      const { bridge, BSC_CHAIN_ID, large, small } = await loadFixture(deployDelayFixture);
+      const nextDay = (Math.floor(await time.latest() / 86400) + 1) * 86400;
+      await time.setNextBlockTimestamp(nextDay - 60);
+      await bridge.bridgeIn(large.request, large.requestId);
+
+      await time.setNextBlockTimestamp(nextDay + 60);
+      await bridge.bridgeIn(small.request, small.requestId);
+      await bridge.cancelPending(large.requestId);
+      expect(await bridge.getDailyInbound()).to.equal(small.request.amount);
+      expect(await bridge.getChainDailyInbound(BSC_CHAIN_ID)).to.equal(small.request.amount);
+    });
+
+    it("Should only allow guardians to cancel", async function () {
+      const { bridge, user1, large } = await loadFixture(deployDelayFixture);
+      await bridge.bridgeIn(large.request, large.requestId);
+
+      await expect(bridge.connect(user1).cancelPending(large.requestId))
+        .to.be.revertedWithCustomError(bridge, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await bridge.GUARDIAN_ROLE());
+    });
+
+    it("Should not cancel a queued transfer after the delay elapses", async function () {
+      const { bridge, delay, large } = await loadFixture(deployDelayFixture);
+      await bridge.bridgeIn(large.request, large.requestId);
+      const { unlockTime } = await bridge.pendingTransfers(large.requestId);
+
+      await time.increase(delay);
+
+      await expect(bridge.cancelPending(large.requestId))
+        .to.be.revertedWithCustomError(bridge, "ExecutionDelayElapsed")
+        .withArgs(unlockTime);
+    });
+  });
+
+  describe("Refunds", function () {
+    async function refundFixture() {
+      const fixture = await deployBridgeFixture();
+      const { bridge, user1, BSC_CHAIN_ID } = fixture;
+      const amount = ethers.parseEther("1000");
+
+      await bridge.connect(user1).bridgeOut(user1.address, amount, BSC_CHAIN_ID);
+      const outbound = await buildRequest(bridge, user1.address, amount, await bridge.CHAIN_ID(), BSC_CHAIN_ID, 0);
+      return { ...fixture, amount, outbound };
+    }
+
+    it("Should record outbound requests", async function () {
+      const { bridge, user1, amount, outbound, BSC_CHAIN_ID } = await loadFixture(refundFixture);
+
+      const record = await bridge.outboundRequests(outbound.requestId);
+      expect(record.from).to.equal(user1.address);
+      expect(record.amount).to.equal(amount);
+      expect(record.targetChain).to.equal(BSC_CHAIN_ID);
+      expect(record.status).to.equal(1);
+    });
+
+    it("Should reject an incoming request and block a late bridgeIn", async function () {
+      const { bridge, user3, BSC_CHAIN_ID } = await loadFixture(deployBridgeFixture);
+      const incoming = await buildRequest(bridge, user3.address, ethers.parseEther("1000"), BSC_CHAIN_ID, await bridge.CHAIN_ID(), 0);
+
+      await expect(bridge.rejectRequest(incoming.request, incoming.requestId))
+        .to.emit(bridge, "BridgeRejected")
+        .withArgs(incoming.requestId, BSC_CHAIN_ID);
+
+      expect(await bridge.rejectedRequests(incoming.requestId)).to.be.true;
+      expect(await bridge.processedTransactions(incoming.requestId)).to.be.true;
+      await expect(bridge.bridgeIn(incoming.request, incoming.requestId))
+        .to.be.revertedWith("Already processed");
+    });
+
+    it("Should not reject a processed or malformed request", async function () {
+      const { bridge, user3, BSC_CHAIN_ID } = await loadFixture(deployBridgeFixture);
+      const incoming = await buildRequest(bridge, user3.address, ethers.parseEther("1000"), BSC_CHAIN_ID, await bridge.CHAIN_ID(), 0);
+
+      await expect(bridge.rejectRequest(incoming.request, ethers.ZeroHash))
+        .to.be.revertedWithCustomError(bridge, "InvalidRequest");
+
+      await bridge.bridgeIn(incoming.request, incoming.requestId);
+      await expect(bridge.rejectRequest(incoming.request, incoming.requestId))
+        .to.be.revertedWith("Already processed");
+    });
+
+    it("Should only reject with validator signatures in attestation mode", async function () {
+      const { bridge, user3, BSC_CHAIN_ID } = await loadFixture(deployBridgeFixture);
+      const incoming = await buildRequest(bridge, user3.address, ethers.parseEther("1000"), BSC_CHAIN_ID, await bridge.CHAIN_ID(), 0);
+      const validators = [0, 1, 2].map(() => ethers.Wallet.createRandom());
+      await bridge.setValidators(validators.map(v => v.address), 2);
+
+      await expect(bridge.rejectRequest(incoming.request, incoming.requestId))
+        .to.be.revertedWithCustomError(bridge, "AttestationRequired");
+
+      // Signatures of the request itself only allow completing it.
+      const domain = await getBridgeDomain(bridge);
+      const approvals = await Promise.all(validators.map(v => signBridgeRequest(v, domain, incoming.request)));
+      await expect(bridge.rejectRequestWithSignatures(incoming.request, incoming.requestId, sortSignatures(approvals.slice(0, 2))))
+        .to.be.revertedWithCustomError(bridge, "UnknownValidator");
+
+      const rejections = await Promise.all(validators.map(v => signRequestRejection(v, domain, incoming.requestId)));
+      await expect(bridge.rejectRequestWithSignatures(incoming.request, incoming.requestId, sortSignatures(rejections.slice(0, 1))))
+        .to.be.revertedWithCustomError(bridge, "InsufficientSignatures")
+        .withArgs(1, 2);
+      await expect(bridge.rejectRequestWithSignatures(incoming.request, incoming.requestId, sortSignatures(rejections.slice(0, 2))))
+        .to.emit(bridge, "BridgeRejected")
+        .withArgs(incoming.requestId, BSC_CHAIN_ID);
+      await expect(bridge.bridgeInWithSignatures(incoming.request, incoming.requestId, sortSignatures(approvals.slice(0, 2))))
+        .to.be.revertedWith("Already processed");
+    });
+
+    it("Should only allow operator to reject and approve", async function () {
+      const { bridge, user1, user3, outbound, BSC_CHAIN_ID } = await loadFixture(refundFixture);
+      const incoming = await buildRequest(bridge, user3.address, 1n, BSC_CHAIN_ID, await bridge.CHAIN_ID(), 0);
+      const OPERATOR_ROLE = await bridge.OPERATOR_ROLE();
+
+      await expect(bridge.connect(user1).rejectRequest(incoming.request, incoming.requestId))
+        .to.be.revertedWithCustomError(bridge, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, OPERATOR_ROLE);
+      await expect(bridge.connect(user1).approveRefund(outbound.requestId))
+        .to.be.revertedWithCustomError(bridge, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, OPERATOR_ROLE);
+    });
+
+    it("Should re-mint the burned PIO to the sender", async function () {
+      const { bridge, pioToken, user1, BSC_CHAIN_ID, amount, outbound } = await loadFixture(refundFixture);
+
+      await expect(bridge.approveRefund(outbound.requestId))
+        .to.emit(bridge, "RefundApproved")
+        .withArgs(outbound.requestId);
+
+      await expect(bridge.connect(user1).claimRefund(outbound.requestId))
+        .to.changeTokenBalance(pioToken, user1, amount);
+      expect((await bridge.outboundRequests(outbound.requestId)).status).to.equal(3);
+    });
+
+    it("Should emit BridgeRefunded", async function () {
+      const { bridge, user1, amount, outbound } = await loadFixture(refundFixture);
+      await bridge.approveRefund(outbound.requestId);
+
+      await expect(bridge.connect(user1).claimRefund(outbound.requestId))
+        .to.emit(bridge, "BridgeRefunded")
+        .withArgs(outbound.requestId, user1.address, amount);
+    });
+
+    it("Should not refund before approval or twice", async function () {
+      const { bridge, user1, outbound } = await loadFixture(refundFixture);
+
+      await expect(bridge.connect(user1).claimRefund(outbound.requestId))
+        .to.be.revertedWithCustomError(bridge, "InvalidOutboundStatus")
+        .withArgs(outbound.requestId, 1);
+
+      await bridge.approveRefund(outbound.requestId);
+      await expect(bridge.approveRefund(outbound.requestId))
+        .to.be.revertedWithCustomError(bridge, "InvalidOutboundStatus")
+        .withArgs(outbound.requestId, 2);
+
+      await bridge.connect(user1).claimRefund(outbound.requestId);
+      await expect(bridge.connect(user1).claimRefund(outbound.requestId))
+        .to.be.revertedWithCustomError(bridge, "InvalidOutboundStatus")
+        .withArgs(outbound.requestId, 3);
+    });
+
+    it("Should not approve an unknown request", async function () {
+      const { bridge } = await loadFixture(refundFixture);
+
+      await expect(bridge.approveRefund(ethers.ZeroHash))
+        .to.be.revertedWithCustomError(bridge, "InvalidOutboundStatus")
+        .withArgs(ethers.ZeroHash, 0);
+    });
+
+    it("Should only refund the original sender", async function () {
+      const { bridge, user2, outbound } = await loadFixture(refundFixture);
+      await bridge.approveRefund(outbound.requestId);
+
+      await expect(bridge.connect(user2).claimRefund(outbound.requestId))
+        .to.be.revertedWithCustomError(bridge, "NotRequestSender")
+        .withArgs(user2.address);
+    });
+
+    it("Should require validator signatures in attestation mode", async function () {
+      const { bridge, outbound } = await loadFixture(refundFixture);
+      const validators = [0, 1, 2].map(() => ethers.Wallet.createRandom());
+      await bridge.setValidators(validators.map(v => v.address), 2);
+
+      await expect(bridge.approveRefund(outbound.requestId))
+        .to.be.revertedWithCustomError(bridge, "AttestationRequired");
+
+      const domain = await getBridgeDomain(bridge);
+      const attestations = await Promise.all(validators.map(v => signRefundApproval(v, domain, outbound.requestId)));
+      await expect(bridge.approveRefundWithSignatures(outbound.requestId, sortSignatures(attestations.slice(0, 1))))
+        .to.be.revertedWithCustomError(bridge, "InsufficientSignatures")
+        .withArgs(1, 2);
+      await expect(bridge.approveRefundWithSignatures(outbound.requestId, sortSignatures(attestations.slice(0, 2))))
+        .to.emit(bridge, "RefundApproved");
+    });
+
+    it("Should reject a queued transfer cancelled by a guardian", async function () {
+      const { bridge, user3, BSC_CHAIN_ID } = await loadFixture(deployBridgeFixture);
+      const amount = ethers.parseEther("1000");
+      await bridge.setExecutionDelay(amount - 1n, 3600);
+      const incoming = await buildRequest(bridge, user3.address, amount, BSC_CHAIN_ID, await bridge.CHAIN_ID(), 0);
+      await bridge.bridgeIn(incoming.request, incoming.requestId);
+
+      await expect(bridge.cancelPending(incoming.requestId))
+        .to.emit(bridge, "BridgeRejected")
+        .withArgs(incoming.requestId, BSC_CHAIN_ID);
+      expect(await bridge.rejectedRequests(incoming.requestId)).to.be.true;
+    });
+  });
+
+  describe("Fees", function () {
+    const flat = ethers.parseEther("1");
+    const amount = ethers.parseEther("1000");
+    const fee = flat + amount * 100n / 10000n;
+    const net = amount - fee;
+
+    async function feeFixture() {
+      const fixture = await deployBridgeFixture();
+      await fixture.bridge.setFees(flat, 100);
+      return fixture;
+    }
+
+    it("Should update the default fee", async function () {
+      const { bridge } = await loadFixture(deployBridgeFixture);
+
+      await expect(bridge.setFees(flat, 100))
+        .to.emit(bridge, "FeesUpdated")
+        .withArgs(flat, 100);
+
+      expect(await bridge.flatFee()).to.equal(flat);
+      expect(await bridge.feeBps()).to.equal(100);
+    });
+
+    it("Should reject a percentage fee above the maximum", async function () {
+      const { bridge, BSC_CHAIN_ID } = await loadFixture(deployBridgeFixture);
+      const tooHigh = (await bridge.MAX_FEE_BPS()) + 1n;
+
+      await expect(bridge.setFees(0, tooHigh))
+        .to.be.revertedWithCustomError(bridge, "InvalidFee")
+        .withArgs(tooHigh);
+      await expect(bridge.setChainFee(BSC_CHAIN_ID, 0, tooHigh, true))
+        .to.be.revertedWithCustomError(bridge, "InvalidFee")
+        .withArgs(tooHigh);
+    });
+
+    it("Should only allow admin to update fees and treasury", async function () {
+      const { bridge, user1, BSC_CHAIN_ID } = await loadFixture(deployBridgeFixture);
+
+      await expect(bridge.connect(user1).setFees(flat, 100)).to.be.reverted;
+      await expect(bridge.connect(user1).setChainFee(BSC_CHAIN_ID, flat, 100, true)).to.be.reverted;
+      await expect(bridge.connect(user1).setTreasury(user1.address)).to.be.reverted;
+      await expect(bridge.connect(user1).withdrawFees(0)).to.be.reverted;
+    });
+
+    it("Should quote per-target-chain overrides", async function () {
+      const { bridge, BSC_CHAIN_ID, ETH_CHAIN_ID } = await loadFixture(feeFixture);
+
+      await expect(bridge.setChainFee(ETH_CHAIN_ID, flat * 2n, 0, true))
+        .to.emit(bridge, "ChainFeeUpdated")
+        .withArgs(ETH_CHAIN_ID, flat * 2n, 0, true);
+
+      expect(await bridge.quoteFee(amount, BSC_CHAIN_ID)).to.equal(fee);
+      expect(await bridge.quoteFee(amount, ETH_CHAIN_ID)).to.equal(flat * 2n);
+
+      await bridge.setChainFee(ETH_CHAIN_ID, flat * 2n, 0, false);
+      expect(await bridge.quoteFee(amount, ETH_CHAIN_ID)).to.equal(fee);
+    });
+
+    it("Should bridge out the net amount and retain the fee", async function () {
+      const { bridge, pioToken, user1, BSC_CHAIN_ID } = await loadFixture(feeFixture);
+      const supplyBefore = await pioToken.totalSupply();
+      const expected = await buildRequest(bridge, user1.address, net, await bridge.CHAIN_ID(), BSC_CHAIN_ID, 0);
+
+      const tx = bridge.connect(user1).bridgeOut(user1.address, amount, BSC_CHAIN_ID);
+
+      await expect(tx)
+        .to.emit(bridge, "BridgeInitiated")
+        .withArgs(expected.requestId, user1.address, user1.address, net, await bridge.CHAIN_ID(), BSC_CHAIN_ID, 0);
+      await expect(tx).to.changeTokenBalances(pioToken, [user1, bridge], [-amount, fee]);
+      expect(await pioToken.totalSupply()).to.equal(supplyBefore - net);
+      expect(await bridge.collectedFees()).to.equal(fee);
+      expect((await bridge.outboundRequests(expected.requestId)).amount).to.equal(net);
+    });
+
+    it("Should revert when the amount does not cover the fee", async function () {
+      const { bridge, user1, BSC_CHAIN_ID } = await loadFixture(deployBridgeFixture);
+      await bridge.setFees(amount, 0);
+
+      await expect(bridge.connect(user1).bridgeOut(user1.address, amount, BSC_CHAIN_ID))
+        .to.be.revertedWithCustomError(bridge, "AmountBelowFee")
+        .withArgs(amount, amount);
+    });
+
+    it("Should withdraw collected fees to the treasury", async function () {
+      const { bridge, pioToken, user1, user2, BSC_CHAIN_ID } = await loadFixture(feeFixture);
+      await bridge.connect(user1).bridgeOut(user1.address, amount, BSC_CHAIN_ID);
+
+      await expect(bridge.withdrawFees(fee)).to.be.revertedWith("Treasury not set");
+      await expect(bridge.setTreasury(ethers.ZeroAddress)).to.be.revertedWith("Invalid treasury");
+
+      await expect(bridge.setTreasury(user2.address))
+        .to.emit(bridge, "TreasuryUpdated")
+        .withArgs(user2.address);
+      await expect(bridge.withdrawFees(fee + 1n)).to.be.revertedWith("Insufficient fees");
+
+      await expect(bridge.withdrawFees(fee))
+        .to.changeTokenBalances(pioToken, [user2, bridge], [fee, -fee]);
+      expect(await bridge.collectedFees()).to.equal(0);
+    });
+  });
+
+  describe("Signed Intents", function () {
+    const amount = ethers.parseEther("1000");
+    const relayerFee = ethers.parseEther("5");
+
+    async function buildIntent(bridge, signer, from, overrides = {}) {
+      const intent = {
+        from,
+        to: from,
+        amount,
+        targetChain: 56,
+        relayerFee,
+        nonce: await bridge.getUserNonce(from),
+        deadline: (await time.latest()) + 3600,
+        ...overrides
+      };
+      const signature = await signBridgeIntent(signer, await getBridgeDomain(bridge), intent);
+      return { intent, signature };
+    }
+
+    it("Should bridge out a signed intent submitted by a relayer", async function () {
+      const { bridge, pioToken, user1, user3, BSC_CHAIN_ID } = await loadFixture(deployBridgeFixture);
+      const { intent, signature } = await buildIntent(bridge, user1, user1.address);
+      const expected = await buildRequest(bridge, user1.address, amount, await bridge.CHAIN_ID(), BSC_CHAIN_ID, 0);
+      const supplyBefore = await pioToken.totalSupply();
+
+      const tx = bridge.connect(user3).bridgeOutWithSignature(intent, signature);
+
+      await expect(tx)
+        .to.emit(bridge, "BridgeInitiated")
+        .withArgs(expected.requestId, user1.address, user1.address, amount, await bridge.CHAIN_ID(), BSC_CHAIN_ID, 0);
+      await expect(tx)
+        .to.emit(bridge, "BridgeIntentRelayed")
+        .withArgs(expected.requestId, user3.address, relayerFee);
+      await expect(tx).to.changeTokenBalances(pioToken, [user1, user3], [-(amount + relayerFee), relayerFee]);
+      expect(await pioToken.totalSupply()).to.equal(supplyBefore - amount);
+      expect(await bridge.getUserNonce(user1.address)).to.equal(1);
+      expect((await bridge.outboundRequests(expected.requestId)).from).to.equal(user1.address);
+    });
+
+    it("Should bridge out an intent without relayer fee", async function () {
+      const { bridge, pioToken, user1, user3 } = await loadFixture(deployBridgeFixture);
+      const { intent, signature } = await buildIntent(bridge, user1, user1.address, { relayerFee: 0 });
+
+      await expect(bridge.connect(user3).bridgeOutWithSignature(intent, signature))
+        .to.changeTokenBalances(pioToken, [user1, user3], [-amount, 0]);
+    });
+
+    it("Should reject replayed and voided intents", async function () {
+      const { bridge, user1, user3, BSC_CHAIN_ID } = await loadFixture(deployBridgeFixture);
+      const first = await buildIntent(bridge, user1, user1.address);
+      await bridge.connect(user3).bridgeOutWithSignature(first.intent, first.signature);
+
+      await expect(bridge.connect(user3).bridgeOutWithSignature(first.intent, first.signature))
+        .to.be.revertedWithCustomError(bridge, "InvalidIntentNonce")
+        .withArgs(user1.address, 0);
+
+      const second = await buildIntent(bridge, user1, user1.address);
+      await bridge.connect(user1).bridgeOut(user1.address, amount, BSC_CHAIN_ID);
+      await expect(bridge.connect(user3).bridgeOutWithSignature(second.intent, second.signature))
+        .to.be.revertedWithCustomError(bridge, "InvalidIntentNonce")
+        .withArgs(user1.address, 1);
+    });
+
+    it("Should reject expired intents", async function () {
+      const { bridge, user1, user3 } = await loadFixture(deployBridgeFixture);
+      const { intent, signature } = await buildIntent(bridge, user1, user1.address);
+      await time.increaseTo(intent.deadline + 1);
+
+      await expect(bridge.connect(user3).bridgeOutWithSignature(intent, signature))
+        .to.be.revertedWithCustomError(bridge, "IntentExpired")
+        .withArgs(intent.deadline);
+    });
+
+    it("Should reject intents not signed by the sender", async function () {
+      const { bridge, user1, user2, user3 } = await loadFixture(deployBridgeFixture);
+      const forged = await buildIntent(bridge, user2, user1.address);
+      await expect(bridge.connect(user3).bridgeOutWithSignature(forged.intent, forged.signature))
+        .to.be.revertedWithCustomError(bridge, "InvalidIntentSignature")
+        .withArgs(user1.address);
+
+      const { intent, signature } = await buildIntent(bridge, user1, user1.address);
+      await expect(bridge.connect(user3).bridgeOutWithSignature({ ...intent, relayerFee: relayerFee * 2n }, signature))
+        .to.be.revertedWithCustomError(bridge, "InvalidIntentSignature");
+      await expect(bridge.connect(user3).bridgeOutWithSignature({ ...intent, to: user3.address }, signature))
+        .to.be.revertedWithCustomError(bridge, "InvalidIntentSignature");
+    });
+
+    it("Should accept intents of ERC-1271 wallets", async function () {
+      const { bridge, pioToken, user1, user2, user3 } = await loadFixture(deployBridgeFixture);
+      const Wallet = await ethers.getContractFactory("MockSmartWallet");
+      const wallet = await Wallet.deploy(user2.address);
+      const walletAddress = await wallet.getAddress();
+      await pioToken.connect(user1).transfer(walletAddress, amount + relayerFee);
+
+      const forged = await buildIntent(bridge, user1, walletAddress);
+      await expect(bridge.connect(user3).bridgeOutWithSignature(forged.intent, forged.signature))
+        .to.be.revertedWithCustomError(bridge, "InvalidIntentSignature")
+        .withArgs(walletAddress);
+
+      const { intent, signature } = await buildIntent(bridge, user2, walletAddress);
+      await expect(bridge.connect(user3).bridgeOutWithSignature(intent, signature))
+        .to.changeTokenBalances(pioToken, [wallet, user3], [-(amount + relayerFee), relayerFee]);
+    });
+
+    it("Should apply the bridgeOut checks to intents", async function () {
+      const { bridge, user1, user3, minTransfer, maxTransfer } = await loadFixture(deployBridgeFixture);
+      const small = await buildIntent(bridge, user1, user1.address, { amount: minTransfer - 1n });
+      await expect(bridge.connect(user3).bridgeOutWithSignature(small.intent, small.signature))
+        .to.be.revertedWithCustomError(bridge, "InvalidAmount")
+        .withArgs(minTransfer, maxTransfer, minTransfer - 1n);
+
+      const unsupported = await buildIntent(bridge, user1, user1.address, { targetChain: 999 });
+      await expect(bridge.connect(user3).bridgeOutWithSignature(unsupported.intent, unsupported.signature))
+        .to.be.revertedWith("Chain not supported");
+
+      const { intent, signature } = await buildIntent(bridge, user1, user1.address);
+      await bridge.pause();
+      await expect(bridge.connect(user3).bridgeOutWithSignature(intent, signature))
+        .to.be.revertedWithCustomError(bridge, "EnforcedPause");
+    });
+  });
+
+  describe("Request IDs", function () {
+    const amount = ethers.parseEther("1000");
+    const OTHER_BRIDGE = ethers.getAddress("0x00000000000000000000000000000000000b12da");
+
+    async function incomingRequest(bridge, user3, BSC_CHAIN_ID) {
+      return {
+        from: user3.address,
+        to: user3.address,
+        amount,
+        sourceChain: BSC_CHAIN_ID,
+        targetChain: await bridge.CHAIN_ID(),
+        nonce: 0
+      };
+    }
+
+    it("Should commit request ids to both bridges and the version tag", async function () {
+      const { bridge, user1, BSC_CHAIN_ID } = await loadFixture(deployBridgeFixture);
+      const request = {
+        from: user1.address,
+        to: user1.address,
+        amount,
+        sourceChain: await bridge.CHAIN_ID(),
+        targetChain: BSC_CHAIN_ID,
+        nonce: 0
+      };
+      const requestId = computeRequestId(request, await bridge.getAddress(), REMOTE_BRIDGE);
+
+      expect(await bridge.REQUEST_ID_VERSION()).to.equal(ethers.id("PIONE_BRIDGE_REQUEST_V2"));
+      await expect(bridge.connect(user1).bridgeOut(user1.address, amount, BSC_CHAIN_ID))
+        .to.emit(bridge, "BridgeInitiated")
+        .withArgs(requestId, user1.address, user1.address, amount, request.sourceChain, BSC_CHAIN_ID, 0);
+    });
+
+    it("Should update the remote bridge of a chain", async function () {
+      const { bridge, user1, BSC_CHAIN_ID } = await loadFixture(deployBridgeFixture);
+
+      await expect(bridge.setRemoteBridge(BSC_CHAIN_ID, OTHER_BRIDGE))
+        .to.emit(bridge, "RemoteBridgeUpdated")
+        .withArgs(BSC_CHAIN_ID, OTHER_BRIDGE);
+      expect(await bridge.remoteBridges(BSC_CHAIN_ID)).to.equal(OTHER_BRIDGE);
+
+      await expect(bridge.connect(user1).setRemoteBridge(BSC_CHAIN_ID, OTHER_BRIDGE)).to.be.reverted;
+    });
+
+    it("Should not bridge out to a chain without remote bridge", async function () {
+      const { bridge, user1, BSC_CHAIN_ID } = await loadFixture(deployBridgeFixture);
+      await bridge.setRemoteBridge(BSC_CHAIN_ID, ethers.ZeroAddress);
+
+      await expect(bridge.connect(user1).bridgeOut(user1.address, amount, BSC_CHAIN_ID))
+        .to.be.revertedWith("Remote bridge not set");
+    });
+
+    it("Should reject requests sent to another deployment", async function () {
+      const { bridge, user3, BSC_CHAIN_ID } = await loadFixture(deployBridgeFixture);
+      const request = await incomingRequest(bridge, user3, BSC_CHAIN_ID);
+      const requestId = computeRequestId(request, REMOTE_BRIDGE, OTHER_BRIDGE);
+
+      await expect(bridge.bridgeIn(request, requestId))
+        .to.be.revertedWithCustomError(bridge, "InvalidRequest");
+    });
+
+    it("Should reject requests from an unregistered source bridge", async function () {
+      const { bridge, user3, BSC_CHAIN_ID } = await loadFixture(deployBridgeFixture);
+      const request = await incomingRequest(bridge, user3, BSC_CHAIN_ID);
+      const requestId = computeRequestId(request, OTHER_BRIDGE, await bridge.getAddress());
+
+      await expect(bridge.bridgeIn(request, requestId))
+        .to.be.revertedWithCustomError(bridge, "InvalidRequest");
+    });
+
+    it("Should only accept legacy request ids allowed by admin", async function () {
+      const { bridge, user3, BSC_CHAIN_ID } = await loadFixture(deployBridgeFixture);
+      const request = await incomingRequest(bridge, user3, BSC_CHAIN_ID);
+      const legacyId = computeLegacyRequestId(request);
+
+      await expect(bridge.bridgeIn(request, legacyId))
+        .to.be.revertedWithCustomError(bridge, "InvalidRequest");
+
+      await expect(bridge.setLegacyRequests([legacyId], true))
+        .to.emit(bridge, "LegacyRequestsUpdated")
+        .withArgs([legacyId], true);
+      expect(await bridge.legacyRequests(legacyId)).to.be.true;
+
+      await expect(bridge.bridgeIn(request, legacyId))
+        .to.emit(bridge, "BridgeCompleted")
+        .withArgs(legacyId, user3.address, amount, request.targetChain);
+      await expect(bridge.bridgeIn(request, legacyId))
+        .to.be.revertedWith("Already processed");
+    });
+
+    it("Should not accept revoked or mismatching legacy request ids", async function () {
+      const { bridge, user1, user3, BSC_CHAIN_ID } = await loadFixture(deployBridgeFixture);
+      const request = await incomingRequest(bridge, user3, BSC_CHAIN_ID);
+      const legacyId = computeLegacyRequestId(request);
+      await bridge.setLegacyRequests([legacyId], true);
+
+      await expect(bridge.bridgeIn({ ...request, amount: amount * 2n }, legacyId))
+        .to.be.revertedWithCustomError(bridge, "InvalidRequest");
+
+      await bridge.setLegacyRequests([legacyId], false);
+      await expect(bridge.bridgeIn(request, legacyId))
+        .to.be.revertedWithCustomError(bridge, "InvalidRequest");
+
+      await expect(bridge.connect(user1).setLegacyRequests([legacyId], true)).to.be.reverted;
+    });
+  });
+
   describe("Admin Functions", function () {
     it("Should update transfer limits", async function () {
       const { bridge, owner } = await loadFixture(deployBridgeFixture);
@@ -578,6 +1532,23 @@ describe("PioneChainBridgeBSC", function () {
       await expect(bridge.connect(user1).pause()).to.be.reverted;
     });
 
+    it("Should let guardians pause but not unpause or configure", async function () {
+      const { bridge, user1, user2 } = await loadFixture(deployBridgeFixture);
+      await bridge.grantRole(await bridge.GUARDIAN_ROLE(), user1.address);
+
+      await expect(bridge.connect(user1).pause())
+        .to.emit(bridge, "Paused")
+        .withArgs(user1.address);
+      await expect(bridge.connect(user1).unpause())
+        .to.be.revertedWithCustomError(bridge, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await bridge.DEFAULT_ADMIN_ROLE());
+      await expect(bridge.connect(user1).setTransferLimits(0, 0, 0))
+        .to.be.revertedWithCustomError(bridge, "AccessControlUnauthorizedAccount");
+      await expect(bridge.connect(user2).pause())
+        .to.be.revertedWithCustomError(bridge, "AccessControlUnauthorizedAccount")
+        .withArgs(user2.address, await bridge.DEFAULT_ADMIN_ROLE());
+    });
+
     it("Should only allow admin to update limits", async function () {
       const { bridge, user1 } = await loadFixture(deployBridgeFixture);
       
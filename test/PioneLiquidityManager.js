@@ -3,6 +3,8 @@ const { ethers } = require("hardhat");
 const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("PioneLiquidityManager", function () {
+    // PioneChain mainnet, where claims are bridged to
+    const PIONE_CHAIN_ID = 5090;
 
     // Fixture để deploy contracts và mock dependencies
     async function deployLiquidityManagerFixture() {
@@ -63,7 +65,8 @@ describe("PioneLiquidityManager", function () {
             usdtToken.target,
             bridge.target,
             router.target,
-            pinkLock.target
+            pinkLock.target,
+            PIONE_CHAIN_ID
         );
         await liquidityManager.waitForDeployment();
 
@@ -100,6 +103,7 @@ describe("PioneLiquidityManager", function () {
 
             expect(await liquidityManager.PIONE_TOKEN()).to.equal(pioneToken.target);
             expect(await liquidityManager.USDT_TOKEN()).to.equal(usdtToken.target);
+            expect(await liquidityManager.PIONE_CHAIN_ID()).to.equal(PIONE_CHAIN_ID);
         });
 
         it("Should set correct roles", async function () {
@@ -159,6 +163,19 @@ describe("PioneLiquidityManager", function () {
             ).to.be.revertedWith("Transaction not completed");
         });
 
+        it("Should revert if the bridge has not paid the transaction out", async function () {
+            const { liquidityManager, bridge, user1 } = await loadFixture(deployLiquidityManagerFixture);
+
+            // Processed on the bridge but queued, rejected or cancelled
+            const requestId = ethers.id("test-queued");
+            await bridge.setProcessedTransaction(requestId, true);
+            await bridge.setCompletedTransaction(requestId, false);
+
+            await expect(
+                liquidityManager.handleBridgeCompleted(requestId, user1.address, ethers.parseEther("100"), ethers.parseEther("50"), 6)
+            ).to.be.revertedWith("Transaction not completed");
+        });
+
         it("Should revert if requestId already used", async function () {
             const { liquidityManager, bridge, user1 } = await loadFixture(deployLiquidityManagerFixture);
 
@@ -253,13 +270,22 @@ describe("PioneLiquidityManager", function () {
 
             const requestId = ethers.id("test-claim-1");
             const pioAmount = ethers.parseEther("100");
-            const usdtAmount = ethers.parseEther("50");
+            const usdtAmount = ethers.parseEther("80");
 
             await bridge.setProcessedTransaction(requestId, true);
             await liquidityManager.handleBridgeCompleted(requestId, user1.address, pioAmount, usdtAmount, 6);
             await liquidityManager.connect(user1).depositUSDT(requestId);
 
-            const claimAmount = ethers.parseEther("30");
+            // The deposit is reserved for the request until liquidity is added
+            await expect(
+                liquidityManager.connect(user1).claimUSDT(ethers.parseEther("1"))
+            ).to.be.revertedWith("Insufficient balance USDT");
+
+            // The USDT not matched by the PIO at the pool ratio stays in the balance
+            await liquidityManager.connect(user1).addLiquidity(requestId, 90);
+            const [, unused] = await liquidityManager.getUserBalances(user1.address);
+            expect(unused).to.be.gt(0);
+            const claimAmount = unused / 2n;
             const balanceBefore = await usdtToken.balanceOf(user1.address);
 
             await expect(
@@ -272,7 +298,7 @@ describe("PioneLiquidityManager", function () {
 
             // Check remaining balance in contract
             const userInfo = await liquidityManager.getUserBalances(user1.address);
-            expect(userInfo.usdtBalance).to.equal(usdtAmount - claimAmount);
+            expect(userInfo.usdtBalance).to.equal(unused - claimAmount);
         });
 
         it("Should revert if insufficient USDT balance", async function () {
@@ -313,6 +339,7 @@ describe("PioneLiquidityManager", function () {
 
             const userInfo = await liquidityManager.getUserBalances(user1.address);
             expect(userInfo.pioBalance).to.equal(pioAmount - claimAmount);
+            expect(await bridge.lastBridgeOut()).to.deep.equal([user1.address, claimAmount, BigInt(PIONE_CHAIN_ID)]);
         });
 
         it("Should revert if amount is zero", async function () {
@@ -584,6 +611,683 @@ describe("PioneLiquidityManager", function () {
         });
     });
 
+    describe("depositAndAddLiquidity", function () {
+        const pioAmount = ethers.parseEther("100");
+        const usdtAmount = ethers.parseEther("50");
+
+        async function createRequest({ liquidityManager, bridge, user1 }, name) {
+            const requestId = ethers.id(name);
+            await bridge.setProcessedTransaction(requestId, true);
+            await liquidityManager.handleBridgeCompleted(requestId, user1.address, pioAmount, usdtAmount, 6);
+            return requestId;
+        }
+
+        // Liquidity manager whose USDT supports EIP-2612, with no USDT allowance from user1
+        async function permitFixture() {
+            const fixture = await deployLiquidityManagerFixture();
+            const { pioneToken, bridge, router, pinkLock, user1 } = fixture;
+
+            const MockERC20Permit = await ethers.getContractFactory("MockERC20Permit");
+            const usdtToken = await MockERC20Permit.deploy("Tether USD", "USDT", ethers.parseEther("1000000"));
+            const PioneLiquidityManager = await ethers.getContractFactory("PioneLiquidityManager");
+            const liquidityManager = await PioneLiquidityManager.deploy(
+                pioneToken.target,
+                usdtToken.target,
+                bridge.target,
+                router.target,
+                pinkLock.target,
+                PIONE_CHAIN_ID
+            );
+            await pioneToken.transfer(liquidityManager.target, ethers.parseEther("100000"));
+            await usdtToken.transfer(user1.address, ethers.parseEther("10000"));
+
+            return { ...fixture, usdtToken, liquidityManager };
+        }
+
+        async function signPermit(token, owner, spender, value, deadline) {
+            const domain = {
+                name: await token.name(),
+                version: "1",
+                chainId: (await ethers.provider.getNetwork()).chainId,
+                verifyingContract: token.target
+            };
+            const types = {
+                Permit: [
+                    { name: "owner", type: "address" },
+                    { name: "spender", type: "address" },
+                    { name: "value", type: "uint256" },
+                    { name: "nonce", type: "uint256" },
+                    { name: "deadline", type: "uint256" }
+                ]
+            };
+            const nonce = await token.nonces(owner.address);
+            return ethers.Signature.from(await owner.signTypedData(domain, types, { owner: owner.address, spender, value, nonce, deadline }));
+        }
+
+        it("Should deposit, add and lock liquidity in one transaction", async function () {
+            const fixture = await loadFixture(deployLiquidityManagerFixture);
+            const { liquidityManager, user1 } = fixture;
+            const requestId = await createRequest(fixture, "test-combined-1");
+            const deadline = (await time.latest()) + 600;
+
+            const expectedPioUsed = pioAmount * 95n / 100n;
+            const expectedUsdtUsed = usdtAmount * 95n / 100n;
+            await expect(liquidityManager.connect(user1).depositAndAddLiquidity(requestId, 250, deadline))
+                .to.emit(liquidityManager, "UserDepositUSDT").withArgs(requestId, user1.address, usdtAmount)
+                .and.to.emit(liquidityManager, "DepositAndLiquidityAdded")
+                .withArgs(user1.address, requestId, expectedPioUsed, expectedUsdtUsed, (expectedPioUsed + expectedUsdtUsed) / 2n, 250)
+                .and.to.emit(liquidityManager, "LiquidityLocked");
+
+            const txInfo = await liquidityManager.getTransactionInfo(requestId);
+            expect(txInfo._depositUSDT).to.be.true;
+            expect(txInfo.pinkLockId).to.be.gt(0);
+
+            // Same refund accounting as addLiquidity
+            const [pioBalance, usdtBalance] = await liquidityManager.getUserBalances(user1.address);
+            expect(pioBalance).to.equal(pioAmount - expectedPioUsed);
+            expect(usdtBalance).to.equal(usdtAmount - expectedUsdtUsed);
+        });
+
+        it("Should revert past the deadline, above max slippage or once deposited", async function () {
+            const fixture = await loadFixture(deployLiquidityManagerFixture);
+            const { liquidityManager, user1 } = fixture;
+            const requestId = await createRequest(fixture, "test-combined-2");
+            const now = await time.latest();
+
+            await expect(
+                liquidityManager.connect(user1).depositAndAddLiquidity(requestId, 250, now)
+            ).to.be.revertedWith("Transaction expired");
+            await expect(
+                liquidityManager.connect(user1).depositAndAddLiquidity(requestId, 9001, now + 600)
+            ).to.be.revertedWith("Slippage too high");
+
+            await liquidityManager.connect(user1).depositUSDT(requestId);
+            await expect(
+                liquidityManager.connect(user1).depositAndAddLiquidity(requestId, 250, now + 600)
+            ).to.be.revertedWith("Already deposited USDT");
+        });
+
+        it("Should pull the USDT with a permit instead of an approval", async function () {
+            const fixture = await loadFixture(permitFixture);
+            const { liquidityManager, usdtToken, user1 } = fixture;
+            const requestId = await createRequest(fixture, "test-permit-1");
+            const deadline = (await time.latest()) + 600;
+            const { v, r, s } = await signPermit(usdtToken, user1, liquidityManager.target, usdtAmount, deadline);
+
+            await expect(
+                liquidityManager.connect(user1).depositAndAddLiquidity(requestId, 250, deadline)
+            ).to.be.revertedWithCustomError(usdtToken, "ERC20InsufficientAllowance");
+
+            await expect(liquidityManager.connect(user1).depositAndAddLiquidityWithPermit(requestId, 250, deadline, v, r, s))
+                .to.emit(liquidityManager, "LiquidityLocked");
+            expect(await usdtToken.nonces(user1.address)).to.equal(1);
+            expect(await usdtToken.allowance(user1.address, liquidityManager.target)).to.equal(0);
+        });
+
+        it("Should use the allowance when the permit was already submitted", async function () {
+            const fixture = await loadFixture(permitFixture);
+            const { liquidityManager, usdtToken, user1, user2 } = fixture;
+            const requestId = await createRequest(fixture, "test-permit-2");
+            const deadline = (await time.latest()) + 600;
+            const { v, r, s } = await signPermit(usdtToken, user1, liquidityManager.target, usdtAmount, deadline);
+
+            await usdtToken.connect(user2).permit(user1.address, liquidityManager.target, usdtAmount, deadline, v, r, s);
+
+            await expect(liquidityManager.connect(user1).depositAndAddLiquidityWithPermit(requestId, 250, deadline, v, r, s))
+                .to.emit(liquidityManager, "LiquidityLocked");
+        });
+
+        it("Should fall back to the allowance for tokens without permit", async function () {
+            const fixture = await loadFixture(deployLiquidityManagerFixture);
+            const { liquidityManager, usdtToken, user1 } = fixture;
+            const requestId = await createRequest(fixture, "test-permit-3");
+            const deadline = (await time.latest()) + 600;
+
+            await expect(
+                liquidityManager.connect(user1).depositAndAddLiquidityWithPermit(requestId, 250, deadline, 27, ethers.ZeroHash, ethers.ZeroHash)
+            ).to.emit(liquidityManager, "LiquidityLocked");
+
+            await usdtToken.connect(user1).approve(liquidityManager.target, 0);
+            const otherId = await createRequest(fixture, "test-permit-4");
+            await expect(
+                liquidityManager.connect(user1).depositAndAddLiquidityWithPermit(otherId, 250, deadline, 27, ethers.ZeroHash, ethers.ZeroHash)
+            ).to.be.revertedWithCustomError(usdtToken, "ERC20InsufficientAllowance");
+        });
+    });
+
+    describe("Lock status and removeLiquidity", function () {
+        const LOCK_DURATION = 30 * 24 * 60 * 60 * 6; // 6 months
+
+        async function lockedLiquidityFixture() {
+            const fixture = await deployLiquidityManagerFixture();
+            const { liquidityManager, bridge, user1 } = fixture;
+
+            const requestId = ethers.id("test-exit-1");
+            await bridge.setProcessedTransaction(requestId, true);
+            await liquidityManager.handleBridgeCompleted(requestId, user1.address, ethers.parseEther("100"), ethers.parseEther("50"), 6);
+            await liquidityManager.connect(user1).depositUSDT(requestId);
+            await liquidityManager.connect(user1).addLiquidity(requestId, 10);
+
+            const { liquidityAmount, pinkLockId } = await liquidityManager.getTransactionInfo(requestId);
+            return { ...fixture, requestId, liquidity: liquidityAmount, lockId: pinkLockId };
+        }
+
+        // Expected PIO and USDT for `liquidity` LP from the fixture reserves (1000 USDT / 2000 PIO)
+        async function expectedAmounts(lpToken, liquidity) {
+            const totalSupply = await lpToken.totalSupply();
+            return [liquidity * ethers.parseEther("2000") / totalSupply, liquidity * ethers.parseEther("1000") / totalSupply];
+        }
+
+        async function unlock({ pinkLock, lpToken, liquidityManager, user1, lockId }) {
+            await time.increase(LOCK_DURATION);
+            await pinkLock.connect(user1).unlock(lockId);
+            await lpToken.connect(user1).approve(liquidityManager.target, ethers.MaxUint256);
+        }
+
+        it("Should return the lock status before the unlock date", async function () {
+            const { liquidityManager, pinkLock, requestId, liquidity, lockId } = await loadFixture(lockedLiquidityFixture);
+
+            const status = await liquidityManager.getLockStatus(requestId);
+            expect(status.lockId).to.equal(lockId);
+            expect(status.lockedAmount).to.equal(liquidity);
+            expect(status.unlockDate).to.equal((await pinkLock.getLock(lockId)).unlockDate);
+            expect(status.unlockedAmount).to.equal(0);
+            expect(status.withdrawableAmount).to.equal(0);
+        });
+
+        it("Should report the LP withdrawable from the unlock date until unlocked", async function () {
+            const { liquidityManager, pinkLock, lpToken, user1, requestId, liquidity, lockId } = await loadFixture(lockedLiquidityFixture);
+
+            await expect(pinkLock.connect(user1).unlock(lockId)).to.be.revertedWith("It is not time to unlock");
+
+            await time.increase(LOCK_DURATION);
+            expect((await liquidityManager.getLockStatus(requestId)).withdrawableAmount).to.equal(liquidity);
+
+            await pinkLock.connect(user1).unlock(lockId);
+            const status = await liquidityManager.getLockStatus(requestId);
+            expect(status.unlockedAmount).to.equal(liquidity);
+            expect(status.withdrawableAmount).to.equal(0);
+            expect(await lpToken.balanceOf(user1.address)).to.equal(liquidity);
+        });
+
+        it("Should revert getLockStatus for a request without locked liquidity", async function () {
+            const { liquidityManager, bridge, user1 } = await loadFixture(deployLiquidityManagerFixture);
+
+            const requestId = ethers.id("test-exit-unlocked");
+            await expect(liquidityManager.getLockStatus(requestId)).to.be.revertedWith("RequestId does not exist");
+
+            await bridge.setProcessedTransaction(requestId, true);
+            await liquidityManager.handleBridgeCompleted(requestId, user1.address, ethers.parseEther("100"), ethers.parseEther("50"), 6);
+            await expect(liquidityManager.getLockStatus(requestId)).to.be.revertedWith("Liquidity not locked");
+        });
+
+        it("Should remove unlocked liquidity and credit PIO and USDT", async function () {
+            const fixture = await loadFixture(lockedLiquidityFixture);
+            const { liquidityManager, lpToken, user1, requestId, liquidity } = fixture;
+            await unlock(fixture);
+
+            const [pioAmount, usdtAmount] = await expectedAmounts(lpToken, liquidity);
+            const [pioBefore, usdtBefore] = await liquidityManager.getUserBalances(user1.address);
+
+            await expect(liquidityManager.connect(user1).removeLiquidity(requestId, liquidity, pioAmount, usdtAmount, false))
+                .to.emit(liquidityManager, "LiquidityRemoved")
+                .withArgs(user1.address, requestId, liquidity, pioAmount, usdtAmount);
+
+            const [pioAfter, usdtAfter] = await liquidityManager.getUserBalances(user1.address);
+            expect(pioAfter - pioBefore).to.equal(pioAmount);
+            expect(usdtAfter - usdtBefore).to.equal(usdtAmount);
+            expect(await liquidityManager.getRemovedLiquidity(requestId)).to.equal(liquidity);
+            expect(await lpToken.balanceOf(user1.address)).to.equal(0);
+
+            await expect(
+                liquidityManager.connect(user1).claimUSDT(usdtAfter)
+            ).to.emit(liquidityManager, "ClaimedUSDT").withArgs(user1.address, usdtAfter);
+        });
+
+        it("Should bridge the removed PIO back to Pione Chain", async function () {
+            const fixture = await loadFixture(lockedLiquidityFixture);
+            const { liquidityManager, lpToken, user1, requestId, liquidity } = fixture;
+            await unlock(fixture);
+            await liquidityManager.setMinClaimPIOAmount(ethers.parseEther("0.01"));
+
+            const half = liquidity / 2n;
+            const [pioAmount] = await expectedAmounts(lpToken, half);
+            const [pioBefore] = await liquidityManager.getUserBalances(user1.address);
+
+            await expect(liquidityManager.connect(user1).removeLiquidity(requestId, half, 0, 0, true))
+                .to.emit(liquidityManager, "ClaimedPIOtoPioneChain");
+
+            const [pioAfter] = await liquidityManager.getUserBalances(user1.address);
+            expect(pioAfter).to.equal(pioBefore);
+            expect(await liquidityManager.getRemovedLiquidity(requestId)).to.equal(half);
+            expect(pioAmount).to.be.gt(0);
+        });
+
+        it("Should keep the removed PIO in the balance when it is below the minimum claim", async function () {
+            const fixture = await loadFixture(lockedLiquidityFixture);
+            const { liquidityManager, lpToken, user1, requestId, liquidity } = fixture;
+            await unlock(fixture);
+
+            const [pioAmount] = await expectedAmounts(lpToken, liquidity);
+            await liquidityManager.setMinClaimPIOAmount(pioAmount + 1n);
+            const [pioBefore] = await liquidityManager.getUserBalances(user1.address);
+
+            await expect(liquidityManager.connect(user1).removeLiquidity(requestId, liquidity, 0, 0, true))
+                .to.emit(liquidityManager, "LiquidityRemoved")
+                .and.not.to.emit(liquidityManager, "ClaimedPIOtoPioneChain");
+
+            const [pioAfter] = await liquidityManager.getUserBalances(user1.address);
+            expect(pioAfter - pioBefore).to.equal(pioAmount);
+            expect(await liquidityManager.getRemovedLiquidity(requestId)).to.equal(liquidity);
+        });
+
+        it("Should revert removing more liquidity than the request locked", async function () {
+            const fixture = await loadFixture(lockedLiquidityFixture);
+            const { liquidityManager, lpToken, owner, user1, requestId, liquidity } = fixture;
+            await unlock(fixture);
+            await lpToken.transfer(user1.address, liquidity);
+
+            await expect(
+                liquidityManager.connect(user1).removeLiquidity(requestId, liquidity + 1n, 0, 0, false)
+            ).to.be.revertedWith("Exceeds request liquidity");
+            await liquidityManager.connect(user1).removeLiquidity(requestId, liquidity, 0, 0, false);
+            await expect(
+                liquidityManager.connect(user1).removeLiquidity(requestId, 1, 0, 0, false)
+            ).to.be.revertedWith("Exceeds request liquidity");
+            await expect(
+                liquidityManager.connect(owner).removeLiquidity(requestId, 1, 0, 0, false)
+            ).to.be.revertedWith("Not the owner of this request");
+        });
+
+        it("Should revert removeLiquidity while the LP is still locked", async function () {
+            const { liquidityManager, lpToken, user1, requestId, liquidity } = await loadFixture(lockedLiquidityFixture);
+            await lpToken.connect(user1).approve(liquidityManager.target, ethers.MaxUint256);
+
+            await expect(
+                liquidityManager.connect(user1).removeLiquidity(requestId, liquidity, 0, 0, false)
+            ).to.be.revertedWithCustomError(lpToken, "ERC20InsufficientBalance");
+        });
+
+        it("Should revert removeLiquidity below the minimum amounts", async function () {
+            const fixture = await loadFixture(lockedLiquidityFixture);
+            const { liquidityManager, lpToken, user1, requestId, liquidity } = fixture;
+            await unlock(fixture);
+
+            const [pioAmount] = await expectedAmounts(lpToken, liquidity);
+            await expect(
+                liquidityManager.connect(user1).removeLiquidity(requestId, liquidity, pioAmount + 1n, 0, false)
+            ).to.be.revertedWith("INSUFFICIENT_A_AMOUNT");
+        });
+    });
+
+    describe("Vesting locks", function () {
+        const LOCK_DURATION = 30 * 24 * 60 * 60 * 3; // 3 months to TGE
+        const CYCLE = 30 * 24 * 60 * 60;
+        const vesting = { tgeBps: 2000, cycle: CYCLE, cycleBps: 1000 }; // 20% at TGE, then 10% a month
+
+        async function vestingRequest(fixture, requestId, schedule = vesting) {
+            const { liquidityManager, bridge, user1 } = fixture;
+            await bridge.setProcessedTransaction(requestId, true);
+            return liquidityManager.handleBridgeCompletedWithVesting(
+                requestId, user1.address, ethers.parseEther("100"), ethers.parseEther("50"), 3, schedule
+            );
+        }
+
+        it("Should store the vesting schedule of a request", async function () {
+            const fixture = await loadFixture(deployLiquidityManagerFixture);
+            const { liquidityManager, bridge, user1 } = fixture;
+            const requestId = ethers.id("test-vesting-1");
+
+            await expect(vestingRequest(fixture, requestId))
+                .to.emit(liquidityManager, "BridgeCompleted").withArgs(requestId, user1.address, 0)
+                .and.to.emit(liquidityManager, "VestingScheduleSet").withArgs(requestId, 2000, CYCLE, 1000);
+
+            const schedule = await liquidityManager.getVestingSchedule(requestId);
+            expect([schedule.tgeBps, schedule.cycle, schedule.cycleBps]).to.deep.equal([2000n, BigInt(CYCLE), 1000n]);
+            expect((await liquidityManager.getTransactionInfo(requestId)).lockMonths).to.equal(3);
+
+            const cliffId = ethers.id("test-vesting-cliff");
+            await bridge.setProcessedTransaction(cliffId, true);
+            await liquidityManager.handleBridgeCompleted(cliffId, user1.address, ethers.parseEther("100"), ethers.parseEther("50"), 3);
+            expect((await liquidityManager.getVestingSchedule(cliffId)).cycle).to.equal(0);
+        });
+
+        it("Should lock the LP in a PinkLock vesting lock starting at the unlock date", async function () {
+            const fixture = await loadFixture(deployLiquidityManagerFixture);
+            const { liquidityManager, pinkLock, lpToken, user1 } = fixture;
+            const requestId = ethers.id("test-vesting-2");
+            await vestingRequest(fixture, requestId);
+            await liquidityManager.connect(user1).depositUSDT(requestId);
+
+            const tx = await liquidityManager.connect(user1).addLiquidity(requestId, 10);
+            const { timestamp } = await ethers.provider.getBlock((await tx.wait()).blockNumber);
+            const { liquidityAmount, pinkLockId } = await liquidityManager.getTransactionInfo(requestId);
+            await expect(tx)
+                .to.emit(liquidityManager, "LiquidityLocked")
+                .withArgs(user1.address, requestId, pinkLockId, liquidityAmount, timestamp + LOCK_DURATION);
+
+            const lock = await pinkLock.getLockById(pinkLockId);
+            expect(lock.owner).to.equal(user1.address);
+            expect(lock.token).to.equal(lpToken.target);
+            expect(lock.amount).to.equal(liquidityAmount);
+            expect(lock.tgeDate).to.equal(timestamp + LOCK_DURATION);
+            expect([lock.tgeBps, lock.cycle, lock.cycleBps]).to.deep.equal([2000n, BigInt(CYCLE), 1000n]);
+        });
+
+        it("Should release the LP gradually and let the vested part be removed", async function () {
+            const fixture = await loadFixture(deployLiquidityManagerFixture);
+            const { liquidityManager, pinkLock, lpToken, user1 } = fixture;
+            const requestId = ethers.id("test-vesting-3");
+            await vestingRequest(fixture, requestId);
+            await liquidityManager.connect(user1).depositUSDT(requestId);
+            await liquidityManager.connect(user1).addLiquidity(requestId, 10);
+            const { liquidityAmount, pinkLockId } = await liquidityManager.getTransactionInfo(requestId);
+            await lpToken.connect(user1).approve(liquidityManager.target, ethers.MaxUint256);
+
+            expect((await liquidityManager.getLockStatus(requestId)).withdrawableAmount).to.equal(0);
+
+            await time.increase(LOCK_DURATION);
+            const atTge = liquidityAmount * 2000n / 10000n;
+            expect((await liquidityManager.getLockStatus(requestId)).withdrawableAmount).to.equal(atTge);
+
+            await pinkLock.connect(user1).unlock(pinkLockId);
+            await liquidityManager.connect(user1).removeLiquidity(requestId, atTge, 0, 0, false);
+            await expect(
+                liquidityManager.connect(user1).removeLiquidity(requestId, 1, 0, 0, false)
+            ).to.be.revertedWithCustomError(lpToken, "ERC20InsufficientBalance");
+
+            await time.increase(CYCLE);
+            const status = await liquidityManager.getLockStatus(requestId);
+            expect(status.unlockedAmount).to.equal(atTge);
+            expect(status.withdrawableAmount).to.equal(liquidityAmount * 1000n / 10000n);
+
+            await time.increase(CYCLE * 10);
+            expect((await liquidityManager.getLockStatus(requestId)).withdrawableAmount).to.equal(liquidityAmount - atTge);
+        });
+
+        it("Should revert invalid vesting schedules", async function () {
+            const fixture = await loadFixture(deployLiquidityManagerFixture);
+            const requestId = ethers.id("test-vesting-4");
+
+            await expect(vestingRequest(fixture, requestId, { ...vesting, cycle: 0 })).to.be.revertedWith("Invalid cycle");
+            await expect(vestingRequest(fixture, requestId, { ...vesting, tgeBps: 0 })).to.be.revertedWith("Invalid bips for TGE");
+            await expect(vestingRequest(fixture, requestId, { ...vesting, cycleBps: 10000 })).to.be.revertedWith("Invalid bips for cycle");
+            await expect(
+                vestingRequest(fixture, requestId, { ...vesting, tgeBps: 6000, cycleBps: 5000 })
+            ).to.be.revertedWith("Sum of TGE bps and cycle should be less than 10000");
+        });
+
+        it("Should only be callable by manager role", async function () {
+            const { liquidityManager, bridge, user1 } = await loadFixture(deployLiquidityManagerFixture);
+            const requestId = ethers.id("test-vesting-5");
+            await bridge.setProcessedTransaction(requestId, true);
+
+            await expect(
+                liquidityManager.connect(user1).handleBridgeCompletedWithVesting(
+                    requestId, user1.address, ethers.parseEther("100"), ethers.parseEther("50"), 3, vesting
+                )
+            ).to.be.revertedWith("Not manager");
+        });
+    });
+
+    describe("Request expiry and cancellation", function () {
+        const pioAmount = ethers.parseEther("100");
+        const usdtAmount = ethers.parseEther("50");
+
+        async function createRequest({ liquidityManager, bridge, user1 }, name, deposit = false) {
+            const requestId = ethers.id(name);
+            await bridge.setProcessedTransaction(requestId, true);
+            await liquidityManager.handleBridgeCompleted(requestId, user1.address, pioAmount, usdtAmount, 6);
+            if (deposit) await liquidityManager.connect(user1).depositUSDT(requestId);
+            return requestId;
+        }
+
+        it("Should cancel an unfunded request and keep its PIO claimable", async function () {
+            const fixture = await loadFixture(deployLiquidityManagerFixture);
+            const { liquidityManager, user1 } = fixture;
+            const requestId = await createRequest(fixture, "test-cancel-1");
+
+            await expect(liquidityManager.connect(user1).cancelRequest(requestId))
+                .to.emit(liquidityManager, "RequestCancelled")
+                .withArgs(requestId, user1.address, 0);
+
+            expect((await liquidityManager.getRequestState(requestId)).closed).to.be.true;
+            await expect(liquidityManager.connect(user1).depositUSDT(requestId)).to.be.revertedWith("Request closed");
+            await expect(
+                liquidityManager.connect(user1).claimPioToPioneChain(pioAmount)
+            ).to.emit(liquidityManager, "ClaimedPIOtoPioneChain");
+        });
+
+        it("Should refund deposited USDT when cancelling", async function () {
+            const fixture = await loadFixture(deployLiquidityManagerFixture);
+            const { liquidityManager, usdtToken, user1 } = fixture;
+            const requestId = await createRequest(fixture, "test-cancel-2", true);
+            const walletBefore = await usdtToken.balanceOf(user1.address);
+
+            await expect(liquidityManager.connect(user1).cancelRequest(requestId))
+                .to.emit(liquidityManager, "RequestCancelled")
+                .withArgs(requestId, user1.address, usdtAmount);
+
+            expect(await usdtToken.balanceOf(user1.address)).to.equal(walletBefore + usdtAmount);
+            const [pioBalance, usdtBalance] = await liquidityManager.getUserBalances(user1.address);
+            expect(pioBalance).to.equal(pioAmount);
+            expect(usdtBalance).to.equal(0);
+            await expect(liquidityManager.connect(user1).addLiquidity(requestId, 10)).to.be.revertedWith("Request closed");
+        });
+
+        it("Should keep the USDT of other open requests reserved when cancelling", async function () {
+            const fixture = await loadFixture(deployLiquidityManagerFixture);
+            const { liquidityManager, usdtToken, user1 } = fixture;
+            const cancelledId = await createRequest(fixture, "test-cancel-5", true);
+            const openId = await createRequest(fixture, "test-cancel-6", true);
+            expect(await liquidityManager.getReservedUSDT(user1.address)).to.equal(usdtAmount * 2n);
+
+            await expect(
+                liquidityManager.connect(user1).claimUSDT(usdtAmount)
+            ).to.be.revertedWith("Insufficient balance USDT");
+
+            const walletBefore = await usdtToken.balanceOf(user1.address);
+            await expect(liquidityManager.connect(user1).cancelRequest(cancelledId))
+                .to.emit(liquidityManager, "RequestCancelled")
+                .withArgs(cancelledId, user1.address, usdtAmount);
+
+            expect(await usdtToken.balanceOf(user1.address)).to.equal(walletBefore + usdtAmount);
+            expect(await liquidityManager.getReservedUSDT(user1.address)).to.equal(usdtAmount);
+            await expect(liquidityManager.connect(user1).addLiquidity(openId, 10)).to.emit(liquidityManager, "LiquidityAdded");
+            expect(await liquidityManager.getReservedUSDT(user1.address)).to.equal(0);
+        });
+
+        it("Should revert cancelRequest for other users, closed requests and added liquidity", async function () {
+            const fixture = await loadFixture(deployLiquidityManagerFixture);
+            const { liquidityManager, user1, user2 } = fixture;
+            const requestId = await createRequest(fixture, "test-cancel-3");
+            const fundedId = await createRequest(fixture, "test-cancel-4", true);
+            await liquidityManager.connect(user1).addLiquidity(fundedId, 10);
+
+            await expect(liquidityManager.connect(user2).cancelRequest(requestId)).to.be.revertedWith("Not the owner of this request");
+            await expect(liquidityManager.connect(user1).cancelRequest(fundedId)).to.be.revertedWith("Liquidity already added");
+            await liquidityManager.connect(user1).cancelRequest(requestId);
+            await expect(liquidityManager.connect(user1).cancelRequest(requestId)).to.be.revertedWith("Request closed");
+        });
+
+        it("Should stop funding and executing a request after its expiry", async function () {
+            const fixture = await loadFixture(deployLiquidityManagerFixture);
+            const { liquidityManager, user1 } = fixture;
+            const requestId = await createRequest(fixture, "test-expiry-1");
+            const fundedId = await createRequest(fixture, "test-expiry-2", true);
+            const expiresAt = (await time.latest()) + 3600;
+
+            for (const id of [requestId, fundedId]) {
+                await expect(liquidityManager.setRequestExpiry(id, expiresAt))
+                    .to.emit(liquidityManager, "RequestExpirySet")
+                    .withArgs(id, expiresAt);
+            }
+            expect((await liquidityManager.getRequestState(requestId)).expiresAt).to.equal(expiresAt);
+
+            await time.increaseTo(expiresAt + 1);
+            await expect(liquidityManager.connect(user1).depositUSDT(requestId)).to.be.revertedWith("Request expired");
+            await expect(liquidityManager.connect(user1).addLiquidity(fundedId, 10)).to.be.revertedWith("Request expired");
+        });
+
+        it("Should revert setRequestExpiry when not manager or not in the future", async function () {
+            const fixture = await loadFixture(deployLiquidityManagerFixture);
+            const { liquidityManager, user1 } = fixture;
+            const requestId = await createRequest(fixture, "test-expiry-3");
+
+            await expect(
+                liquidityManager.connect(user1).setRequestExpiry(requestId, (await time.latest()) + 3600)
+            ).to.be.revertedWith("Not manager");
+            await expect(
+                liquidityManager.setRequestExpiry(requestId, await time.latest())
+            ).to.be.revertedWith("Expiry must be in the future");
+            await expect(
+                liquidityManager.setRequestExpiry(ethers.id("unknown"), 0)
+            ).to.be.revertedWith("RequestId does not exist");
+        });
+
+        it("Should expire stale requests in bulk and skip the others", async function () {
+            const fixture = await loadFixture(deployLiquidityManagerFixture);
+            const { liquidityManager, usdtToken, user1 } = fixture;
+            const staleId = await createRequest(fixture, "test-sweep-1", true);
+            const laterId = await createRequest(fixture, "test-sweep-2");
+            const openId = await createRequest(fixture, "test-sweep-3");
+            const now = await time.latest();
+            await liquidityManager.setRequestExpiry(staleId, now + 100);
+            await liquidityManager.setRequestExpiry(laterId, now + 100000);
+            await time.increase(200);
+
+            const requestIds = [staleId, laterId, openId, ethers.id("unknown")];
+            expect(await liquidityManager.expireRequests.staticCall(requestIds)).to.equal(1);
+
+            const walletBefore = await usdtToken.balanceOf(user1.address);
+            await expect(liquidityManager.expireRequests(requestIds))
+                .to.emit(liquidityManager, "RequestExpired")
+                .withArgs(staleId, user1.address, usdtAmount);
+
+            expect(await usdtToken.balanceOf(user1.address)).to.equal(walletBefore + usdtAmount);
+            expect((await liquidityManager.getRequestState(staleId)).closed).to.be.true;
+            expect((await liquidityManager.getRequestState(laterId)).closed).to.be.false;
+            expect((await liquidityManager.getRequestState(openId)).closed).to.be.false;
+            expect(await liquidityManager.expireRequests.staticCall(requestIds)).to.equal(0);
+            await expect(liquidityManager.connect(user1).expireRequests(requestIds)).to.be.revertedWith("Not manager");
+        });
+    });
+
+    describe("TWAP price guard", function () {
+        const WINDOW = 30 * 60;
+        const MAX_DEVIATION_BPS = 500;
+
+        async function guardedFixture() {
+            const fixture = await deployLiquidityManagerFixture();
+            const { liquidityManager, bridge, user1 } = fixture;
+
+            const requestId = ethers.id("test-twap-1");
+            await bridge.setProcessedTransaction(requestId, true);
+            await liquidityManager.handleBridgeCompleted(requestId, user1.address, ethers.parseEther("100"), ethers.parseEther("50"), 6);
+            await liquidityManager.connect(user1).depositUSDT(requestId);
+            await liquidityManager.setPriceGuard(WINDOW, MAX_DEVIATION_BPS);
+
+            return { ...fixture, requestId };
+        }
+
+        it("Should set the price guard", async function () {
+            const { liquidityManager, user1 } = await loadFixture(deployLiquidityManagerFixture);
+
+            await expect(liquidityManager.setPriceGuard(WINDOW, MAX_DEVIATION_BPS))
+                .to.emit(liquidityManager, "PriceGuardUpdated")
+                .withArgs(WINDOW, MAX_DEVIATION_BPS);
+            expect(await liquidityManager.twapWindow()).to.equal(WINDOW);
+            expect(await liquidityManager.maxPriceDeviationBps()).to.equal(MAX_DEVIATION_BPS);
+
+            await expect(liquidityManager.connect(user1).setPriceGuard(WINDOW, MAX_DEVIATION_BPS)).to.be.revertedWith("Not owner");
+            await expect(liquidityManager.setPriceGuard(WINDOW, 10001)).to.be.revertedWith("Invalid max deviation");
+            await expect(liquidityManager.setPriceGuard(0, MAX_DEVIATION_BPS)).to.be.revertedWith("Invalid TWAP window");
+        });
+
+        it("Should wait a full window before pricing against the TWAP", async function () {
+            const { liquidityManager, user1, requestId } = await loadFixture(guardedFixture);
+
+            await expect(liquidityManager.previewAddLiquidity(ethers.parseEther("100"), ethers.parseEther("50"))).to.be.revertedWith("TWAP not ready");
+            await expect(liquidityManager.connect(user1).addLiquidity(requestId, 10)).to.be.revertedWith("TWAP not ready");
+
+            await time.increase(WINDOW);
+            const [twapPrice, spotPrice] = await liquidityManager.getTwapPrice();
+            expect(twapPrice).to.equal(ethers.parseEther("0.5")); // 1000 USDT / 2000 PIO
+            expect(spotPrice).to.equal(twapPrice);
+            await expect(liquidityManager.connect(user1).addLiquidity(requestId, 10)).to.emit(liquidityManager, "LiquidityLocked");
+        });
+
+        it("Should revert when the spot price is skewed away from the TWAP", async function () {
+            const { liquidityManager, lpToken, user1, requestId } = await loadFixture(guardedFixture);
+            await time.increase(WINDOW);
+
+            // Sandwich front-run doubling the PIO price
+            await lpToken.setReserves(ethers.parseEther("1000"), ethers.parseEther("1000"));
+
+            await expect(liquidityManager.previewAddLiquidity(ethers.parseEther("100"), ethers.parseEther("50"))).to.be.revertedWith("Price deviates from TWAP");
+            await expect(liquidityManager.connect(user1).addLiquidity(requestId, 10)).to.be.revertedWith("Price deviates from TWAP");
+
+            // A move within the allowed deviation goes through
+            await lpToken.setReserves(ethers.parseEther("1000"), ethers.parseEther("1960"));
+            await expect(liquidityManager.connect(user1).addLiquidity(requestId, 10)).to.emit(liquidityManager, "LiquidityLocked");
+        });
+
+        it("Should follow a lasting price move once it is a full window old", async function () {
+            const { liquidityManager, lpToken, user1, requestId } = await loadFixture(guardedFixture);
+            await time.increase(WINDOW);
+            await lpToken.setReserves(ethers.parseEther("1000"), ethers.parseEther("1000"));
+
+            await time.increase(WINDOW);
+            await liquidityManager.updatePriceObservation();
+            await expect(liquidityManager.connect(user1).addLiquidity(requestId, 10)).to.be.revertedWith("Price deviates from TWAP");
+
+            await time.increase(WINDOW);
+            const [twapPrice, spotPrice] = await liquidityManager.getTwapPrice();
+            expect(twapPrice).to.equal(ethers.parseEther("1"));
+            expect(spotPrice).to.equal(twapPrice);
+            await expect(liquidityManager.connect(user1).addLiquidity(requestId, 10)).to.emit(liquidityManager, "LiquidityLocked");
+        });
+
+        it("Should keep the TWAP when only the max deviation changes", async function () {
+            const { liquidityManager, lpToken, user1, requestId } = await loadFixture(guardedFixture);
+            await time.increase(WINDOW);
+            await lpToken.setReserves(ethers.parseEther("1000"), ethers.parseEther("1800"));
+
+            await expect(liquidityManager.connect(user1).addLiquidity(requestId, 10)).to.be.revertedWith("Price deviates from TWAP");
+            await liquidityManager.setPriceGuard(WINDOW, 1500);
+            await expect(liquidityManager.connect(user1).addLiquidity(requestId, 10)).to.emit(liquidityManager, "LiquidityLocked");
+        });
+
+        it("Should keep observing while the check is off", async function () {
+            const { liquidityManager, user1, requestId } = await loadFixture(guardedFixture);
+            await liquidityManager.setPriceGuard(WINDOW, 0);
+            await time.increase(WINDOW);
+            await liquidityManager.updatePriceObservation();
+
+            await liquidityManager.setPriceGuard(WINDOW, MAX_DEVIATION_BPS);
+            await expect(liquidityManager.connect(user1).addLiquidity(requestId, 10)).to.emit(liquidityManager, "LiquidityLocked");
+        });
+
+        it("Should restart the observations for a new window", async function () {
+            const { liquidityManager, user1, requestId } = await loadFixture(guardedFixture);
+            await time.increase(WINDOW);
+
+            await liquidityManager.setPriceGuard(WINDOW * 2, MAX_DEVIATION_BPS);
+            await expect(liquidityManager.connect(user1).addLiquidity(requestId, 10)).to.be.revertedWith("TWAP not ready");
+
+            await time.increase(WINDOW * 2);
+            await expect(liquidityManager.connect(user1).addLiquidity(requestId, 10)).to.emit(liquidityManager, "LiquidityLocked");
+        });
+
+        it("Should not check prices once the guard is disabled", async function () {
+            const { liquidityManager, lpToken, user1, requestId } = await loadFixture(guardedFixture);
+            await lpToken.setReserves(ethers.parseEther("1000"), ethers.parseEther("1000"));
+
+            await liquidityManager.setPriceGuard(0, 0);
+            await expect(liquidityManager.connect(user1).addLiquidity(requestId, 10)).to.emit(liquidityManager, "LiquidityLocked");
+        });
+    });
+
     describe("Admin Functions", function () {
         it("Should allow owner to pause contract", async function () {
             const { liquidityManager, owner } = await loadFixture(deployLiquidityManagerFixture);
@@ -600,11 +1304,25 @@ describe("PioneLiquidityManager", function () {
             expect(await liquidityManager.paused()).to.be.false;
         });
 
-        it("Should revert pause when not owner", async function () {
+        it("Should revert pause when not owner or guardian", async function () {
             const { liquidityManager, user1 } = await loadFixture(deployLiquidityManagerFixture);
 
             await expect(
                 liquidityManager.connect(user1).pause()
+            ).to.be.revertedWith("Not guardian");
+        });
+
+        it("Should let guardians pause but not unpause", async function () {
+            const { liquidityManager, user1 } = await loadFixture(deployLiquidityManagerFixture);
+            await liquidityManager.grantRole(await liquidityManager.GUARDIAN_ROLE(), user1.address);
+
+            await liquidityManager.connect(user1).pause();
+            expect(await liquidityManager.paused()).to.be.true;
+            await expect(
+                liquidityManager.connect(user1).unpause()
+            ).to.be.revertedWith("Not owner");
+            await expect(
+                liquidityManager.connect(user1).setMinClaimPIOAmount(1)
             ).to.be.revertedWith("Not owner");
         });
 
@@ -1179,14 +1897,16 @@ describe("PioneLiquidityManager", function () {
 
             const requestId = ethers.id("test-reentrancy-claim");
             const pioAmount = ethers.parseEther("100");
-            const usdtAmount = ethers.parseEther("50");
+            const usdtAmount = ethers.parseEther("80");
 
             await bridge.setProcessedTransaction(requestId, true);
             await liquidityManager.handleBridgeCompleted(requestId, user1.address, pioAmount, usdtAmount, 6);
             await liquidityManager.connect(user1).depositUSDT(requestId);
+            await liquidityManager.connect(user1).addLiquidity(requestId, 90);
 
             // Claim full amount
-            await liquidityManager.connect(user1).claimUSDT(usdtAmount);
+            const [, usdtBalance] = await liquidityManager.getUserBalances(user1.address);
+            await liquidityManager.connect(user1).claimUSDT(usdtBalance);
 
             // Try to claim again should fail
             await expect(
@@ -1425,10 +2145,14 @@ describe("PioneLiquidityManager", function () {
             expect(balances.pioBalance).to.equal(pioAmount * 2n);
             expect(balances.usdtBalance).to.equal(usdtAmount * 2n);
 
-            // Claim from first transaction
-            await liquidityManager.connect(user1).claimUSDT(usdtAmount);
+            // Both deposits are reserved, cancelling the first one refunds only its USDT
+            await expect(
+                liquidityManager.connect(user1).claimUSDT(usdtAmount)
+            ).to.be.revertedWith("Insufficient balance USDT");
+            await liquidityManager.connect(user1).cancelRequest(requestId1);
             const balancesAfter = await liquidityManager.getUserBalances(user1.address);
             expect(balancesAfter.usdtBalance).to.equal(usdtAmount);
+            expect(await liquidityManager.getReservedUSDT(user1.address)).to.equal(usdtAmount);
         });
 
         it("Should correctly validate amounts in _validateAndGetAmounts", async function () {
@@ -1458,7 +2182,8 @@ describe("PioneLiquidityManager", function () {
                     validAddress,
                     validAddress,
                     validAddress,
-                    validAddress
+                    validAddress,
+                    PIONE_CHAIN_ID
                 )
             ).to.be.revertedWith("Invalid address");
 
@@ -1469,7 +2194,8 @@ describe("PioneLiquidityManager", function () {
                     ethers.ZeroAddress,
                     validAddress,
                     validAddress,
-                    validAddress
+                    validAddress,
+                    PIONE_CHAIN_ID
                 )
             ).to.be.revertedWith("Invalid address");
 
@@ -1480,7 +2206,8 @@ describe("PioneLiquidityManager", function () {
                     validAddress,
                     validAddress,
                     ethers.ZeroAddress,
-                    validAddress
+                    validAddress,
+                    PIONE_CHAIN_ID
                 )
             ).to.be.revertedWith("Invalid address");
 
@@ -1491,9 +2218,22 @@ describe("PioneLiquidityManager", function () {
                     validAddress,
                     validAddress,
                     validAddress,
-                    ethers.ZeroAddress
+                    ethers.ZeroAddress,
+                    PIONE_CHAIN_ID
                 )
             ).to.be.revertedWith("Invalid address");
+
+            // Test with zero PioneChain id
+            await expect(
+                PioneLiquidityManager.deploy(
+                    validAddress,
+                    validAddress,
+                    validAddress,
+                    validAddress,
+                    validAddress,
+                    0
+                )
+            ).to.be.revertedWith("Invalid chain id");
         });
 
         it("Should emit all events with correct parameters throughout workflow", async function () {
@@ -0,0 +1,509 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { Relayer } = require("../relayer/Relayer");
+const { Journal, RequestStatus } = require("../relayer/Journal");
+const { deployBridgePair, createValidators, BSC_CHAIN_ID, PIONE_CHAIN_ID } = require("./helpers/chains");
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+const USER = 2;
+
+describe("Relayer", function () {
+    let bsc, pione, relayer;
+
+    async function createRelayer(overrides = {}) {
+        const instance = new Relayer({
+            logger: silentLogger,
+            journal: overrides.journal,
+            retryDelayMs: overrides.retryDelayMs,
+            chains: [
+                {
+                    name: "bsc",
+                    contract: "PioneChainBridgeBSC",
+                    address: await bsc.bridge.getAddress(),
+                    signer: bsc.signers[0],
+                    ...overrides.bsc
+                },
+                {
+                    name: "pione",
+                    contract: "PioneChainBridge",
+                    address: await pione.bridge.getAddress(),
+                    signer: pione.signers[0],
+                    ...overrides.pione
+                }
+            ]
+        });
+        return instance.init();
+    }
+
+    beforeEach(async function () {
+        ({ bsc, pione } = await deployBridgePair());
+        relayer = await createRelayer();
+    });
+
+    it("Should resolve chain IDs of both bridges", async function () {
+        expect(relayer.getCursor(BSC_CHAIN_ID)).to.equal(await bsc.provider.getBlockNumber());
+        expect(relayer.getCursor(PIONE_CHAIN_ID)).to.equal(await pione.provider.getBlockNumber());
+    });
+
+    it("Should relay PioneChain lock to BSC mint", async function () {
+        const account = pione.signers[USER];
+        const amount = ethers.parseEther("10");
+
+        const tx = await pione.bridge.connect(account).bridgeOut(account.address, BSC_CHAIN_ID, { value: amount });
+        const receipt = await tx.wait();
+        const [event] = await pione.bridge.queryFilter(pione.bridge.filters.BridgeInitiated(), receipt.blockNumber);
+        const requestId = event.args.requestId;
+
+        const results = await relayer.poll();
+
+        expect(results).to.have.lengthOf(1);
+        expect(results[0].status).to.equal("relayed");
+        expect(results[0].requestId).to.equal(requestId);
+        expect(await bsc.bridge.processedTransactions(requestId)).to.be.true;
+        expect(await bsc.token.balanceOf(account.address)).to.equal(amount);
+    });
+
+    it("Should relay BSC burn to PioneChain release", async function () {
+        const account = bsc.signers[USER];
+        const amount = ethers.parseEther("4");
+
+        await (await pione.bridge.connect(pione.signers[USER]).bridgeOut(account.address, BSC_CHAIN_ID, { value: ethers.parseEther("10") })).wait();
+        await relayer.poll();
+
+        const balanceBefore = await pione.provider.getBalance(account.address);
+        await (await bsc.bridge.connect(account).bridgeOut(account.address, amount, PIONE_CHAIN_ID)).wait();
+        const results = await relayer.poll();
+
+        expect(results.map(r => r.status)).to.deep.equal(["relayed"]);
+        expect(await bsc.token.balanceOf(account.address)).to.equal(ethers.parseEther("6"));
+        expect(await pione.provider.getBalance(account.address) - balanceBefore).to.equal(amount);
+        expect(await pione.bridge.getTotalPIOBridgeOut()).to.equal(ethers.parseEther("6"));
+    });
+
+    it("Should not relay the same request twice", async function () {
+        const account = pione.signers[USER];
+        await (await pione.bridge.connect(account).bridgeOut(account.address, BSC_CHAIN_ID, { value: ethers.parseEther("10") })).wait();
+
+        expect(await relayer.poll()).to.have.lengthOf(1);
+        expect(await relayer.poll()).to.have.lengthOf(0);
+    });
+
+    it("Should skip requests already processed on the target bridge", async function () {
+        const account = pione.signers[USER];
+        await (await pione.bridge.connect(account).bridgeOut(account.address, BSC_CHAIN_ID, { value: ethers.parseEther("10") })).wait();
+
+        // A second relayer instance starting from the same block sees the
+        // request after the first one has already relayed it.
+        const startBlock = relayer.getCursor(PIONE_CHAIN_ID) + 1;
+        await relayer.poll();
+        const replay = await createRelayer({ pione: { startBlock } });
+
+        const results = await replay.poll();
+        expect(results.map(r => r.status)).to.deep.equal(["processed"]);
+    });
+
+    it("Should scan a long backlog in pieces and keep the progress of a failed poll", async function () {
+        const startBlock = relayer.getCursor(PIONE_CHAIN_ID) + 1;
+        await pione.provider.send("hardhat_mine", [ethers.toQuantity(12000)]);
+        const account = pione.signers[USER];
+        await (await pione.bridge.connect(account).bridgeOut(account.address, BSC_CHAIN_ID, { value: ethers.parseEther("10") })).wait();
+        const replay = await createRelayer({ pione: { startBlock } });
+
+        // Public RPCs reject large ranges; fail the second piece once.
+        const ranges = [];
+        const getLogs = pione.provider.getLogs.bind(pione.provider);
+        pione.provider.getLogs = async filter => {
+            ranges.push(filter.toBlock - filter.fromBlock + 1);
+            if (ranges.length === 3) throw new Error("block range too large");
+            return getLogs(filter);
+        };
+        try {
+            await expect(replay.poll()).to.be.rejectedWith("block range too large");
+            expect(replay.getCursor(PIONE_CHAIN_ID)).to.equal(startBlock + 4999);
+
+            const results = await replay.poll();
+            expect(results.map(r => r.status)).to.deep.equal(["relayed"]);
+        } finally {
+            pione.provider.getLogs = getLogs;
+        }
+        expect(Math.max(...ranges)).to.equal(5000);
+        expect(replay.getCursor(PIONE_CHAIN_ID)).to.equal(await pione.provider.getBlockNumber());
+    });
+
+    it("Should report failed bridgeIn without stopping", async function () {
+        const OPERATOR_ROLE = await bsc.bridge.OPERATOR_ROLE();
+        await (await bsc.bridge.revokeRole(OPERATOR_ROLE, bsc.signers[0].address)).wait();
+
+        const account = pione.signers[USER];
+        await (await pione.bridge.connect(account).bridgeOut(account.address, BSC_CHAIN_ID, { value: ethers.parseEther("10") })).wait();
+        await (await pione.bridge.connect(account).bridgeOut(account.address, BSC_CHAIN_ID, { value: ethers.parseEther("5") })).wait();
+
+        const results = await relayer.poll();
+        expect(results.map(r => r.status)).to.deep.equal(["failed", "failed"]);
+    });
+
+    it("Should fail while the target is paused and succeed after unpause", async function () {
+        const journal = new Journal();
+        relayer = await createRelayer({ journal, retryDelayMs: 0 });
+        await (await bsc.bridge.pause()).wait();
+
+        const account = pione.signers[USER];
+        await (await pione.bridge.connect(account).bridgeOut(account.address, BSC_CHAIN_ID, { value: ethers.parseEther("10") })).wait();
+
+        const [failed] = await relayer.poll();
+        expect(failed.status).to.equal("failed");
+        expect(journal.getRequest(failed.requestId)).to.include({ status: RequestStatus.FAILED, attempts: 1 });
+
+        expect((await relayer.poll()).map(r => r.status)).to.deep.equal(["failed"]);
+        expect(journal.getRequest(failed.requestId).attempts).to.equal(2);
+
+        await (await bsc.bridge.unpause()).wait();
+        const results = await relayer.poll();
+
+        expect(results).to.have.lengthOf(1);
+        expect(results[0]).to.include({ requestId: failed.requestId, status: "relayed" });
+        expect(await bsc.token.balanceOf(account.address)).to.equal(ethers.parseEther("10"));
+        expect(await relayer.poll()).to.have.lengthOf(0);
+    });
+
+    it("Should back off before retrying a failed request", async function () {
+        const journal = new Journal();
+        relayer = await createRelayer({ journal, retryDelayMs: 60000 });
+        await (await bsc.bridge.pause()).wait();
+
+        const account = pione.signers[USER];
+        await (await pione.bridge.connect(account).bridgeOut(account.address, BSC_CHAIN_ID, { value: ethers.parseEther("10") })).wait();
+
+        const before = Date.now();
+        const [failed] = await relayer.poll();
+        expect(failed.retryAt).to.be.at.least(before + 60000);
+
+        await (await bsc.bridge.unpause()).wait();
+        expect(await relayer.poll()).to.have.lengthOf(0);
+
+        journal.recordFailed(failed.requestId, "EnforcedPause()", Date.now());
+        const results = await relayer.poll();
+        expect(results.map(r => r.status)).to.deep.equal(["relayed"]);
+    });
+
+    it("Should reject a configuration with fewer than two chains", async function () {
+        expect(() => new Relayer({ chains: [] })).to.throw("Relayer needs at least two chains");
+    });
+
+    it("Should attach validator signatures when the target requires attestation", async function () {
+        const validators = await createValidators({ bsc, pione }, 3);
+        await (await bsc.bridge.setValidators(validators.map(v => v.getAddress()), 2)).wait();
+        relayer = await createRelayer({ bsc: { attesters: validators } });
+
+        const account = pione.signers[USER];
+        await (await pione.bridge.connect(account).bridgeOut(account.address, BSC_CHAIN_ID, { value: ethers.parseEther("10") })).wait();
+
+        const results = await relayer.poll();
+        expect(results.map(r => r.status)).to.deep.equal(["relayed"]);
+        expect(await bsc.token.balanceOf(account.address)).to.equal(ethers.parseEther("10"));
+    });
+
+    it("Should skip validators that refuse or are not registered", async function () {
+        const validators = await createValidators({ bsc, pione }, 3);
+        const [unconfirmed] = await createValidators({ bsc, pione }, 1, { confirmations: 5 });
+        const [outsider] = await createValidators({ bsc, pione }, 1);
+        await (await bsc.bridge.setValidators([...validators, unconfirmed].map(v => v.getAddress()), 3)).wait();
+        relayer = await createRelayer({ bsc: { attesters: [unconfirmed, outsider, ...validators.slice(0, 2)] } });
+
+        const account = pione.signers[USER];
+        await (await pione.bridge.connect(account).bridgeOut(account.address, BSC_CHAIN_ID, { value: ethers.parseEther("10") })).wait();
+
+        const [result] = await relayer.poll();
+        expect(result.status).to.equal("failed");
+        expect(result.error.message).to.match(/^2 of 3 validator signatures collected/);
+        expect(result.error.message).to.include("confirmations");
+        expect(result.error.message).to.include(`${outsider.getAddress()} is not a validator`);
+        expect(await bsc.bridge.processedTransactions(result.requestId)).to.be.false;
+    });
+
+    it("Should relay requests in batches of batchSize", async function () {
+        relayer = await createRelayer({ bsc: { batchSize: 2 } });
+        const account = pione.signers[USER];
+        for (const amount of ["10", "5", "3"]) {
+            await (await pione.bridge.connect(account).bridgeOut(account.address, BSC_CHAIN_ID, { value: ethers.parseEther(amount) })).wait();
+        }
+
+        const results = await relayer.poll();
+        expect(results.map(r => r.status)).to.deep.equal(["relayed", "relayed", "relayed"]);
+        expect(results[0].hash).to.equal(results[1].hash);
+        expect(results[2].hash).to.not.equal(results[0].hash);
+        expect(await bsc.token.balanceOf(account.address)).to.equal(ethers.parseEther("18"));
+        expect(await relayer.poll()).to.have.lengthOf(0);
+    });
+
+    it("Should relay one by one when the batch target requires attestation", async function () {
+        const validators = await createValidators({ bsc, pione }, 2);
+        await (await bsc.bridge.setValidators(validators.map(v => v.getAddress()), 2)).wait();
+        relayer = await createRelayer({ bsc: { attesters: validators, batchSize: 10 } });
+
+        const account = pione.signers[USER];
+        await (await pione.bridge.connect(account).bridgeOut(account.address, BSC_CHAIN_ID, { value: ethers.parseEther("10") })).wait();
+        await (await pione.bridge.connect(account).bridgeOut(account.address, BSC_CHAIN_ID, { value: ethers.parseEther("5") })).wait();
+
+        const results = await relayer.poll();
+        expect(results.map(r => r.status)).to.deep.equal(["relayed", "relayed"]);
+        expect(results[0].hash).to.not.equal(results[1].hash);
+    });
+
+    it("Should deliver the net amount when the source charges a fee", async function () {
+        await (await pione.bridge.setFees(ethers.parseEther("1"), 0)).wait();
+        const account = pione.signers[USER];
+
+        await (await pione.bridge.connect(account).bridgeOut(account.address, BSC_CHAIN_ID, { value: ethers.parseEther("10") })).wait();
+        const results = await relayer.poll();
+
+        expect(results.map(r => r.status)).to.deep.equal(["relayed"]);
+        expect(await bsc.token.balanceOf(account.address)).to.equal(ethers.parseEther("9"));
+        expect(await pione.bridge.collectedFees()).to.equal(ethers.parseEther("1"));
+    });
+
+    describe("Refunds", function () {
+        async function rejectOnBsc() {
+            const account = pione.signers[USER];
+            const tx = await pione.bridge.connect(account).bridgeOut(account.address, BSC_CHAIN_ID, { value: ethers.parseEther("10") });
+            const receipt = await tx.wait();
+            const [event] = await pione.bridge.queryFilter(pione.bridge.filters.BridgeInitiated(), receipt.blockNumber);
+            const { requestId, from, to, amount, sourceChain, targetChain, nonce } = event.args;
+
+            await (await bsc.bridge.rejectRequest({ from, to, amount, sourceChain, targetChain, nonce }, requestId)).wait();
+            return requestId;
+        }
+
+        it("Should approve the refund of a request rejected by the target chain", async function () {
+            const journal = new Journal();
+            relayer = await createRelayer({ journal });
+            const account = pione.signers[USER];
+            const requestId = await rejectOnBsc();
+
+            const results = await relayer.poll();
+
+            expect(results.map(r => r.status)).to.deep.equal(["refund-approved", "processed"]);
+            expect(journal.getRefund(requestId).status).to.equal(RequestStatus.CONFIRMED);
+            expect((await pione.bridge.outboundRequests(requestId)).status).to.equal(2);
+
+            await (await pione.bridge.connect(account).claimRefund(requestId)).wait();
+            expect((await pione.bridge.outboundRequests(requestId)).status).to.equal(3);
+            expect(await bsc.token.balanceOf(account.address)).to.equal(0);
+            expect(await relayer.poll()).to.have.lengthOf(0);
+        });
+
+        it("Should attach validator signatures when the source requires attestation", async function () {
+            const validators = await createValidators({ bsc, pione }, 3);
+            await (await pione.bridge.setValidators(validators.map(v => v.getAddress()), 2)).wait();
+            relayer = await createRelayer({ pione: { attesters: validators } });
+            const requestId = await rejectOnBsc();
+
+            const results = await relayer.poll();
+
+            expect(results[0]).to.include({ requestId, status: "refund-approved" });
+            expect((await pione.bridge.outboundRequests(requestId)).status).to.equal(2);
+        });
+
+        it("Should not approve a refund whose rejection was orphaned", async function () {
+            relayer = await createRelayer({ bsc: { confirmations: 3 }, pione: { confirmations: 3 } });
+            const snapshot = await bsc.provider.send("evm_snapshot", []);
+            const requestId = await rejectOnBsc();
+            expect(await relayer.poll()).to.have.lengthOf(0);
+
+            await bsc.provider.send("evm_revert", [snapshot]);
+            await bsc.provider.send("hardhat_mine", [ethers.toQuantity(3)]);
+
+            const results = await relayer.poll();
+
+            expect(results).to.deep.equal([{ requestId, status: "orphaned" }]);
+            expect((await pione.bridge.outboundRequests(requestId)).status).to.equal(1);
+        });
+    });
+
+    describe("Confirmations and reorgs", function () {
+        const CONFIRMATIONS = 3;
+
+        beforeEach(async function () {
+            relayer = await createRelayer({ pione: { confirmations: CONFIRMATIONS } });
+        });
+
+        async function bridgeOutOnPione(amount = ethers.parseEther("10")) {
+            const account = pione.signers[USER];
+            const tx = await pione.bridge.connect(account).bridgeOut(account.address, BSC_CHAIN_ID, { value: amount });
+            const receipt = await tx.wait();
+            const [event] = await pione.bridge.queryFilter(pione.bridge.filters.BridgeInitiated(), receipt.blockNumber);
+            return event.args.requestId;
+        }
+
+        it("Should wait for the configured confirmations", async function () {
+            const requestId = await bridgeOutOnPione();
+
+            expect(await relayer.poll()).to.have.lengthOf(0);
+            expect(relayer.getPending(PIONE_CHAIN_ID).map(p => p.requestId)).to.deep.equal([requestId]);
+
+            await pione.provider.send("evm_mine", []);
+            expect(await relayer.poll()).to.have.lengthOf(0);
+
+            await pione.provider.send("evm_mine", []);
+            const results = await relayer.poll();
+
+            expect(results.map(r => r.status)).to.deep.equal(["relayed"]);
+            expect(relayer.getPending(PIONE_CHAIN_ID)).to.have.lengthOf(0);
+            expect(await bsc.bridge.processedTransactions(requestId)).to.be.true;
+        });
+
+        it("Should drop requests whose block was orphaned", async function () {
+            const snapshot = await pione.provider.send("evm_snapshot", []);
+            const requestId = await bridgeOutOnPione();
+            await relayer.poll();
+
+            // Replace the block holding the burn with an empty fork.
+            await pione.provider.send("evm_revert", [snapshot]);
+            await pione.provider.send("hardhat_mine", [ethers.toQuantity(CONFIRMATIONS)]);
+
+            const results = await relayer.poll();
+
+            expect(results).to.deep.equal([{ requestId, status: "orphaned" }]);
+            expect(relayer.getPending(PIONE_CHAIN_ID)).to.have.lengthOf(0);
+            expect(await bsc.bridge.processedTransactions(requestId)).to.be.false;
+            expect(await bsc.token.balanceOf(pione.signers[USER].address)).to.equal(0);
+            expect(await relayer.poll()).to.have.lengthOf(0);
+        });
+
+        it("Should relay a request re-included after a reorg once", async function () {
+            const snapshot = await pione.provider.send("evm_snapshot", []);
+            const requestId = await bridgeOutOnPione();
+            await relayer.poll();
+
+            await pione.provider.send("evm_revert", [snapshot]);
+            await pione.provider.send("evm_mine", []);
+            expect(await bridgeOutOnPione()).to.equal(requestId);
+            await pione.provider.send("hardhat_mine", [ethers.toQuantity(CONFIRMATIONS)]);
+
+            const results = await relayer.poll();
+
+            expect(results.map(r => r.status)).to.deep.equal(["relayed"]);
+            expect(await bsc.token.balanceOf(pione.signers[USER].address)).to.equal(ethers.parseEther("10"));
+        });
+    });
+
+    describe("Persistence", function () {
+        let dir, journalPath;
+
+        beforeEach(function () {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "relayer-"));
+            journalPath = path.join(dir, "journal.jsonl");
+        });
+
+        afterEach(function () {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        async function bridgeOutOnPione(amount = ethers.parseEther("10")) {
+            const account = pione.signers[USER];
+            const tx = await pione.bridge.connect(account).bridgeOut(account.address, BSC_CHAIN_ID, { value: amount });
+            const receipt = await tx.wait();
+            const [event] = await pione.bridge.queryFilter(pione.bridge.filters.BridgeInitiated(), receipt.blockNumber);
+            return { requestId: event.args.requestId, event };
+        }
+
+        it("Should record the request lifecycle in the journal", async function () {
+            relayer = await createRelayer({ journal: new Journal(journalPath) });
+            const { requestId } = await bridgeOutOnPione();
+            await relayer.poll();
+
+            const lines = fs.readFileSync(journalPath, "utf8").trim().split("\n").map(l => JSON.parse(l).type);
+            expect(lines.filter(t => t.startsWith("REQUEST_"))).to.deep.equal([
+                "REQUEST_SEEN",
+                "REQUEST_SUBMITTED",
+                "REQUEST_CONFIRMED"
+            ]);
+
+            const restored = new Journal(journalPath).getRequest(requestId);
+            expect(restored.status).to.equal(RequestStatus.CONFIRMED);
+            expect(restored.request.amount).to.equal(ethers.parseEther("10"));
+            expect(restored.request.targetChain).to.equal(BigInt(BSC_CHAIN_ID));
+        });
+
+        it("Should resume from the stored cursor after a restart", async function () {
+            relayer = await createRelayer({ journal: new Journal(journalPath) });
+            await relayer.poll();
+            const cursor = relayer.getCursor(PIONE_CHAIN_ID);
+
+            // Events emitted while the relayer is down.
+            const { requestId } = await bridgeOutOnPione();
+            await pione.provider.send("hardhat_mine", ["0x5"]);
+
+            const restarted = await createRelayer({ journal: new Journal(journalPath) });
+            expect(restarted.getCursor(PIONE_CHAIN_ID)).to.equal(cursor);
+
+            const results = await restarted.poll();
+            expect(results).to.have.lengthOf(1);
+            expect(results[0]).to.include({ requestId, status: "relayed" });
+        });
+
+        it("Should relay requests seen before a restart once confirmed", async function () {
+            relayer = await createRelayer({ journal: new Journal(journalPath), pione: { confirmations: 3 } });
+            const { requestId } = await bridgeOutOnPione();
+            await relayer.poll();
+            expect(relayer.getPending(PIONE_CHAIN_ID)).to.have.lengthOf(1);
+
+            await pione.provider.send("hardhat_mine", ["0x2"]);
+            const restarted = await createRelayer({ journal: new Journal(journalPath), pione: { confirmations: 3 } });
+            expect(restarted.getPending(PIONE_CHAIN_ID).map(p => p.requestId)).to.deep.equal([requestId]);
+
+            const results = await restarted.poll();
+            expect(results.map(r => r.status)).to.deep.equal(["relayed"]);
+        });
+
+        it("Should reconcile a submission that landed before a crash", async function () {
+            const journal = new Journal(journalPath);
+            relayer = await createRelayer({ journal, pione: { confirmations: 2 } });
+            const { requestId, event } = await bridgeOutOnPione();
+            await relayer.poll();
+
+            // Crash between sending bridgeIn and recording its receipt.
+            const { from, to, amount, sourceChain, targetChain, nonce } = event.args;
+            const tx = await bsc.bridge.bridgeIn({ from, to, amount, sourceChain, targetChain, nonce }, requestId);
+            journal.recordSubmitted(requestId, tx.hash);
+            await tx.wait();
+
+            const restarted = await createRelayer({ journal: new Journal(journalPath), pione: { confirmations: 2 } });
+            expect(new Journal(journalPath).getRequest(requestId).status).to.equal(RequestStatus.CONFIRMED);
+
+            await pione.provider.send("evm_mine", []);
+            expect(await restarted.poll()).to.have.lengthOf(0);
+            expect(await bsc.token.balanceOf(to)).to.equal(amount);
+        });
+
+        it("Should queue a lost submission again", async function () {
+            const journal = new Journal(journalPath);
+            relayer = await createRelayer({ journal, pione: { confirmations: 2 } });
+            const { requestId } = await bridgeOutOnPione();
+            await relayer.poll();
+            journal.recordSubmitted(requestId, ethers.ZeroHash);
+
+            const restarted = await createRelayer({ journal: new Journal(journalPath), pione: { confirmations: 2 } });
+            expect(restarted.getPending(PIONE_CHAIN_ID).map(p => p.requestId)).to.deep.equal([requestId]);
+
+            await pione.provider.send("evm_mine", []);
+            const results = await restarted.poll();
+            expect(results.map(r => r.status)).to.deep.equal(["relayed"]);
+        });
+
+        it("Should ignore a last journal line cut short by a crash", async function () {
+            relayer = await createRelayer({ journal: new Journal(journalPath) });
+            await relayer.poll();
+            fs.appendFileSync(journalPath, '{"type":"CURSOR","chainId":"97","blo');
+
+            const journal = new Journal(journalPath);
+            expect(journal.getCursor(PIONE_CHAIN_ID).block).to.equal(relayer.getCursor(PIONE_CHAIN_ID));
+
+            journal.setCursor(PIONE_CHAIN_ID, 1, null);
+            expect(new Journal(journalPath).getCursor(PIONE_CHAIN_ID).block).to.equal(1);
+        });
+    });
+});
@@ -0,0 +1,193 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { Relayer } = require("../relayer/Relayer");
+const { Indexer } = require("../indexer/Indexer");
+const { StatusApi, TransferStatus } = require("../api/StatusApi");
+const { deployBridgePair, BSC_CHAIN_ID, PIONE_CHAIN_ID } = require("./helpers/chains");
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+const USER = 2;
+
+describe("StatusApi", function () {
+    let bsc, pione, relayer, indexer, api, baseUrl;
+
+    async function lockOnPione(amount, account = pione.signers[USER]) {
+        const txReceipt = await (await pione.bridge.connect(account).bridgeOut(account.address, BSC_CHAIN_ID, { value: amount })).wait();
+        return pione.bridge.interface.parseLog(txReceipt.logs.find(log => log.address === pione.bridge.target)).args;
+    }
+
+    async function get(path, options) {
+        const response = await fetch(`${baseUrl}${path}`, options);
+        return { status: response.status, body: await response.json() };
+    }
+
+    beforeEach(async function () {
+        ({ bsc, pione } = await deployBridgePair());
+        const bridges = [
+            { name: "bsc", contract: "PioneChainBridgeBSC", address: await bsc.bridge.getAddress(), chain: bsc },
+            { name: "pione", contract: "PioneChainBridge", address: await pione.bridge.getAddress(), chain: pione }
+        ];
+        relayer = await new Relayer({
+            logger: silentLogger,
+            chains: bridges.map(({ name, contract, address, chain }) => ({ name, contract, address, signer: chain.signers[0], startBlock: 0 }))
+        }).init();
+        indexer = await new Indexer({
+            logger: silentLogger,
+            chains: bridges.map(({ name, contract, address, chain }) => ({ name, provider: chain.provider, contracts: [{ contract, address }], startBlock: 0 }))
+        }).init();
+        api = await new StatusApi({
+            logger: silentLogger,
+            database: indexer.database,
+            chains: bridges.map(({ name, contract, address, chain }) => ({ name, contract, address, provider: chain.provider, confirmations: 3 }))
+        }).init();
+        baseUrl = `http://127.0.0.1:${await api.listen(0, "127.0.0.1")}`;
+    });
+
+    afterEach(async function () {
+        await api.close();
+    });
+
+    it("Should follow a transfer through its lifecycle", async function () {
+        const sent = await lockOnPione(ethers.parseEther("100"));
+        await indexer.poll();
+
+        let { status, body } = await get(`/requests/${sent.requestId}`);
+        expect(status).to.equal(200);
+        expect(body).to.deep.include({
+            requestId: sent.requestId,
+            status: TransferStatus.INITIATED,
+            sourceChain: PIONE_CHAIN_ID,
+            targetChain: BSC_CHAIN_ID,
+            amount: ethers.parseEther("100").toString(),
+            indexed: true,
+            confirmations: 1
+        });
+
+        await pione.provider.send("hardhat_mine", ["0x2"]);
+        ({ body } = await get(`/requests/${sent.requestId}`));
+        expect(body.status).to.equal(TransferStatus.CONFIRMED);
+
+        // Events are ordered by timestamp, complete a minute later than the lock.
+        await bsc.provider.send("evm_increaseTime", [60]);
+        await relayer.poll();
+        ({ body } = await get(`/requests/${sent.requestId}`));
+        expect(body.status).to.equal(TransferStatus.RELAYED);
+        expect(body.stages).to.deep.equal({ initiated: true, confirmed: true, relayed: true, completed: false });
+
+        await indexer.poll();
+        ({ body } = await get(`/requests/${sent.requestId}`));
+        expect(body.status).to.equal(TransferStatus.COMPLETED);
+        expect(body.completed.amount).to.equal(ethers.parseEther("100").toString());
+        expect(body.events.map(event => event.name)).to.deep.equal(["BridgeInitiated", "BridgeCompleted"]);
+    });
+
+    it("Should find transfers the indexer has not stored yet", async function () {
+        const sent = await lockOnPione(ethers.parseEther("10"));
+
+        const { status, body } = await get(`/requests/${sent.requestId}`);
+        expect(status).to.equal(200);
+        expect(body).to.deep.include({
+            status: TransferStatus.INITIATED,
+            sourceChain: PIONE_CHAIN_ID,
+            from: pione.signers[USER].address,
+            indexed: false
+        });
+
+        expect(await get(`/requests/${ethers.ZeroHash}`)).to.deep.equal({ status: 404, body: { error: "Not found" } });
+        expect(await get("/requests/0x1234")).to.deep.equal({ status: 400, body: { error: "Invalid requestId 0x1234" } });
+    });
+
+    it("Should list the transfers of an address", async function () {
+        const first = await lockOnPione(ethers.parseEther("10"));
+        await relayer.poll();
+        const second = await lockOnPione(ethers.parseEther("20"));
+        await lockOnPione(ethers.parseEther("30"), pione.signers[USER + 1]);
+        await indexer.poll();
+
+        const address = pione.signers[USER].address;
+        let { status, body } = await get(`/addresses/${address}/requests`);
+        expect(status).to.equal(200);
+        expect(body.total).to.equal(2);
+        expect(body.requests.map(transfer => [transfer.requestId, transfer.status])).to.deep.equal([
+            [second.requestId, TransferStatus.INITIATED],
+            [first.requestId, TransferStatus.COMPLETED]
+        ]);
+
+        ({ body } = await get(`/addresses/${address}/requests?status=completed`));
+        expect(body.total).to.equal(1);
+        expect(body.requests.map(transfer => transfer.requestId)).to.deep.equal([first.requestId]);
+        ({ body } = await get(`/addresses/${address}/requests?limit=1&offset=1`));
+        expect(body.total).to.equal(2);
+        expect(body.requests.map(transfer => transfer.requestId)).to.deep.equal([first.requestId]);
+
+        expect((await get("/addresses/0x1234/requests")).status).to.equal(400);
+        expect(await get(`/addresses/${address}/requests?status=lost`)).to.deep.include({ status: 400 });
+        expect(await get(`/addresses/${address}/requests?limit=-1`)).to.deep.equal({
+            status: 400,
+            body: { error: "limit must be a non-negative integer" }
+        });
+    });
+
+    it("Should filter and count lifecycle statuses before paginating", async function () {
+        const relayed = await lockOnPione(ethers.parseEther("10"));
+        const confirmed = [await lockOnPione(ethers.parseEther("11")), await lockOnPione(ethers.parseEther("12"))];
+        await pione.provider.send("hardhat_mine", ["0x2"]);
+        const initiated = await lockOnPione(ethers.parseEther("13"));
+        await indexer.poll();
+
+        // Relayed after the last poll, so only the bridge knows it yet.
+        const { requestId, from, to, amount, sourceChain, targetChain, nonce } = relayed;
+        await (await bsc.bridge.bridgeIn({ from, to, amount, sourceChain, targetChain, nonce }, requestId)).wait();
+
+        const list = async query => (await get(`/addresses/${pione.signers[USER].address}/requests?${query}`)).body;
+        let body = await list("status=confirmed&limit=1");
+        expect(body.total).to.equal(2);
+        expect(body.requests.map(transfer => [transfer.requestId, transfer.status])).to.deep.equal([
+            [confirmed[1].requestId, TransferStatus.CONFIRMED]
+        ]);
+        body = await list("status=confirmed&limit=1&offset=1");
+        expect(body.requests.map(transfer => transfer.requestId)).to.deep.equal([confirmed[0].requestId]);
+
+        body = await list("status=relayed");
+        expect(body.total).to.equal(1);
+        expect(body.requests.map(transfer => [transfer.requestId, transfer.status])).to.deep.equal([
+            [relayed.requestId, TransferStatus.RELAYED]
+        ]);
+        body = await list("status=initiated");
+        expect(body.total).to.equal(1);
+        expect(body.requests.map(transfer => transfer.requestId)).to.deep.equal([initiated.requestId]);
+    });
+
+    it("Should report limits and pause state", async function () {
+        await (await bsc.bridge.pause()).wait();
+
+        const { status, body } = await get("/limits");
+        expect(status).to.equal(200);
+        const [bscLimits, pioneLimits] = body.chains;
+        expect(bscLimits).to.deep.include({ name: "bsc", chainId: BSC_CHAIN_ID, paused: true });
+        expect(pioneLimits).to.deep.include({ name: "pione", chainId: PIONE_CHAIN_ID, paused: false });
+        expect(bscLimits).to.deep.include({
+            dailyLimit: ethers.parseEther("1000000").toString(),
+            remainingDailyLimit: ethers.parseEther("1000000").toString()
+        });
+        expect(pioneLimits).to.deep.include({ dailyLimit: "0", remainingDailyLimit: null });
+    });
+
+    it("Should report the indexer lag in /health", async function () {
+        await indexer.poll();
+        let { status, body } = await get("/health");
+        expect(status).to.equal(200);
+        expect(body.ok).to.be.true;
+        expect(body.chains.map(chain => chain.lag)).to.deep.equal([0, 0]);
+
+        await pione.provider.send("hardhat_mine", ["0x65"]);
+        ({ status, body } = await get("/health"));
+        expect(status).to.equal(503);
+        expect(body.chains[1]).to.deep.include({ name: "pione", ok: false, lag: 101 });
+    });
+
+    it("Should reject unknown routes and methods", async function () {
+        expect(await get("/transfers")).to.deep.equal({ status: 404, body: { error: "Not found" } });
+        expect(await get("/limits", { method: "POST" })).to.deep.equal({ status: 405, body: { error: "POST is not allowed" } });
+    });
+});
@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { Relayer } = require("../relayer/Relayer");
+const { SupplyReconciler } = require("../reconciler/SupplyReconciler");
+const { computeRequestId } = require("../lib/requestId");
+const { deployBridgePair, BSC_CHAIN_ID, PIONE_CHAIN_ID } = require("./helpers/chains");
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+const USER = 2;
+
+describe("SupplyReconciler", function () {
+    let bsc, pione, relayer, reconciler;
+
+    async function lockOnPione(amount) {
+        const account = pione.signers[USER];
+        const txReceipt = await (await pione.bridge.connect(account).bridgeOut(account.address, BSC_CHAIN_ID, { value: amount })).wait();
+        return pione.bridge.interface.parseLog(txReceipt.logs.find(log => log.address === pione.bridge.target)).args;
+    }
+
+    async function burnOnBsc(amount) {
+        const account = bsc.signers[USER];
+        const txReceipt = await (await bsc.bridge.connect(account).bridgeOut(account.address, amount, PIONE_CHAIN_ID)).wait();
+        const event = txReceipt.logs.map(log => bsc.bridge.interface.parseLog(log)).find(log => log?.name === "BridgeInitiated");
+        return event.args;
+    }
+
+    function requestOf(event) {
+        const { from, to, amount, sourceChain, targetChain, nonce } = event;
+        return { from, to, amount, sourceChain, targetChain, nonce };
+    }
+
+    beforeEach(async function () {
+        ({ bsc, pione } = await deployBridgePair());
+        relayer = await new Relayer({
+            logger: silentLogger,
+            chains: [
+                { name: "bsc", contract: "PioneChainBridgeBSC", address: await bsc.bridge.getAddress(), signer: bsc.signers[0], startBlock: 0 },
+                { name: "pione", contract: "PioneChainBridge", address: await pione.bridge.getAddress(), signer: pione.signers[0], startBlock: 0 }
+            ]
+        }).init();
+        reconciler = await new SupplyReconciler({
+            logger: silentLogger,
+            bsc: { address: await bsc.bridge.getAddress(), provider: bsc.provider },
+            pione: { address: await pione.bridge.getAddress(), provider: pione.provider }
+        }).init();
+    });
+
+    it("Should account for requests in flight", async function () {
+        const event = await lockOnPione(ethers.parseEther("100"));
+
+        const report = await reconciler.reconcile();
+
+        expect(report.ok).to.be.true;
+        expect(report.bsc.totalSupply).to.equal(0n);
+        expect(report.pione.locked).to.equal(ethers.parseEther("100"));
+        expect(report.outstanding).to.deep.equal([
+            { requestId: event.requestId, direction: "pione -> bsc", amount: ethers.parseEther("100"), status: "in flight" }
+        ]);
+        expect(report.discrepancy).to.equal(0n);
+    });
+
+    it("Should reconcile relayed requests both ways", async function () {
+        await lockOnPione(ethers.parseEther("100"));
+        await relayer.poll();
+        await burnOnBsc(ethers.parseEther("40"));
+
+        let report = await reconciler.reconcile();
+        expect(report.ok).to.be.true;
+        expect(report.bsc.totalSupply).to.equal(ethers.parseEther("60"));
+        expect(report.outstandingAmount).to.equal(ethers.parseEther("40"));
+        expect(report.outstanding[0].direction).to.equal("bsc -> pione");
+
+        await relayer.poll();
+        report = await reconciler.reconcile();
+        expect(report.ok).to.be.true;
+        expect(report.pione.locked).to.equal(ethers.parseEther("60"));
+        expect(report.outstanding).to.deep.equal([]);
+        expect(report.discrepancy).to.equal(0n);
+    });
+
+    it("Should detect a forged bridgeIn", async function () {
+        await lockOnPione(ethers.parseEther("100"));
+        await relayer.poll();
+
+        const forged = {
+            from: pione.signers[USER].address,
+            to: bsc.signers[3].address,
+            amount: ethers.parseEther("50"),
+            sourceChain: PIONE_CHAIN_ID,
+            targetChain: BSC_CHAIN_ID,
+            nonce: 99
+        };
+        const requestId = computeRequestId(forged, await pione.bridge.getAddress(), await bsc.bridge.getAddress());
+        await (await bsc.bridge.bridgeIn(forged, requestId)).wait();
+
+        const report = await reconciler.reconcile();
+
+        expect(report.ok).to.be.false;
+        expect(report.invariantHolds).to.be.false;
+        expect(report.discrepancy).to.equal(ethers.parseEther("50"));
+        expect(report.orphans).to.deep.equal([
+            { requestId, chain: "bsc", amount: ethers.parseEther("50"), to: forged.to, legacy: false }
+        ]);
+    });
+
+    it("Should allow pre-minted supply", async function () {
+        reconciler = await new SupplyReconciler({
+            logger: silentLogger,
+            preMinted: ethers.parseEther("10"),
+            bsc: { address: await bsc.bridge.getAddress(), provider: bsc.provider },
+            pione: { address: await pione.bridge.getAddress(), provider: pione.provider }
+        }).init();
+        await lockOnPione(ethers.parseEther("100"));
+        await relayer.poll();
+
+        const report = await reconciler.reconcile();
+
+        expect(report.ok).to.be.true;
+        expect(report.backing).to.equal(ethers.parseEther("110"));
+        expect(report.discrepancy).to.equal(ethers.parseEther("-10"));
+    });
+
+    it("Should count transfers queued on BSC until they execute", async function () {
+        await (await bsc.bridge.setExecutionDelay(ethers.parseEther("50"), 3600)).wait();
+        const event = await lockOnPione(ethers.parseEther("100"));
+        await relayer.poll();
+
+        let report = await reconciler.reconcile();
+        expect(report.ok).to.be.true;
+        expect(report.outstanding).to.deep.equal([
+            { requestId: event.requestId, direction: "pione -> bsc", amount: ethers.parseEther("100"), status: "queued" }
+        ]);
+
+        await bsc.provider.send("evm_increaseTime", [3600]);
+        await (await bsc.bridge.executePending(event.requestId)).wait();
+        report = await reconciler.reconcile();
+        expect(report.ok).to.be.true;
+        expect(report.outstanding).to.deep.equal([]);
+    });
+
+    it("Should count rejected requests until they are refunded", async function () {
+        const event = await lockOnPione(ethers.parseEther("100"));
+        await (await bsc.bridge.rejectRequest(requestOf(event), event.requestId)).wait();
+
+        let report = await reconciler.reconcile();
+        expect(report.ok).to.be.true;
+        expect(report.outstanding[0]).to.deep.include({ requestId: event.requestId, status: "rejected" });
+
+        await relayer.poll();
+        await (await pione.bridge.connect(pione.signers[USER]).claimRefund(event.requestId)).wait();
+        report = await reconciler.reconcile();
+        expect(report.ok).to.be.true;
+        expect(report.pione.locked).to.equal(0n);
+        expect(report.outstanding).to.deep.equal([]);
+    });
+
+    it("Should reconcile at earlier blocks and refuse to go back", async function () {
+        await lockOnPione(ethers.parseEther("100"));
+        const pioneBlock = await pione.provider.getBlockNumber();
+        await relayer.poll();
+        await lockOnPione(ethers.parseEther("5"));
+
+        const report = await reconciler.reconcile({ pioneBlock });
+        expect(report.ok).to.be.true;
+        expect(report.pione).to.deep.include({ block: pioneBlock, locked: ethers.parseEther("100") });
+        expect(report.outstanding).to.deep.equal([]);
+
+        await expect(reconciler.reconcile({ pioneBlock: pioneBlock - 1 })).to.be.rejectedWith("is before the last reconciled block");
+    });
+});
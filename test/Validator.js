@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { Validator } = require("../validator/Validator");
+const { ValidatorClient } = require("../relayer/ValidatorClient");
+const { BRIDGE_REQUEST_TYPES, REFUND_APPROVAL_TYPES, REQUEST_REJECTION_TYPES, getBridgeDomain } = require("../lib/attestation");
+const { deployBridgePair, createValidators, BSC_CHAIN_ID, PIONE_CHAIN_ID } = require("./helpers/chains");
+
+const USER = 2;
+
+describe("Validator", function () {
+    let bsc, pione, validator;
+
+    async function bridgeOut(amount = "10") {
+        const account = pione.signers[USER];
+        const tx = await pione.bridge.connect(account).bridgeOut(account.address, BSC_CHAIN_ID, { value: ethers.parseEther(amount) });
+        const receipt = await tx.wait();
+        const [event] = await pione.bridge.queryFilter(pione.bridge.filters.BridgeInitiated(), receipt.blockNumber, receipt.blockNumber);
+        const { requestId, from, to, amount: net, sourceChain, targetChain, nonce } = event.args;
+        return { requestId, transactionHash: receipt.hash, request: { from, to, amount: net, sourceChain, targetChain, nonce } };
+    }
+
+    beforeEach(async function () {
+        ({ bsc, pione } = await deployBridgePair());
+        [validator] = await createValidators({ bsc, pione }, 1);
+    });
+
+    it("Should reject a configuration without a signer or with fewer than two chains", async function () {
+        expect(() => new Validator({ chains: [] })).to.throw("Validator needs a signer");
+        expect(() => new Validator({ signer: ethers.Wallet.createRandom(), chains: [] })).to.throw("Validator needs at least two chains");
+    });
+
+    it("Should sign a request rebuilt from its source transaction for the target bridge", async function () {
+        const { requestId, transactionHash, request } = await bridgeOut();
+
+        const attestation = await validator.attestBridgeRequest({ requestId, sourceChain: PIONE_CHAIN_ID, transactionHash });
+
+        const domain = await getBridgeDomain(bsc.bridge);
+        expect(attestation.signer).to.equal(validator.getAddress());
+        expect(ethers.verifyTypedData(domain, BRIDGE_REQUEST_TYPES, request, attestation.signature)).to.equal(validator.getAddress());
+    });
+
+    it("Should refuse a requestId that the transaction did not initiate", async function () {
+        const first = await bridgeOut("10");
+        const second = await bridgeOut("5");
+
+        await expect(validator.attestBridgeRequest({ requestId: second.requestId, sourceChain: PIONE_CHAIN_ID, transactionHash: first.transactionHash }))
+            .to.be.rejectedWith(`No BridgeInitiated of ${second.requestId}`);
+        await expect(validator.attestBridgeRequest({ requestId: first.requestId, sourceChain: BSC_CHAIN_ID, transactionHash: first.transactionHash }))
+            .to.be.rejectedWith("not found on bsc");
+    });
+
+    it("Should refuse a request below the confirmation depth", async function () {
+        const [strict] = await createValidators({ bsc, pione }, 1, { confirmations: 3 });
+        const { requestId, transactionHash } = await bridgeOut();
+
+        await expect(strict.attestBridgeRequest({ requestId, sourceChain: PIONE_CHAIN_ID, transactionHash }))
+            .to.be.rejectedWith("fewer than 3 confirmations");
+
+        await pione.provider.send("hardhat_mine", [ethers.toQuantity(2)]);
+        const attestation = await strict.attestBridgeRequest({ requestId, sourceChain: PIONE_CHAIN_ID, transactionHash });
+        expect(attestation.signer).to.equal(strict.getAddress());
+    });
+
+    it("Should refuse a request whose transaction was orphaned", async function () {
+        const snapshot = await pione.provider.send("evm_snapshot", []);
+        const { requestId, transactionHash } = await bridgeOut();
+        await pione.provider.send("evm_revert", [snapshot]);
+
+        await expect(validator.attestBridgeRequest({ requestId, sourceChain: PIONE_CHAIN_ID, transactionHash }))
+            .to.be.rejectedWith("not found on pione");
+    });
+
+    it("Should only sign the rejection of an unprocessed request of an unsupported chain pair", async function () {
+        const { requestId, transactionHash, request } = await bridgeOut();
+
+        await expect(validator.attestRejection({ requestId, sourceChain: PIONE_CHAIN_ID, transactionHash }))
+            .to.be.rejectedWith("pione -> bsc is still supported");
+
+        await (await bsc.bridge.setChainSupport(PIONE_CHAIN_ID, false)).wait();
+        const attestation = await validator.attestRejection({ requestId, sourceChain: PIONE_CHAIN_ID, transactionHash });
+        const domain = await getBridgeDomain(bsc.bridge);
+        expect(ethers.verifyTypedData(domain, REQUEST_REJECTION_TYPES, { requestId }, attestation.signature)).to.equal(validator.getAddress());
+
+        await (await bsc.bridge.rejectRequest(request, requestId)).wait();
+        await expect(validator.attestRejection({ requestId, sourceChain: PIONE_CHAIN_ID, transactionHash }))
+            .to.be.rejectedWith(`${requestId} is already processed on bsc`);
+    });
+
+    describe("Refunds", function () {
+        async function rejectOnBsc() {
+            const { requestId, request } = await bridgeOut();
+            const tx = await bsc.bridge.rejectRequest(request, requestId);
+            const receipt = await tx.wait();
+            return { requestId, transactionHash: receipt.hash };
+        }
+
+        it("Should sign the refund of a request rejected by its target chain", async function () {
+            const { requestId, transactionHash } = await rejectOnBsc();
+
+            const attestation = await validator.attestRefund({ requestId, chainId: BSC_CHAIN_ID, transactionHash });
+
+            const domain = await getBridgeDomain(pione.bridge);
+            expect(ethers.verifyTypedData(domain, REFUND_APPROVAL_TYPES, { requestId }, attestation.signature)).to.equal(validator.getAddress());
+        });
+
+        it("Should refuse a refund without a rejection", async function () {
+            const { requestId, transactionHash } = await bridgeOut();
+
+            await expect(validator.attestRefund({ requestId, chainId: PIONE_CHAIN_ID, transactionHash }))
+                .to.be.rejectedWith(`No BridgeRejected of ${requestId}`);
+        });
+
+        it("Should refuse a refund that is no longer pending on the source bridge", async function () {
+            const { requestId, transactionHash } = await rejectOnBsc();
+            await (await pione.bridge.approveRefund(requestId)).wait();
+
+            await expect(validator.attestRefund({ requestId, chainId: BSC_CHAIN_ID, transactionHash }))
+                .to.be.rejectedWith(`${requestId} is not pending on pione`);
+        });
+    });
+
+    describe("HTTP", function () {
+        let client, url;
+
+        beforeEach(async function () {
+            const port = await validator.listen(0, "127.0.0.1");
+            url = `http://127.0.0.1:${port}`;
+            client = new ValidatorClient(url);
+        });
+
+        afterEach(async function () {
+            await validator.close();
+        });
+
+        it("Should serve attestations to a ValidatorClient", async function () {
+            const { requestId, transactionHash } = await bridgeOut();
+
+            const attestation = await client.attestBridgeRequest({ requestId, sourceChain: BigInt(PIONE_CHAIN_ID), transactionHash });
+
+            expect(attestation).to.deep.equal(await validator.attestBridgeRequest({ requestId, sourceChain: PIONE_CHAIN_ID, transactionHash }));
+        });
+
+        it("Should report refusals and invalid input as client errors", async function () {
+            const { requestId } = await bridgeOut();
+
+            await expect(client.attestBridgeRequest({ requestId, sourceChain: PIONE_CHAIN_ID, transactionHash: ethers.ZeroHash }))
+                .to.be.rejectedWith(`Validator ${url} refused: Transaction ${ethers.ZeroHash} not found on pione`);
+            await expect(client.attestRefund({ requestId: "0x12", chainId: BSC_CHAIN_ID, transactionHash: ethers.ZeroHash }))
+                .to.be.rejectedWith("Invalid requestId 0x12");
+
+            await expect(client.attestRejection({ requestId, sourceChain: PIONE_CHAIN_ID, transactionHash: ethers.ZeroHash }))
+                .to.be.rejectedWith(`Validator ${url} refused: Transaction ${ethers.ZeroHash} not found on pione`);
+
+            const response = await fetch(`${url}/attestations/refund`);
+            expect(response.status).to.equal(405);
+        });
+    });
+});
@@ -0,0 +1,156 @@
+const net = require("net");
+const path = require("path");
+const { spawn } = require("child_process");
+const hre = require("hardhat");
+const { ethers } = require("ethers");
+const { Validator } = require("../../validator/Validator");
+
+const BSC_CHAIN_ID = 97;
+const PIONE_CHAIN_ID = 5080;
+const NODE_START_TIMEOUT = 60000;
+
+// One `hardhat node` per chain ID, started on first use and stopped when the run ends.
+const nodes = new Map();
+
+function stopNodes() {
+    for (const { child } of nodes.values()) child.kill();
+    nodes.clear();
+}
+
+if (typeof after === "function") after(stopNodes);
+process.on("exit", stopNodes);
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once("error", reject);
+        server.listen(0, "127.0.0.1", () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+async function startNode(chainId) {
+    const port = await getFreePort();
+    const child = spawn(path.join(hre.config.paths.root, "node_modules", ".bin", "hardhat"), ["node", "--hostname", "127.0.0.1", "--port", String(port)], {
+        cwd: hre.config.paths.root,
+        env: { ...process.env, HARDHAT_CHAIN_ID: String(chainId) },
+        stdio: "ignore"
+    });
+    let exited = null;
+    child.once("exit", code => { exited = code; });
+
+    const url = `http://127.0.0.1:${port}`;
+    for (const startedAt = Date.now(); ;) {
+        if (exited !== null) throw new Error(`hardhat node of chain ${chainId} exited with code ${exited}`);
+        try {
+            const response = await fetch(url, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "hardhat_setLoggingEnabled", params: [false] })
+            });
+            if (response.ok) break;
+        } catch (error) {
+            // Not listening yet.
+        }
+        if (Date.now() - startedAt > NODE_START_TIMEOUT) {
+            child.kill();
+            throw new Error(`hardhat node of chain ${chainId} did not start`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    return { child, url };
+}
+
+/**
+ * Returns a fresh chain with its own chain ID, served by a `hardhat node`
+ * that is reset on every call. Chains of different IDs run side by side,
+ * which lets a single test drive both sides of the bridge.
+ */
+async function createLocalChain(chainId) {
+    if (!nodes.has(chainId)) nodes.set(chainId, await startNode(chainId));
+    const provider = new ethers.JsonRpcProvider(nodes.get(chainId).url, undefined, {
+        staticNetwork: ethers.Network.from(chainId),
+        cacheTimeout: -1,
+        batchMaxCount: 1
+    });
+    await provider.send("hardhat_reset", []);
+    // The clock of a reset chain lags behind, move it to now like a fresh one.
+    const genesis = await provider.getBlock("latest");
+    await provider.send("evm_setNextBlockTimestamp", [Math.max(Math.floor(Date.now() / 1000), genesis.timestamp + 1)]);
+    const signers = [];
+    for (let i = 0; i < 5; i++) signers.push(await provider.getSigner(i));
+
+    async function deploy(contractName, args = [], signer = signers[0]) {
+        const artifact = await hre.artifacts.readArtifact(contractName);
+        const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+        const contract = await factory.deploy(...args);
+        await contract.waitForDeployment();
+        return contract;
+    }
+
+    return { chainId, provider, signers, deploy };
+}
+
+/**
+ * Deploys PIONE + PioneChainBridgeBSC on a BSC stand-in and PioneChainBridge
+ * on a PioneChain stand-in, wired to each other and unpaused.
+ */
+async function deployBridgePair() {
+    const bsc = await createLocalChain(BSC_CHAIN_ID);
+    const pione = await createLocalChain(PIONE_CHAIN_ID);
+
+    const [bscOwner] = bsc.signers;
+    bsc.token = await bsc.deploy("PIONE", [bscOwner.address]);
+    bsc.bridge = await bsc.deploy("PioneChainBridgeBSC", [
+        await bsc.token.getAddress(),
+        ethers.parseEther("1"),
+        ethers.parseEther("10000"),
+        ethers.parseEther("1000000"),
+        PIONE_CHAIN_ID
+    ]);
+    await (await bsc.token.setTokenBridge(await bsc.bridge.getAddress())).wait();
+    await (await bsc.token.unpauseTokenBridge()).wait();
+
+    pione.bridge = await pione.deploy("PioneChainBridge", [
+        ethers.parseEther("1"),
+        0,
+        0,
+        BSC_CHAIN_ID
+    ]);
+    await (await pione.bridge.unpause()).wait();
+
+    await (await bsc.bridge.setRemoteBridge(PIONE_CHAIN_ID, await pione.bridge.getAddress())).wait();
+    await (await pione.bridge.setRemoteBridge(BSC_CHAIN_ID, await bsc.bridge.getAddress())).wait();
+
+    return { bsc, pione };
+}
+
+/**
+ * Starts `count` validators with random keys watching the pair deployed by
+ * `deployBridgePair`. `options` is merged into every chain entry.
+ */
+async function createValidators({ bsc, pione }, count, options = {}) {
+    const validators = [];
+    for (let i = 0; i < count; i++) {
+        const validator = new Validator({
+            signer: ethers.Wallet.createRandom(),
+            logger: { log() {}, warn() {}, error() {} },
+            chains: [
+                { name: "bsc", contract: "PioneChainBridgeBSC", address: await bsc.bridge.getAddress(), provider: bsc.provider, ...options },
+                { name: "pione", contract: "PioneChainBridge", address: await pione.bridge.getAddress(), provider: pione.provider, ...options }
+            ]
+        });
+        validators.push(await validator.init());
+    }
+    return validators;
+}
+
+module.exports = {
+    BSC_CHAIN_ID,
+    PIONE_CHAIN_ID,
+    createLocalChain,
+    deployBridgePair,
+    createValidators
+};
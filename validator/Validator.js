@@ -0,0 +1,267 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const { getAbi } = require("../lib/artifacts");
+const { computeRequestId, computeLegacyRequestId } = require("../lib/requestId");
+const { getBridgeDomain, signBridgeRequest, signRefundApproval, signRequestRejection } = require("../lib/attestation");
+
+// `OutboundStatus.PENDING` of the source bridges.
+const OUTBOUND_PENDING = 1n;
+
+// Largest request body accepted by the HTTP server.
+const MAX_BODY_SIZE = 16 * 1024;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Independent attester for bridges running in attestation mode.
+ *
+ * A validator holds one validator key and reads every chain through its own
+ * RPC. It never takes a request from the caller: given the source chain and
+ * the transaction hash, it fetches the receipt itself, requires the
+ * originating log to be canonical and `confirmations` deep, rebuilds the
+ * request from that log and only then signs it for the target bridge. A
+ * compromised relayer can therefore ask for signatures but cannot make a
+ * validator attest a request that was never initiated.
+ *
+ * Rejections are signed for a request rebuilt the same way, only while the
+ * target bridge has not processed it and one of the two bridges no longer
+ * supports the other chain, so the request can never be completed. Refund
+ * approvals are signed from a confirmed `BridgeRejected` on the rejecting
+ * chain, and only while the request is still pending on its source bridge.
+ */
+class Validator {
+    /**
+     * @param {Object} options
+     * @param {ethers.Signer} options.signer validator key, registered through
+     *   `setValidators` on the bridges
+     * @param {Array<Object>} options.chains Chain entries:
+     *   - `name`          label used in logs
+     *   - `contract`      artifact name (`PioneChainBridge` or `PioneChainBridgeBSC`)
+     *   - `address`       bridge address
+     *   - `provider`      provider of this validator's own RPC
+     *   - `confirmations` blocks required on top of an event, counting its
+     *                     own block (defaults to 1)
+     *   - `legacyBridges` retired bridges on this chain whose in-flight
+     *                     requests may still be completed under their pre-V2
+     *                     id (see scripts/migration/legacy-requests.js)
+     * @param {Object} [options.logger] console-compatible logger
+     */
+    constructor({ signer, chains, logger = console }) {
+        if (!signer) throw new Error("Validator needs a signer");
+        if (!chains || chains.length < 2) throw new Error("Validator needs at least two chains");
+        this._signer = signer;
+        this._config = chains;
+        this._logger = logger;
+        this._chains = new Map();
+        this._server = null;
+    }
+
+    /**
+     * Resolves each bridge's `CHAIN_ID` and EIP-712 domain.
+     */
+    async init() {
+        for (const config of this._config) {
+            const bridge = new ethers.Contract(config.address, getAbi(config.contract), config.provider);
+            const chainId = await bridge.CHAIN_ID();
+            if (this._chains.has(chainId)) throw new Error(`Duplicate chain ${chainId}`);
+
+            this._chains.set(chainId, {
+                name: config.name,
+                chainId,
+                bridge,
+                address: ethers.getAddress(config.address),
+                provider: config.provider,
+                confirmations: Math.max(config.confirmations ?? 1, 1),
+                legacyBridges: (config.legacyBridges ?? []).map(address => ethers.getAddress(address)),
+                domain: await getBridgeDomain(bridge)
+            });
+        }
+        this._address = await this._signer.getAddress();
+        return this;
+    }
+
+    getAddress() {
+        return this._address;
+    }
+
+    /**
+     * Signs the `BridgeRequest` initiated by `requestId` in `transactionHash`
+     * on `sourceChain`, for the bridge of the request's target chain.
+     * @return {Promise<{signer: string, signature: string}>}
+     */
+    async attestBridgeRequest({ requestId, sourceChain, transactionHash }) {
+        const { source, target, request } = await this._findRequest(requestId, sourceChain, transactionHash);
+
+        this._logger.log(`[${source.name} -> ${target.name}] attested ${requestId}`);
+        return signBridgeRequest(this._signer, target.domain, request);
+    }
+
+    /**
+     * Signs the rejection of `requestId`, initiated in `transactionHash` on
+     * `sourceChain`, for the bridge of the request's target chain.
+     * @return {Promise<{signer: string, signature: string}>}
+     */
+    async attestRejection({ requestId, sourceChain, transactionHash }) {
+        const { source, target } = await this._findRequest(requestId, sourceChain, transactionHash);
+
+        if (await target.bridge.processedTransactions(requestId)) throw new HttpError(422, `${requestId} is already processed on ${target.name}`);
+        const supported = await target.bridge.supportedChains(source.chainId) && await source.bridge.supportedChains(target.chainId);
+        if (supported) throw new HttpError(422, `${source.name} -> ${target.name} is still supported`);
+
+        this._logger.log(`[${source.name} -> ${target.name}] attested rejection of ${requestId}`);
+        return signRequestRejection(this._signer, target.domain, requestId);
+    }
+
+    /**
+     * Signs the refund approval of `requestId`, rejected by the bridge of
+     * `chainId` in `transactionHash`, for the request's source bridge.
+     * @return {Promise<{signer: string, signature: string}>}
+     */
+    async attestRefund({ requestId, chainId, transactionHash }) {
+        const target = this._getChain(chainId);
+        const { log } = await this._findConfirmedLog(target, "BridgeRejected", requestId, transactionHash, [target.address]);
+
+        const { sourceChain } = target.bridge.interface.parseLog(log).args;
+        const source = this._chains.get(sourceChain);
+        if (!source) throw new HttpError(422, `Rejection of ${requestId} comes from unknown chain ${sourceChain}`);
+
+        const outbound = await source.bridge.outboundRequests(requestId);
+        if (outbound.status !== OUTBOUND_PENDING) throw new HttpError(422, `${requestId} is not pending on ${source.name}`);
+        if (outbound.targetChain !== target.chainId) throw new HttpError(422, `${requestId} was not sent to ${target.name}`);
+
+        this._logger.log(`[${target.name} -> ${source.name}] attested refund of ${requestId}`);
+        return signRefundApproval(this._signer, source.domain, requestId);
+    }
+
+    /**
+     * Starts the HTTP server on `port` (0 for a free port).
+     * @return {Promise<number>} the port listened on
+     */
+    listen(port = 3100, host) {
+        this._server = http.createServer((req, res) => this._handle(req, res));
+        return new Promise((resolve, reject) => {
+            this._server.once("error", reject);
+            this._server.listen(port, host, () => resolve(this._server.address().port));
+        });
+    }
+
+    close() {
+        if (!this._server) return Promise.resolve();
+        const server = this._server;
+        this._server = null;
+        return new Promise(resolve => server.close(() => resolve()));
+    }
+
+    _getChain(chainId) {
+        let id;
+        try {
+            id = BigInt(chainId);
+        } catch {
+            throw new HttpError(400, `Invalid chain ${chainId}`);
+        }
+        const chain = this._chains.get(id);
+        if (!chain) throw new HttpError(422, `Unknown chain ${chainId}`);
+        return chain;
+    }
+
+    /**
+     * Rebuilds the request initiated by `requestId` in `transactionHash` on
+     * `sourceChain` and checks it against its id.
+     */
+    async _findRequest(requestId, sourceChain, transactionHash) {
+        const source = this._getChain(sourceChain);
+        const { log, address } = await this._findConfirmedLog(source, "BridgeInitiated", requestId, transactionHash,
+            [source.address, ...source.legacyBridges]);
+
+        const { from, to, amount, sourceChain: origin, targetChain, nonce } = source.bridge.interface.parseLog(log).args;
+        const request = { from, to, amount, sourceChain: origin, targetChain, nonce };
+        if (origin !== source.chainId) throw new HttpError(422, `${requestId} was not initiated for chain ${source.chainId}`);
+
+        const target = this._chains.get(targetChain);
+        if (!target) throw new HttpError(422, `${requestId} targets unknown chain ${targetChain}`);
+
+        const expected = address === source.address
+            ? computeRequestId(request, source.address, target.address)
+            : computeLegacyRequestId(request);
+        if (expected !== requestId) throw new HttpError(422, `${requestId} does not match its request`);
+        return { source, target, request };
+    }
+
+    /**
+     * Returns the `eventName` log of `requestId` emitted by one of `addresses`
+     * in `transactionHash`, once its block is canonical and confirmed.
+     */
+    async _findConfirmedLog(chain, eventName, requestId, transactionHash, addresses) {
+        if (!ethers.isHexString(requestId, 32)) throw new HttpError(400, `Invalid requestId ${requestId}`);
+        if (!ethers.isHexString(transactionHash, 32)) throw new HttpError(400, `Invalid transactionHash ${transactionHash}`);
+
+        const receipt = await chain.provider.getTransactionReceipt(transactionHash);
+        if (!receipt) throw new HttpError(422, `Transaction ${transactionHash} not found on ${chain.name}`);
+
+        const topic = chain.bridge.interface.getEvent(eventName).topicHash;
+        const log = receipt.logs.find(l =>
+            addresses.includes(ethers.getAddress(l.address)) &&
+            l.topics[0] === topic &&
+            l.topics[1] === requestId
+        );
+        if (!log) throw new HttpError(422, `No ${eventName} of ${requestId} in ${transactionHash}`);
+
+        const block = await chain.provider.getBlock(receipt.blockNumber);
+        if (!block || block.hash !== receipt.blockHash) throw new HttpError(422, `Block of ${transactionHash} is not canonical`);
+
+        const head = await chain.provider.getBlockNumber();
+        if (head - receipt.blockNumber + 1 < chain.confirmations) {
+            throw new HttpError(422, `${eventName} of ${requestId} has fewer than ${chain.confirmations} confirmations`);
+        }
+        return { log, address: ethers.getAddress(log.address) };
+    }
+
+    async _handle(req, res) {
+        let status = 200;
+        let body;
+        try {
+            if (req.method !== "POST") throw new HttpError(405, `${req.method} is not allowed`);
+            const { pathname } = new URL(req.url, "http://localhost");
+            const params = await readJson(req);
+            if (pathname === "/attestations/bridge-request") body = await this.attestBridgeRequest(params);
+            else if (pathname === "/attestations/rejection") body = await this.attestRejection(params);
+            else if (pathname === "/attestations/refund") body = await this.attestRefund(params);
+            else throw new HttpError(404, "Not found");
+        } catch (error) {
+            status = error.status ?? 500;
+            body = { error: status === 500 ? "Internal error" : error.message };
+            if (status === 500) this._logger.error("validator request failed :>> ", error.message);
+        }
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(body));
+    }
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let data = "";
+        req.setEncoding("utf8");
+        req.on("data", chunk => {
+            data += chunk;
+            if (data.length > MAX_BODY_SIZE) {
+                reject(new HttpError(413, "Request body too large"));
+                req.destroy();
+            }
+        });
+        req.on("end", () => {
+            try {
+                resolve(JSON.parse(data || "{}"));
+            } catch {
+                reject(new HttpError(400, "Invalid JSON body"));
+            }
+        });
+        req.on("error", reject);
+    });
+}
+
+module.exports = { Validator };
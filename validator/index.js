@@ -0,0 +1,62 @@
+const { ethers } = require("ethers");
+const { Validator } = require("./Validator");
+require("dotenv").config();
+
+// Every validator runs this process on its own host, with its own key and
+// its own RPC endpoints, and gives the relayer operator only its URL.
+const BSC_RPC_URL = process.env.BSC_RPC_URL || "";
+const PIONE_RPC_URL = process.env.PIONE_RPC_URL || "";
+const PIONE_BRIDGE_BSC = process.env.PIONE_BRIDGE_BSC || "";
+const PIONE_BRIDGE = process.env.PIONE_BRIDGE || "";
+const VALIDATOR_PRIVATE_KEY = process.env.VALIDATOR_PRIVATE_KEY || "";
+const BSC_CONFIRMATIONS = Number(process.env.BSC_CONFIRMATIONS || 15);
+const PIONE_CONFIRMATIONS = Number(process.env.PIONE_CONFIRMATIONS || 15);
+const BSC_LEGACY_BRIDGES = (process.env.BSC_LEGACY_BRIDGES || "").split(",").filter(Boolean);
+const PIONE_LEGACY_BRIDGES = (process.env.PIONE_LEGACY_BRIDGES || "").split(",").filter(Boolean);
+const VALIDATOR_PORT = Number(process.env.VALIDATOR_PORT || 3100);
+
+async function main() {
+    for (const [key, value] of Object.entries({ BSC_RPC_URL, PIONE_RPC_URL, PIONE_BRIDGE_BSC, PIONE_BRIDGE, VALIDATOR_PRIVATE_KEY })) {
+        if (!value) throw new Error(`Missing ${key} in .env`);
+    }
+
+    const validator = new Validator({
+        signer: new ethers.Wallet(VALIDATOR_PRIVATE_KEY),
+        chains: [
+            {
+                name: "bsc",
+                contract: "PioneChainBridgeBSC",
+                address: PIONE_BRIDGE_BSC,
+                provider: new ethers.JsonRpcProvider(BSC_RPC_URL),
+                confirmations: BSC_CONFIRMATIONS,
+                legacyBridges: BSC_LEGACY_BRIDGES
+            },
+            {
+                name: "pione",
+                contract: "PioneChainBridge",
+                address: PIONE_BRIDGE,
+                provider: new ethers.JsonRpcProvider(PIONE_RPC_URL),
+                confirmations: PIONE_CONFIRMATIONS,
+                legacyBridges: PIONE_LEGACY_BRIDGES
+            }
+        ]
+    });
+    await validator.init();
+
+    const port = await validator.listen(VALIDATOR_PORT, process.env.VALIDATOR_HOST || undefined);
+    console.log("validator address :>> ", validator.getAddress());
+    console.log("validator listening on port :>> ", port);
+
+    const shutdown = async () => {
+        console.log("validator stopping...");
+        await validator.close();
+        process.exit(0);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+}
+
+main().catch((err) => {
+    console.log('err :>> ', err);
+    process.exit(1);
+});